@@ -275,6 +275,7 @@ import { extractReasoningFromData, extractReasoningSignatureFromData, initReason
 import { accountStorage } from './scripts/util/AccountStorage.js';
 import { initWelcomeScreen, openPermanentAssistantChat, openPermanentAssistantCard, getPermanentAssistantAvatar } from './scripts/welcome-screen.js';
 import { initDataMaid } from './scripts/data-maid.js';
+import { initSharedCharacters } from './scripts/shared-characters.js';
 import { clearItemizedPrompts, deleteItemizedPrompts, findItemizedPromptSet, initItemizedPrompts, itemizedParams, itemizedPrompts, loadItemizedPrompts, promptItemize, replaceItemizedPromptText, saveItemizedPrompts } from './scripts/itemized-prompts.js';
 import { getSystemMessageByType, initSystemMessages, SAFETY_CHAT, sendSystemMessage, system_message_types, system_messages } from './scripts/system-messages.js';
 import { event_types, eventSource } from './scripts/events.js';
@@ -782,6 +783,18 @@ function setupFetchInterceptor() {
             }
         }
 
+        // 宽限期内的只读账户：提示写操作被拒绝
+        if (response.status === 403) {
+            try {
+                const data = await clonedResponse.json();
+                if (data.readOnly === true) {
+                    toastr.warning(data.error, 'Read-only account', { preventDuplicates: true });
+                }
+            } catch (e) {
+                // 如果不是JSON响应，忽略
+            }
+        }
+
         return response;
     };
 }
@@ -877,6 +890,7 @@ async function firstLoadInit() {
     await initScrapers();
     initCustomSelectedSamplers();
     initDataMaid();
+    initSharedCharacters();
     initItemizedPrompts();
     initAccessibility();
     addDebugFunctions();
@@ -1042,6 +1056,11 @@ function getCharacterBlock(item, id) {
     template.find('img').attr('src', this_avatar).attr('alt', item.name);
     template.find('.avatar').attr('title', `[Character] ${item.name}\nFile: ${item.avatar}`);
     template.find('.ch_name').text(item.name).attr('title', `[Character] ${item.name}`);
+    if (item.shared) {
+        template.addClass('is_shared');
+        template.find('.avatar').attr('title', `[Character] ${item.name}\nShared collection: ${item.shared.collection_name}`);
+        template.find('.ch_name').prepend('<i class="fa-solid fa-users fa-xs"></i> ');
+    }
     if (power_user.show_card_avatar_urls) {
         template.find('.ch_avatar_url').text(item.avatar);
     }
@@ -9927,6 +9946,12 @@ export async function createOrEditCharacter(e) {
                 }
             }
 
+            // Saves of shared characters are rejected if someone else saved the character in the meantime
+            const sharedRevision = characters[this_chid]?.shared?.revision;
+            if (sharedRevision !== undefined) {
+                formData.set('shared_revision', String(sharedRevision));
+            }
+
             const fetchResult = await fetch(url, {
                 method: 'POST',
                 headers: headers,
@@ -9934,6 +9959,13 @@ export async function createOrEditCharacter(e) {
                 cache: 'no-cache',
             });
 
+            if (fetchResult.status === 409) {
+                await getOneCharacter(formData.get('avatar_url'));
+                select_selected_character(this_chid, { switchMenu: false });
+                toastr.warning(t`Someone else saved this shared character after you opened it. It was reloaded with their changes, apply yours again.`, t`Character not saved`, { timeOut: 10000, preventDuplicates: true });
+                return;
+            }
+
             if (!fetchResult.ok) {
                 throw new Error('Fetch result is not ok');
             }
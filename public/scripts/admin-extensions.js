@@ -17,6 +17,10 @@ function initializeAdminExtensions() {
 
         bindDefaultConfigEvents();
 
+        bindPooledSecretEvents();
+
+        bindAuditLogEvents();
+
         initializeEmailConfig();
 
         checkAndLoadCurrentTab();
@@ -50,6 +54,18 @@ function checkAndLoadCurrentTab() {
             loadDefaultConfigStatus();
             loadDefaultConfigUsers();
         }
+
+        const pooledSecretsBlock = document.querySelector('.pooledSecretsBlock');
+        if (pooledSecretsBlock && isElementVisible(pooledSecretsBlock)) {
+            console.log('Shared API keys tab is visible, loading data...');
+            loadPooledSecrets();
+        }
+
+        const auditLogBlock = document.querySelector('.auditLogBlock');
+        if (auditLogBlock && isElementVisible(auditLogBlock)) {
+            console.log('Audit log tab is visible, loading data...');
+            loadAuditLog();
+        }
     }, 100);
 }
 
@@ -104,6 +120,20 @@ function bindTabEvents() {
             showDefaultConfigTab();
         });
     }
+
+    const pooledSecretsButton = document.querySelector('.pooledSecretsButton');
+    if (pooledSecretsButton) {
+        pooledSecretsButton.addEventListener('click', function() {
+            showPooledSecretsTab();
+        });
+    }
+
+    const auditLogButton = document.querySelector('.auditLogButton');
+    if (auditLogButton) {
+        auditLogButton.addEventListener('click', function() {
+            showAuditLogTab();
+        });
+    }
 }
 
 function showSystemLoadTab() {
@@ -129,6 +159,7 @@ function showInvitationCodesTab() {
     const invitationCodesBlock = document.querySelector('.invitationCodesBlock');
     if (invitationCodesBlock) {
         invitationCodesBlock.style.display = 'block';
+        loadInvitationGrantOptions();
         loadInvitationCodes();
     }
 }
@@ -622,6 +653,20 @@ function bindInvitationCodeEvents() {
         });
     }
 
+    const loadReportButton = document.getElementById('loadInvitationReport');
+    if (loadReportButton) {
+        loadReportButton.addEventListener('click', function() {
+            loadInvitationReport();
+        });
+    }
+
+    const exportReportButton = document.getElementById('exportInvitationReport');
+    if (exportReportButton) {
+        exportReportButton.addEventListener('click', function() {
+            exportInvitationReport();
+        });
+    }
+
     const cleanupExpiredCodes = document.getElementById('cleanupExpiredCodes');
     if (cleanupExpiredCodes) {
         cleanupExpiredCodes.addEventListener('click', function() {
@@ -826,7 +871,9 @@ function renderInvitationCodes() {
         filteredCodes = filteredCodes.filter(code =>
             code.code.toLowerCase().includes(codeSearchTerm.toLowerCase()) ||
             (code.createdBy && code.createdBy.toLowerCase().includes(codeSearchTerm.toLowerCase())) ||
-            (code.usedBy && code.usedBy.toLowerCase().includes(codeSearchTerm.toLowerCase()))
+            (code.usedBy && code.usedBy.toLowerCase().includes(codeSearchTerm.toLowerCase())) ||
+            (code.campaign && code.campaign.toLowerCase().includes(codeSearchTerm.toLowerCase())) ||
+            (code.note && code.note.toLowerCase().includes(codeSearchTerm.toLowerCase()))
         );
     }
 
@@ -996,10 +1043,17 @@ function createInvitationCodeItem(code) {
                     ${code.used ? `<span>Used by: ${escapeHtml(usedBy)}</span>` : ''}
                     ${code.used ? `<span>Used at: ${new Date(code.usedAt).toLocaleString('en-US')}</span>` : ''}
                     ${code.used && userExpiresText ? `<span>User expires: ${userExpiresText}</span>` : ''}
+                    ${code.campaign ? `<span>Campaign: ${escapeHtml(code.campaign)}</span>` : ''}
+                    ${code.grantRole ? `<span>Grants role: ${escapeHtml(code.grantRole)}</span>` : ''}
+                    ${code.grantQuotaTier ? `<span>Grants quota tier: ${escapeHtml(code.grantQuotaTier)}</span>` : ''}
+                    ${code.note ? `<span>Note: ${escapeHtml(code.note)}</span>` : ''}
                 </div>
             </div>
             <div class="invitationCodeActions">
                 <span class="invitationCodeStatus ${statusClass}">${statusText}</span>
+                <button class="menu_button" onclick="editInvitationCode('${code.code}')" title="Edit campaign, note and usage limit">
+                    <i class="fa-fw fa-solid fa-pen"></i>
+                </button>
                 <button class="menu_button warning" onclick="deleteInvitationCode('${code.code}')" title="Delete invitation code">
                     <i class="fa-fw fa-solid fa-trash"></i>
                 </button>
@@ -1009,13 +1063,191 @@ function createInvitationCodeItem(code) {
 }
 
 function getInvitationCodeStatus(code) {
+    const maxUses = code.maxUses || 1;
+    const uses = code.uses ?? (code.used ? 1 : 0);
+
     if (code.used) {
-        return { class: 'used', text: 'Used' };
+        return { class: 'used', text: maxUses > 1 ? `Used ${uses}/${maxUses}` : 'Used' };
+    }
+
+    if (maxUses > 1) {
+        return { class: 'unused', text: `${uses}/${maxUses} used` };
     }
 
     return { class: 'unused', text: 'Unused' };
 }
 
+/**
+ * Gets the options shared by single and batch creation of invitation codes.
+ * @returns {object}
+ */
+function getInvitationCreationOptions() {
+    return {
+        maxUses: parseInt(document.getElementById('invitationMaxUses')?.value) || 1,
+        campaign: document.getElementById('invitationCampaign')?.value.trim() || '',
+        note: document.getElementById('invitationNote')?.value.trim() || '',
+        grantRole: document.getElementById('invitationGrantRole')?.value || '',
+        grantQuotaTier: document.getElementById('invitationGrantQuotaTier')?.value || '',
+    };
+}
+
+async function loadInvitationGrantOptions() {
+    try {
+        const response = await fetch('/api/invitation-codes/grant-options', {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load grant options');
+        }
+
+        const data = await response.json();
+        const roleSelect = document.getElementById('invitationGrantRole');
+        const tierSelect = document.getElementById('invitationGrantQuotaTier');
+        const grantOptions = document.querySelector('.invitationGrantOptions');
+
+        if (roleSelect && tierSelect) {
+            roleSelect.innerHTML = '<option value="">None</option>' + data.roles.map(role => `<option value="${escapeHtml(role)}">${escapeHtml(role)}</option>`).join('');
+            tierSelect.innerHTML = '<option value="">None</option>' + data.quotaTiers.map(tier => `<option value="${escapeHtml(tier)}">${escapeHtml(tier)}</option>`).join('');
+        }
+
+        if (grantOptions) {
+            grantOptions.style.display = data.roles.length || data.quotaTiers.length ? 'flex' : 'none';
+        }
+    } catch (error) {
+        console.error('Error loading invitation grant options:', error);
+    }
+}
+
+async function editInvitationCode(code) {
+    const invitation = currentInvitationCodes.find(x => x.code === code);
+    if (!invitation) {
+        return;
+    }
+
+    const campaign = prompt('Campaign label:', invitation.campaign || '');
+    if (campaign === null) {
+        return;
+    }
+
+    const note = prompt('Note:', invitation.note || '');
+    if (note === null) {
+        return;
+    }
+
+    const maxUsesText = prompt('Max uses:', String(invitation.maxUses || 1));
+    if (maxUsesText === null) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/invitation-codes/update', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ code, campaign, note, maxUses: parseInt(maxUsesText) || 1 }),
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update invitation code');
+        }
+
+        loadInvitationCodes();
+    } catch (error) {
+        console.error('Error updating invitation code:', error);
+        alert(error.message || 'Failed to update invitation code');
+    }
+}
+
+let currentInvitationReport = [];
+
+async function loadInvitationReport() {
+    try {
+        showLoadingState('invitationReportContainer');
+
+        const response = await fetch('/api/invitation-codes/report', {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load redemption report');
+        }
+
+        const data = await response.json();
+        currentInvitationReport = data.campaigns || [];
+        renderInvitationReport();
+    } catch (error) {
+        console.error('Error loading redemption report:', error);
+        showErrorState('invitationReportContainer', 'Failed to load redemption report');
+    }
+}
+
+function renderInvitationReport() {
+    const container = document.getElementById('invitationReportContainer');
+    if (!container) return;
+
+    if (currentInvitationReport.length === 0) {
+        container.innerHTML = createEmptyState('fa-chart-column', 'No invitation codes', 'Create codes with a campaign label to track cohorts');
+        return;
+    }
+
+    container.innerHTML = currentInvitationReport.map(group => {
+        const users = group.redemptions.map(x => `
+            <tr>
+                <td>${escapeHtml(x.handle)}</td>
+                <td>${escapeHtml(x.code)}</td>
+                <td>${new Date(x.usedAt).toLocaleString('en-US')}</td>
+                <td>${x.userExpiresAt ? new Date(x.userExpiresAt).toLocaleString('en-US') : 'Permanent'}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <details class="invitationReportGroup" style="margin: 10px 0;">
+                <summary>
+                    <strong>${group.campaign ? escapeHtml(group.campaign) : '(no campaign)'}</strong>
+                    — ${group.codes} code(s), ${group.redemptions.length}/${group.capacity} redemption(s)
+                </summary>
+                ${users ? `
+                    <table class="wide100p" style="margin-top: 5px;">
+                        <thead><tr><th>User</th><th>Code</th><th>Redeemed at</th><th>User expires</th></tr></thead>
+                        <tbody>${users}</tbody>
+                    </table>
+                ` : '<div style="opacity: 0.7;">No redemptions yet</div>'}
+            </details>
+        `;
+    }).join('');
+}
+
+async function exportInvitationReport() {
+    if (currentInvitationReport.length === 0) {
+        await loadInvitationReport();
+    }
+
+    const escapeCsv = (value) => {
+        const text = String(value ?? '');
+        const safeText = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+        return /[",\n\r]/.test(safeText) ? `"${safeText.replace(/"/g, '""')}"` : safeText;
+    };
+
+    const lines = [['campaign', 'code', 'user', 'redeemedAt', 'userExpiresAt'].join(',')];
+    for (const group of currentInvitationReport) {
+        for (const redemption of group.redemptions) {
+            lines.push([
+                group.campaign,
+                redemption.code,
+                redemption.handle,
+                new Date(redemption.usedAt).toISOString(),
+                redemption.userExpiresAt ? new Date(redemption.userExpiresAt).toISOString() : '',
+            ].map(escapeCsv).join(','));
+        }
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 10);
+    downloadFile('\uFEFF' + lines.join('\r\n') + '\r\n', `invitation-redemptions_${timestamp}.csv`, 'text/csv');
+}
+
 async function createInvitationCode() {
     const form = document.querySelector('.createInvitationForm');
     const submitButton = form.querySelector('button[type="submit"]');
@@ -1027,7 +1259,8 @@ async function createInvitationCode() {
     const durationType = form.querySelector('select[name="durationType"]').value;
 
     const requestData = {
-        durationType: durationType || 'permanent'
+        durationType: durationType || 'permanent',
+        ...getInvitationCreationOptions(),
     };
 
     submitButton.disabled = true;
@@ -1116,7 +1349,8 @@ async function createBatchInvitationCodes() {
 
     const requestData = {
         count,
-        durationType: durationType || 'permanent'
+        durationType: durationType || 'permanent',
+        ...getInvitationCreationOptions(),
     };
 
     submitButton.disabled = true;
@@ -1582,12 +1816,34 @@ function createAnnouncementItem(announcement) {
     }
 
     let validityInfo = '';
+    if (announcement.startsAt) {
+        validityInfo += ` | Starts: ${new Date(announcement.startsAt).toLocaleString('en-US')}`;
+    }
+    if (announcement.endsAt) {
+        validityInfo += ` | Ends: ${new Date(announcement.endsAt).toLocaleString('en-US')}`;
+    }
+
+    const audience = announcement.audience || {};
+    const audienceParts = [];
+    if (audience.roles?.length) {
+        audienceParts.push(`Roles: ${audience.roles.join(', ')}`);
+    }
+    if (audience.minAccountAgeDays != null || audience.maxAccountAgeDays != null) {
+        audienceParts.push(`Account age: ${audience.minAccountAgeDays ?? 0}–${audience.maxAccountAgeDays ?? '∞'} days`);
+    }
+    if (audience.invitationCampaigns?.length) {
+        audienceParts.push(`Invitation batches: ${audience.invitationCampaigns.join(', ')}`);
+    }
+    const audienceInfo = audienceParts.length ? audienceParts.join(' | ') : 'Everyone';
+    const priorityLabel = announcement.priority === 'banner' ? 'Banner' : 'Popup';
+    const stats = announcement.stats || { seen: 0, dismissed: 0 };
 
     return `
         <div class="announcementItem" data-id="${announcement.id}">
             <div class="announcementHeader">
                 <div class="announcementTitle">${escapeHtml(announcement.title)}</div>
                 <div style="display: flex; align-items: center; gap: 10px;">
+                    <span class="announcementStatus">${priorityLabel}</span>
                     <span class="announcementStatus ${announcement.enabled ? 'enabled' : 'disabled'}">
                         ${announcement.enabled ? 'Enabled' : 'Disabled'}
                     </span>
@@ -1598,20 +1854,78 @@ function createAnnouncementItem(announcement) {
                 <span>${timeInfo}${validityInfo}</span>
                 <span>Created by: ${escapeHtml(announcement.createdBy)}</span>
             </div>
+            <div class="announcementMeta">
+                <span>Audience: ${escapeHtml(audienceInfo)}</span>
+                <span>Seen by ${stats.seen} | Dismissed by ${stats.dismissed}</span>
+            </div>
             <div class="announcementActions">
                 <button type="button" class="menu_button menu_button_icon warning" onclick="toggleAnnouncement('${announcement.id}')">
                     <i class="fa-fw fa-solid fa-${announcement.enabled ? 'pause' : 'play'}"></i>
                     <span>${announcement.enabled ? 'Disable' : 'Enable'}</span>
                 </button>
+                <button type="button" class="menu_button menu_button_icon" onclick="showAnnouncementStats('${announcement.id}')">
+                    <i class="fa-fw fa-solid fa-chart-bar"></i>
+                    <span>Read receipts</span>
+                </button>
                 <button type="button" class="menu_button menu_button_icon danger" onclick="deleteAnnouncement('${announcement.id}')">
                     <i class="fa-fw fa-solid fa-trash"></i>
                     <span>Delete</span>
                 </button>
             </div>
+            <div class="announcementStats" style="display: none;"></div>
         </div>
     `;
 }
 
+async function showAnnouncementStats(announcementId) {
+    const item = document.querySelector(`.announcementItem[data-id="${CSS.escape(announcementId)}"]`);
+    const container = item?.querySelector('.announcementStats');
+    if (!container) return;
+
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/announcements/${announcementId}/stats`, {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to load read receipts');
+        }
+
+        const stats = await response.json();
+        const formatTime = timestamp => timestamp ? new Date(timestamp).toLocaleString('en-US') : '-';
+        const rows = stats.receipts.map(receipt => `
+            <tr>
+                <td>${escapeHtml(receipt.handle)}</td>
+                <td>${formatTime(receipt.seenAt)}</td>
+                <td>${formatTime(receipt.dismissedAt)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="announcementMeta">
+                <span>Targeted users: ${stats.targeted} | Seen: ${stats.seen} | Dismissed: ${stats.dismissed}</span>
+            </div>
+            ${rows ? `
+                <table class="announcementStatsTable">
+                    <thead><tr><th>User</th><th>Seen</th><th>Dismissed</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<div class="announcementMeta">Nobody has seen this announcement yet.</div>'}
+        `;
+        container.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading announcement stats:', error);
+        alert('Failed to load read receipts: ' + error.message);
+    }
+}
+
 
 async function createAnnouncement() {
     const form = document.querySelector('.createAnnouncementForm');
@@ -1681,11 +1995,25 @@ async function createAnnouncement() {
     }
 
 
+    const getFieldValue = name => form.querySelector(`[name="${name}"]`)?.value.trim() || '';
+    const toList = value => value.split(',').map(x => x.trim()).filter(Boolean);
+    const toTimestamp = value => value ? new Date(value).getTime() : null;
+    const toDays = value => value === '' ? null : Number(value);
+
     const data = {
         title: title,
         content: content,
         type: 'info',
-        enabled: enabled
+        enabled: enabled,
+        priority: getFieldValue('priority') || 'modal',
+        startsAt: toTimestamp(getFieldValue('startsAt')),
+        endsAt: toTimestamp(getFieldValue('endsAt')),
+        audience: {
+            roles: toList(getFieldValue('roles')),
+            invitationCampaigns: toList(getFieldValue('invitationCampaigns')),
+            minAccountAgeDays: toDays(getFieldValue('minAccountAgeDays')),
+            maxAccountAgeDays: toDays(getFieldValue('maxAccountAgeDays')),
+        },
     };
 
     if (!data.title || !data.content) {
@@ -1693,6 +2021,11 @@ async function createAnnouncement() {
         return;
     }
 
+    if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+        alert('The end time must be after the start time.');
+        return;
+    }
+
     submitButton.disabled = true;
     const originalText = submitButton.innerHTML;
     submitButton.innerHTML = '<i class="fa-fw fa-solid fa-spinner fa-spin"></i><span>Creating...</span>';
@@ -2074,6 +2407,10 @@ async function loadEmailConfig() {
         const config = await response.json();
 
         $('#emailEnabled').prop('checked', config.enabled || false);
+        $('#emailTransport').val(config.transport || 'smtp');
+        $('#emailCatcherHost').val(config.catcherHost || 'localhost');
+        $('#emailCatcherPort').val(config.catcherPort || 1025);
+        toggleEmailTransportFields();
         $('#emailSmtpHost').val(config.host || '');
         $('#emailSmtpPort').val(config.port || 587);
         $('#emailSmtpSecure').prop('checked', config.secure || false);
@@ -2082,6 +2419,7 @@ async function loadEmailConfig() {
         $('#emailFrom').val(config.from || '');
         $('#emailFromName').val(config.fromName || 'SillyTavern');
 
+        await loadEmailTemplates();
     } catch (error) {
         console.error('Error loading email config:', error);
         alert('Failed to load email configuration: ' + error.message);
@@ -2098,6 +2436,9 @@ async function saveEmailConfig() {
 
         const config = {
             enabled: $('#emailEnabled').prop('checked'),
+            transport: $('#emailTransport').val(),
+            catcherHost: $('#emailCatcherHost').val().trim(),
+            catcherPort: parseInt($('#emailCatcherPort').val()) || 1025,
             host: $('#emailSmtpHost').val().trim(),
             port: parseInt($('#emailSmtpPort').val()) || 587,
             secure: $('#emailSmtpSecure').prop('checked'),
@@ -2107,7 +2448,7 @@ async function saveEmailConfig() {
             fromName: $('#emailFromName').val().trim() || 'SillyTavern'
         };
 
-        if (config.enabled) {
+        if (config.enabled && config.transport === 'smtp') {
             if (!config.host || !config.user || !config.password || !config.from) {
                 alert('Please fill in all required fields (SMTP host, username, password, sender email).');
                 return;
@@ -2192,10 +2533,177 @@ async function testEmailConfig() {
     }
 }
 
+function toggleEmailTransportFields() {
+    const transport = $('#emailTransport').val();
+    $('.emailSmtpFields').toggle(transport === 'smtp');
+    $('.emailCatcherFields').toggle(transport === 'catcher');
+}
+
+let emailTemplates = [];
+
+function getSelectedEmailEvent() {
+    return emailTemplates.find(x => x.name === $('#emailTemplateEvent').val());
+}
+
+function getEmailTemplateLocale() {
+    return String($('#emailTemplateLocale').val() || '').trim().toLowerCase().replace(/_/g, '-') || 'default';
+}
+
+function getEmailTemplateDraft() {
+    return {
+        event: $('#emailTemplateEvent').val(),
+        locale: getEmailTemplateLocale(),
+        subject: $('#emailTemplateSubject').val(),
+        text: $('#emailTemplateText').val(),
+        html: $('#emailTemplateHtml').val(),
+    };
+}
+
+async function loadEmailTemplates() {
+    const response = await fetch('/api/email-config/templates', {
+        method: 'GET',
+        headers: getRequestHeaders(),
+    });
+
+    if (!response.ok) {
+        throw new Error('Failed to load email templates');
+    }
+
+    emailTemplates = await response.json();
+    const selected = $('#emailTemplateEvent').val();
+    $('#emailTemplateEvent').empty();
+    for (const event of emailTemplates) {
+        $('#emailTemplateEvent').append($('<option></option>').val(event.name).text(event.label));
+    }
+    $('#emailTemplateEvent').val(emailTemplates.some(x => x.name === selected) ? selected : emailTemplates[0]?.name);
+    showEmailTemplate();
+}
+
+function showEmailTemplate() {
+    const event = getSelectedEmailEvent();
+    if (!event) {
+        return;
+    }
+
+    const locale = getEmailTemplateLocale();
+    const locales = Object.keys(event.variants);
+    const template = event.variants[locale] || event.builtIn;
+
+    $('#emailTemplateDescription').text(event.description);
+    $('#emailTemplateLocales').empty().append(['default', ...locales.filter(x => x !== 'default')].map(x => $('<option></option>').val(x)));
+    $('#emailTemplateVariants').text(locales.length > 0 ? `Customized languages: ${locales.join(', ')}` : 'Not customized, the built-in text is used.');
+    $('#emailTemplateVariables').empty().append(Object.entries(event.variables).map(([name, description]) => $('<li></li>').append($('<code></code>').text(`{{${name}}}`), $('<span></span>').text(` ${description}`))));
+    $('#emailTemplateSubject').val(template.subject);
+    $('#emailTemplateText').val(template.text);
+    $('#emailTemplateHtml').val(template.html);
+    $('.emailTemplatePreview').hide();
+}
+
+async function postEmailTemplateRequest(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || 'Request failed');
+    }
+    return result;
+}
+
+async function previewEmailTemplate() {
+    try {
+        const email = await postEmailTemplateRequest('/api/email-config/templates/preview', getEmailTemplateDraft());
+        $('#emailTemplatePreviewSubject').text(email.subject);
+        $('#emailTemplatePreviewText').text(email.text);
+
+        // The preview runs no scripts and can't reach the admin panel
+        const frame = $('<iframe sandbox="" style="width: 100%; height: 400px; border: 1px solid var(--SmartThemeBorderColor); background: white;"></iframe>');
+        frame.attr('srcdoc', email.html || '');
+        $('#emailTemplatePreviewFrame').empty().append(email.html ? frame : null);
+        $('.emailTemplatePreview').show();
+    } catch (error) {
+        console.error('Error previewing email template:', error);
+        alert('Failed to preview the template: ' + error.message);
+    }
+}
+
+async function testEmailTemplate() {
+    const testEmail = prompt('Enter a test email address:', '');
+    if (!testEmail) {
+        return;
+    }
+
+    try {
+        await postEmailTemplateRequest('/api/email-config/templates/test', { ...getEmailTemplateDraft(), testEmail });
+        alert('Test email sent with sample values. Please check your inbox.');
+    } catch (error) {
+        console.error('Error sending test email template:', error);
+        alert('Failed to send test email: ' + error.message);
+    }
+}
+
+async function saveEmailTemplate() {
+    try {
+        const draft = getEmailTemplateDraft();
+        await postEmailTemplateRequest('/api/email-config/templates/save', draft);
+        await loadEmailTemplates();
+        $('#emailTemplateLocale').val(draft.locale);
+        showEmailTemplate();
+        alert(`Template saved for language "${draft.locale}".`);
+    } catch (error) {
+        console.error('Error saving email template:', error);
+        alert('Failed to save the template: ' + error.message);
+    }
+}
+
+async function deleteEmailTemplate() {
+    const { event, locale } = getEmailTemplateDraft();
+    if (!getSelectedEmailEvent()?.variants[locale]) {
+        alert(`There is no customized template for language "${locale}".`);
+        return;
+    }
+
+    if (!confirm(`Delete the template for language "${locale}"?`)) {
+        return;
+    }
+
+    try {
+        await postEmailTemplateRequest('/api/email-config/templates/delete', { event, locale });
+        await loadEmailTemplates();
+    } catch (error) {
+        console.error('Error deleting email template:', error);
+        alert('Failed to delete the template: ' + error.message);
+    }
+}
+
 function initializeEmailConfig() {
     $('#saveEmailConfig').off('click').on('click', saveEmailConfig);
 
     $('#testEmailConfig').off('click').on('click', testEmailConfig);
+
+    $('#emailTransport').off('change').on('change', toggleEmailTransportFields);
+
+    $('#emailTemplateEvent').off('change').on('change', () => {
+        $('#emailTemplateLocale').val('');
+        showEmailTemplate();
+    });
+    $('#loadEmailTemplate').off('click').on('click', showEmailTemplate);
+    $('#emailTemplateLocale').off('change').on('change', showEmailTemplate);
+    $('#resetEmailTemplate').off('click').on('click', () => {
+        const event = getSelectedEmailEvent();
+        if (event) {
+            $('#emailTemplateSubject').val(event.builtIn.subject);
+            $('#emailTemplateText').val(event.builtIn.text);
+            $('#emailTemplateHtml').val(event.builtIn.html);
+        }
+    });
+    $('#previewEmailTemplate').off('click').on('click', previewEmailTemplate);
+    $('#testEmailTemplate').off('click').on('click', testEmailTemplate);
+    $('#saveEmailTemplate').off('click').on('click', saveEmailTemplate);
+    $('#deleteEmailTemplate').off('click').on('click', deleteEmailTemplate);
 }
 
 // ============================================================
@@ -2216,6 +2724,125 @@ function bindOAuthConfigEvents() {
     $('#loadOAuthConfig').off('click').on('click', loadOAuthConfiguration);
 
     $('#saveOAuthConfig').off('click').on('click', saveOAuthConfiguration);
+
+    $('#addOAuthProvider').off('click').on('click', () => {
+        $('#oauthCustomProviders').append(renderOAuthProviderCard({ enabled: true, scope: 'openid profile email' }));
+    });
+
+    $('#oauthCustomProviders').off('click', '.removeOAuthProvider').on('click', '.removeOAuthProvider', function () {
+        $(this).closest('.oauthCustomProvider').remove();
+    });
+}
+
+const OAUTH_CLAIM_FIELDS = ['id', 'handle', 'name', 'email', 'avatar', 'groups'];
+
+/**
+ * Renders the settings card of a custom OAuth provider.
+ * @param {object} provider Provider configuration
+ * @returns {string} Card HTML
+ */
+function renderOAuthProviderCard(provider) {
+    const value = (x) => escapeHtml(String(x ?? ''));
+    const list = (x) => value(Array.isArray(x) ? x.join(', ') : x);
+    const field = (name, label, fieldValue, attributes = '') => `
+        <div class="flex-container flexFlowColumn">
+            <small>${label}:</small>
+            <input type="text" class="text_pole" data-field="${name}" value="${fieldValue}" ${attributes}>
+        </div>`;
+    const roleMapping = Object.entries(provider.roleMapping || {}).map(([group, role]) => `${group} = ${role}`).join('\n');
+
+    return `
+        <div class="oauthCustomProvider flex-container flexFlowColumn flexGap5" style="padding: 10px; border: 1px solid var(--SmartThemeBorderColor); border-radius: 5px;">
+            <div class="flex-container alignItemsCenter spaceBetween">
+                <label class="checkbox_label">
+                    <input type="checkbox" data-field="enabled" ${provider.enabled ? 'checked' : ''} />
+                    <span>Enabled</span>
+                </label>
+                <button type="button" class="menu_button menu_button_icon removeOAuthProvider">
+                    <i class="fa-fw fa-solid fa-trash"></i>
+                    <span>Remove</span>
+                </button>
+            </div>
+            ${field('id', 'Provider ID (lowercase letters, numbers, hyphens)', value(provider.id), 'placeholder="keycloak"')}
+            ${field('name', 'Button name', value(provider.name), 'placeholder="Company SSO"')}
+            ${field('icon', 'Button icon (Font Awesome classes)', value(provider.icon), 'placeholder="fa-solid fa-right-to-bracket"')}
+            ${field('clientId', 'Client ID', value(provider.clientId))}
+            <div class="flex-container flexFlowColumn">
+                <small>Client Secret:</small>
+                <input type="password" class="text_pole" data-field="clientSecret" value="${value(provider.clientSecret)}">
+            </div>
+            ${field('callbackUrl', 'Callback URL (leave blank to use the current server host and port)', value(provider.callbackUrl), provider.defaultCallbackUrl ? `placeholder="${value(provider.defaultCallbackUrl)}"` : '')}
+            ${field('wellKnownEndpoint', 'OIDC discovery URL (.well-known/openid-configuration)', value(provider.wellKnownEndpoint))}
+            ${field('authUrl', 'Auth URL (not needed with discovery)', value(provider.authUrl))}
+            ${field('tokenUrl', 'Token URL (not needed with discovery)', value(provider.tokenUrl))}
+            ${field('userInfoUrl', 'UserInfo URL (not needed with discovery)', value(provider.userInfoUrl))}
+            ${field('scope', 'Scope', value(provider.scope))}
+            <details>
+                <summary>Claim mapping</summary>
+                <small style="color: var(--SmartThemeQuoteColor);">Comma-separated claim paths tried in order. Use dots for nested claims. Leave blank for the OIDC defaults.</small>
+                ${OAUTH_CLAIM_FIELDS.map(claim => field(`claims.${claim}`, claim, list(provider.claims?.[claim]))).join('')}
+            </details>
+            <details>
+                <summary>Roles and provisioning</summary>
+                <div class="flex-container flexFlowColumn">
+                    <small>Role mapping (one <code>group = role</code> per line, first match wins):</small>
+                    <textarea class="text_pole" data-field="roleMapping" rows="3">${value(roleMapping)}</textarea>
+                </div>
+                <label class="checkbox_label">
+                    <input type="checkbox" data-field="provisioning.autoCreate" ${provider.provisioning?.autoCreate !== false ? 'checked' : ''} />
+                    <span>Create accounts on first sign-in</span>
+                </label>
+                <label class="checkbox_label">
+                    <input type="checkbox" data-field="provisioning.skipInvitation" ${provider.provisioning?.skipInvitation ? 'checked' : ''} />
+                    <span>Don't require invitation codes</span>
+                </label>
+                ${field('provisioning.allowedEmailDomains', 'Allowed email domains (comma-separated, blank for any)', list(provider.provisioning?.allowedEmailDomains))}
+                ${field('provisioning.requiredGroups', 'Required groups (comma-separated, blank for any)', list(provider.provisioning?.requiredGroups))}
+            </details>
+        </div>`;
+}
+
+/**
+ * Reads the custom OAuth providers from their settings cards.
+ * @returns {object[]} Provider configurations
+ */
+function collectOAuthProviders() {
+    return $('#oauthCustomProviders .oauthCustomProvider').toArray().map(card => {
+        const get = (name) => String($(card).find(`[data-field="${name}"]`).val() || '').trim();
+        const checked = (name) => $(card).find(`[data-field="${name}"]`).prop('checked');
+        const list = (name) => get(name).split(',').map(x => x.trim()).filter(x => x);
+
+        const roleMapping = {};
+        for (const line of get('roleMapping').split('\n')) {
+            const [group, role] = line.split('=').map(x => x.trim());
+            if (group && role) {
+                roleMapping[group] = role;
+            }
+        }
+
+        return {
+            id: get('id').toLowerCase(),
+            name: get('name'),
+            icon: get('icon'),
+            enabled: checked('enabled'),
+            clientId: get('clientId'),
+            clientSecret: get('clientSecret'),
+            callbackUrl: get('callbackUrl'),
+            wellKnownEndpoint: get('wellKnownEndpoint'),
+            authUrl: get('authUrl'),
+            tokenUrl: get('tokenUrl'),
+            userInfoUrl: get('userInfoUrl'),
+            scope: get('scope'),
+            claims: Object.fromEntries(OAUTH_CLAIM_FIELDS.map(claim => [claim, list(`claims.${claim}`)])),
+            roleMapping,
+            provisioning: {
+                autoCreate: checked('provisioning.autoCreate'),
+                skipInvitation: checked('provisioning.skipInvitation'),
+                allowedEmailDomains: list('provisioning.allowedEmailDomains'),
+                requiredGroups: list('provisioning.requiredGroups'),
+            },
+        };
+    });
 }
 
 async function loadOAuthConfiguration() {
@@ -2261,6 +2888,8 @@ async function loadOAuthConfiguration() {
         $('#oauthLinuxdoTokenUrl').val(config.linuxdo?.tokenUrl || 'https://connect.linux.do/oauth2/token');
         $('#oauthLinuxdoUserInfoUrl').val(config.linuxdo?.userInfoUrl || 'https://connect.linux.do/oauth2/userinfo');
 
+        $('#oauthCustomProviders').html((config.providers || []).map(renderOAuthProviderCard).join(''));
+
         console.log('OAuth configuration loaded successfully');
 
     } catch (error) {
@@ -2303,6 +2932,7 @@ async function saveOAuthConfiguration() {
                 tokenUrl: $('#oauthLinuxdoTokenUrl').val().trim() || 'https://connect.linux.do/oauth2/token',
                 userInfoUrl: $('#oauthLinuxdoUserInfoUrl').val().trim() || 'https://connect.linux.do/oauth2/userinfo',
             },
+            providers: collectOAuthProviders(),
         };
 
         if (config.github.enabled && (!config.github.clientId || !config.github.clientSecret)) {
@@ -2317,6 +2947,11 @@ async function saveOAuthConfiguration() {
             alert('Linux.do OAuth is enabled, but Client ID or Client Secret is missing');
             return;
         }
+        const invalidProvider = config.providers.find(x => !x.id || (x.enabled && (!x.clientId || !x.clientSecret)));
+        if (invalidProvider) {
+            alert(`Custom provider "${invalidProvider.name || invalidProvider.id}" needs an ID, Client ID and Client Secret`);
+            return;
+        }
 
         const response = await fetch('/api/oauth-config/save', {
             method: 'POST',
@@ -2573,11 +3208,342 @@ async function clearDefaultConfigTemplate() {
     }
 }
 
+// ============================================================
+// ============================================================
+
+function showPooledSecretsTab() {
+    hideAllTabs();
+
+    const pooledSecretsBlock = document.querySelector('.pooledSecretsBlock');
+    if (pooledSecretsBlock) {
+        pooledSecretsBlock.style.display = 'block';
+        loadPooledSecrets();
+    }
+}
+
+function bindPooledSecretEvents() {
+    $('#createPooledSecret').off('click').on('click', createPooledSecret);
+    $('#refreshPooledSecrets').off('click').on('click', loadPooledSecrets);
+}
+
+function splitListInput(value) {
+    return String(value || '').split(',').map(x => x.trim()).filter(x => x);
+}
+
+async function loadPooledSecrets() {
+    showLoadingState('pooledSecretsList');
+
+    try {
+        const response = await fetch('/api/pooled-secrets/', {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load shared keys');
+        }
+
+        const data = await response.json();
+        renderPooledSecrets(data.keys || [], data.usage || {});
+    } catch (error) {
+        console.error('Error loading pooled secrets:', error);
+        showErrorState('pooledSecretsList', error.message);
+    }
+}
+
+function renderPooledSecrets(keys, usage) {
+    const container = document.getElementById('pooledSecretsList');
+    if (!container) {
+        return;
+    }
+
+    if (keys.length === 0) {
+        container.innerHTML = createEmptyState('fa-key', 'No shared keys', 'Add a key above to share it with users.');
+        return;
+    }
+
+    container.innerHTML = keys.map(secret => {
+        const grants = secret.grants || {};
+        const keyUsage = usage[secret.id] || {};
+        const usageText = Object.entries(keyUsage)
+            .sort((a, b) => b[1].requests - a[1].requests)
+            .map(([handle, entry]) => `${escapeHtml(handle)}: ${entry.requests}`)
+            .join(', ') || 'No usage yet';
+        const grantText = grants.everyone
+            ? 'Everyone'
+            : [...(grants.users || []).map(x => `@${x}`), ...(grants.groups || []).map(x => `#${x}`)].join(', ') || 'Nobody';
+
+        return `
+            <div class="pooledSecretItem" style="padding: 10px; border: 1px solid var(--SmartThemeBorderColor); border-radius: 8px;">
+                <div class="flex-container alignItemsCenter justifySpaceBetween">
+                    <div>
+                        <strong>${escapeHtml(secret.label)}</strong>
+                        <small style="opacity: 0.7;">${escapeHtml(secret.key)} · ${escapeHtml(secret.preview)}</small>
+                        ${secret.enabled ? '' : '<small style="color: orange;">(disabled)</small>'}
+                    </div>
+                    <div class="flex-container flexGap10">
+                        <button type="button" class="menu_button menu_button_icon" onclick="editPooledSecretGrants('${secret.id}')" title="Edit access">
+                            <i class="fa-fw fa-solid fa-user-lock"></i>
+                        </button>
+                        <button type="button" class="menu_button menu_button_icon" onclick="togglePooledSecret('${secret.id}', ${!secret.enabled})" title="${secret.enabled ? 'Disable' : 'Enable'}">
+                            <i class="fa-fw fa-solid ${secret.enabled ? 'fa-pause' : 'fa-play'}"></i>
+                        </button>
+                        <button type="button" class="menu_button menu_button_icon warning" onclick="deletePooledSecret('${secret.id}')" title="Delete">
+                            <i class="fa-fw fa-solid fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                <div><small>Access: ${escapeHtml(grantText)}</small></div>
+                <div><small>Requests per user: ${usageText}</small></div>
+            </div>
+        `;
+    }).join('');
+
+    container.dataset.keys = JSON.stringify(keys.map(x => ({ id: x.id, grants: x.grants })));
+}
+
+async function createPooledSecret() {
+    const payload = {
+        key: $('#pooledSecretKey').val().trim(),
+        label: $('#pooledSecretLabel').val().trim(),
+        value: $('#pooledSecretValue').val(),
+        grants: {
+            everyone: $('#pooledSecretEveryone').prop('checked'),
+            users: splitListInput($('#pooledSecretUsers').val()),
+            groups: splitListInput($('#pooledSecretGroups').val()),
+        },
+    };
+
+    if (!payload.key || !payload.value) {
+        alert('Please fill in the secret key and value.');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/pooled-secrets/create', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(payload),
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create shared key');
+        }
+
+        $('#pooledSecretValue').val('');
+        await loadPooledSecrets();
+    } catch (error) {
+        console.error('Error creating pooled secret:', error);
+        alert('Failed to add shared key: ' + error.message);
+    }
+}
+
+async function updatePooledSecret(id, changes) {
+    const response = await fetch('/api/pooled-secrets/update', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ id, ...changes }),
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update shared key');
+    }
+}
+
+async function togglePooledSecret(id, enabled) {
+    try {
+        await updatePooledSecret(id, { enabled });
+        await loadPooledSecrets();
+    } catch (error) {
+        console.error('Error toggling pooled secret:', error);
+        alert(error.message);
+    }
+}
+
+async function editPooledSecretGrants(id) {
+    const container = document.getElementById('pooledSecretsList');
+    const keys = JSON.parse(container?.dataset.keys || '[]');
+    const grants = keys.find(x => x.id === id)?.grants || {};
+
+    const users = prompt('User handles allowed to use this key (comma-separated):', (grants.users || []).join(', '));
+    if (users === null) {
+        return;
+    }
+    const groups = prompt('Groups allowed to use this key (comma-separated):', (grants.groups || []).join(', '));
+    if (groups === null) {
+        return;
+    }
+    const everyone = confirm('Make this key available to every user?');
+
+    try {
+        await updatePooledSecret(id, { grants: { everyone, users: splitListInput(users), groups: splitListInput(groups) } });
+        await loadPooledSecrets();
+    } catch (error) {
+        console.error('Error updating pooled secret grants:', error);
+        alert(error.message);
+    }
+}
+
+async function deletePooledSecret(id) {
+    if (!confirm('Are you sure you want to delete this shared key? Users relying on it will lose access immediately.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/pooled-secrets/delete', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id }),
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete shared key');
+        }
+
+        await loadPooledSecrets();
+    } catch (error) {
+        console.error('Error deleting pooled secret:', error);
+        alert('Failed to delete shared key: ' + error.message);
+    }
+}
+
+// ============================================================
+// ============================================================
+
+const AUDIT_LOG_PAGE_SIZE = 50;
+let auditLogOffset = 0;
+
+function showAuditLogTab() {
+    hideAllTabs();
+
+    const auditLogBlock = document.querySelector('.auditLogBlock');
+    if (auditLogBlock) {
+        auditLogBlock.style.display = 'block';
+        auditLogOffset = 0;
+        loadAuditLog();
+    }
+}
+
+function bindAuditLogEvents() {
+    $('#searchAuditLog').off('click').on('click', () => {
+        auditLogOffset = 0;
+        loadAuditLog();
+    });
+    $('#exportAuditLog').off('click').on('click', exportAuditLog);
+    $('#auditLogPrev').off('click').on('click', () => {
+        auditLogOffset = Math.max(0, auditLogOffset - AUDIT_LOG_PAGE_SIZE);
+        loadAuditLog();
+    });
+    $('#auditLogNext').off('click').on('click', () => {
+        auditLogOffset += AUDIT_LOG_PAGE_SIZE;
+        loadAuditLog();
+    });
+}
+
+function getAuditLogQuery() {
+    const params = new URLSearchParams();
+    const fields = { actor: '#auditLogActor', action: '#auditLogAction', target: '#auditLogTarget', search: '#auditLogSearch' };
+
+    for (const [name, selector] of Object.entries(fields)) {
+        const value = String($(selector).val() || '').trim();
+        if (value) {
+            params.set(name, value);
+        }
+    }
+
+    const from = $('#auditLogFrom').val();
+    if (from) {
+        params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    }
+    const to = $('#auditLogTo').val();
+    if (to) {
+        params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    }
+
+    return params;
+}
+
+async function loadAuditLog() {
+    showLoadingState('auditLogList');
+
+    try {
+        const params = getAuditLogQuery();
+        params.set('limit', String(AUDIT_LOG_PAGE_SIZE));
+        params.set('offset', String(auditLogOffset));
+
+        const response = await fetch(`/api/audit-log/?${params}`, {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load audit log');
+        }
+
+        const data = await response.json();
+        renderAuditLog(data.entries || [], data.total || 0);
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        showErrorState('auditLogList', error.message);
+    }
+}
+
+function renderAuditLog(entries, total) {
+    const container = document.getElementById('auditLogList');
+    if (!container) {
+        return;
+    }
+
+    const lastShown = Math.min(total, auditLogOffset + entries.length);
+    $('#auditLogPageInfo').text(total ? `${auditLogOffset + 1}-${lastShown} of ${total}` : '');
+    $('#auditLogPrev').toggle(auditLogOffset > 0);
+    $('#auditLogNext').toggle(lastShown < total);
+
+    if (entries.length === 0) {
+        container.innerHTML = createEmptyState('fa-clipboard-list', 'No entries', 'No recorded actions match the filters.');
+        return;
+    }
+
+    container.innerHTML = entries.map(entry => {
+        const details = entry.details && Object.keys(entry.details).length ? JSON.stringify(entry.details) : '';
+
+        return `
+            <div class="auditLogItem" style="padding: 6px 10px; border: 1px solid var(--SmartThemeBorderColor); border-radius: 8px;">
+                <div class="flex-container alignItemsCenter flexGap10">
+                    <small style="opacity: 0.7;">${escapeHtml(new Date(entry.timestamp).toLocaleString())}</small>
+                    <strong>${escapeHtml(entry.actor)}</strong>
+                    <code>${escapeHtml(entry.action)}</code>
+                    ${entry.target ? `<span>${escapeHtml(entry.target)}</span>` : ''}
+                    <small style="opacity: 0.7; margin-left: auto;">${escapeHtml(entry.ip || '')}</small>
+                </div>
+                ${details ? `<div><small style="opacity: 0.8; word-break: break-all;">${escapeHtml(details)}</small></div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function exportAuditLog() {
+    const link = document.createElement('a');
+    link.href = `/api/audit-log/export?${getAuditLogQuery()}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
 if (typeof window !== 'undefined') {
     window.initializeAdminExtensions = initializeAdminExtensions;
     window.toggleAnnouncement = toggleAnnouncement;
     window.deleteAnnouncement = deleteAnnouncement;
+    window.showAnnouncementStats = showAnnouncementStats;
     window.showOAuthConfigTab = showOAuthConfigTab;
     window.loadOAuthConfiguration = loadOAuthConfiguration;
     window.saveOAuthConfiguration = saveOAuthConfiguration;
+    window.editPooledSecretGrants = editPooledSecretGrants;
+    window.togglePooledSecret = togglePooledSecret;
+    window.deletePooledSecret = deletePooledSecret;
+    window.editInvitationCode = editInvitationCode;
 }
@@ -1,3 +1,5 @@
+import { getRequestHeaders } from '../script.js';
+
 // Announcement modal.
 let announcementsChecked = false; // Prevent duplicate checks.
 
@@ -61,15 +63,17 @@ async function fetchAndShowAnnouncements() {
             return;
         }
 
+        // The server only returns announcements that are active, targeted at the user and not dismissed.
         const announcements = await response.json();
+        const banners = announcements.filter(announcement => announcement.priority === 'banner');
+        const modals = announcements.filter(announcement => announcement.priority !== 'banner');
 
-        // Filter enabled announcements only.
-        const validAnnouncements = announcements.filter(announcement => {
-            return announcement.enabled;
-        });
+        if (banners.length > 0) {
+            showAnnouncementBanners(banners);
+        }
 
-        if (validAnnouncements.length > 0) {
-            showAnnouncementsPopup(validAnnouncements);
+        if (modals.length > 0) {
+            showAnnouncementsPopup(modals);
         }
     } catch (error) {
         console.error('Error fetching announcements:', error);
@@ -91,7 +95,7 @@ function showAnnouncementsPopup(announcements) {
     document.body.insertAdjacentHTML('beforeend', popupHtml);
 
     // Bind events.
-    bindAnnouncementPopupEvents();
+    bindAnnouncementPopupEvents(announcements);
 
     // Show popup.
     const popup = document.getElementById('announcementsPopup');
@@ -143,7 +147,7 @@ function createAnnouncementsPopupHtml(announcements) {
 }
 
 // Bind popup events.
-function bindAnnouncementPopupEvents() {
+function bindAnnouncementPopupEvents(announcements) {
     const popup = document.getElementById('announcementsPopup');
     const closeBtn = document.getElementById('closeAnnouncementsPopup');
     const confirmBtn = document.getElementById('confirmAnnouncementsPopup');
@@ -152,8 +156,12 @@ function bindAnnouncementPopupEvents() {
         closeBtn.addEventListener('click', closeAnnouncementsPopup);
     }
 
+    // Confirming marks the announcements as read so they are not shown again.
     if (confirmBtn) {
-        confirmBtn.addEventListener('click', closeAnnouncementsPopup);
+        confirmBtn.addEventListener('click', () => {
+            announcements.forEach(announcement => dismissAnnouncement(announcement.id));
+            closeAnnouncementsPopup();
+        });
     }
 
     // Close when clicking overlay.
@@ -184,6 +192,61 @@ function closeAnnouncementsPopup() {
     }
 }
 
+// Show banner announcements at the top of the page.
+function showAnnouncementBanners(announcements) {
+    let container = document.getElementById('announcementBanners');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'announcementBanners';
+        container.className = 'announcement-banners';
+        document.body.prepend(container);
+    }
+
+    for (const announcement of announcements) {
+        if (container.querySelector(`[data-id="${CSS.escape(announcement.id)}"]`)) {
+            continue;
+        }
+
+        const banner = document.createElement('div');
+        banner.className = `announcement-banner announcement-banner-${announcement.type || 'info'}`;
+        banner.dataset.id = announcement.id;
+        banner.innerHTML = `
+            <i class="fa-solid fa-bullhorn"></i>
+            <div class="announcement-banner-text">
+                <strong>${escapeHtml(announcement.title)}</strong>
+                <span>${escapeHtml(announcement.content).replace(/\n/g, '<br>')}</span>
+            </div>
+            <button type="button" class="announcement-banner-close" title="Dismiss">
+                <i class="fa-solid fa-times"></i>
+            </button>
+        `;
+        banner.querySelector('.announcement-banner-close').addEventListener('click', () => {
+            dismissAnnouncement(announcement.id);
+            banner.remove();
+            if (!container.hasChildNodes()) {
+                container.remove();
+            }
+        });
+        container.append(banner);
+    }
+}
+
+// Tell the server the user has read an announcement.
+async function dismissAnnouncement(id) {
+    try {
+        const response = await fetch(`/api/announcements/${encodeURIComponent(id)}/dismiss`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            console.error('Failed to dismiss announcement:', response.status);
+        }
+    } catch (error) {
+        console.error('Error dismissing announcement:', error);
+    }
+}
+
 // HTML escaping helper.
 function escapeHtml(unsafe) {
     return unsafe
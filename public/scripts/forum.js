@@ -4,6 +4,8 @@ let articles = [];
 let currentPage = 1;
 let articlesPerPage = 12;
 let currentArticle = null;
+let notificationsTimer = null;
+let editingArticleId = null;
 
 document.addEventListener('DOMContentLoaded', function() {
     initializeForum();
@@ -20,11 +22,22 @@ async function initializeForum() {
         // Bind events.
         bindEvents();
 
+        // Poll the notification inbox.
+        startNotificationPolling();
+
     } catch (error) {
         console.error('Forum initialization error:', error);
     }
 }
 
+/**
+ * Checks if the current user may moderate posts of other users.
+ * @returns {boolean}
+ */
+function canModerateForum() {
+    return Boolean(currentUser?.admin || currentUser?.permissions?.includes('forum.moderate'));
+}
+
 async function checkUserStatus(retryCount = 0) {
     const maxRetries = 3;
     const retryDelay = 500; // Milliseconds.
@@ -73,6 +86,7 @@ function updateUserInterface(user) {
         userInfo.style.display = 'flex';
         loginPrompt.style.display = 'none';
         userName.textContent = user.name || user.handle;
+        document.getElementById('moderationQueueBtn').style.display = canModerateForum() ? 'inline-flex' : 'none';
         console.log('UI updated for logged-in user:', user.handle);
     } else {
         // currentUser is set to null in checkUserStatus; only update UI here.
@@ -146,8 +160,9 @@ function createArticleCard(article) {
     const categoryName = getCategoryName(article.category);
 
     return `
-        <div class="article-card" onclick="openArticleDetail('${article.id}')">
+        <div class="article-card${article.pinned ? ' pinned' : ''}" onclick="openArticleDetail('${article.id}')">
             <div class="article-header">
+                ${createStatusBadges(article)}
                 <h3 class="article-title">${escapeHtml(article.title)}</h3>
                 <div class="article-meta">
                     <span><i class="fa-solid fa-user"></i> ${escapeHtml(article.author.name)}</span>
@@ -170,6 +185,20 @@ function createArticleCard(article) {
     `;
 }
 
+/**
+ * Builds the moderation status badges of a post or comment.
+ * @param {object} item Post or comment
+ * @returns {string} Badge HTML
+ */
+function createStatusBadges(item) {
+    const badges = [];
+    if (item.pinned) badges.push('<span class="status-badge pinned"><i class="fa-solid fa-thumbtack"></i> Pinned</span>');
+    if (item.locked) badges.push('<span class="status-badge locked"><i class="fa-solid fa-lock"></i> Locked</span>');
+    if (item.hidden) badges.push('<span class="status-badge hidden"><i class="fa-solid fa-eye-slash"></i> Hidden</span>');
+    if (item.status === 'pending') badges.push('<span class="status-badge pending"><i class="fa-solid fa-hourglass-half"></i> Awaiting approval</span>');
+    return badges.length ? `<div class="status-badges">${badges.join('')}</div>` : '';
+}
+
 function bindEvents() {
     // Search.
     const searchInput = /** @type {HTMLInputElement} */ (document.getElementById('searchInput'));
@@ -188,29 +217,78 @@ function bindEvents() {
         publishButton.addEventListener('click', createArticle);
     }
 
+    // Revision history.
+    document.getElementById('closeArticleHistoryModal').addEventListener('click', closeArticleHistoryModal);
+    document.getElementById('articleHistoryList').addEventListener('click', handleRevisionAction);
+
+    // Moderation queue (only visible to moderators).
+    document.getElementById('moderationQueueBtn').addEventListener('click', openModerationQueue);
+    document.getElementById('closeModerationModal').addEventListener('click', closeModerationModal);
+    document.getElementById('moderationQueueContent').addEventListener('click', handleModerationClick);
+    document.getElementById('articleModerationActions').addEventListener('click', handleModerationClick);
+    document.getElementById('commentsList').addEventListener('click', handleModerationClick);
+
+    // Notifications.
+    document.getElementById('notificationsBtn').addEventListener('click', toggleNotificationsPanel);
+    document.getElementById('markAllNotificationsRead').addEventListener('click', () => markNotificationsRead(null));
+    document.getElementById('notificationSettingsBtn').addEventListener('click', toggleNotificationSettings);
+    document.getElementById('saveNotificationSettings').addEventListener('click', saveNotificationSettings);
+    document.getElementById('notificationsList').addEventListener('click', handleNotificationClick);
+    document.addEventListener('click', (e) => {
+        const wrapper = document.querySelector('.notifications-wrapper');
+        if (wrapper && !wrapper.contains(/** @type {Node} */ (e.target))) {
+            document.getElementById('notificationsPanel').style.display = 'none';
+        }
+    });
+
     // Post form submission.
     const articleForm = /** @type {HTMLFormElement} */ (document.getElementById('articleForm'));
     articleForm.addEventListener('submit', handleArticleSubmit);
 }
 
-function handleSearch() {
-    const searchTerm = /** @type {HTMLInputElement} */ (document.getElementById('searchInput')).value.toLowerCase();
+let searchRequestId = 0;
+
+// Full-text search on the server. Results are ranked by relevance; "quoted text" matches an exact phrase.
+async function handleSearch() {
+    const searchTerm = /** @type {HTMLInputElement} */ (document.getElementById('searchInput')).value.trim();
+    const category = /** @type {HTMLSelectElement} */ (document.getElementById('categoryFilter')).value;
+    const requestId = ++searchRequestId;
 
     if (!searchTerm) {
         renderArticles();
         return;
     }
 
-    const filteredArticles = articles.filter(article =>
-        article.title.toLowerCase().includes(searchTerm) ||
-        article.content.toLowerCase().includes(searchTerm) ||
-        (article.tags && article.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
-    );
+    try {
+        const params = new URLSearchParams({ q: searchTerm, limit: '100' });
+        if (category) {
+            params.set('category', category);
+        }
 
-    renderFilteredArticles(filteredArticles);
+        const response = await fetch(`/api/forum/search?${params}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error('Search failed');
+        }
+
+        const data = await response.json();
+        // Ignore responses of outdated searches.
+        if (requestId !== searchRequestId) {
+            return;
+        }
+
+        document.getElementById('pagination').style.display = 'none';
+        renderFilteredArticles(data.results);
+    } catch (error) {
+        console.error('Error searching articles:', error);
+    }
 }
 
 function handleFilter() {
+    if (/** @type {HTMLInputElement} */ (document.getElementById('searchInput')).value.trim()) {
+        handleSearch();
+        return;
+    }
+
     const category = /** @type {HTMLSelectElement} */ (document.getElementById('categoryFilter')).value;
     const sort = /** @type {HTMLSelectElement} */ (document.getElementById('sortFilter')).value;
 
@@ -221,16 +299,17 @@ function handleFilter() {
         filteredArticles = filteredArticles.filter(article => article.category === category);
     }
 
-    // Sort.
+    // Sort. Pinned posts always stay on top.
+    const byPinned = (a, b) => Number(!!b.pinned) - Number(!!a.pinned);
     switch (sort) {
         case 'popular':
-            filteredArticles.sort((a, b) => (b.likes || 0) - (a.likes || 0));
+            filteredArticles.sort((a, b) => byPinned(a, b) || (b.likes || 0) - (a.likes || 0));
             break;
         case 'views':
-            filteredArticles.sort((a, b) => (b.views || 0) - (a.views || 0));
+            filteredArticles.sort((a, b) => byPinned(a, b) || (b.views || 0) - (a.views || 0));
             break;
         default: // latest
-            filteredArticles.sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+            filteredArticles.sort((a, b) => byPinned(a, b) || new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
     }
 
     renderFilteredArticles(filteredArticles);
@@ -256,9 +335,28 @@ function createArticle() {
         return;
     }
 
+    editingArticleId = null;
     (/** @type {HTMLElement} */ (document.getElementById('articleModal'))).style.display = 'flex';
     (/** @type {HTMLFormElement} */ (document.getElementById('articleForm'))).reset();
+    document.getElementById('articleContent').innerHTML = '';
     document.getElementById('articleModalTitle').textContent = 'Publish new post';
+    document.getElementById('articleSubmitLabel').textContent = 'Publish post';
+}
+
+// Open the post form filled with the current post.
+function editArticle() {
+    if (!currentUser || !currentArticle) {
+        return;
+    }
+
+    editingArticleId = currentArticle.id;
+    (/** @type {HTMLInputElement} */ (document.getElementById('articleTitle'))).value = currentArticle.title;
+    (/** @type {HTMLSelectElement} */ (document.getElementById('articleCategory'))).value = currentArticle.category;
+    (/** @type {HTMLInputElement} */ (document.getElementById('articleTags'))).value = (currentArticle.tags || []).join(', ');
+    document.getElementById('articleContent').innerHTML = currentArticle.content;
+    document.getElementById('articleModalTitle').textContent = 'Edit post';
+    document.getElementById('articleSubmitLabel').textContent = 'Save changes';
+    document.getElementById('articleModal').style.display = 'flex';
 }
 
 function closeArticleModal() {
@@ -302,8 +400,8 @@ async function handleArticleSubmit(e) {
             headers['x-csrf-token'] = csrfToken;
         }
 
-        const response = await fetch('/api/forum/articles', {
-            method: 'POST',
+        const response = await fetch(editingArticleId ? `/api/forum/articles/${editingArticleId}` : '/api/forum/articles', {
+            method: editingArticleId ? 'PUT' : 'POST',
             headers: headers,
             body: JSON.stringify(formData),
             credentials: 'include'
@@ -314,12 +412,29 @@ async function handleArticleSubmit(e) {
             throw new Error(error.error || 'Failed to publish post.');
         }
 
+        if (editingArticleId) {
+            const updatedArticle = await response.json();
+            articles = articles.map(article => article.id === updatedArticle.id ? updatedArticle : article);
+            if (currentArticle && currentArticle.id === updatedArticle.id) {
+                Object.assign(currentArticle, updatedArticle, { comments: currentArticle.comments, user_liked: currentArticle.user_liked });
+                renderArticleDetail();
+            }
+            editingArticleId = null;
+            renderArticles();
+            closeArticleModal();
+            return;
+        }
+
         const newArticle = await response.json();
         articles.unshift(newArticle);
         renderArticles();
         closeArticleModal();
 
-        alert('Post published successfully!');
+        if (newArticle.status === 'pending') {
+            alert('Your post was submitted and will be visible to others once a moderator approves it.');
+        } else {
+            alert('Post published successfully!');
+        }
 
     } catch (error) {
         console.error('Error creating article:', error);
@@ -364,6 +479,7 @@ function renderArticleDetail() {
     if (!currentArticle) return;
 
     document.getElementById('articleDetailTitle').textContent = currentArticle.title;
+    document.getElementById('articleDetailStatus').innerHTML = createStatusBadges(currentArticle);
     document.getElementById('articleDetailAuthor').textContent = currentArticle.author.name;
     document.getElementById('articleDetailDate').textContent = formatDate(currentArticle.created_at);
     document.getElementById('articleDetailCategory').textContent = getCategoryName(currentArticle.category);
@@ -385,7 +501,7 @@ function renderArticleDetail() {
 
     // Show/hide delete button.
     const deleteBtn = /** @type {HTMLButtonElement} */ (document.getElementById('deleteArticleBtn'));
-    if (currentUser && (currentUser.handle === currentArticle.author.handle || currentUser.admin)) {
+    if (currentUser && (currentUser.handle === currentArticle.author.handle || canModerateForum())) {
         deleteBtn.style.display = 'inline-flex';
         // Bind delete event.
         deleteBtn.onclick = () => deleteArticle(currentArticle.id);
@@ -393,15 +509,61 @@ function renderArticleDetail() {
         deleteBtn.style.display = 'none';
     }
 
+    // Edit and history buttons for the author and moderators.
+    const canEdit = currentUser && (currentUser.handle === currentArticle.author.handle || canModerateForum());
+    const editBtn = /** @type {HTMLButtonElement} */ (document.getElementById('editArticleBtn'));
+    const historyBtn = /** @type {HTMLButtonElement} */ (document.getElementById('articleHistoryBtn'));
+    editBtn.style.display = canEdit ? 'inline-flex' : 'none';
+    editBtn.onclick = editArticle;
+    historyBtn.style.display = canEdit && (currentArticle.revision || 1) > 1 ? 'inline-flex' : 'none';
+    historyBtn.onclick = () => openArticleHistory(currentArticle.id);
+
+    // Report button for posts of other users.
+    const reportBtn = /** @type {HTMLButtonElement} */ (document.getElementById('reportArticleBtn'));
+    if (currentUser && currentUser.handle !== currentArticle.author.handle) {
+        reportBtn.style.display = 'inline-flex';
+        reportBtn.onclick = () => reportContent('article', currentArticle.id);
+    } else {
+        reportBtn.style.display = 'none';
+    }
+
+    renderArticleModerationActions();
+
     // Update like button state.
     updateLikeButtonState();
 }
 
+// Render moderator buttons of the open post.
+function renderArticleModerationActions() {
+    const container = document.getElementById('articleModerationActions');
+    if (!canModerateForum()) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const actions = [
+        currentArticle.status === 'pending' ? ['approve', 'fa-check', 'Approve'] : null,
+        currentArticle.pinned ? ['unpin', 'fa-thumbtack', 'Unpin'] : ['pin', 'fa-thumbtack', 'Pin'],
+        currentArticle.locked ? ['unlock', 'fa-lock-open', 'Unlock'] : ['lock', 'fa-lock', 'Lock'],
+        currentArticle.hidden ? ['unhide', 'fa-eye', 'Unhide'] : ['hide', 'fa-eye-slash', 'Hide'],
+    ].filter(Boolean);
+
+    container.innerHTML = actions.map(([action, icon, label]) => `
+        <button class="btn btn-outline btn-sm" data-moderate-type="article" data-moderate-id="${currentArticle.id}" data-moderate-action="${action}">
+            <i class="fa-solid ${icon}"></i> ${label}
+        </button>
+    `).join('');
+}
+
 function renderComments() {
     const commentsList = /** @type {HTMLElement} */ (document.getElementById('commentsList'));
     const commentForm = /** @type {HTMLElement} */ (document.getElementById('commentForm'));
 
-    if (!currentUser) {
+    const lockedNotice = /** @type {HTMLElement} */ (document.getElementById('commentsLockedNotice'));
+    const isLocked = !!currentArticle.locked && !canModerateForum();
+    lockedNotice.style.display = currentArticle.locked ? 'block' : 'none';
+
+    if (!currentUser || isLocked) {
         commentForm.style.display = 'none';
     } else {
         commentForm.style.display = 'block';
@@ -443,7 +605,7 @@ function buildNestedComments(comments, parentId = null, level = 0) {
 function createCommentHtml(comment, level = 0) {
     const canDelete = currentUser && (
         currentUser.handle === comment.author.handle ||
-        currentUser.admin
+        canModerateForum()
     );
 
     const deleteButton = canDelete ?
@@ -451,11 +613,33 @@ function createCommentHtml(comment, level = 0) {
             <i class="fa-solid fa-trash"></i>
         </button>` : '';
 
-    const replyButton = currentUser ?
+    const canReply = currentUser && (!currentArticle.locked || canModerateForum());
+    const replyButton = canReply ?
         `<button class="comment-reply-btn" onclick="showReplyForm('${comment.id}')">
             <i class="fa-solid fa-reply"></i> Reply
         </button>` : '';
 
+    const reportButton = currentUser && currentUser.handle !== comment.author.handle ?
+        `<button class="comment-report-btn" title="Report" onclick="reportContent('comment', '${comment.id}')">
+            <i class="fa-solid fa-flag"></i>
+        </button>` : '';
+
+    let moderationButtons = '';
+    if (canModerateForum()) {
+        if (comment.status === 'pending') {
+            moderationButtons += `<button class="comment-moderate-btn" title="Approve" data-moderate-type="comment" data-moderate-id="${comment.id}" data-moderate-action="approve">
+                <i class="fa-solid fa-check"></i>
+            </button>`;
+        }
+        moderationButtons += comment.hidden ?
+            `<button class="comment-moderate-btn" title="Unhide" data-moderate-type="comment" data-moderate-id="${comment.id}" data-moderate-action="unhide">
+                <i class="fa-solid fa-eye"></i>
+            </button>` :
+            `<button class="comment-moderate-btn" title="Hide" data-moderate-type="comment" data-moderate-id="${comment.id}" data-moderate-action="hide">
+                <i class="fa-solid fa-eye-slash"></i>
+            </button>`;
+    }
+
     const marginLeft = level * 30; // Indent 30px per level.
 
     return `
@@ -463,8 +647,11 @@ function createCommentHtml(comment, level = 0) {
             <div class="comment-header">
                 <span class="comment-author">${escapeHtml(comment.author.name)}</span>
                 <span class="comment-date">${formatDate(comment.created_at)}</span>
+                ${createStatusBadges(comment)}
                 <div class="comment-actions">
                     ${replyButton}
+                    ${reportButton}
+                    ${moderationButtons}
                     ${deleteButton}
                 </div>
             </div>
@@ -549,7 +736,11 @@ async function submitComment() {
         const newComment = await response.json();
         currentArticle.comments = currentArticle.comments || [];
         currentArticle.comments.push(newComment);
-        currentArticle.comments_count = (currentArticle.comments_count || 0) + 1;
+        if (newComment.status === 'pending') {
+            alert('Your comment will be visible to others once a moderator approves it.');
+        } else {
+            currentArticle.comments_count = (currentArticle.comments_count || 0) + 1;
+        }
 
         renderComments();
         contentTextarea.value = '';
@@ -694,7 +885,11 @@ async function submitReply(parentCommentId) {
         const newReply = await response.json();
         currentArticle.comments = currentArticle.comments || [];
         currentArticle.comments.push(newReply);
-        currentArticle.comments_count = (currentArticle.comments_count || 0) + 1;
+        if (newReply.status === 'pending') {
+            alert('Your reply will be visible to others once a moderator approves it.');
+        } else {
+            currentArticle.comments_count = (currentArticle.comments_count || 0) + 1;
+        }
 
         renderComments();
         hideReplyForm(parentCommentId);
@@ -847,6 +1042,479 @@ async function likeArticle() {
     }
 }
 
+function startNotificationPolling() {
+    if (!currentUser || notificationsTimer) {
+        return;
+    }
+
+    refreshNotifications();
+    notificationsTimer = setInterval(refreshNotifications, 60 * 1000);
+}
+
+// Load the inbox and update the unread badge (and the panel when it is open).
+async function refreshNotifications() {
+    try {
+        const response = await fetch('/api/forum/notifications', { credentials: 'include', cache: 'no-cache' });
+        if (!response.ok) {
+            return;
+        }
+
+        const data = await response.json();
+        const badge = document.getElementById('notificationsBadge');
+        badge.textContent = data.unreadCount > 99 ? '99+' : String(data.unreadCount);
+        badge.style.display = data.unreadCount > 0 ? 'inline-block' : 'none';
+
+        if (document.getElementById('notificationsPanel').style.display !== 'none') {
+            renderNotifications(data.notifications);
+        }
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+function toggleNotificationsPanel() {
+    const panel = document.getElementById('notificationsPanel');
+    const isOpen = panel.style.display !== 'none';
+    panel.style.display = isOpen ? 'none' : 'block';
+    if (!isOpen) {
+        document.getElementById('notificationsList').innerHTML = '<div class="notifications-empty"><i class="fa-solid fa-spinner fa-spin"></i></div>';
+        refreshNotifications();
+    }
+}
+
+function describeNotification(notification) {
+    const actor = `<strong>${escapeHtml(notification.actor.name || notification.actor.handle)}</strong>`;
+    const title = `"${escapeHtml(notification.article_title)}"`;
+    switch (notification.type) {
+        case 'comment': return { icon: 'fa-comment', text: `${actor} commented on your post ${title}` };
+        case 'reply': return { icon: 'fa-reply', text: `${actor} replied to your comment on ${title}` };
+        case 'mention': return { icon: 'fa-at', text: `${actor} mentioned you in ${title}` };
+        case 'like': return { icon: 'fa-heart', text: `${actor} liked your post ${title}` };
+        default: return { icon: 'fa-bell', text: title };
+    }
+}
+
+function renderNotifications(notifications) {
+    const list = document.getElementById('notificationsList');
+    if (!notifications.length) {
+        list.innerHTML = '<div class="notifications-empty">No notifications yet.</div>';
+        return;
+    }
+
+    list.innerHTML = notifications.map(notification => {
+        const { icon, text } = describeNotification(notification);
+        return `
+            <div class="notification-item${notification.read ? '' : ' unread'}" data-id="${notification.id}" data-article-id="${notification.article_id}">
+                <i class="fa-solid ${icon}"></i>
+                <div class="notification-body">
+                    <div>${text}</div>
+                    ${notification.excerpt ? `<div class="notification-excerpt">${escapeHtml(notification.excerpt)}</div>` : ''}
+                    <div class="notification-date">${formatDate(new Date(notification.created_at).toISOString())}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function handleNotificationClick(e) {
+    const item = /** @type {HTMLElement|null} */ (/** @type {HTMLElement} */ (e.target).closest('.notification-item'));
+    if (!item) {
+        return;
+    }
+
+    document.getElementById('notificationsPanel').style.display = 'none';
+    if (item.classList.contains('unread')) {
+        await markNotificationsRead([item.dataset.id]);
+    }
+    openArticleDetail(item.dataset.articleId);
+}
+
+// Mark the given notifications (or all when ids is null) as read.
+async function markNotificationsRead(ids) {
+    try {
+        await postForumJson('/api/forum/notifications/read', ids ? { ids } : {});
+        await refreshNotifications();
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+    }
+}
+
+async function toggleNotificationSettings() {
+    const settingsPanel = document.getElementById('notificationSettings');
+    if (settingsPanel.style.display !== 'none') {
+        settingsPanel.style.display = 'none';
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/forum/notifications/settings', { credentials: 'include', cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error('Failed to load notification settings');
+        }
+
+        const settings = await response.json();
+        settingsPanel.querySelectorAll('input[name="notificationType"]').forEach(input => {
+            const checkbox = /** @type {HTMLInputElement} */ (input);
+            checkbox.checked = !settings.muted.includes(checkbox.value);
+        });
+        (/** @type {HTMLSelectElement} */ (document.getElementById('notificationDigest'))).value = settings.emailDigest;
+        settingsPanel.style.display = 'flex';
+    } catch (error) {
+        console.error('Error loading notification settings:', error);
+        alert('Failed to load notification settings.');
+    }
+}
+
+async function saveNotificationSettings() {
+    const settingsPanel = document.getElementById('notificationSettings');
+    const muted = Array.from(settingsPanel.querySelectorAll('input[name="notificationType"]'))
+        .map(input => /** @type {HTMLInputElement} */ (input))
+        .filter(checkbox => !checkbox.checked)
+        .map(checkbox => checkbox.value);
+    const emailDigest = (/** @type {HTMLSelectElement} */ (document.getElementById('notificationDigest'))).value;
+
+    try {
+        await postForumJson('/api/forum/notifications/settings', { muted, emailDigest });
+        settingsPanel.style.display = 'none';
+    } catch (error) {
+        console.error('Error saving notification settings:', error);
+        alert(error.message || 'Failed to save notification settings.');
+    }
+}
+
+// Revision history of a post.
+async function openArticleHistory(articleId) {
+    document.getElementById('articleHistoryModal').style.display = 'flex';
+    document.getElementById('articleDiffView').style.display = 'none';
+    await loadArticleHistory(articleId);
+}
+
+function closeArticleHistoryModal() {
+    document.getElementById('articleHistoryModal').style.display = 'none';
+}
+
+async function loadArticleHistory(articleId) {
+    const list = document.getElementById('articleHistoryList');
+    list.innerHTML = '<div class="loading-indicator"><i class="fa-solid fa-spinner fa-spin"></i> <span>Loading...</span></div>';
+
+    try {
+        const response = await fetch(`/api/forum/articles/${articleId}/revisions`, { credentials: 'include', cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error('Failed to load revisions');
+        }
+
+        const data = await response.json();
+        list.dataset.articleId = articleId;
+        list.innerHTML = data.revisions.map(revision => `
+            <div class="revision-item">
+                <div class="revision-info">
+                    <strong>Revision ${revision.revision}</strong>${revision.revision === data.current ? ' <span class="status-badge pinned">Current</span>' : ''}
+                    <span>${escapeHtml(revision.edited_by.name || revision.edited_by.handle)} &middot; ${formatDate(revision.edited_at)}</span>
+                    ${revision.note ? `<span class="revision-note">${escapeHtml(revision.note)}</span>` : ''}
+                </div>
+                <div class="revision-actions">
+                    ${revision.revision > 1 ? `<button class="btn btn-outline btn-sm" data-action="diff" data-revision="${revision.revision}">Changes</button>` : ''}
+                    ${revision.revision !== data.current ? `<button class="btn btn-outline btn-sm" data-action="compare" data-revision="${revision.revision}" data-against="${data.current}">Compare with current</button>` : ''}
+                    ${canModerateForum() && revision.revision !== data.current ? `<button class="btn btn-danger btn-sm" data-action="rollback" data-revision="${revision.revision}">Restore</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading revisions:', error);
+        list.innerHTML = '<div class="error-message">Failed to load the revision history.</div>';
+    }
+}
+
+async function handleRevisionAction(e) {
+    const button = /** @type {HTMLElement|null} */ (/** @type {HTMLElement} */ (e.target).closest('button[data-action]'));
+    if (!button) {
+        return;
+    }
+
+    const articleId = document.getElementById('articleHistoryList').dataset.articleId;
+    const revision = button.dataset.revision;
+
+    switch (button.dataset.action) {
+        case 'diff':
+            await showRevisionDiff(articleId, revision);
+            break;
+        case 'compare':
+            // Show what changed from this revision to the current one.
+            await showRevisionDiff(articleId, button.dataset.against, revision);
+            break;
+        case 'rollback':
+            await rollbackArticle(articleId, revision);
+            break;
+    }
+}
+
+async function showRevisionDiff(articleId, revision, against = null) {
+    const diffView = document.getElementById('articleDiffView');
+
+    try {
+        const query = against ? `?against=${encodeURIComponent(against)}` : '';
+        const response = await fetch(`/api/forum/articles/${articleId}/revisions/${revision}/diff${query}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error('Failed to load changes');
+        }
+
+        const diff = await response.json();
+        const categoryChange = diff.category.from !== null && diff.category.from !== diff.category.to
+            ? `<div class="revision-diff-field"><strong>Category:</strong> <del class="diff-delete">${escapeHtml(getCategoryName(diff.category.from))}</del> <ins class="diff-insert">${escapeHtml(getCategoryName(diff.category.to))}</ins></div>`
+            : '';
+
+        diffView.innerHTML = `
+            <h3>Changes from revision ${diff.from ?? '-'} to ${diff.to}</h3>
+            <div class="revision-diff-field"><strong>Title:</strong> ${renderDiff(diff.title)}</div>
+            ${categoryChange}
+            <div class="revision-diff-field"><strong>Tags:</strong> ${renderDiff(diff.tags)}</div>
+            <div class="revision-diff-content">${renderDiff(diff.content)}</div>
+        `;
+        diffView.style.display = 'block';
+        diffView.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    } catch (error) {
+        console.error('Error loading revision diff:', error);
+        alert('Failed to load the changes.');
+    }
+}
+
+// Render diff operations: -1 removed, 0 unchanged, 1 added.
+function renderDiff(operations) {
+    return operations.map(([operation, text]) => {
+        const escaped = escapeHtml(text);
+        if (operation === 1) return `<ins class="diff-insert">${escaped}</ins>`;
+        if (operation === -1) return `<del class="diff-delete">${escaped}</del>`;
+        return escaped;
+    }).join('');
+}
+
+async function rollbackArticle(articleId, revision) {
+    if (!confirm(`Restore revision ${revision}? The current text stays in the history.`)) {
+        return;
+    }
+
+    try {
+        const updatedArticle = await postForumJson(`/api/forum/articles/${articleId}/revisions/${revision}/rollback`, {});
+        articles = articles.map(article => article.id === updatedArticle.id ? updatedArticle : article);
+        if (currentArticle && currentArticle.id === updatedArticle.id) {
+            Object.assign(currentArticle, updatedArticle, { comments: currentArticle.comments, user_liked: currentArticle.user_liked });
+            renderArticleDetail();
+        }
+        renderArticles();
+        document.getElementById('articleDiffView').style.display = 'none';
+        await loadArticleHistory(articleId);
+    } catch (error) {
+        console.error('Error rolling back article:', error);
+        alert(error.message || 'Failed to restore the revision.');
+    }
+}
+
+/**
+ * Sends a JSON POST request to the forum API.
+ * @param {string} url Endpoint URL
+ * @param {object} body Request body
+ * @returns {Promise<any>} Parsed response
+ */
+async function postForumJson(url, body) {
+    const csrfToken = await getCsrfToken();
+
+    const headers = {
+        'Content-Type': 'application/json',
+    };
+
+    if (csrfToken) {
+        headers['x-csrf-token'] = csrfToken;
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(body),
+        credentials: 'include',
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || 'Request failed.');
+    }
+    return result;
+}
+
+// Report a post or comment to the moderators.
+async function reportContent(type, id) {
+    if (!currentUser) {
+        alert('Please log in first.');
+        return;
+    }
+
+    const reason = prompt(`Why are you reporting this ${type === 'article' ? 'post' : 'comment'}?`);
+    if (reason === null) {
+        return;
+    }
+    if (!reason.trim()) {
+        alert('Please enter a reason.');
+        return;
+    }
+
+    try {
+        await postForumJson(`/api/forum/${type === 'article' ? 'articles' : 'comments'}/${id}/report`, { reason: reason.trim() });
+        alert('Thank you. The moderators will review your report.');
+    } catch (error) {
+        console.error('Error reporting content:', error);
+        alert(error.message || 'Report failed. Please try again.');
+    }
+}
+
+// Apply a moderation action (hide, lock, pin, approve, reject) to a post or comment.
+async function moderateContent(type, id, action) {
+    if (action === 'reject' && !confirm('Reject and delete this content? This action cannot be undone.')) {
+        return;
+    }
+
+    try {
+        const result = await postForumJson(`/api/forum/${type === 'article' ? 'articles' : 'comments'}/${id}/moderate`, { action });
+
+        const queueModal = document.getElementById('moderationModal');
+        if (queueModal.style.display !== 'none') {
+            await loadModerationQueue();
+        }
+
+        if (currentArticle) {
+            if (type === 'article' && currentArticle.id === id) {
+                if (result.deleted) {
+                    closeArticleDetailModal();
+                } else {
+                    Object.assign(currentArticle, result, { comments: currentArticle.comments, user_liked: currentArticle.user_liked });
+                    renderArticleDetail();
+                }
+            } else if (type === 'comment' && currentArticle.comments) {
+                const index = currentArticle.comments.findIndex(comment => comment.id === id);
+                if (index !== -1 && !result.deleted) {
+                    currentArticle.comments[index] = result;
+                    renderComments();
+                }
+            }
+        }
+
+        await loadArticles();
+    } catch (error) {
+        console.error('Error moderating content:', error);
+        alert(error.message || 'Moderation action failed. Please try again.');
+    }
+}
+
+// Dispatch clicks on moderation and report buttons rendered into the page.
+async function handleModerationClick(e) {
+    const target = /** @type {HTMLElement} */ (e.target);
+
+    const moderateButton = /** @type {HTMLElement|null} */ (target.closest('button[data-moderate-action]'));
+    if (moderateButton) {
+        const { moderateType, moderateId, moderateAction } = moderateButton.dataset;
+        await moderateContent(moderateType, moderateId, moderateAction);
+        return;
+    }
+
+    const resolveButton = /** @type {HTMLElement|null} */ (target.closest('button[data-resolution]'));
+    if (resolveButton) {
+        await resolveReport(resolveButton.dataset.reportId, resolveButton.dataset.resolution);
+    }
+}
+
+// Close or dismiss a report.
+async function resolveReport(reportId, resolution) {
+    try {
+        await postForumJson(`/api/forum/reports/${reportId}/resolve`, { resolution });
+        await loadModerationQueue();
+    } catch (error) {
+        console.error('Error resolving report:', error);
+        alert(error.message || 'Failed to update the report.');
+    }
+}
+
+function openModerationQueue() {
+    document.getElementById('moderationModal').style.display = 'flex';
+    loadModerationQueue();
+}
+
+function closeModerationModal() {
+    document.getElementById('moderationModal').style.display = 'none';
+}
+
+async function loadModerationQueue() {
+    const container = document.getElementById('moderationQueueContent');
+    container.innerHTML = '<div class="loading-indicator"><i class="fa-solid fa-spinner fa-spin"></i> <span>Loading...</span></div>';
+
+    try {
+        const response = await fetch('/api/forum/moderation/queue', { credentials: 'include', cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error('Failed to load moderation queue');
+        }
+        renderModerationQueue(await response.json());
+    } catch (error) {
+        console.error('Error loading moderation queue:', error);
+        container.innerHTML = '<div class="error-message">Failed to load the moderation queue.</div>';
+    }
+}
+
+function renderModerationQueue(queue) {
+    const container = document.getElementById('moderationQueueContent');
+    const excerpt = item => escapeHtml(stripHtml(item.content || '').substring(0, 200));
+
+    const pendingItems = [
+        ...queue.pendingArticles.map(article => ({ type: 'article', item: article, title: article.title })),
+        ...queue.pendingComments.map(comment => ({ type: 'comment', item: comment, title: `Comment on "${comment.article_title || 'deleted post'}"` })),
+    ];
+
+    const pendingHtml = pendingItems.length ? pendingItems.map(({ type, item, title }) => `
+        <div class="moderation-item">
+            <div class="moderation-item-header">
+                <strong>${escapeHtml(title)}</strong>
+                <span>${escapeHtml(item.author.name)} &middot; ${formatDate(item.created_at)}</span>
+            </div>
+            <div class="moderation-item-content">${excerpt(item)}</div>
+            <div class="moderation-item-actions">
+                <button class="btn btn-primary btn-sm" data-moderate-type="${type}" data-moderate-id="${item.id}" data-moderate-action="approve"><i class="fa-solid fa-check"></i> Approve</button>
+                <button class="btn btn-danger btn-sm" data-moderate-type="${type}" data-moderate-id="${item.id}" data-moderate-action="reject"><i class="fa-solid fa-trash"></i> Reject</button>
+                ${type === 'article' ? `<button class="btn btn-outline btn-sm" onclick="openArticleDetail('${item.id}')">Open</button>` : ''}
+            </div>
+        </div>
+    `).join('') : '<p class="moderation-empty">Nothing is awaiting approval.</p>';
+
+    const reportsHtml = queue.reports.length ? queue.reports.map(report => {
+        const target = report.target;
+        const targetLabel = report.target_type === 'article' ? 'Post' : `Comment on "${escapeHtml(report.article_title || 'deleted post')}"`;
+        const targetActions = target ? `
+            ${target.hidden ? '' : `<button class="btn btn-danger btn-sm" data-moderate-type="${report.target_type}" data-moderate-id="${target.id}" data-moderate-action="hide"><i class="fa-solid fa-eye-slash"></i> Hide</button>`}
+            ${report.target_type === 'article' && !target.locked ? `<button class="btn btn-outline btn-sm" data-moderate-type="article" data-moderate-id="${target.id}" data-moderate-action="lock"><i class="fa-solid fa-lock"></i> Lock</button>` : ''}
+            ${report.article_title ? `<button class="btn btn-outline btn-sm" onclick="openArticleDetail('${report.article_id}')">Open</button>` : ''}
+        ` : '';
+
+        return `
+            <div class="moderation-item">
+                <div class="moderation-item-header">
+                    <strong>${targetLabel}${target?.title ? `: ${escapeHtml(target.title)}` : ''}</strong>
+                    <span>Reported by ${escapeHtml(report.reporter.name)} &middot; ${formatDate(report.created_at)}</span>
+                </div>
+                <div class="moderation-report-reason"><i class="fa-solid fa-flag"></i> ${escapeHtml(report.reason)}</div>
+                <div class="moderation-item-content">${target ? `${escapeHtml(target.author.name)}: ${excerpt(target)}` : '<em>This content has been deleted.</em>'}</div>
+                ${target ? createStatusBadges(target) : ''}
+                <div class="moderation-item-actions">
+                    ${targetActions}
+                    <button class="btn btn-secondary btn-sm" data-report-id="${report.id}" data-resolution="resolved">Mark resolved</button>
+                    <button class="btn btn-secondary btn-sm" data-report-id="${report.id}" data-resolution="dismissed">Dismiss</button>
+                </div>
+            </div>
+        `;
+    }).join('') : '<p class="moderation-empty">No open reports.</p>';
+
+    container.innerHTML = `
+        <h3>Awaiting approval (${pendingItems.length})</h3>
+        ${pendingHtml}
+        <h3>Reports (${queue.reports.length})</h3>
+        ${reportsHtml}
+    `;
+}
+
 // Update like button state.
 function updateLikeButtonState() {
     const likeButton = /** @type {HTMLButtonElement|null} */ (document.querySelector('button[onclick="likeArticle()"]'));
@@ -56,7 +56,7 @@ async function sendRecoveryPart1(handle) {
             'Content-Type': 'application/json',
             'X-CSRF-Token': csrfToken,
         },
-        body: JSON.stringify({ handle }),
+        body: JSON.stringify({ handle, locale: localStorage.getItem('language') || navigator.language }),
     });
 
     if (!response.ok) {
@@ -171,6 +171,12 @@ async function performLogin(handle, password) {
 
         const data = await response.json();
 
+        if (data.twoFactorRequired) {
+            isLoggingIn = false;
+            showTwoFactorPrompt();
+            return;
+        }
+
         if (data.handle) {
             console.log(`Successfully logged in as ${handle}!`);
             // Login succeeded; do not reset the flag because we redirect.
@@ -637,37 +643,21 @@ async function loadOAuthConfig() {
         const config = await response.json();
         console.log('OAuth config loaded:', config);
 
-        let hasOAuth = false;
-
-        // Show GitHub login button.
-        if (config.github?.enabled) {
-            $('#githubLoginButton').show();
-            $('#githubLoginButton').on('click', () => {
-                window.location.href = '/api/oauth/github';
-            });
-            hasOAuth = true;
-        }
-
-        // Show Discord login button.
-        if (config.discord?.enabled) {
-            $('#discordLoginButton').show();
-            $('#discordLoginButton').on('click', () => {
-                window.location.href = '/api/oauth/discord';
-            });
-            hasOAuth = true;
-        }
+        const providers = Array.isArray(config.providers) ? config.providers : [];
 
-        // Show Linux.do login button.
-        if (config.linuxdo?.enabled) {
-            $('#linuxdoLoginButton').show();
-            $('#linuxdoLoginButton').on('click', () => {
-                window.location.href = '/api/oauth/linuxdo';
+        for (const provider of providers) {
+            const button = $('<button type="button" class="oauth-button"></button>');
+            button.addClass(`oauth-${provider.id}`);
+            button.append($('<i></i>').addClass(provider.icon));
+            button.append($('<span></span>').text(`Sign in with ${provider.name}`));
+            button.on('click', () => {
+                window.location.href = `/api/oauth/${encodeURIComponent(provider.id)}`;
             });
-            hasOAuth = true;
+            $('#oauthButtons').append(button);
         }
 
         // If any OAuth option is available, show the divider and buttons.
-        if (hasOAuth) {
+        if (providers.length > 0) {
             $('#oauthDivider').show();
             $('#oauthButtons').show();
         }
@@ -695,6 +685,12 @@ async function checkOAuthPendingInvitation() {
         // Show invitation code input.
         showOAuthInvitationPrompt();
     }
+
+    if (urlParams.get('two_factor') === 'true') {
+        // OAuth login of an account with two-factor authentication.
+        window.history.replaceState({}, document.title, '/login');
+        showTwoFactorPrompt();
+    }
 }
 
 /**
@@ -782,3 +778,93 @@ async function submitOAuthInvitation() {
         displayError('Invitation code verification failed: ' + String(error));
     }
 }
+
+/**
+ * Show the two-factor verification code prompt.
+ */
+function showTwoFactorPrompt() {
+    $('#passwordRecoveryBlock').hide();
+    $('#renewalBlock').hide();
+
+    const twoFactorBlock = $(`
+        <div id="twoFactorBlock" class="wide100p" style="display:block;">
+            <div class="flex-container flexFlowColumn alignItemsCenter">
+                <h3 style="margin-bottom: 10px;">
+                    Two-factor authentication
+                </h3>
+                <div style="text-align: center; margin-bottom: 20px; line-height: 1.6;">
+                    Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </div>
+                <input id="twoFactorCode" class="text_pole" type="text" placeholder="Verification code" autocomplete="one-time-code" inputmode="numeric" autofocus>
+                <div class="flex-container flexGap10" style="margin-top: 20px;">
+                    <div id="submitTwoFactor" class="menu_button">Verify</div>
+                    <div id="cancelTwoFactor" class="menu_button">Cancel</div>
+                </div>
+            </div>
+        </div>
+    `);
+
+    $('#twoFactorBlock').remove();
+    $('#userListBlock').hide().after(twoFactorBlock);
+    displayError('');
+
+    $('#submitTwoFactor').on('click', submitTwoFactorCode);
+    $('#cancelTwoFactor').on('click', () => {
+        window.location.href = '/login';
+    });
+
+    $('#twoFactorCode').on('keydown', (evt) => {
+        if (evt.key === 'Enter') {
+            evt.preventDefault();
+            submitTwoFactorCode();
+        }
+    }).trigger('focus');
+}
+
+/**
+ * Submit the two-factor verification code to complete the login.
+ */
+async function submitTwoFactorCode() {
+    const code = String($('#twoFactorCode').val() || '').trim();
+
+    if (!code) {
+        displayError('Please enter a verification code.');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/users/login/2fa', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify({ code }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            displayError(data.error || 'Verification failed.');
+            if (data.restart) {
+                setTimeout(() => {
+                    window.location.href = '/login';
+                }, 2000);
+            }
+            return;
+        }
+
+        if (data.recoveryCodesLeft !== undefined) {
+            displayError(`Logged in with a recovery code. Recovery codes left: ${data.recoveryCodesLeft}.`, true);
+            setTimeout(() => {
+                redirectToHome();
+            }, 2000);
+            return;
+        }
+
+        redirectToHome();
+    } catch (error) {
+        console.error('Error submitting two-factor code:', error);
+        displayError('Verification failed: ' + String(error));
+    }
+}
@@ -10,12 +10,30 @@ let publicCharactersCurrentUser = null;
 let currentCharacterId = null;
 let comments = [];
 let autoNameRequestId = 0;
+let showFavoritesOnly = false;
+let importedCharacters = [];
+let pendingUpdate = null;
+
+const CONTENT_RATING_LABELS = {
+    general: 'General',
+    mature: 'Mature',
+    explicit: 'Explicit',
+    unrated: 'Unrated',
+};
 
 // CSRF token helper (no longer needed).
 async function getCsrfToken() {
     return null; // CSRF token no longer required.
 }
 
+/**
+ * Checks if the current user may manage characters and comments of other users.
+ * @returns {boolean}
+ */
+function canManagePublicCharacters() {
+    return Boolean(publicCharactersCurrentUser?.admin || publicCharactersCurrentUser?.permissions?.includes('characters.manage'));
+}
+
 // Check user login status.
 async function checkLoginStatus() {
     try {
@@ -54,6 +72,9 @@ function updateUIForLoginStatus() {
         $('#uploadButton').show();
         $('#userInfo').show();
         $('#loginPrompt').hide();
+        $('#favoritesFilterButton').show();
+        $('#importsButton').show();
+        $('#contentFilterSelect').show();
 
         // Update user info.
         if (publicCharactersCurrentUser) {
@@ -64,6 +85,9 @@ function updateUIForLoginStatus() {
         $('#uploadButton').hide();
         $('#userInfo').hide();
         $('#loginPrompt').show();
+        $('#favoritesFilterButton').hide();
+        $('#importsButton').hide();
+        $('#contentFilterSelect').hide();
     }
 }
 
@@ -340,12 +364,28 @@ function readFileAsArrayBuffer(file) {
     });
 }
 
+// Build the list query from the sort, tag and favorites controls.
+function getCharacterListQuery() {
+    const params = new URLSearchParams();
+    params.set('sort', String($('#sortSelect').val() || 'recent'));
+
+    const tag = String($('#tagFilter').val() || '');
+    if (tag) {
+        params.set('tags', tag);
+    }
+    if (showFavoritesOnly) {
+        params.set('favorites', 'true');
+    }
+
+    return params.toString();
+}
+
 // Load character cards.
 async function loadCharacters() {
     try {
         showLoading();
 
-        const response = await fetch('/api/public-characters/', {
+        const response = await fetch(`/api/public-characters/?${getCharacterListQuery()}`, {
             method: 'GET',
             credentials: 'include'
         });
@@ -366,9 +406,7 @@ async function loadCharacters() {
 
         const data = await response.json();
         characters = data;
-        filteredCharacters = [...characters];
-
-        renderCharacters();
+        filterCharacters();
     } catch (error) {
         console.error('Failed to load characters:', error);
         if (String(error && error.message || '').includes('status: 401') || String(error && error.message || '').includes('status: 403')) {
@@ -381,6 +419,113 @@ async function loadCharacters() {
     }
 }
 
+// Load the tags used by character cards into the tag filter.
+async function loadTags() {
+    try {
+        const response = await fetch('/api/public-characters/tags', {
+            method: 'GET',
+            credentials: 'include',
+        });
+
+        if (!response.ok) {
+            return;
+        }
+
+        const tags = await response.json();
+        const select = $('#tagFilter');
+        const selected = String(select.val() || '');
+        select.find('option:not(:first)').remove();
+        tags.forEach(({ tag, count }) => {
+            select.append($('<option>').val(tag).text(`${tag} (${count})`));
+        });
+        select.val(tags.some(({ tag }) => tag === selected) ? selected : '');
+    } catch (error) {
+        console.error('Failed to load tags:', error);
+    }
+}
+
+// Load which content ratings the user chose to see.
+async function loadContentPreferences() {
+    if (!isLoggedIn) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/public-characters/preferences', {
+            method: 'GET',
+            credentials: 'include',
+        });
+
+        if (response.ok) {
+            const preferences = await response.json();
+            $('#contentFilterSelect').val(preferences.max_content_rating).data('saved', preferences.max_content_rating);
+        }
+    } catch (error) {
+        console.error('Failed to load content preferences:', error);
+    }
+}
+
+// Save the content rating filter. Showing rated content asks the user to confirm their age.
+async function saveContentPreferences() {
+    const select = $('#contentFilterSelect');
+    const maxContentRating = String(select.val() || 'general');
+    const previous = select.data('saved') || 'general';
+
+    const body = { max_content_rating: maxContentRating };
+    if (maxContentRating !== 'general') {
+        body.confirm_age = true;
+        if (previous === 'general' && !confirm('Rated cards may contain content that is only suitable for adults. Do you confirm that you are 18 or older?')) {
+            select.val(previous);
+            return;
+        }
+    }
+
+    try {
+        const response = await fetch('/api/public-characters/preferences', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            credentials: 'include',
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to save content settings.');
+        }
+
+        select.data('saved', maxContentRating);
+        await Promise.all([loadCharacters(), loadTags()]);
+    } catch (error) {
+        console.error('Failed to save content preferences:', error);
+        select.val(previous);
+        showError(error.message);
+    }
+}
+
+// Change the content rating of the character card shown in the detail modal.
+async function updateContentRating(characterId, contentRating) {
+    try {
+        const response = await fetch(`/api/public-characters/${characterId}/content-rating`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            credentials: 'include',
+            body: JSON.stringify({ content_rating: contentRating }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to update content rating.');
+        }
+
+        $('#characterModalContentRating').text(CONTENT_RATING_LABELS[contentRating]);
+        updateLoadedCharacter(characterId, { content_rating: contentRating });
+        showSuccess('Content rating updated.');
+    } catch (error) {
+        console.error('Failed to update content rating:', error);
+        showError(error.message);
+    }
+}
+
 // Render character cards (initial load or after filtering).
 function renderCharacters() {
     const grid = $('#charactersGrid');
@@ -394,11 +539,12 @@ function renderCharacters() {
     const pageCharacters = filteredCharacters.slice(startIndex, endIndex);
 
     if (pageCharacters.length === 0) {
+        const isFiltered = Boolean($('#searchInput').val() || $('#tagFilter').val() || showFavoritesOnly);
         grid.html(`
             <div class="no-characters">
                 <i class="fa-solid fa-search" style="font-size: 3rem; color: rgba(255,255,255,0.5); margin-bottom: 1rem;"></i>
-                <h3>No character cards yet</h3>
-                <p>No one has uploaded a character card yet. Be the first!</p>
+                <h3>${isFiltered ? 'No matching character cards' : 'No character cards yet'}</h3>
+                <p>${isFiltered ? 'Try a different search, tag or filter.' : 'No one has uploaded a character card yet. Be the first!'}</p>
             </div>
         `);
         $('#loadMoreButton').hide();
@@ -464,6 +610,34 @@ function getAvatarUrl(character) {
     return '/img/default-expressions/neutral.png';
 }
 
+// Render a 0-5 star rating as icons, rounded to half stars.
+function renderStars(rating) {
+    const halves = Math.round((rating || 0) * 2);
+    let html = '';
+    for (let i = 1; i <= 5; i++) {
+        const icon = halves >= i * 2 ? 'fa-star' : halves === i * 2 - 1 ? 'fa-star-half-stroke' : 'fa-star empty';
+        html += `<i class="fa-solid ${icon}"></i>`;
+    }
+    return html;
+}
+
+// Rating and usage statistics of a character card.
+function renderCharacterStats(character) {
+    const ratingText = character.rating_count
+        ? `${Number(character.rating_average).toFixed(1)} (${character.rating_count})`
+        : 'No ratings';
+    return `
+        <span class="character-rating" title="Average rating">
+            <span class="rating-stars">${renderStars(character.rating_average)}</span>
+            ${ratingText}
+        </span>
+        <span class="character-downloads" title="Downloads and imports">
+            <i class="fa-solid fa-download"></i>
+            ${(character.downloads || 0) + (character.imports || 0)}
+        </span>
+    `;
+}
+
 // Create character card element.
 function createCharacterCard(character) {
     // Determine avatar URL based on file type.
@@ -474,7 +648,7 @@ function createCharacterCard(character) {
 
     // Check delete permissions for current user.
     const canDelete = isLoggedIn && (
-        publicCharactersCurrentUser?.admin ||
+        canManagePublicCharacters() ||
         character.uploader?.handle === publicCharactersCurrentUser?.handle
     );
 
@@ -489,6 +663,16 @@ function createCharacterCard(character) {
             Log in to import
         </button>`;
 
+    const contentRating = character.content_rating || 'general';
+    const contentRatingBadge = contentRating !== 'general'
+        ? `<span class="content-rating-badge ${contentRating}">${CONTENT_RATING_LABELS[contentRating] || contentRating}</span>`
+        : '';
+
+    const favoriteButton = isLoggedIn ?
+        `<button class="favorite-btn ${character.favorited ? 'active' : ''}" data-character-id="${character.id}" title="${character.favorited ? 'Remove from favorites' : 'Add to favorites'}">
+            <i class="fa-solid fa-heart"></i>
+        </button>` : '';
+
     // Delete button (only for authorized users).
     const deleteButton = canDelete ?
         `<button class="btn btn-danger delete-btn" onclick="deleteCharacter('${character.id}', '${character.name}')">
@@ -500,6 +684,8 @@ function createCharacterCard(character) {
         <div class="character-card" data-character="${character.id}">
             <div class="character-avatar">
                 <img src="${avatarUrl}" alt="${character.name}" onerror="this.src='/img/default-expressions/neutral.png'">
+                ${contentRatingBadge}
+                ${favoriteButton}
             </div>
             <div class="character-info">
                 <div class="character-content">
@@ -517,6 +703,7 @@ function createCharacterCard(character) {
                             ${formatDate(character.uploaded_at || character.date_added)}
                         </span>
                     </div>
+                    <div class="character-stats">${renderCharacterStats(character)}</div>
                     ${tagsHtml ? `<div class="character-tags">${tagsHtml}</div>` : ''}
                 </div>
             </div>
@@ -532,10 +719,9 @@ function createCharacterCard(character) {
     `;
 }
 
-// Search and filter character cards.
+// Search the loaded character cards. Sorting and tag filtering are done by the server.
 function filterCharacters() {
     const searchTerm = String($('#searchInput').val() || '').toLowerCase();
-    const sortBy = String($('#sortSelect').val() || '');
 
     filteredCharacters = characters.filter(character => {
         const nameMatch = character.name.toLowerCase().includes(searchTerm);
@@ -546,27 +732,92 @@ function filterCharacters() {
         return nameMatch || descriptionMatch || uploaderMatch || tagsMatch;
     });
 
-    // Sort.
-    filteredCharacters.sort((a, b) => {
-        switch (sortBy) {
-            case 'name':
-                return a.name.localeCompare(b.name);
-            case 'uploader':
-                const uploaderA = a.uploader?.name || a.uploader || '';
-                const uploaderB = b.uploader?.name || b.uploader || '';
-                return uploaderA.localeCompare(uploaderB);
-            case 'date':
-            default:
-                const dateA = parseDateInput(a.uploaded_at || a.date_added);
-                const dateB = parseDateInput(b.uploaded_at || b.date_added);
-                return (dateB?.getTime() || 0) - (dateA?.getTime() || 0);
-        }
-    });
-
     publicCharactersCurrentPage = 0;
     renderCharacters();
 }
 
+// Replace a character in the loaded list and re-render its card.
+function updateLoadedCharacter(characterId, changes) {
+    for (const list of [characters, filteredCharacters]) {
+        const character = list.find(item => item.id === characterId);
+        if (character) {
+            Object.assign(character, changes);
+        }
+    }
+
+    const character = characters.find(item => item.id === characterId);
+    if (character) {
+        $(`.character-card[data-character="${characterId}"]`).replaceWith(createCharacterCard(character));
+    }
+}
+
+// Add a character card to favorites or remove it.
+async function toggleFavorite(characterId) {
+    if (!isLoggedIn) {
+        showError('Please log in to save favorites.');
+        return;
+    }
+
+    const character = characters.find(item => item.id === characterId);
+    try {
+        const response = await fetch(`/api/public-characters/${characterId}/favorite`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            credentials: 'include',
+            body: JSON.stringify({ favorite: !character?.favorited }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to update favorites.');
+        }
+
+        const data = await response.json();
+        if (showFavoritesOnly && !data.favorited) {
+            await loadCharacters();
+        } else {
+            updateLoadedCharacter(characterId, { favorited: data.favorited });
+        }
+        if (currentCharacterId === characterId) {
+            updateFavoriteButton(data.favorited);
+        }
+    } catch (error) {
+        console.error('Failed to update favorites:', error);
+        showError(error.message);
+    }
+}
+
+// Rate a character card, 0 removes the rating.
+async function rateCharacter(characterId, rating) {
+    try {
+        const response = await fetch(`/api/public-characters/${characterId}/rate`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            credentials: 'include',
+            body: JSON.stringify({ rating }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to save rating.');
+        }
+
+        const data = await response.json();
+        const changes = {
+            rating_average: data.rating_average,
+            rating_count: data.rating_count,
+            my_rating: data.my_rating,
+        };
+        updateLoadedCharacter(characterId, changes);
+        if (currentCharacterId === characterId) {
+            renderModalRating({ id: characterId, ...changes });
+        }
+    } catch (error) {
+        console.error('Failed to rate character:', error);
+        showError(error.message);
+    }
+}
+
 // Import character card.
 async function importCharacter(characterId) {
     if (!isLoggedIn) {
@@ -588,6 +839,12 @@ async function importCharacter(characterId) {
         const data = await response.json();
         showSuccess(data.message || 'Character card imported to your library.');
 
+        const character = characters.find(item => item.id === characterId);
+        if (character) {
+            updateLoadedCharacter(characterId, { imports: (character.imports || 0) + 1 });
+        }
+        await loadImports();
+
         // Optionally redirect to the library page.
         // window.location.href = '/';
 
@@ -624,7 +881,7 @@ async function deleteCharacter(characterId, characterDisplayName) {
         showSuccess(`Character card "${characterDisplayName}" deleted successfully.`);
 
         // Refresh list.
-        await loadCharacters();
+        await Promise.all([loadCharacters(), loadTags()]);
     } catch (error) {
         console.error('Failed to delete character:', error);
         showError(`Delete failed: ${error.message}`);
@@ -657,6 +914,55 @@ function showLoginPrompt() {
     showError('Please log in to import character cards.');
 }
 
+// Show the rating summary and, for users who may rate the card, the rating stars.
+function renderModalRating(character) {
+    const loaded = characters.find(item => item.id === character.id);
+    $('#characterModalStats').html(renderCharacterStats({ ...loaded, ...character }));
+
+    const container = $('#characterModalRating');
+    const isOwnCharacter = (loaded || character).uploader?.handle === publicCharactersCurrentUser?.handle;
+    if (!isLoggedIn || isOwnCharacter) {
+        container.empty().hide();
+        return;
+    }
+
+    const myRating = character.my_rating || 0;
+    let html = '<span class="rating-label">Your rating:</span>';
+    for (let i = 1; i <= 5; i++) {
+        html += `<button class="rating-star ${i <= myRating ? 'active' : ''}" data-rating="${i}" title="${i} star${i > 1 ? 's' : ''}"><i class="fa-solid fa-star"></i></button>`;
+    }
+    if (myRating) {
+        html += '<button class="rating-clear" data-rating="0" title="Remove my rating"><i class="fa-solid fa-xmark"></i></button>';
+    }
+    container.html(html).show();
+}
+
+function updateFavoriteButton(favorited) {
+    $('#favoriteCharacterButton')
+        .toggleClass('active', Boolean(favorited))
+        .html(`<i class="fa-solid fa-heart"></i> ${favorited ? 'Remove from favorites' : 'Add to favorites'}`);
+}
+
+// Show the changelog of the published versions, newest first.
+function renderModalVersions(character) {
+    const versions = [...(character.versions || [])].reverse();
+    if (versions.length <= 1) {
+        $('#characterModalVersions').empty().hide();
+        return;
+    }
+
+    const items = versions.map(item => `
+        <div class="version-item">
+            <div class="version-header">
+                <span class="version-number">v${item.version}</span>
+                <span class="version-date">${formatDate(item.published_at)}</span>
+            </div>
+            <div class="version-changelog">${item.changelog ? escapeHtml(item.changelog) : 'Initial version'}</div>
+        </div>
+    `).join('');
+    $('#characterModalVersions').html(`<h3><i class="fa-solid fa-code-branch"></i> Version history</h3>${items}`).show();
+}
+
 // Show character card detail modal.
 function showCharacterModal(character) {
     // Set current character ID.
@@ -675,6 +981,16 @@ function showCharacterModal(character) {
     $('#characterModalUploader').text(character.uploader?.name || character.uploader || 'Unknown');
     $('#characterModalDate').text(formatDate(character.uploaded_at || character.date_added));
     $('#characterModalTags').html(tagsHtml);
+    $('#characterModalVersion').text(character.version || 1);
+    const contentRating = character.content_rating || 'general';
+    const canChangeRating = isLoggedIn && (canManagePublicCharacters() || character.uploader?.handle === publicCharactersCurrentUser?.handle);
+    $('#characterModalContentRating').text(CONTENT_RATING_LABELS[contentRating] || contentRating).toggle(!canChangeRating);
+    $('#characterModalContentRatingSelect').val(contentRating).toggle(canChangeRating);
+    renderModalVersions(character);
+    $('#publishVersionButton').toggle(isLoggedIn && character.uploader?.handle === publicCharactersCurrentUser?.handle);
+    renderModalRating(character);
+    $('#favoriteCharacterButton').toggle(isLoggedIn);
+    updateFavoriteButton(character.favorited);
 
     // Set import button based on login state.
     if (isLoggedIn) {
@@ -706,6 +1022,192 @@ function showCharacterModal(character) {
     $('#characterModal').show();
 }
 
+// Publish a new version of the character card shown in the detail modal.
+async function publishVersion(formData) {
+    try {
+        const response = await fetch(`/api/public-characters/${currentCharacterId}/versions`, {
+            method: 'POST',
+            body: formData,
+            credentials: 'include',
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Publishing failed.');
+        }
+
+        const character = await response.json();
+        showSuccess(`Version ${character.version} of "${character.name}" published.`);
+
+        $('#versionModal').hide();
+        /** @type {HTMLFormElement} */ ($('#versionForm')[0]).reset();
+        showCharacterModal(character);
+        await Promise.all([loadCharacters(), loadTags()]);
+    } catch (error) {
+        console.error('Failed to publish version:', error);
+        showError(`Publishing failed: ${error.message}`);
+    }
+}
+
+// Load the public character cards the user imported, to find available updates.
+async function loadImports() {
+    if (!isLoggedIn) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/public-characters/imports', {
+            method: 'GET',
+            credentials: 'include',
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        importedCharacters = await response.json();
+        const updates = importedCharacters.filter(item => item.update_available).length;
+        $('#importsUpdateBadge').text(updates).toggle(updates > 0);
+        if ($('#importsModal').is(':visible')) {
+            renderImports();
+        }
+    } catch (error) {
+        console.error('Failed to load imported characters:', error);
+    }
+}
+
+function renderImports() {
+    const list = $('#importsList');
+    if (importedCharacters.length === 0) {
+        list.html('<div class="no-comments"><p>You have not imported any character cards from the public library yet.</p></div>');
+        return;
+    }
+
+    const rows = [...importedCharacters]
+        .sort((a, b) => Number(b.update_available) - Number(a.update_available) || b.imported_at - a.imported_at)
+        .map(item => {
+            let status;
+            if (!item.available) {
+                status = '<span class="import-status">No longer in the public library</span>';
+            } else if (item.update_available) {
+                status = `
+                    <span class="import-status update">Update available: v${item.version} → v${item.latest_version}</span>
+                    <button class="btn btn-primary btn-small review-update-btn" data-character-id="${escapeHtml(item.character_id)}" data-file-name="${escapeHtml(item.file_name)}">
+                        Review update
+                    </button>`;
+            } else {
+                status = `<span class="import-status">Up to date (v${item.version})</span>`;
+            }
+
+            return `
+                <div class="import-item">
+                    <div class="import-info">
+                        <span class="import-name">${escapeHtml(item.name)}</span>
+                        <span class="import-file">${escapeHtml(item.file_name)}</span>
+                    </div>
+                    <div class="import-actions">${status}</div>
+                </div>
+            `;
+        });
+    list.html(rows.join(''));
+}
+
+function formatCardValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '<em>empty</em>';
+    }
+    return escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+}
+
+// Show the field-level differences between the local copy and the latest public version.
+async function showUpdateDiff(characterId, fileName) {
+    try {
+        const params = new URLSearchParams({ file_name: fileName });
+        const response = await fetch(`/api/public-characters/${characterId}/update-diff?${params}`, {
+            method: 'GET',
+            credentials: 'include',
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to compare versions.');
+        }
+
+        const diff = await response.json();
+        pendingUpdate = { characterId, fileName };
+
+        const changelog = diff.versions.map(item => `
+            <div class="version-item">
+                <div class="version-header">
+                    <span class="version-number">v${item.version}</span>
+                    <span class="version-date">${formatDate(item.published_at)}</span>
+                </div>
+                <div class="version-changelog">${escapeHtml(item.changelog || '')}</div>
+            </div>
+        `).join('');
+        $('#updateDiffTitle').text(`Update ${fileName}`);
+        $('#updateDiffSummary').html(`<p>Version ${diff.from_version} → ${diff.to_version}</p>${changelog}`);
+
+        if (diff.changes.length === 0) {
+            $('#updateDiffList').html('<p class="update-diff-empty">Your copy already matches the new version.</p>');
+            $('#applySelectedUpdate').hide();
+        } else {
+            $('#updateDiffList').html(diff.changes.map(change => `
+                <div class="diff-field">
+                    <label class="diff-field-name">
+                        <input type="checkbox" class="update-field" value="${escapeHtml(change.field)}" checked>
+                        ${escapeHtml(change.field)}
+                    </label>
+                    <div class="diff-values">
+                        <div class="diff-value diff-local"><span class="diff-label">Your copy</span>${formatCardValue(change.local)}</div>
+                        <div class="diff-value diff-remote"><span class="diff-label">New version</span>${formatCardValue(change.remote)}</div>
+                    </div>
+                </div>
+            `).join(''));
+            $('#applySelectedUpdate').show();
+        }
+
+        $('#updateDiffModal').show();
+    } catch (error) {
+        console.error('Failed to compare versions:', error);
+        showError(error.message);
+    }
+}
+
+// Overwrite the local copy with the latest version, or only the given fields of it.
+async function applyUpdate(fields) {
+    if (!pendingUpdate) {
+        return;
+    }
+
+    if (!fields && !confirm('Replace your copy with the new version? Changes you made to it will be lost.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/public-characters/${pendingUpdate.characterId}/update`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            credentials: 'include',
+            body: JSON.stringify({ file_name: pendingUpdate.fileName, fields }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Update failed.');
+        }
+
+        const data = await response.json();
+        showSuccess(`${data.file_name} updated to version ${data.version}.`);
+        pendingUpdate = null;
+        $('#updateDiffModal').hide();
+        await loadImports();
+    } catch (error) {
+        console.error('Failed to update character:', error);
+        showError(`Update failed: ${error.message}`);
+    }
+}
+
 // Upload character card.
 async function uploadCharacter(formData) {
     try {
@@ -724,7 +1226,7 @@ async function uploadCharacter(formData) {
         showSuccess(`Character card "${data.name}" uploaded successfully.`);
 
         // Reload list.
-        await loadCharacters();
+        await Promise.all([loadCharacters(), loadTags()]);
 
         // Close upload modal.
         $('#uploadModal').hide();
@@ -763,13 +1265,48 @@ $(document).ready(async function() {
         updateUIForLoginStatus();
 
         // Load character cards.
-        await loadCharacters();
+        await loadContentPreferences();
+        await Promise.all([loadCharacters(), loadTags(), loadImports()]);
 
         // Search input.
         $('#searchInput').on('input', filterCharacters);
 
-        // Sort selection.
-        $('#sortSelect').on('change', filterCharacters);
+        // Sort and tag selection.
+        $('#sortSelect, #tagFilter').on('change', loadCharacters);
+
+        // Content rating filter.
+        $('#contentFilterSelect').on('change', saveContentPreferences);
+
+        $('#characterModalContentRatingSelect').on('change', function() {
+            if (currentCharacterId) {
+                updateContentRating(currentCharacterId, String($(this).val()));
+            }
+        });
+
+        // Favorites filter.
+        $('#favoritesFilterButton').on('click', function() {
+            showFavoritesOnly = !showFavoritesOnly;
+            $(this).toggleClass('active', showFavoritesOnly);
+            loadCharacters();
+        });
+
+        // Favorite buttons on the cards.
+        $('#charactersGrid').on('click', '.favorite-btn', function(e) {
+            e.stopPropagation();
+            toggleFavorite(String($(this).data('character-id')));
+        });
+
+        // Favorite and rating buttons in the detail modal.
+        $('#favoriteCharacterButton').on('click', () => {
+            if (currentCharacterId) {
+                toggleFavorite(currentCharacterId);
+            }
+        });
+        $('#characterModalRating').on('click', 'button[data-rating]', function() {
+            if (currentCharacterId) {
+                rateCharacter(currentCharacterId, Number($(this).data('rating')));
+            }
+        });
 
         // Load more button.
         $('#loadMoreButton').on('click', loadMore);
@@ -814,6 +1351,7 @@ $(document).ready(async function() {
             const nameInput = String($('#characterName').val() || '');
             const descriptionInput = String($('#characterDescription').val() || '');
             const tagsInput = String($('#characterTags').val() || '');
+            const contentRating = String($('#characterContentRating').val() || '');
 
             if (!/** @type {HTMLInputElement} */ (fileInput).files || !/** @type {HTMLInputElement} */ (fileInput).files[0]) {
                 showError('Please choose a character card file.');
@@ -825,6 +1363,11 @@ $(document).ready(async function() {
                 return;
             }
 
+            if (!contentRating) {
+                showError('Please choose a content rating.');
+                return;
+            }
+
             const formData = new FormData();
             formData.append('avatar', /** @type {HTMLInputElement} */ (fileInput).files[0]);
 
@@ -844,6 +1387,7 @@ $(document).ready(async function() {
                 const tags = tagsInput.split(',').map(tag => tag.trim()).filter(tag => tag);
                 formData.append('tags', JSON.stringify(tags));
             }
+            formData.append('content_rating', contentRating);
 
             await uploadCharacter(formData);
         });
@@ -869,6 +1413,63 @@ $(document).ready(async function() {
             }
         });
 
+        // Publish a new version (uploader only).
+        $('#publishVersionButton').on('click', () => {
+            $('#versionModal').show();
+        });
+
+        $('#closeVersionModal, #cancelVersion').on('click', () => {
+            $('#versionModal').hide();
+            /** @type {HTMLFormElement} */ ($('#versionForm')[0]).reset();
+        });
+
+        $('#versionForm').on('submit', async function(e) {
+            e.preventDefault();
+
+            const file = /** @type {HTMLInputElement} */ ($('#versionFile')[0]).files?.[0];
+            const changelog = String($('#versionChangelog').val() || '').trim();
+            if (!file || !changelog) {
+                showError('Please choose a file and describe the changes.');
+                return;
+            }
+
+            const formData = new FormData();
+            formData.append('avatar', file);
+            formData.append('file_type', file.name.split('.').pop()?.toLowerCase() || '');
+            formData.append('changelog', changelog);
+            await publishVersion(formData);
+        });
+
+        // Imported character cards and updates.
+        $('#importsButton').on('click', async () => {
+            renderImports();
+            $('#importsModal').show();
+            await loadImports();
+        });
+
+        $('#closeImportsModal').on('click', () => {
+            $('#importsModal').hide();
+        });
+
+        $('#importsList').on('click', '.review-update-btn', function() {
+            showUpdateDiff(String($(this).attr('data-character-id')), String($(this).attr('data-file-name')));
+        });
+
+        $('#closeUpdateDiffModal').on('click', () => {
+            $('#updateDiffModal').hide();
+        });
+
+        $('#applyFullUpdate').on('click', () => applyUpdate(null));
+
+        $('#applySelectedUpdate').on('click', () => {
+            const fields = $('#updateDiffList .update-field:checked').map((_, element) => String($(element).val())).get();
+            if (fields.length === 0) {
+                showError('Select at least one field to update.');
+                return;
+            }
+            applyUpdate(fields);
+        });
+
         // Comment-related events.
         $('#submitCommentButton').on('click', submitComment);
 
@@ -952,8 +1553,7 @@ function renderComments() {
 // Create comment element.
 function createCommentElement(comment, depth = 0) {
     const isAuthor = isLoggedIn && publicCharactersCurrentUser && comment.author.handle === publicCharactersCurrentUser.handle;
-    const isAdmin = isLoggedIn && publicCharactersCurrentUser && publicCharactersCurrentUser.admin;
-    const canDelete = isAuthor || isAdmin;
+    const canDelete = isAuthor || (isLoggedIn && canManagePublicCharacters());
 
     const deleteButton = canDelete ?
         `<button class="comment-delete" onclick="deleteComment('${comment.id}')" title="Delete comment">
@@ -336,7 +336,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                 'Content-Type': 'application/json',
                 ...(regCsrfToken ? { 'x-csrf-token': regCsrfToken } : {}),
             },
-            body: JSON.stringify(formData)
+            body: JSON.stringify({ ...formData, locale: localStorage.getItem('language') || navigator.language })
         })
         .then(async (response) => {
             // Read response text once.
@@ -432,7 +432,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                     'Content-Type': 'application/json',
                     ...(regCsrfToken ? { 'x-csrf-token': regCsrfToken } : {}),
                 },
-                body: JSON.stringify({ email, userName })
+                body: JSON.stringify({ email, userName, locale: localStorage.getItem('language') || navigator.language })
             });
 
             const data = await response.json();
@@ -0,0 +1,247 @@
+import { characters, getCharacters, getRequestHeaders, this_chid } from '../script.js';
+import { event_types, eventSource } from './events.js';
+import { t } from './i18n.js';
+import { callGenericPopup, POPUP_TYPE } from './popup.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Loads the shared collections the user can access.
+ * @returns {Promise<object[]>}
+ */
+async function getCollections() {
+    const response = await fetch('/api/shared-characters', {
+        method: 'GET',
+        headers: getRequestHeaders(),
+    });
+
+    if (!response.ok) {
+        throw new Error(t`Failed to load shared collections`);
+    }
+
+    return await response.json();
+}
+
+/**
+ * Sends a request to the shared collections API.
+ * @param {string} method HTTP method
+ * @param {string} url Path relative to the API root
+ * @param {object} [body] Request body
+ * @returns {Promise<any>} Response data
+ */
+async function callCollectionsApi(method, url, body) {
+    const response = await fetch(`/api/shared-characters${url}`, {
+        method,
+        headers: getRequestHeaders(),
+        body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+    }
+    return data;
+}
+
+/**
+ * Formats grants as the names of users and @groups with the given access.
+ * @param {object[]} grants Collection grants
+ * @param {'read'|'edit'} access Access level
+ * @returns {string}
+ */
+function formatGrants(grants, access) {
+    return (grants || [])
+        .filter(grant => grant.access === access)
+        .map(grant => grant.type === 'group' ? `@${grant.name}` : grant.name)
+        .join(', ');
+}
+
+/**
+ * Parses comma-separated user handles and @groups into grants.
+ * @param {string} value Input value
+ * @param {'read'|'edit'} access Access level
+ * @returns {object[]}
+ */
+function parseGrants(value, access) {
+    return String(value || '')
+        .split(',')
+        .map(x => x.trim())
+        .filter(Boolean)
+        .map(name => name.startsWith('@')
+            ? { type: 'group', name: name.slice(1), access }
+            : { type: 'user', name, access });
+}
+
+/**
+ * Renders the contents of the shared characters dialog.
+ * @param {JQuery<HTMLElement>} container Dialog container
+ */
+async function renderDialog(container) {
+    const character = characters[this_chid];
+    const collections = await getCollections();
+    const accessLabels = { read: t`View`, edit: t`Edit`, owner: t`Owner` };
+    let html = '';
+
+    if (character?.shared) {
+        const shared = character.shared;
+        html += `
+            <h3>${t`Shared character`}</h3>
+            <div>${t`Collection`}: <b>${escapeHtml(shared.collection_name)}</b> (${escapeHtml(shared.owner)})</div>
+            <div>${t`Your access`}: ${accessLabels[shared.access]}</div>
+            <div>${t`Last saved by`} ${escapeHtml(shared.updated_by)}, ${new Date(shared.updated_at).toLocaleString()}</div>
+            <div class="flex-container">
+                <div class="menu_button" data-action="copy">${t`Copy to my characters`}</div>
+                ${shared.access !== 'read' ? `<div class="menu_button" data-action="remove">${t`Remove from collection`}</div>` : ''}
+            </div>`;
+    } else if (character) {
+        const editable = collections.filter(x => x.access !== 'read');
+        html += `
+            <h3>${t`Share ${escapeHtml(character.name)}`}</h3>
+            ${editable.length ? `
+                <div class="flex-container alignItemsCenter">
+                    <select class="text_pole flex1" name="target_collection">
+                        ${editable.map(x => `<option value="${escapeHtml(x.id)}">${escapeHtml(x.name)}</option>`).join('')}
+                    </select>
+                    <div class="menu_button" data-action="add">${t`Add to collection`}</div>
+                </div>
+                <small>${t`A copy of the card is added to the collection. Your own card is not changed.`}</small>
+            ` : `<small>${t`Create a collection below to share characters.`}</small>`}`;
+    }
+
+    html += `<h3>${t`Collections`}</h3>`;
+    for (const collection of collections) {
+        html += `
+            <div class="shared-collection" data-id="${escapeHtml(collection.id)}">
+                <div><b>${escapeHtml(collection.name)}</b> · ${escapeHtml(collection.owner)} · ${accessLabels[collection.access]} · ${t`${collection.characters.length} characters`}</div>
+                ${collection.access === 'owner' ? `
+                    <label>${t`Can view (user handles, @groups)`}
+                        <input class="text_pole" name="read_grants" value="${escapeHtml(formatGrants(collection.grants, 'read'))}">
+                    </label>
+                    <label>${t`Can edit (user handles, @groups)`}
+                        <input class="text_pole" name="edit_grants" value="${escapeHtml(formatGrants(collection.grants, 'edit'))}">
+                    </label>
+                    <div class="flex-container">
+                        <div class="menu_button" data-action="save-grants">${t`Save sharing`}</div>
+                        <div class="menu_button" data-action="delete-collection">${t`Delete collection`}</div>
+                    </div>
+                ` : ''}
+            </div>`;
+    }
+
+    html += `
+        <div class="flex-container alignItemsCenter">
+            <input class="text_pole flex1" name="new_collection" placeholder="${t`New collection name`}">
+            <div class="menu_button" data-action="create">${t`Create`}</div>
+        </div>`;
+
+    container.html(html);
+}
+
+/**
+ * Handles a button click in the shared characters dialog.
+ * @param {JQuery<HTMLElement>} container Dialog container
+ * @param {string} action Action of the clicked button
+ * @param {JQuery<HTMLElement>} button Clicked button
+ */
+async function handleDialogAction(container, action, button) {
+    const character = characters[this_chid];
+    const collectionId = button.closest('.shared-collection').data('id');
+
+    switch (action) {
+        case 'create': {
+            const name = String(container.find('[name="new_collection"]').val()).trim();
+            if (!name) {
+                return;
+            }
+            await callCollectionsApi('POST', '/', { name });
+            toastr.success(t`Collection created`);
+            break;
+        }
+        case 'add': {
+            const targetId = container.find('[name="target_collection"]').val();
+            await callCollectionsApi('POST', `/${targetId}/characters`, { avatar_url: character.avatar });
+            toastr.success(t`Character added to the collection`);
+            await getCharacters();
+            break;
+        }
+        case 'copy': {
+            const { collection_id, file_name } = getSharedLocation(character);
+            await callCollectionsApi('POST', `/${collection_id}/characters/${encodeURIComponent(file_name)}/copy`);
+            toastr.success(t`Character copied to your characters`);
+            await getCharacters();
+            break;
+        }
+        case 'remove': {
+            const confirm = await callGenericPopup(t`Remove this character from the collection for everyone it is shared with?`, POPUP_TYPE.CONFIRM);
+            if (!confirm) {
+                return;
+            }
+            const { collection_id, file_name } = getSharedLocation(character);
+            await callCollectionsApi('DELETE', `/${collection_id}/characters/${encodeURIComponent(file_name)}`);
+            toastr.success(t`Character removed from the collection`);
+            location.reload();
+            return;
+        }
+        case 'save-grants': {
+            const block = button.closest('.shared-collection');
+            const grants = [
+                ...parseGrants(block.find('[name="read_grants"]').val(), 'read'),
+                ...parseGrants(block.find('[name="edit_grants"]').val(), 'edit'),
+            ];
+            await callCollectionsApi('PUT', `/${collectionId}`, { grants });
+            toastr.success(t`Sharing saved`);
+            break;
+        }
+        case 'delete-collection': {
+            const confirm = await callGenericPopup(t`Delete the collection and all characters in it? Users it is shared with will lose access.`, POPUP_TYPE.CONFIRM);
+            if (!confirm) {
+                return;
+            }
+            await callCollectionsApi('DELETE', `/${collectionId}`);
+            toastr.success(t`Collection deleted`);
+            await getCharacters();
+            break;
+        }
+    }
+
+    await renderDialog(container);
+}
+
+/**
+ * Gets the collection and file name of a shared character.
+ * @param {object} character Character
+ * @returns {{collection_id: string, file_name: string}}
+ */
+function getSharedLocation(character) {
+    const prefix = `shared@${character.shared.collection_id}@`;
+    return { collection_id: character.shared.collection_id, file_name: character.avatar.slice(prefix.length) };
+}
+
+async function openSharedCharactersDialog() {
+    const container = $('<div class="shared-characters-dialog flex-container flexFlowColumn"></div>');
+    container.on('click', '[data-action]', async function () {
+        try {
+            await handleDialogAction(container, $(this).data('action'), $(this));
+        } catch (error) {
+            console.error('Shared collection action failed', error);
+            toastr.error(error.message, t`Shared collections`);
+        }
+    });
+
+    try {
+        await renderDialog(container);
+    } catch (error) {
+        toastr.error(error.message, t`Shared collections`);
+        return;
+    }
+
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+}
+
+export function initSharedCharacters() {
+    eventSource.on(event_types.CHARACTER_MANAGEMENT_DROPDOWN, (target) => {
+        if (target !== 'share_character') {
+            return;
+        }
+        openSharedCharactersDialog();
+    });
+}
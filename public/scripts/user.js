@@ -1,7 +1,8 @@
 import { getRequestHeaders } from '../script.js';
 import { POPUP_RESULT, POPUP_TYPE, callGenericPopup } from './popup.js';
 import { renderTemplateAsync } from './templates.js';
-import { ensureImageFormatSupported, getBase64Async, humanFileSize } from './utils.js';
+import { getCurrentLocale } from './i18n.js';
+import { ensureImageFormatSupported, escapeHtml, getBase64Async, humanFileSize } from './utils.js';
 
 /**
  * @type {import('../../src/users.js').UserViewModel} Logged in user
@@ -11,6 +12,26 @@ export let accountsEnabled = false;
 
 // Extend the session every 10 minutes
 const SESSION_EXTEND_INTERVAL = 10 * 60 * 1000;
+const EXPIRY_BANNER_DISMISSED_KEY = 'expiryBannerDismissed';
+const STORAGE_WARNING_SHOWN_KEY = 'storageWarningShown';
+const RESTORE_POINT_SOURCES = {
+    schedule: 'Scheduled',
+    manual: 'Manual',
+    import: 'Backup file',
+    restore: 'Before restore',
+};
+const STORAGE_CATEGORY_LABELS = {
+    chats: 'Chats',
+    characters: 'Characters and sprites',
+    images: 'Images and avatars',
+    files: 'Files',
+    backgrounds: 'Backgrounds',
+    vectors: 'Vector indexes',
+    backups: 'Backups',
+    thumbnails: 'Thumbnails',
+    snapshots: 'Restore points',
+    other: 'Settings and other data',
+};
 const DEFAULT_INACTIVE_DAYS = 60;
 const INACTIVE_USER_DAY_OPTIONS = [
     { label: '1 week (7 days)', value: 7 },
@@ -18,6 +39,17 @@ const INACTIVE_USER_DAY_OPTIONS = [
     { label: '1 month (30 days)', value: 30 },
     { label: '2 months (60 days)', value: 60 },
 ];
+const BULK_USER_ACTIONS = {
+    'disable': 'Disable',
+    'extend-expiry': 'Extend expiry',
+    'send-email': 'Send email',
+    'delete': 'Delete',
+};
+const REGISTRATION_SOURCE_LABELS = {
+    oauth: 'OAuth',
+    invitation: 'Invitation code',
+    direct: 'Direct',
+};
 
 // Lightweight online presence indicator
 // Note: window.isUserOnline and window.userHeartbeat are defined in user-heartbeat.js
@@ -39,6 +71,7 @@ export async function setUserControls(isEnabled) {
 
     $('#logout_button').show();
     await getCurrentUser();
+    await showStorageQuotaWarning();
 }
 
 /**
@@ -57,6 +90,19 @@ export function isAdmin() {
     return Boolean(currentUser.admin);
 }
 
+/**
+ * Check if the current user holds a permission, either through their role or by being an admin.
+ * @param {string} permission Permission name
+ * @returns {boolean} True if the current user holds the permission
+ */
+export function hasPermission(permission) {
+    if (isAdmin()) {
+        return true;
+    }
+
+    return Boolean(currentUser?.permissions?.includes(permission));
+}
+
 /**
  * Gets the handle string of the current user.
  * @returns {string} User handle
@@ -65,6 +111,30 @@ export function getCurrentUserHandle() {
     return currentUser?.handle || 'default-user';
 }
 
+/**
+ * Remembers the UI language of the current user on the server, so that emails are sent in that language.
+ */
+async function syncUserLocale() {
+    const locale = getCurrentLocale();
+    if (!accountsEnabled || !currentUser || currentUser.locale === locale) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/users/change-locale', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ locale }),
+        });
+
+        if (response.ok) {
+            currentUser.locale = locale;
+        }
+    } catch (error) {
+        console.error('Error saving the UI language:', error);
+    }
+}
+
 /**
  * Get the current user.
  * @returns {Promise<void>}
@@ -80,7 +150,9 @@ async function getCurrentUser() {
         }
 
         currentUser = await response.json();
-        $('#admin_button').toggle(accountsEnabled && isAdmin());
+        syncUserLocale();
+        $('#admin_button').toggle(accountsEnabled && (isAdmin() || Object.values(ADMIN_TAB_PERMISSIONS).some(hasPermission)));
+        updateExpiryBanner();
 
         // Start user heartbeat.
         if (typeof window.userHeartbeat !== 'undefined' && window.userHeartbeat.forceStart) {
@@ -107,29 +179,6 @@ async function getCurrentUser() {
     }
 }
 
-/**
- * Get a list of all users.
- * @param {boolean} includeStorageSize - Whether to include storage size info (default false for performance)
- * @returns {Promise<import('../../src/users.js').UserViewModel[]>} Users
- */
-async function getUsers(includeStorageSize = false) {
-    try {
-        const response = await fetch('/api/users/get', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({ includeStorageSize }),
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to get users');
-        }
-
-        return response.json();
-    } catch (error) {
-        console.error('Error getting users:', error);
-    }
-}
-
 /**
  * Fetch storage usage for multiple users.
  * @param {string[]} handles - User handles
@@ -356,9 +405,11 @@ async function changePassword(handle, callback) {
         template.find('.currentPasswordBlock').toggle(needOldPassword);
 
         // Show a hint when an OAuth user sets a password for the first time.
-        if (!hasPassword && currentUser.oauthProvider) {
+        const oauthProviders = handle === currentUser.handle ? (currentUser.oauthProviders || []) : [];
+        if (!hasPassword && oauthProviders.length > 0) {
+            const providerNames = escapeHtml(oauthProviders.map(x => x.name).join(', '));
             const hint = $('<div class="oauth-password-hint" style="margin-bottom: 10px; padding: 10px; background: #e8f4f8; border-radius: 5px; font-size: 0.9em;">');
-            hint.html(`<i class="fa-solid fa-info-circle"></i> You registered with <strong>${currentUser.oauthProvider}</strong> and currently have no password. After setting one, you can sign in with a username/password or continue using ${currentUser.oauthProvider}.`);
+            hint.html(`<i class="fa-solid fa-info-circle"></i> You sign in with <strong>${providerNames}</strong> and currently have no password. After setting one, you can sign in with a username/password or continue using ${providerNames}.`);
             template.prepend(hint);
         }
 
@@ -446,6 +497,81 @@ async function clearUserBackups(handle, callback) {
     }
 }
 
+/**
+ * Sign a user out on all devices.
+ * @param {string} handle User handle
+ * @param {function} callback Success callback
+ */
+async function forceLogoutUser(handle, callback) {
+    try {
+        const confirm = await callGenericPopup(
+            `Sign ${handle} out on all devices?`,
+            POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: 'Sign out', cancelButton: 'Cancel' },
+        );
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Force logout cancelled');
+        }
+
+        const response = await fetch('/api/users/sessions/revoke-all', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to sign out user');
+            throw new Error('Failed to sign out user');
+        }
+
+        const data = await response.json();
+        toastr.success(`${data.count} session(s) signed out`, 'User Signed Out');
+        callback();
+    } catch (error) {
+        console.error('Error signing out user:', error);
+    }
+}
+
+/**
+ * Reset two-factor authentication of a user.
+ * @param {string} handle User handle
+ * @param {function} callback Success callback
+ */
+async function resetTwoFactor(handle, callback) {
+    try {
+        const confirm = await callGenericPopup(
+            `Reset two-factor authentication for ${handle}? They will be able to log in with the password alone.`,
+            POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: 'Reset', cancelButton: 'Cancel' },
+        );
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Reset two-factor cancelled');
+        }
+
+        const response = await fetch('/api/users/2fa/reset', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to reset two-factor authentication');
+            throw new Error('Failed to reset two-factor authentication');
+        }
+
+        toastr.success('Two-factor authentication reset successfully', 'Two-Factor Reset');
+        callback();
+    } catch (error) {
+        console.error('Error resetting two-factor authentication:', error);
+    }
+}
+
 /**
  * Clear backups for all users.
  * @param {function} callback Success callback
@@ -640,6 +766,173 @@ async function deleteInactiveUsers(callback) {
     }
 }
 
+/**
+ * Get a page of users matching the directory filters.
+ * @param {number} page Page number, starting at 1
+ * @param {number} pageSize Users per page
+ * @param {object} filters Directory filters
+ * @returns {Promise<{users: import('../../src/users.js').UserViewModel[], total: number, page: number, pageSize: number, totalPages: number}>}
+ */
+async function getUsersPage(page, pageSize, filters) {
+    const response = await fetch('/api/users/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ ...filters, page, pageSize, includeStorageSize: false }),
+    });
+
+    if (!response.ok) {
+        throw new Error('Failed to get users');
+    }
+
+    return response.json();
+}
+
+/**
+ * Download the users matching the directory filters as CSV.
+ * @param {object} filters Directory filters
+ */
+function exportUsers(filters) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+        if (value) {
+            params.set(key, String(value));
+        }
+    }
+
+    const link = document.createElement('a');
+    link.href = `/api/users/export?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+/**
+ * Ask for the options of a bulk user action.
+ * @param {string} action Bulk action
+ * @returns {Promise<object|null>} Action options, or null if cancelled
+ */
+async function promptBulkActionOptions(action) {
+    switch (action) {
+        case 'extend-expiry': {
+            const days = await callGenericPopup('Extend the expiry of the selected users by how many days?', POPUP_TYPE.INPUT, '30');
+            return days ? { days: Number.parseInt(String(days), 10) } : null;
+        }
+        case 'send-email': {
+            const template = $(`
+                <div class="flex-container flexFlowColumn flexGap10">
+                    <label>Subject</label>
+                    <input type="text" class="text_pole bulkEmailSubject" maxlength="200">
+                    <label>Message</label>
+                    <textarea class="text_pole bulkEmailMessage" rows="8"></textarea>
+                </div>
+            `);
+            const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, 'Email the selected users', { okButton: 'Next', cancelButton: 'Cancel' });
+            if (result !== POPUP_RESULT.AFFIRMATIVE) {
+                return null;
+            }
+            return {
+                subject: String(template.find('.bulkEmailSubject').val()),
+                message: String(template.find('.bulkEmailMessage').val()),
+            };
+        }
+        case 'delete': {
+            const template = $(`
+                <label class="checkbox_label">
+                    <input type="checkbox" class="bulkDeletePurge">
+                    <span>Also delete all user data</span>
+                </label>
+            `);
+            const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, 'Delete the selected users', { okButton: 'Next', cancelButton: 'Cancel' });
+            if (result !== POPUP_RESULT.AFFIRMATIVE) {
+                return null;
+            }
+            return { purge: template.find('.bulkDeletePurge').is(':checked') };
+        }
+        default:
+            return {};
+    }
+}
+
+/**
+ * Send a bulk user action request.
+ * @param {object} body Request body
+ * @returns {Promise<any>} Response data
+ */
+async function postBulkUserAction(body) {
+    const response = await fetch('/api/users/bulk', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        toastr.error(data.error || 'Unknown error', 'Bulk action failed');
+        throw new Error(data.error || 'Bulk action failed');
+    }
+
+    return data;
+}
+
+/**
+ * Run a bulk action on users after previewing which users it affects. Only the previewed users are changed.
+ * @param {string} action Bulk action
+ * @param {{handles?: string[], filters?: object}} selection Selected handles, or filters matching the users
+ * @param {function} callback Success callback
+ */
+async function runBulkUserAction(action, selection, callback) {
+    try {
+        const options = await promptBulkActionOptions(action);
+        if (!options) {
+            return;
+        }
+
+        const request = { action, ...selection, ...options };
+        const preview = await postBulkUserAction({ ...request, dryRun: true });
+
+        let html = '<div class="flex-container flexFlowColumn flexGap5" style="max-height: 600px; overflow-y: auto; text-align: left;">';
+        html += `<p>${BULK_USER_ACTIONS[action]}: ${preview.targets.length} user(s)</p><ul>`;
+        for (const user of preview.targets) {
+            const expiry = user.newExpiresAt ? ` → expires ${new Date(user.newExpiresAt).toLocaleString()}` : '';
+            html += `<li><strong>${escapeHtml(user.name)}</strong> (${escapeHtml(user.handle)})${expiry}</li>`;
+        }
+        html += '</ul>';
+        if (preview.skipped.length > 0) {
+            html += `<p>Skipped: ${preview.skipped.length} user(s)</p><ul>`;
+            for (const skipped of preview.skipped) {
+                html += `<li><small>${escapeHtml(skipped.handle)}: ${escapeHtml(skipped.reason)}</small></li>`;
+            }
+            html += '</ul>';
+        }
+        if (action === 'delete') {
+            html += '<p style="color: orange;"><strong>⚠️ Warning: this action cannot be undone.</strong></p>';
+        }
+        html += '</div>';
+
+        if (preview.targets.length === 0) {
+            await callGenericPopup(html, POPUP_TYPE.TEXT, 'No users are affected');
+            return;
+        }
+
+        const confirm = await callGenericPopup(html, POPUP_TYPE.CONFIRM, 'Confirm bulk action', { okButton: 'Confirm', cancelButton: 'Cancel', wide: true, allowVerticalScrolling: true });
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            return;
+        }
+
+        // Run on the previewed users only, not on whoever matches the filters by now
+        const result = await postBulkUserAction({ action, ...options, handles: preview.handles, dryRun: false });
+        if (result.failed.length > 0) {
+            toastr.warning(`${result.succeeded.length} succeeded, ${result.failed.length} failed: ${result.failed.map(x => x.handle).join(', ')}`, 'Bulk action finished');
+        } else {
+            toastr.success(`${result.succeeded.length} user(s) updated`, 'Bulk action finished');
+        }
+        callback();
+    } catch (error) {
+        console.error('Error running bulk user action:', error);
+    }
+}
+
 /**
  * Delete a user.
  * @param {string} handle User handle
@@ -769,118 +1062,553 @@ async function changeName(handle, name, callback) {
 }
 
 /**
- * Restore a settings snapshot.
- * @param {string} name Snapshot name
+ * Change the groups a user belongs to.
+ * @param {string} handle User handle
+ * @param {string[]} groups Current groups
  * @param {function} callback Success callback
  */
-async function restoreSnapshot(name, callback) {
+async function changeGroups(handle, groups, callback) {
     try {
-        const confirm = await callGenericPopup(
-            `Are you sure you want to restore the settings from "${name}"?`,
-            POPUP_TYPE.CONFIRM,
-            '',
-            { okButton: 'Restore', cancelButton: 'Cancel', wide: false, large: false },
-        );
+        const result = await callGenericPopup('Enter the user groups (comma-separated):', POPUP_TYPE.INPUT, (groups || []).join(', '), { okButton: 'Save', cancelButton: 'Cancel', wide: false, large: false });
 
-        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
-            throw new Error('Restore snapshot cancelled');
+        if (result === null || result === undefined || result === false) {
+            throw new Error('Change groups cancelled');
         }
 
-        const response = await fetch('/api/settings/restore-snapshot', {
+        const response = await fetch('/api/users/groups/set', {
             method: 'POST',
             headers: getRequestHeaders(),
-            body: JSON.stringify({ name }),
+            body: JSON.stringify({ handle, groups: String(result).split(',').map(x => x.trim()).filter(x => x) }),
         });
 
         if (!response.ok) {
             const data = await response.json();
-            toastr.error(data.error || 'Unknown error', 'Failed to restore snapshot');
-            throw new Error('Failed to restore snapshot');
+            toastr.error(data.error || 'Unknown error', 'Failed to change groups');
+            throw new Error('Failed to change groups');
         }
 
+        toastr.success('Groups changed successfully', 'Groups Changed');
         callback();
     } catch (error) {
-        console.error('Error restoring snapshot:', error);
+        console.error('Error changing groups:', error);
     }
+}
 
+const QUOTA_METRIC_LABELS = {
+    generations: 'Generations',
+    promptTokens: 'Prompt tokens',
+    completionTokens: 'Completion tokens',
+};
+
+/**
+ * Converts a quota limit input value to a request value.
+ * @param {any} value Input value
+ * @returns {number | null | undefined} Limit, null for unlimited, undefined for inherited
+ */
+function parseQuotaInput(value) {
+    const text = String(value ?? '').trim();
+    if (!text) {
+        return undefined;
+    }
+    const number = Number(text);
+    return Number.isFinite(number) && number >= 0 ? Math.floor(number) : undefined;
 }
 
 /**
- * Load the content of a settings snapshot.
- * @param {string} name Snapshot name
- * @returns {Promise<string>} Snapshot content
+ * Manage the usage quota of a user.
+ * @param {string} handle User handle
+ * @param {function} callback Success callback
  */
-async function loadSnapshotContent(name) {
+async function manageUserQuota(handle, callback) {
     try {
-        const response = await fetch('/api/settings/load-snapshot', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({ name }),
+        const [quotaResponse, tiersResponse] = await Promise.all([
+            fetch('/api/users/quota/get', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ handle }),
+            }),
+            fetch('/api/users/quota-tiers', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+            }),
+        ]);
+
+        if (!quotaResponse.ok || !tiersResponse.ok) {
+            toastr.error('Could not load the usage quota', 'Failed to get quota');
+            throw new Error('Failed to get quota');
+        }
+
+        const quota = await quotaResponse.json();
+        const tiers = await tiersResponse.json();
+        const template = $(await renderTemplateAsync('userQuota'));
+        template.find('.quotaUserHandle').text(handle);
+
+        const tierSelect = template.find('.quotaTierSelect');
+        for (const tierName of Object.keys(tiers)) {
+            tierSelect.append($('<option></option>').val(tierName).text(tierName));
+        }
+        tierSelect.val(quota.tier);
+
+        const tableBody = template.find('.quotaTable tbody');
+        for (const [metric, label] of Object.entries(QUOTA_METRIC_LABELS)) {
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').text(label));
+            for (const period of ['daily', 'monthly']) {
+                const override = quota.overrides?.[period]?.[metric];
+                const input = $('<input type="number" min="0" class="text_pole">')
+                    .attr('data-period', period)
+                    .attr('data-metric', metric)
+                    .attr('placeholder', String(tiers[quota.tier]?.[period]?.[metric] ?? '∞'))
+                    .val(override ?? '');
+                row.append($('<td></td>').append(input));
+                const used = quota.usage?.[period]?.[metric] ?? 0;
+                const limit = quota.limits?.[period]?.[metric];
+                row.append($('<td></td>').text(limit === null || limit === undefined ? String(used) : `${used} / ${limit}`));
+            }
+            tableBody.append(row);
+        }
+
+        const storageInput = template.find('.quotaStorageInput');
+        storageInput
+            .attr('placeholder', String(tiers[quota.tier]?.storageMb ?? '∞'))
+            .val(quota.overrides?.storageMb ?? '');
+        const storageLimit = quota.storage?.limit;
+        const storageUsed = humanFileSize(quota.storage?.used ?? 0);
+        template.find('.quotaStorageUsed').text(storageLimit === null || storageLimit === undefined ? storageUsed : `${storageUsed} / ${humanFileSize(storageLimit)}`);
+
+        template.find('.quotaResetUsageButton').on('click', async () => {
+            const resetResponse = await fetch('/api/users/quota/reset', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ handle }),
+            });
+
+            if (!resetResponse.ok) {
+                toastr.error('Could not reset the usage counters', 'Failed to reset usage');
+                return;
+            }
+
+            toastr.success('Usage counters reset successfully', 'Usage Reset');
+            template.find('.quotaTable tbody tr').each(function () {
+                $(this).find('td:nth-child(3), td:nth-child(5)').text('0');
+            });
         });
 
-        if (!response.ok) {
-            const data = await response.json();
-            toastr.error(data.error || 'Unknown error', 'Failed to load snapshot content');
-            throw new Error('Failed to load snapshot content');
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel', wide: true, large: false });
+
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Manage quota cancelled');
         }
 
-        return response.text();
-    } catch (error) {
-        console.error('Error loading snapshot content:', error);
-    }
-}
+        const limits = { daily: {}, monthly: {} };
+        template.find('.quotaTable input').each(function () {
+            const value = parseQuotaInput($(this).val());
+            if (value !== undefined) {
+                limits[$(this).data('period')][$(this).data('metric')] = value;
+            }
+        });
+        const storageMb = parseQuotaInput(storageInput.val());
+        if (storageMb !== undefined) {
+            limits.storageMb = storageMb;
+        }
 
-/**
- * Gets a list of settings snapshots.
- * @returns {Promise<Snapshot[]>} List of snapshots
- * @typedef {Object} Snapshot
- * @property {string} name Snapshot name
- * @property {number} date Date in milliseconds
- * @property {number} size File size in bytes
- */
-async function getSnapshots() {
-    try {
-        const response = await fetch('/api/settings/get-snapshots', {
+        const response = await fetch('/api/users/quota/set', {
             method: 'POST',
             headers: getRequestHeaders(),
+            body: JSON.stringify({ handle, tier: tierSelect.val(), limits }),
         });
 
         if (!response.ok) {
             const data = await response.json();
-            toastr.error(data.error || 'Unknown error', 'Failed to get settings snapshots');
-            throw new Error('Failed to get settings snapshots');
+            toastr.error(data.error || 'Unknown error', 'Failed to save quota');
+            throw new Error('Failed to save quota');
         }
 
-        const snapshots = await response.json();
-        return snapshots;
+        toastr.success('Usage quota saved successfully', 'Quota Saved');
+        callback();
     } catch (error) {
-        console.error('Error getting settings snapshots:', error);
-        return [];
+        console.error('Error managing user quota:', error);
     }
 }
 
 /**
- * Make a snapshot of the current settings.
- * @param {function} callback Success callback
- * @returns {Promise<void>}
+ * Manage the quota tiers available to users.
  */
-async function makeSnapshot(callback) {
+async function manageQuotaTiers() {
     try {
-        const response = await fetch('/api/settings/make-snapshot', {
+        const tiersResponse = await fetch('/api/users/quota-tiers', {
             method: 'POST',
             headers: getRequestHeaders(),
         });
 
-        if (!response.ok) {
-            const data = await response.json();
-            toastr.error(data.error || 'Unknown error', 'Failed to make snapshot');
-            throw new Error('Failed to make snapshot');
+        if (!tiersResponse.ok) {
+            toastr.error('Could not load the quota tiers', 'Failed to get quota tiers');
+            throw new Error('Failed to get quota tiers');
+        }
+
+        const tiers = await tiersResponse.json();
+        const deletedTiers = new Set();
+        const template = $(await renderTemplateAsync('quotaTiers'));
+        const tableBody = template.find('.quotaTiersTable tbody');
+
+        const addTierRow = (tierName, limits) => {
+            const row = $('<tr></tr>').attr('data-tier', tierName);
+            row.append($('<td></td>').text(tierName));
+            for (const period of ['daily', 'monthly']) {
+                for (const metric of Object.keys(QUOTA_METRIC_LABELS)) {
+                    const input = $('<input type="number" min="0" class="text_pole" placeholder="∞">')
+                        .attr('data-period', period)
+                        .attr('data-metric', metric)
+                        .val(limits?.[period]?.[metric] ?? '');
+                    row.append($('<td></td>').append(input));
+                }
+            }
+            const storageInput = $('<input type="number" min="0" class="text_pole" placeholder="∞" data-storage="true">')
+                .val(limits?.storageMb ?? '');
+            row.append($('<td></td>').append(storageInput));
+            const deleteButton = $('<div class="menu_button warning" title="Delete tier"><i class="fa-fw fa-solid fa-trash"></i></div>');
+            deleteButton.toggle(tierName !== 'default').on('click', () => {
+                deletedTiers.add(tierName);
+                row.remove();
+            });
+            row.append($('<td></td>').append(deleteButton));
+            tableBody.append(row);
+        };
+
+        for (const [tierName, limits] of Object.entries(tiers)) {
+            addTierRow(tierName, limits);
         }
 
-        toastr.success('Snapshot created successfully', 'Snapshot Created');
-        callback();
-    } catch (error) {
-        console.error('Error making snapshot:', error);
+        template.find('.quotaAddTierButton').on('click', async () => {
+            const name = await slugify(String(template.find('.quotaNewTierName').val()));
+            if (!name || tableBody.find(`tr[data-tier="${name}"]`).length) {
+                toastr.warning('Enter a unique tier name', 'Invalid tier name');
+                return;
+            }
+            deletedTiers.delete(name);
+            addTierRow(name, {});
+            template.find('.quotaNewTierName').val('');
+        });
+
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel', wide: true, large: true });
+
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Manage quota tiers cancelled');
+        }
+
+        for (const name of deletedTiers) {
+            await fetch('/api/users/quota-tiers/delete', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ name }),
+            });
+        }
+
+        for (const row of tableBody.find('tr').toArray()) {
+            const limits = { daily: {}, monthly: {} };
+            $(row).find('input[data-period]').each(function () {
+                const value = parseQuotaInput($(this).val());
+                limits[$(this).data('period')][$(this).data('metric')] = value ?? null;
+            });
+            limits.storageMb = parseQuotaInput($(row).find('input[data-storage]').val()) ?? null;
+
+            const response = await fetch('/api/users/quota-tiers/save', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ name: $(row).data('tier'), limits }),
+            });
+
+            if (!response.ok) {
+                toastr.error(`Could not save tier ${$(row).data('tier')}`, 'Failed to save quota tiers');
+                throw new Error('Failed to save quota tiers');
+            }
+        }
+
+        toastr.success('Quota tiers saved successfully', 'Quota Tiers Saved');
+    } catch (error) {
+        console.error('Error managing quota tiers:', error);
+    }
+}
+
+const PERMISSION_LABELS = {
+    'forum.moderate': 'Moderate forum posts',
+    'characters.manage': 'Manage public characters',
+    'invitations.manage': 'Issue invitation codes',
+    'announcements.manage': 'Manage announcements',
+    'systemLoad.view': 'View system load',
+};
+
+/**
+ * Admin panel tabs that can be opened by non-admin users holding the permission.
+ */
+const ADMIN_TAB_PERMISSIONS = {
+    systemLoadButton: 'systemLoad.view',
+    invitationCodesButton: 'invitations.manage',
+    announcementsButton: 'announcements.manage',
+};
+
+/**
+ * Fetches the role definitions and the known permissions.
+ * @returns {Promise<{roles: Record<string, {description: string, permissions: string[]}>, permissions: string[]}>}
+ */
+async function getRoles() {
+    const response = await fetch('/api/users/roles', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+    });
+
+    if (!response.ok) {
+        toastr.error('Could not load the roles', 'Failed to get roles');
+        throw new Error('Failed to get roles');
+    }
+
+    return response.json();
+}
+
+/**
+ * Change the role of a user.
+ * @param {string} handle User handle
+ * @param {string} role Current role
+ * @param {function} callback Success callback
+ */
+async function changeRole(handle, role, callback) {
+    try {
+        const { roles } = await getRoles();
+        const select = $('<select class="text_pole"></select>');
+        select.append($('<option value=""></option>').text('No role'));
+        for (const [name, definition] of Object.entries(roles)) {
+            select.append($('<option></option>').val(name).text(definition.description ? `${name} - ${definition.description}` : name));
+        }
+        select.val(role || '');
+
+        const template = $('<div class="flex-container flexFlowColumn"></div>');
+        template.append($('<h3></h3>').text(`Role of ${handle}`));
+        template.append(select);
+
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel', wide: false, large: false });
+
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Change role cancelled');
+        }
+
+        const response = await fetch('/api/users/role/set', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle, role: select.val() }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to change role');
+            throw new Error('Failed to change role');
+        }
+
+        toastr.success('Role changed successfully', 'Role Changed');
+        callback();
+    } catch (error) {
+        console.error('Error changing role:', error);
+    }
+}
+
+/**
+ * Manage the roles and the permissions they grant.
+ * @param {function} callback Success callback
+ */
+async function manageRoles(callback) {
+    try {
+        const { roles, permissions } = await getRoles();
+        const deletedRoles = new Set();
+        const template = $(await renderTemplateAsync('roles'));
+        const tableBody = template.find('.rolesTable tbody');
+
+        const addRoleRow = (name, definition) => {
+            const row = $('<tr></tr>').attr('data-role', name);
+            row.append($('<td></td>').text(name));
+            const description = $('<input type="text" class="text_pole roleDescription">').val(definition?.description ?? '');
+            row.append($('<td></td>').append(description));
+            const permissionsCell = $('<td class="flex-container flexFlowColumn"></td>');
+            for (const permission of permissions) {
+                const checkbox = $('<input type="checkbox">')
+                    .attr('data-permission', permission)
+                    .prop('checked', !!definition?.permissions?.includes(permission));
+                permissionsCell.append($('<label class="checkbox_label"></label>').append(checkbox, $('<span></span>').text(PERMISSION_LABELS[permission] || permission)));
+            }
+            row.append(permissionsCell);
+            const deleteButton = $('<div class="menu_button warning" title="Delete role"><i class="fa-fw fa-solid fa-trash"></i></div>');
+            deleteButton.on('click', () => {
+                deletedRoles.add(name);
+                row.remove();
+            });
+            row.append($('<td></td>').append(deleteButton));
+            tableBody.append(row);
+        };
+
+        for (const [name, definition] of Object.entries(roles)) {
+            addRoleRow(name, definition);
+        }
+
+        template.find('.rolesAddRoleButton').on('click', async () => {
+            const name = await slugify(String(template.find('.rolesNewRoleName').val()));
+            if (!name || tableBody.find(`tr[data-role="${name}"]`).length) {
+                toastr.warning('Enter a unique role name', 'Invalid role name');
+                return;
+            }
+            deletedRoles.delete(name);
+            addRoleRow(name, {});
+            template.find('.rolesNewRoleName').val('');
+        });
+
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel', wide: true, large: true });
+
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Manage roles cancelled');
+        }
+
+        for (const name of deletedRoles) {
+            await fetch('/api/users/roles/delete', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ name }),
+            });
+        }
+
+        for (const row of tableBody.find('tr').toArray()) {
+            const response = await fetch('/api/users/roles/save', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({
+                    name: $(row).data('role'),
+                    description: $(row).find('.roleDescription').val(),
+                    permissions: $(row).find('input[type="checkbox"]:checked').toArray().map(x => $(x).data('permission')),
+                }),
+            });
+
+            if (!response.ok) {
+                toastr.error(`Could not save role ${$(row).data('role')}`, 'Failed to save roles');
+                throw new Error('Failed to save roles');
+            }
+        }
+
+        toastr.success('Roles saved successfully', 'Roles Saved');
+        callback();
+    } catch (error) {
+        console.error('Error managing roles:', error);
+    }
+}
+
+/**
+ * Restore a settings snapshot.
+ * @param {string} name Snapshot name
+ * @param {function} callback Success callback
+ */
+async function restoreSnapshot(name, callback) {
+    try {
+        const confirm = await callGenericPopup(
+            `Are you sure you want to restore the settings from "${name}"?`,
+            POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: 'Restore', cancelButton: 'Cancel', wide: false, large: false },
+        );
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Restore snapshot cancelled');
+        }
+
+        const response = await fetch('/api/settings/restore-snapshot', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ name }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to restore snapshot');
+            throw new Error('Failed to restore snapshot');
+        }
+
+        callback();
+    } catch (error) {
+        console.error('Error restoring snapshot:', error);
+    }
+
+}
+
+/**
+ * Load the content of a settings snapshot.
+ * @param {string} name Snapshot name
+ * @returns {Promise<string>} Snapshot content
+ */
+async function loadSnapshotContent(name) {
+    try {
+        const response = await fetch('/api/settings/load-snapshot', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ name }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to load snapshot content');
+            throw new Error('Failed to load snapshot content');
+        }
+
+        return response.text();
+    } catch (error) {
+        console.error('Error loading snapshot content:', error);
+    }
+}
+
+/**
+ * Gets a list of settings snapshots.
+ * @returns {Promise<Snapshot[]>} List of snapshots
+ * @typedef {Object} Snapshot
+ * @property {string} name Snapshot name
+ * @property {number} date Date in milliseconds
+ * @property {number} size File size in bytes
+ */
+async function getSnapshots() {
+    try {
+        const response = await fetch('/api/settings/get-snapshots', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to get settings snapshots');
+            throw new Error('Failed to get settings snapshots');
+        }
+
+        const snapshots = await response.json();
+        return snapshots;
+    } catch (error) {
+        console.error('Error getting settings snapshots:', error);
+        return [];
+    }
+}
+
+/**
+ * Make a snapshot of the current settings.
+ * @param {function} callback Success callback
+ * @returns {Promise<void>}
+ */
+async function makeSnapshot(callback) {
+    try {
+        const response = await fetch('/api/settings/make-snapshot', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to make snapshot');
+            throw new Error('Failed to make snapshot');
+        }
+
+        toastr.success('Snapshot created successfully', 'Snapshot Created');
+        callback();
+    } catch (error) {
+        console.error('Error making snapshot:', error);
     }
 }
 
@@ -909,72 +1637,874 @@ async function viewSettingsSnapshots() {
                     contentBlock.val(content);
                 }
 
-            });
-            template.find('.snapshotList').append(snapshotBlock);
+            });
+            template.find('.snapshotList').append(snapshotBlock);
+        }
+    }
+
+    callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: false, large: false, allowVerticalScrolling: true });
+    template.find('.makeSnapshotButton').on('click', () => makeSnapshot(renderSnapshots));
+    renderSnapshots();
+}
+
+/**
+ * Reset everything to default.
+ * @param {function} callback Success callback
+ */
+async function resetEverything(callback) {
+    try {
+        const step1Response = await fetch('/api/users/reset-step1', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!step1Response.ok) {
+            const data = await step1Response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to reset');
+            throw new Error('Failed to reset everything');
+        }
+
+        let password = '';
+        let code = '';
+
+        const template = $(await renderTemplateAsync('userReset'));
+        template.find('input[name="password"]').on('input', function () {
+            password = String($(this).val());
+        });
+        template.find('input[name="code"]').on('input', function () {
+            code = String($(this).val());
+        });
+        const confirm = await callGenericPopup(
+            template,
+            POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: 'Reset', cancelButton: 'Cancel', wide: false, large: false },
+        );
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Reset everything cancelled');
+        }
+
+        const step2Response = await fetch('/api/users/reset-step2', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ password, code }),
+        });
+
+        if (!step2Response.ok) {
+            const data = await step2Response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to reset');
+            throw new Error('Failed to reset everything');
+        }
+
+        toastr.success('Everything reset successfully', 'Reset Everything');
+        callback();
+    } catch (error) {
+        console.error('Error resetting everything:', error);
+    }
+
+}
+
+/**
+ * Gets a short description of the browser and OS from a user agent string.
+ * @param {string} userAgent User agent
+ * @returns {string}
+ */
+function describeUserAgent(userAgent) {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+    const browser = browsers.find(([token]) => userAgent.includes(token))?.[1];
+    const system = systems.find(([token]) => userAgent.includes(token))?.[1];
+
+    return browser || system ? [browser, system].filter(x => x).join(' on ') : userAgent.slice(0, 60);
+}
+
+/**
+ * Fetches the storage usage of the current user.
+ * @param {boolean} [fresh=false] Measure the usage again instead of using a recent measurement
+ * @returns {Promise<{used: number, limit: number | null, ratio: number | null, level: string, categories: Record<string, number>, exempt: boolean}>}
+ */
+async function getStorageUsage(fresh = false) {
+    const response = await fetch(`/api/users/storage${fresh ? '?fresh=true' : ''}`, {
+        method: 'GET',
+        headers: getRequestHeaders(),
+    });
+
+    if (!response.ok) {
+        throw new Error('Failed to get storage usage');
+    }
+
+    return await response.json();
+}
+
+/**
+ * Warns the user when their storage is almost or completely full. Each level is shown once per browser session.
+ */
+async function showStorageQuotaWarning() {
+    try {
+        const usage = await getStorageUsage();
+        if (usage.exempt || usage.level === 'ok' || sessionStorage.getItem(STORAGE_WARNING_SHOWN_KEY) === usage.level) {
+            return;
+        }
+
+        sessionStorage.setItem(STORAGE_WARNING_SHOWN_KEY, usage.level);
+        const summary = `${humanFileSize(usage.used)} of ${humanFileSize(usage.limit)} used.`;
+        if (usage.level === 'full') {
+            toastr.error(`${summary} Uploads and new chat messages can't be saved until you free up space.`, 'Storage full', { timeOut: 0, extendedTimeOut: 0 });
+        } else {
+            toastr.warning(`${summary} Consider deleting chats, backups or files you no longer need.`, 'Storage almost full');
+        }
+    } catch (error) {
+        console.error('Error checking storage usage:', error);
+    }
+}
+
+/**
+ * Shows the storage usage of the current user by category.
+ */
+async function viewStorageUsage() {
+    try {
+        const usage = await getStorageUsage(true);
+        const template = $(await renderTemplateAsync('userStorage'));
+
+        if (usage.limit === null || usage.exempt) {
+            template.find('.userStorageSummary').text(`${humanFileSize(usage.used)} used. Your storage is not limited.`);
+            template.find('.userStorageProgress, .userStorageHint').hide();
+        } else {
+            const percent = Math.round(usage.ratio * 100);
+            template.find('.userStorageSummary').text(`${humanFileSize(usage.used)} of ${humanFileSize(usage.limit)} used (${percent}%)`).toggleClass('warning', usage.level !== 'ok');
+            template.find('.userStorageProgress').val(Math.min(1, usage.ratio));
+        }
+
+        const tableBody = template.find('.userStorageTable tbody');
+        const categories = Object.entries(usage.categories).sort((a, b) => b[1] - a[1]);
+        for (const [category, size] of categories) {
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').text(STORAGE_CATEGORY_LABELS[category] ?? category));
+            row.append($('<td></td>').text(humanFileSize(size)));
+            row.append($('<td></td>').text(usage.used > 0 ? `${Math.round(size / usage.used * 100)}%` : '-'));
+            tableBody.append(row);
+        }
+
+        await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: false, large: false, allowVerticalScrolling: true });
+    } catch (error) {
+        console.error('Error showing storage usage:', error);
+        toastr.error('Could not load the storage usage', 'Storage Usage');
+    }
+}
+
+/**
+ * Asks which characters and chats of a restore point to restore.
+ * @param {string} id Restore point ID
+ * @returns {Promise<string[] | null>} Paths of the selected files, or null if cancelled
+ */
+async function selectRestoreItems(id) {
+    const response = await fetch(`/api/users/restore-points/${encodeURIComponent(id)}/items`, {
+        method: 'GET',
+        headers: getRequestHeaders(),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toastr.error(data.error || 'Unknown error', 'Failed to load the restore point');
+        return null;
+    }
+
+    /** @type {{type: string, path: string, name: string, character?: string, size: number}[]} */
+    const items = await response.json();
+    if (items.length === 0) {
+        toastr.info('This restore point contains no characters or chats.', 'Restore Points');
+        return null;
+    }
+
+    const template = $(await renderTemplateAsync('userRestoreItems'));
+    const list = template.find('.restoreItemsList');
+    const groups = [
+        { type: 'character', title: 'Characters' },
+        { type: 'chat', title: 'Chats' },
+        { type: 'groupChat', title: 'Group chats' },
+    ];
+
+    for (const group of groups) {
+        const groupItems = items.filter(x => x.type === group.type);
+        if (groupItems.length === 0) {
+            continue;
+        }
+
+        list.append($('<h4></h4>').text(group.title));
+        for (const item of groupItems) {
+            const label = $('<label class="checkbox_label restoreItem"></label>').attr('title', item.path);
+            label.append($('<input type="checkbox">').val(item.path));
+            label.append($('<span></span>').text(item.character ? `${item.character} / ${item.name}` : item.name));
+            label.append($('<small></small>').text(` (${humanFileSize(item.size)})`));
+            list.append(label);
+        }
+    }
+
+    template.find('.restoreItemsFilter').on('input', function () {
+        const filter = String($(this).val()).toLowerCase();
+        list.find('.restoreItem').each(function () {
+            $(this).toggle($(this).text().toLowerCase().includes(filter));
+        });
+    });
+
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Restore', cancelButton: 'Cancel', wide: false, large: false, allowVerticalScrolling: true });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return null;
+    }
+
+    const paths = list.find('input:checked').map((_, x) => String($(x).val())).get();
+    if (paths.length === 0) {
+        toastr.warning('Nothing was selected', 'Restore Points');
+        return null;
+    }
+
+    return paths;
+}
+
+/**
+ * Restores data from a restore point and reloads the page.
+ * @param {string} id Restore point ID
+ * @param {object} body Files to restore and credentials
+ */
+async function restoreFromRestorePoint(id, body) {
+    const response = await fetch('/api/users/restore-points/restore', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ id, ...body }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toastr.error(data.error || 'Unknown error', 'Failed to restore');
+        return;
+    }
+
+    const result = await response.json();
+    toastr.success(`${result.restored} files restored. Reloading...`, 'Restore Points');
+    setTimeout(() => location.reload(), 1500);
+}
+
+/**
+ * Shows the restore points of the current user and lets them restore their data.
+ */
+async function manageRestorePoints() {
+    const template = $(await renderTemplateAsync('userRestorePoints'));
+    const tableBody = template.find('.userRestorePointsTable tbody');
+
+    async function renderRestorePoints() {
+        const response = await fetch('/api/users/restore-points', {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            toastr.error(data.error || 'Unknown error', 'Failed to load restore points');
+            return;
+        }
+
+        const status = await response.json();
+        const policy = status.policy;
+        template.find('.restorePointsPolicy').text(`The server keeps the last ${policy.keepLast} restore points, one per day for ${policy.keepDaily} days and one per week for ${policy.keepWeekly} weeks.`);
+        tableBody.empty();
+
+        if (status.snapshots.length === 0) {
+            tableBody.append($('<tr></tr>').append($('<td colspan="5"></td>').text('No restore points yet.')));
+        }
+
+        for (const snapshot of status.snapshots) {
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').text(new Date(snapshot.createdAt).toLocaleString()));
+            row.append($('<td></td>').text(RESTORE_POINT_SOURCES[snapshot.trigger] ?? snapshot.trigger).attr('title', snapshot.label));
+            row.append($('<td></td>').text(snapshot.fileCount));
+            row.append($('<td></td>').text(humanFileSize(snapshot.size)));
+
+            const actionCell = $('<td class="flex-container"></td>');
+            const itemsButton = $('<div class="menu_button menu_button_icon" title="Restore selected characters and chats."><i class="fa-fw fa-solid fa-list-check"></i></div>');
+            itemsButton.on('click', async () => {
+                const paths = await selectRestoreItems(snapshot.id);
+                if (paths) {
+                    await restoreFromRestorePoint(snapshot.id, { paths });
+                }
+            });
+
+            const accountButton = $('<div class="menu_button menu_button_icon warning" title="Replace all your data with this restore point."><i class="fa-fw fa-solid fa-clock-rotate-left"></i></div>');
+            accountButton.on('click', async () => {
+                const date = new Date(snapshot.createdAt).toLocaleString();
+                const credentials = await promptReauthentication(status, `All your data will be replaced with the restore point from ${date}. Files created since then are removed.`, 'Restore');
+                if (credentials) {
+                    await restoreFromRestorePoint(snapshot.id, credentials);
+                }
+            });
+
+            const deleteButton = $('<div class="menu_button menu_button_icon" title="Delete this restore point."><i class="fa-fw fa-solid fa-trash-can"></i></div>');
+            deleteButton.on('click', async () => {
+                const confirm = await callGenericPopup('Delete this restore point?', POPUP_TYPE.CONFIRM, '', { okButton: 'Delete', cancelButton: 'Cancel' });
+                if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+                    return;
+                }
+
+                const deleteResponse = await fetch('/api/users/restore-points/delete', {
+                    method: 'POST',
+                    headers: getRequestHeaders(),
+                    body: JSON.stringify({ id: snapshot.id }),
+                });
+
+                if (!deleteResponse.ok) {
+                    const data = await deleteResponse.json().catch(() => ({}));
+                    toastr.error(data.error || 'Unknown error', 'Failed to delete the restore point');
+                    return;
+                }
+
+                await renderRestorePoints();
+            });
+
+            actionCell.append(itemsButton, accountButton, deleteButton);
+            row.append(actionCell);
+            tableBody.append(row);
+        }
+    }
+
+    template.find('.createRestorePointButton').on('click', async function () {
+        $(this).addClass('disabled');
+        try {
+            const response = await fetch('/api/users/restore-points/create', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                toastr.error(data.error || 'Unknown error', 'Failed to create a restore point');
+                return;
+            }
+
+            if (data.created) {
+                toastr.success('Restore point created', 'Restore Points');
+            } else {
+                toastr.info('Nothing changed since the last restore point', 'Restore Points');
+            }
+            await renderRestorePoints();
+        } finally {
+            $(this).removeClass('disabled');
+        }
+    });
+
+    template.find('.importRestorePointButton').on('click', () => template.find('.restorePointUpload').trigger('click'));
+    template.find('.restorePointUpload').on('change', async function () {
+        if (!(this instanceof HTMLInputElement) || !this.files[0]) {
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('avatar', this.files[0]);
+        this.value = '';
+
+        toastr.info('Reading the backup file...', 'Restore Points');
+        const response = await fetch('/api/users/restore-points/import', {
+            method: 'POST',
+            headers: getRequestHeaders({ omitContentType: true }),
+            body: formData,
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            toastr.error(data.error || 'Unknown error', 'Failed to read the backup file');
+            return;
+        }
+
+        toastr.success('The backup file was added as a restore point. Choose what to restore from it.', 'Restore Points');
+        await renderRestorePoints();
+    });
+
+    await renderRestorePoints();
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: false, allowVerticalScrolling: true });
+}
+
+/**
+ * Shows the active sessions of the current user and lets them sign out other devices.
+ */
+async function viewSessions() {
+    const template = $(await renderTemplateAsync('userSessions'));
+    const tableBody = template.find('.userSessionsTable tbody');
+
+    async function renderSessions() {
+        const response = await fetch('/api/users/sessions', {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            toastr.error('Could not load the sessions', 'Sessions');
+            return;
+        }
+
+        const sessions = await response.json();
+        tableBody.empty();
+
+        for (const session of sessions) {
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').text(describeUserAgent(session.userAgent)).attr('title', session.userAgent));
+            row.append($('<td></td>').text(session.ip));
+            row.append($('<td></td>').text(new Date(session.createdAt).toLocaleString()));
+            row.append($('<td></td>').text(new Date(session.lastSeenAt).toLocaleString()));
+
+            const actionCell = $('<td></td>');
+            if (session.current) {
+                actionCell.text('This device');
+            } else {
+                const revokeButton = $('<div class="menu_button menu_button_icon warning" title="Sign out this device."><i class="fa-fw fa-solid fa-right-from-bracket"></i></div>');
+                revokeButton.on('click', async () => {
+                    const revokeResponse = await fetch('/api/users/sessions/revoke', {
+                        method: 'POST',
+                        headers: getRequestHeaders(),
+                        body: JSON.stringify({ id: session.id }),
+                    });
+
+                    if (!revokeResponse.ok) {
+                        toastr.error('Could not sign out the device', 'Sessions');
+                        return;
+                    }
+
+                    await renderSessions();
+                });
+                actionCell.append(revokeButton);
+            }
+            row.append(actionCell);
+            tableBody.append(row);
+        }
+    }
+
+    template.find('.revokeOtherSessionsButton').on('click', async () => {
+        const response = await fetch('/api/users/sessions/revoke-others', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            toastr.error('Could not sign out the other devices', 'Sessions');
+            return;
+        }
+
+        const data = await response.json();
+        toastr.success(`${data.count} other session(s) signed out`, 'Sessions');
+        await renderSessions();
+    });
+
+    await renderSessions();
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: false, allowVerticalScrolling: true });
+}
+
+/**
+ * Asks the user to confirm it's them before a login method is changed.
+ * @param {{password: boolean, twoFactor: boolean}} status Login status of the user
+ * @param {string} message What is about to change
+ * @param {string} okButton Label of the confirm button
+ * @returns {Promise<{password: string, code: string} | null>} Entered credentials, or null if cancelled
+ */
+async function promptReauthentication(status, message, okButton) {
+    const template = $(await renderTemplateAsync('userReauthenticate'));
+    template.find('.reauthenticateMessage').text(message);
+    template.find('.currentPasswordBlock').toggle(status.password);
+    template.find('.recentLoginHint').toggle(!status.password);
+    template.find('.twoFactorCodeBlock').toggle(status.twoFactor);
+
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton, cancelButton: 'Cancel', wide: false, large: false });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return null;
+    }
+
+    return {
+        password: String(template.find('input[name="password"]').val()),
+        code: String(template.find('input[name="code"]').val()).trim(),
+    };
+}
+
+/**
+ * Shows the third-party accounts that can be used to log in and lets the user link or unlink them.
+ * @param {function} callback Called after a login method was removed
+ */
+async function manageLoginMethods(callback) {
+    const template = $(await renderTemplateAsync('userLoginMethods'));
+    const tableBody = template.find('.userLoginMethodsTable tbody');
+
+    async function renderLoginMethods() {
+        const response = await fetch('/api/users/oauth-links', {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            toastr.error('Could not load the login methods', 'Login Methods');
+            return;
+        }
+
+        const status = await response.json();
+        tableBody.empty();
+
+        if (status.providers.length === 0) {
+            tableBody.append($('<tr></tr>').append($('<td colspan="4"></td>').text('No third-party login is enabled on this server.')));
+        }
+
+        for (const provider of status.providers) {
+            const link = status.links.find(x => x.provider === provider.id);
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').append($('<i class="fa-fw"></i>').addClass(provider.icon)).append($('<span></span>').text(` ${provider.name}`)));
+            row.append($('<td></td>').text(link ? (link.name || 'Linked') : 'Not linked'));
+            row.append($('<td></td>').text(link?.linkedAt ? new Date(link.linkedAt).toLocaleString() : ''));
+
+            const actionCell = $('<td></td>');
+            if (link) {
+                const unlinkButton = $('<div class="menu_button menu_button_icon warning" title="Stop signing in with this account."><i class="fa-fw fa-solid fa-link-slash"></i><span>Unlink</span></div>');
+                unlinkButton.on('click', async () => {
+                    const credentials = await promptReauthentication(status, `You will no longer be able to sign in with ${provider.name}.`, 'Unlink');
+                    if (!credentials) {
+                        return;
+                    }
+
+                    const unlinkResponse = await fetch('/api/users/oauth-links/unlink', {
+                        method: 'POST',
+                        headers: getRequestHeaders(),
+                        body: JSON.stringify({ provider: provider.id, ...credentials }),
+                    });
+
+                    if (!unlinkResponse.ok) {
+                        const data = await unlinkResponse.json().catch(() => ({}));
+                        toastr.error(data.error || 'Unknown error', 'Failed to unlink');
+                        return;
+                    }
+
+                    toastr.success(`${provider.name} unlinked`, 'Login Methods');
+                    await renderLoginMethods();
+                    callback();
+                });
+                actionCell.append(unlinkButton);
+            } else if (provider.enabled) {
+                const linkButton = $('<div class="menu_button menu_button_icon" title="Sign in to the provider to link the account."><i class="fa-fw fa-solid fa-link"></i><span>Link</span></div>');
+                linkButton.on('click', async () => {
+                    const credentials = await promptReauthentication(status, `You will be redirected to ${provider.name} to sign in to the account you want to link.`, 'Continue');
+                    if (!credentials) {
+                        return;
+                    }
+
+                    const linkResponse = await fetch('/api/users/oauth-links/link', {
+                        method: 'POST',
+                        headers: getRequestHeaders(),
+                        body: JSON.stringify({ provider: provider.id, ...credentials }),
+                    });
+
+                    const data = await linkResponse.json().catch(() => ({}));
+                    if (!linkResponse.ok) {
+                        toastr.error(data.error || 'Unknown error', 'Failed to link');
+                        return;
+                    }
+
+                    window.location.href = data.url;
+                });
+                actionCell.append(linkButton);
+            }
+            row.append(actionCell);
+            tableBody.append(row);
+        }
+    }
+
+    await renderLoginMethods();
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: false, allowVerticalScrolling: true });
+}
+
+/**
+ * Reports the result of linking a third-party account, which returns to the app with the result in the URL.
+ */
+function showOAuthLinkResult() {
+    const params = new URLSearchParams(window.location.search);
+    const linked = params.get('oauth_linked');
+    const error = params.get('oauth_link_error');
+
+    if (!linked && !error) {
+        return;
+    }
+
+    if (linked) {
+        toastr.success('The account was linked. You can now sign in with it.', 'Login Methods');
+    } else {
+        toastr.error(error, 'Failed to link');
+    }
+
+    params.delete('oauth_linked');
+    params.delete('oauth_link_error');
+    const query = params.toString();
+    window.history.replaceState({}, document.title, window.location.pathname + (query ? `?${query}` : ''));
+}
+
+/**
+ * Shows freshly generated two-factor recovery codes.
+ * @param {string[]} codes Recovery codes
+ */
+async function showRecoveryCodes(codes) {
+    const template = $(await renderTemplateAsync('twoFactorRecoveryCodes'));
+    template.find('.twoFactorRecoveryCodes').val(codes.join('\n'));
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'I have saved them', wide: false, large: false });
+}
+
+/**
+ * Enrolls the current user in two-factor authentication.
+ * @returns {Promise<boolean>} Whether two-factor authentication was enabled
+ */
+async function enableTwoFactor() {
+    const credentials = await promptReauthentication({ password: currentUser.password, twoFactor: false }, 'You will set up an authenticator app for signing in.', 'Continue');
+    if (!credentials) {
+        return false;
+    }
+
+    const setupResponse = await fetch('/api/users/2fa/setup', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ password: credentials.password }),
+    });
+
+    if (!setupResponse.ok) {
+        const data = await setupResponse.json();
+        toastr.error(data.error || 'Unknown error', 'Failed to set up two-factor authentication');
+        return false;
+    }
+
+    const setup = await setupResponse.json();
+    const template = $(await renderTemplateAsync('twoFactorSetup'));
+    template.find('.twoFactorQrCode').attr('src', setup.qrCode);
+    template.find('.twoFactorSecret').text(setup.secret);
+
+    const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Enable', cancelButton: 'Cancel', wide: false, large: false });
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return false;
+    }
+
+    const enableResponse = await fetch('/api/users/2fa/enable', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ code: String(template.find('.twoFactorCode').val()).trim(), password: credentials.password }),
+    });
+
+    if (!enableResponse.ok) {
+        const data = await enableResponse.json();
+        toastr.error(data.error || 'Unknown error', 'Failed to enable two-factor authentication');
+        return false;
+    }
+
+    const { recoveryCodes } = await enableResponse.json();
+    toastr.success('Two-factor authentication enabled', 'Two-Factor Enabled');
+    await showRecoveryCodes(recoveryCodes);
+    return true;
+}
+
+/**
+ * Manages two-factor authentication of the current user.
+ * @param {function} callback Success callback
+ */
+async function manageTwoFactor(callback) {
+    try {
+        if (!currentUser.twoFactor) {
+            if (await enableTwoFactor()) {
+                callback();
+            }
+            return;
+        }
+
+        const statusResponse = await fetch('/api/users/2fa', {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+        const status = statusResponse.ok ? await statusResponse.json() : {};
+
+        const message = `Two-factor authentication is enabled. Recovery codes left: ${status.recoveryCodesLeft ?? '?'}.`
+            + '\n\nEnter a code from your authenticator app (or a recovery code) to continue.';
+        let action = '';
+        const code = await callGenericPopup(message, POPUP_TYPE.INPUT, '', {
+            okButton: 'Disable',
+            cancelButton: 'Cancel',
+            customButtons: [{
+                text: 'New recovery codes',
+                result: POPUP_RESULT.CUSTOM1,
+                action: () => { action = 'recovery-codes'; },
+            }],
+        });
+
+        if (!code) {
+            throw new Error('Two-factor management cancelled');
+        }
+
+        const endpoint = action === 'recovery-codes' ? '/api/users/2fa/recovery-codes' : '/api/users/2fa/disable';
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ code: String(code).trim() }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Two-factor authentication');
+            throw new Error('Failed to update two-factor authentication');
+        }
+
+        if (action === 'recovery-codes') {
+            const { recoveryCodes } = await response.json();
+            await showRecoveryCodes(recoveryCodes);
+        } else {
+            toastr.success('Two-factor authentication disabled', 'Two-Factor Disabled');
         }
+
+        callback();
+    } catch (error) {
+        console.error('Error managing two-factor authentication:', error);
     }
+}
 
-    callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: false, large: false, allowVerticalScrolling: true });
-    template.find('.makeSnapshotButton').on('click', () => makeSnapshot(renderSnapshots));
-    renderSnapshots();
+/**
+ * Shows the expiration date of the current user in the profile.
+ * @param {JQuery<HTMLElement>} template Profile template
+ */
+function renderUserExpiry(template) {
+    const element = template.find('.userExpiresAt');
+
+    if (!currentUser.expiresAt) {
+        element.text('Permanent').css('color', 'green');
+        return;
+    }
+
+    const expiresDate = new Date(currentUser.expiresAt);
+    const daysLeft = Math.ceil((expiresDate.getTime() - Date.now()) / (1000 * 60 * 60 * 24));
+    let expiresText = expiresDate.toLocaleString();
+    if (daysLeft > 0) {
+        expiresText += ` (${daysLeft} days remaining)`;
+    } else if (currentUser.readOnly) {
+        expiresText += ' (expired, read-only)';
+    } else {
+        expiresText += ' (expired)';
+    }
+    element.text(expiresText);
+    element.css('color', daysLeft <= 0 ? 'red' : (daysLeft <= 7 ? 'orange' : ''));
 }
 
 /**
- * Reset everything to default.
+ * Asks for a renewal code and renews the subscription of the current user.
  * @param {function} callback Success callback
  */
-async function resetEverything(callback) {
+async function renewSubscription(callback) {
+    let purchaseLink = '';
     try {
-        const step1Response = await fetch('/api/users/reset-step1', {
-            method: 'POST',
+        const linkResponse = await fetch('/api/invitation-codes/purchase-link', {
+            method: 'GET',
             headers: getRequestHeaders(),
         });
-
-        if (!step1Response.ok) {
-            const data = await step1Response.json();
-            toastr.error(data.error || 'Unknown error', 'Failed to reset');
-            throw new Error('Failed to reset everything');
+        if (linkResponse.ok) {
+            const linkData = await linkResponse.json();
+            purchaseLink = linkData.purchaseLink || '';
         }
+    } catch (error) {
+        console.error('Failed to fetch purchase link:', error);
+    }
 
-        let password = '';
-        let code = '';
+    let promptMessage = 'Enter a renewal code.';
+    if (purchaseLink) {
+        promptMessage = `Enter a renewal code.\n\nTo purchase a renewal code, visit:\n${purchaseLink}`;
+    }
 
-        const template = $(await renderTemplateAsync('userReset'));
-        template.find('input[name="password"]').on('input', function () {
-            password = String($(this).val());
-        });
-        template.find('input[name="code"]').on('input', function () {
-            code = String($(this).val());
-        });
-        const confirm = await callGenericPopup(
-            template,
-            POPUP_TYPE.CONFIRM,
-            '',
-            { okButton: 'Reset', cancelButton: 'Cancel', wide: false, large: false },
-        );
+    const code = await callGenericPopup(promptMessage, POPUP_TYPE.INPUT, '', { okButton: 'Confirm', cancelButton: 'Cancel' });
 
-        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
-            throw new Error('Reset everything cancelled');
-        }
+    if (!code) {
+        return;
+    }
 
-        const step2Response = await fetch('/api/users/reset-step2', {
+    try {
+        const response = await fetch('/api/users/renew', {
             method: 'POST',
             headers: getRequestHeaders(),
-            body: JSON.stringify({ password, code }),
+            body: JSON.stringify({ invitationCode: code }),
         });
 
-        if (!step2Response.ok) {
-            const data = await step2Response.json();
-            toastr.error(data.error || 'Unknown error', 'Failed to reset');
-            throw new Error('Failed to reset everything');
+        const data = await response.json();
+
+        if (!response.ok) {
+            toastr.error(data.error || 'Renewal failed', 'Error');
+            return;
         }
 
-        toastr.success('Everything reset successfully', 'Reset Everything');
+        toastr.success(data.message || 'Renewal successful', 'Success');
+        await getCurrentUser();
         callback();
     } catch (error) {
-        console.error('Error resetting everything:', error);
+        console.error('Renewal error:', error);
+        toastr.error('Renewal failed. Please try again.', 'Error');
     }
+}
+
+/**
+ * Shows a banner when the subscription of the current user is about to expire, or has expired
+ * and the account is in its read-only grace period.
+ */
+function updateExpiryBanner() {
+    $('#accountExpiryBanner').remove();
+
+    if (!accountsEnabled || !currentUser?.expiresAt) {
+        return;
+    }
+
+    const daysLeft = Math.ceil((currentUser.expiresAt - Date.now()) / (1000 * 60 * 60 * 24));
+    const readOnly = Boolean(currentUser.readOnly);
+    let message = '';
+
+    if (readOnly) {
+        const graceEnds = new Date(currentUser.graceEndsAt).toLocaleString();
+        message = `Your account has expired and is read-only. You can download a backup of your data until ${graceEnds}.`;
+    } else if (daysLeft > 0 && daysLeft <= currentUser.expiryWarningDays) {
+        if (sessionStorage.getItem(EXPIRY_BANNER_DISMISSED_KEY) === String(currentUser.expiresAt)) {
+            return;
+        }
+        message = daysLeft === 1 ? 'Your account expires in 1 day.' : `Your account expires in ${daysLeft} days.`;
+    } else {
+        return;
+    }
+
+    const banner = $('<div id="accountExpiryBanner"></div>').addClass(readOnly ? 'readOnly' : 'warning');
+    banner.append('<i class="fa-fw fa-solid fa-hourglass-half"></i>');
+    banner.append($('<span></span>').text(message));
+
+    const renewButton = $('<div class="menu_button menu_button_icon"><i class="fa-fw fa-solid fa-ticket"></i><span>Renew</span></div>');
+    renewButton.on('click', () => renewSubscription(() => {}));
+    banner.append(renewButton);
 
+    if (readOnly) {
+        const backupButton = $('<div class="menu_button menu_button_icon"><i class="fa-fw fa-solid fa-download"></i><span>Download Backup</span></div>');
+        backupButton.on('click', function () {
+            $(this).addClass('disabled');
+            backupUserData(currentUser.handle, () => $(this).removeClass('disabled'));
+        });
+        banner.append(backupButton);
+    } else {
+        const closeButton = $('<div class="right_menu_button" title="Dismiss"><i class="fa-fw fa-solid fa-xmark"></i></div>');
+        closeButton.on('click', () => {
+            sessionStorage.setItem(EXPIRY_BANNER_DISMISSED_KEY, String(currentUser.expiresAt));
+            banner.remove();
+        });
+        banner.append(closeButton);
+    }
+
+    $('body').append(banner);
+}
+
+/**
+ * Shows the linked third-party accounts in the user profile.
+ * @param {JQuery<HTMLElement>} template User profile template
+ */
+function renderOAuthProviders(template) {
+    const providers = currentUser.oauthProviders || [];
+    template.find('.oauthProviderBlock').toggle(providers.length > 0);
+    template.find('.oauthProvider').text(providers.map(x => x.name).join(', '));
 }
 
 async function openUserProfile() {
@@ -988,48 +2518,20 @@ async function openUserProfile() {
     template.find('.userCreated').text(new Date(currentUser.created).toLocaleString());
     template.find('.hasPassword').toggle(currentUser.password);
     template.find('.noPassword').toggle(!currentUser.password);
+    template.find('.twoFactorStatus').text(currentUser.twoFactor ? 'Enabled' : 'Disabled');
 
-    // Show OAuth provider info.
-    if (currentUser.oauthProvider) {
-        const providerNames = {
-            'github': 'GitHub',
-            'discord': 'Discord',
-            'linuxdo': 'Linux.do'
-        };
-        const providerName = providerNames[currentUser.oauthProvider] || currentUser.oauthProvider;
-        template.find('.oauthProviderBlock').show();
-        template.find('.oauthProvider').text(providerName);
-    } else {
-        template.find('.oauthProviderBlock').hide();
-    }
+    renderOAuthProviders(template);
 
     // Show email (empty if not set).
     const userEmail = currentUser.email || '';
     template.find('.userEmail').text(userEmail);
 
-    // Show expiration date.
-    if (currentUser.expiresAt) {
-        const expiresDate = new Date(currentUser.expiresAt);
-        const now = new Date();
-        const daysLeft = Math.ceil((expiresDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
-        let expiresText = expiresDate.toLocaleString();
-        if (daysLeft > 0) {
-            expiresText += ` (${daysLeft} days remaining)`;
-        } else {
-            expiresText += ' (expired)';
-        }
-        template.find('.userExpiresAt').text(expiresText);
-        if (daysLeft <= 7 && daysLeft > 0) {
-            template.find('.userExpiresAt').css('color', 'orange');
-        } else if (daysLeft <= 0) {
-            template.find('.userExpiresAt').css('color', 'red');
-        }
-    } else {
-        template.find('.userExpiresAt').text('Permanent');
-        template.find('.userExpiresAt').css('color', 'green');
-    }
+    renderUserExpiry(template);
 
     template.find('.userSettingsSnapshotsButton').on('click', () => viewSettingsSnapshots());
+    template.find('.userSessionsButton').on('click', () => viewSessions());
+    template.find('.userStorageButton').on('click', () => viewStorageUsage());
+    template.find('.userRestorePointsButton').on('click', () => manageRestorePoints());
     template.find('.userChangeNameButton').on('click', async () => changeName(currentUser.handle, currentUser.name, async () => {
         await getCurrentUser();
         template.find('.userName').text(currentUser.name);
@@ -1040,72 +2542,17 @@ async function openUserProfile() {
         template.find('.noPassword').toggle(!currentUser.password);
     }));
 
-    // Renewal button.
-    template.find('.userRenewButton').on('click', async () => {
-        // Fetch purchase link.
-        let purchaseLink = '';
-        try {
-            const linkResponse = await fetch('/api/invitation-codes/purchase-link', {
-                method: 'GET',
-                headers: getRequestHeaders()
-            });
-            if (linkResponse.ok) {
-                const linkData = await linkResponse.json();
-                purchaseLink = linkData.purchaseLink || '';
-            }
-        } catch (error) {
-            console.error('Failed to fetch purchase link:', error);
-        }
-
-        // Build prompt message.
-        let promptMessage = 'Enter a renewal code.';
-        if (purchaseLink) {
-            promptMessage = `Enter a renewal code.\n\nTo purchase a renewal code, visit:\n${purchaseLink}`;
-        }
-
-        const code = await callGenericPopup(promptMessage, POPUP_TYPE.INPUT, '', { okButton: 'Confirm', cancelButton: 'Cancel' });
-
-        if (!code) {
-            return;
-        }
-
-        try {
-            const response = await fetch('/api/users/renew', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({ invitationCode: code })
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                toastr.error(data.error || 'Renewal failed', 'Error');
-                return;
-            }
+    template.find('.userLoginMethodsButton').on('click', () => manageLoginMethods(async () => {
+        await getCurrentUser();
+        renderOAuthProviders(template);
+    }));
 
-            toastr.success(data.message || 'Renewal successful', 'Success');
+    template.find('.userTwoFactorButton').on('click', () => manageTwoFactor(async () => {
+        await getCurrentUser();
+        template.find('.twoFactorStatus').text(currentUser.twoFactor ? 'Enabled' : 'Disabled');
+    }));
 
-            // Refresh user info.
-            await getCurrentUser();
-            if (currentUser.expiresAt) {
-                const expiresDate = new Date(currentUser.expiresAt);
-                const now = new Date();
-                const daysLeft = Math.ceil((expiresDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
-                let expiresText = expiresDate.toLocaleString();
-                if (daysLeft > 0) {
-                    expiresText += ` (${daysLeft} days remaining)`;
-                }
-                template.find('.userExpiresAt').text(expiresText);
-                template.find('.userExpiresAt').css('color', daysLeft <= 7 ? 'orange' : '');
-            } else {
-                template.find('.userExpiresAt').text('Permanent');
-                template.find('.userExpiresAt').css('color', 'green');
-            }
-        } catch (error) {
-            console.error('Renewal error:', error);
-            toastr.error('Renewal failed. Please try again.', 'Error');
-        }
-    });
+    template.find('.userRenewButton').on('click', () => renewSubscription(() => renderUserExpiry(template)));
 
     template.find('.userBackupButton').on('click', function () {
         $(this).addClass('disabled');
@@ -1197,39 +2644,33 @@ async function openAdminPanel() {
     // User list pagination variables.
     let currentUserPage = 1;
     const usersPerPage = 20; // 20 users per page.
-    let userSearchTerm = '';
-    let allUsers = []; // Store all user data.
+    let userFilters = {}; // Directory filters, applied by the server.
+    const selectedHandles = new Set(); // Users selected for bulk actions, kept across pages.
 
-    async function renderUsers() {
-        // Quickly load user list (without storage sizes).
-        const users = await getUsers(false);
-        allUsers = users; // Save user data.
-
-        // Apply search filtering.
-        let filteredUsers = users;
-        if (userSearchTerm) {
-            filteredUsers = users.filter(user =>
-                user.name.toLowerCase().includes(userSearchTerm.toLowerCase()) ||
-                user.handle.toLowerCase().includes(userSearchTerm.toLowerCase())
-            );
-        }
-
-        // Compute pagination.
-        const totalPages = Math.ceil(filteredUsers.length / usersPerPage);
+    function updateSelectedCount() {
+        template.find('.usersListControls .userSelectedCount').text(`${selectedHandles.size} selected`);
+    }
 
-        // If current page is out of range, adjust to the last page.
-        if (currentUserPage > totalPages && totalPages > 0) {
-            currentUserPage = totalPages;
-        } else if (totalPages === 0) {
-            currentUserPage = 1;
+    async function renderUsers() {
+        // Quickly load the current page (without storage sizes).
+        let result;
+        try {
+            result = await getUsersPage(currentUserPage, usersPerPage, userFilters);
+        } catch (error) {
+            console.error('Error getting users:', error);
+            toastr.error('Failed to load users');
+            return;
         }
 
+        // The server clamps the page to the available range.
+        currentUserPage = result.page;
+        const pageUsers = result.users;
+        const totalPages = result.total > 0 ? result.totalPages : 0;
         const startIndex = (currentUserPage - 1) * usersPerPage;
-        const endIndex = startIndex + usersPerPage;
-        const pageUsers = filteredUsers.slice(startIndex, endIndex);
+        const endIndex = startIndex + pageUsers.length;
 
         // Clear old user cards.
-        template.find('.navTab.usersList .userAccount').remove();
+        template.find('.navTab.usersList .userAccount, .navTab.usersList .usersListEmpty').remove();
 
         // Ensure user list container exists.
         let usersListContainer = template.find('.navTab.usersList .usersListContainer');
@@ -1241,13 +2682,39 @@ async function openAdminPanel() {
         // Store user blocks for later storage size updates.
         const userBlocks = new Map();
 
-        // Add search box and stats (ensure inside navTab).
+        // Add search, filters and bulk actions (ensure inside navTab).
         let controlsHtml = template.find('.navTab.usersList .usersListControls');
         if (controlsHtml.length === 0) {
+            const bulkOptions = Object.entries(BULK_USER_ACTIONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
             controlsHtml = $(`
-                <div class="usersListControls" style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px; padding: 10px; background: var(--SmartThemeBlurTintColor); border-radius: 10px;">
-                    <input type="text" id="userSearchInput" placeholder="Search username or handle..." value="" class="text_pole" style="flex: 1;">
-                    <span class="userCount" style="white-space: nowrap; opacity: 0.7; font-size: 0.9em; padding: 5px 10px; background: var(--black30a); border-radius: 5px;"></span>
+                <div class="usersListControls" style="display: flex; flex-direction: column; gap: 10px; margin-bottom: 15px; padding: 10px; background: var(--SmartThemeBlurTintColor); border-radius: 10px;">
+                    <div style="display: flex; align-items: center; gap: 10px;">
+                        <input type="text" id="userSearchInput" placeholder="Search handle, name or email..." value="" class="text_pole" style="flex: 1;">
+                        <span class="userCount" style="white-space: nowrap; opacity: 0.7; font-size: 0.9em; padding: 5px 10px; background: var(--black30a); border-radius: 5px;"></span>
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap;">
+                        <label class="checkbox_label"><input type="checkbox" class="userFilterExpired"> Expired</label>
+                        <label class="checkbox_label"><input type="checkbox" class="userFilterDisabled"> Disabled</label>
+                        <input type="number" class="text_pole userFilterInactiveDays" min="0" placeholder="Inactive for more than (days)" style="width: 220px;">
+                        <input type="number" class="text_pole userFilterMinStorage" min="0" step="0.1" placeholder="Storage over (MiB)" style="width: 160px;">
+                        <select class="text_pole userFilterSource" style="width: auto;">
+                            <option value="">Any registration</option>
+                            <option value="oauth">${REGISTRATION_SOURCE_LABELS.oauth}</option>
+                            <option value="invitation">${REGISTRATION_SOURCE_LABELS.invitation}</option>
+                            <option value="direct">${REGISTRATION_SOURCE_LABELS.direct}</option>
+                        </select>
+                        <div class="menu_button menu_button_icon userExportButton" title="Download the matching users as CSV">
+                            <i class="fa-fw fa-solid fa-file-csv"></i>
+                            <span>Export CSV</span>
+                        </div>
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap;">
+                        <label class="checkbox_label"><input type="checkbox" class="userSelectPage"> Select page</label>
+                        <label class="checkbox_label"><input type="checkbox" class="userSelectAllMatching"> All matching users</label>
+                        <span class="userSelectedCount" style="opacity: 0.7;"></span>
+                        <select class="text_pole userBulkAction" style="width: auto;">${bulkOptions}</select>
+                        <div class="menu_button userBulkRunButton">Run</div>
+                    </div>
                 </div>
             `);
             // Insert at the start of navTab.usersList (after existing buttons).
@@ -1258,24 +2725,58 @@ async function openAdminPanel() {
             } else {
                 navTab.prepend(controlsHtml);
             }
-        }
 
-        controlsHtml.find('#userSearchInput').val(userSearchTerm);
-        controlsHtml.find('.userCount').text(`Showing ${startIndex + 1}-${Math.min(endIndex, filteredUsers.length)} / ${filteredUsers.length} users`);
+            const applyFilters = () => {
+                userFilters = {
+                    search: String(controlsHtml.find('#userSearchInput').val() ?? '').trim(),
+                    expired: controlsHtml.find('.userFilterExpired').is(':checked'),
+                    disabled: controlsHtml.find('.userFilterDisabled').is(':checked'),
+                    inactiveDays: Number(controlsHtml.find('.userFilterInactiveDays').val()) || undefined,
+                    minStorageMiB: Number(controlsHtml.find('.userFilterMinStorage').val()) || undefined,
+                    source: String(controlsHtml.find('.userFilterSource').val() || '') || undefined,
+                };
+                currentUserPage = 1; // Reset to first page.
+                selectedHandles.clear();
+                renderUsers();
+            };
+
+            // Bind search and filters with debounce.
+            controlsHtml.find('#userSearchInput, .userFilterInactiveDays, .userFilterMinStorage').on('input', debounceSearch(applyFilters, 300));
+            controlsHtml.find('.userFilterExpired, .userFilterDisabled, .userFilterSource').on('change', applyFilters);
+            controlsHtml.find('.userExportButton').on('click', () => exportUsers(userFilters));
+            controlsHtml.find('.userSelectPage').on('change', function () {
+                usersListContainer.find('.userSelect').prop('checked', $(this).is(':checked')).trigger('change');
+            });
+            controlsHtml.find('.userBulkRunButton').on('click', () => {
+                const action = String(controlsHtml.find('.userBulkAction').val());
+                const selection = controlsHtml.find('.userSelectAllMatching').is(':checked')
+                    ? { filters: userFilters }
+                    : { handles: [...selectedHandles] };
+
+                if (selection.handles?.length === 0) {
+                    toastr.warning('Select users or choose all matching users first');
+                    return;
+                }
 
-        // Bind search with debounce.
-        controlsHtml.find('#userSearchInput').off('input').on('input', debounceSearch(function() {
-            userSearchTerm = String($(this).val() ?? '').trim();
-            currentUserPage = 1; // Reset to first page.
-            renderUsers();
-        }, 300));
+                runBulkUserAction(action, selection, () => {
+                    selectedHandles.clear();
+                    renderUsers();
+                });
+            });
+        }
+
+        controlsHtml.find('.userSelectPage').prop('checked', false);
+        controlsHtml.find('.userCount').text(result.total > 0 ? `Showing ${startIndex + 1}-${endIndex} / ${result.total} users` : '0 users');
+        updateSelectedCount();
 
         // Show empty state when no users.
-        if (filteredUsers.length === 0) {
-            const emptyMessage = userSearchTerm
-                ? `<div style="text-align: center; padding: 40px; opacity: 0.7;">No matching users found</div>`
-                : `<div style="text-align: center; padding: 40px; opacity: 0.7;">No users available</div>`;
+        if (result.total === 0) {
+            const hasFilters = Object.values(userFilters).some(x => x);
+            const emptyMessage = hasFilters
+                ? '<div class="usersListEmpty" style="text-align: center; padding: 40px; opacity: 0.7;">No matching users found</div>'
+                : '<div class="usersListEmpty" style="text-align: center; padding: 40px; opacity: 0.7;">No users available</div>';
             usersListContainer.append(emptyMessage);
+            template.find('.navTab.usersList .usersPaginationBottom').empty();
             return;
         }
 
@@ -1285,12 +2786,23 @@ async function openAdminPanel() {
             userBlock.find('.userHandle').text(user.handle);
             const userEmail = user.email || '';
             userBlock.find('.userEmail').text(userEmail);
+            userBlock.find('.userGroups').text(user.groups?.length ? user.groups.join(', ') : '-');
             userBlock.find('.userStatus').text(user.enabled ? 'Enabled' : 'Disabled');
-            userBlock.find('.userRole').text(user.admin ? 'Admin' : 'User');
+            userBlock.find('.userRole').text(user.admin ? 'Admin' : (user.role ? `User (${user.role})` : 'User'));
             userBlock.find('.avatar img').attr('src', user.avatar);
             userBlock.find('.hasPassword').toggle(user.password);
             userBlock.find('.noPassword').toggle(!user.password);
             userBlock.find('.userCreated').text(new Date(user.created).toLocaleString());
+            userBlock.find('.userLastActivity').text(user.lastActivity ? new Date(user.lastActivity).toLocaleString() : '-');
+            userBlock.find('.userRegistrationSource').text(user.oauthProvider ? `${REGISTRATION_SOURCE_LABELS.oauth} (${user.oauthProvider})` : (REGISTRATION_SOURCE_LABELS[user.registrationSource] ?? '-'));
+            userBlock.find('.userSelect').prop('checked', selectedHandles.has(user.handle)).on('change', function () {
+                if ($(this).is(':checked')) {
+                    selectedHandles.add(user.handle);
+                } else {
+                    selectedHandles.delete(user.handle);
+                }
+                updateSelectedCount();
+            });
 
             // Show initial "Loading..."
             userBlock.find('.userStorageSize').text('Loading...');
@@ -1325,7 +2837,12 @@ async function openAdminPanel() {
             userBlock.find('.userPromoteButton').toggle(!user.admin).on('click', () => promoteUser(user.handle, renderUsers));
             userBlock.find('.userDemoteButton').toggle(user.admin).on('click', () => demoteUser(user.handle, renderUsers));
             userBlock.find('.userChangePasswordButton').on('click', () => changePassword(user.handle, renderUsers));
+            userBlock.find('.userGroupsButton').on('click', () => changeGroups(user.handle, user.groups, renderUsers));
+            userBlock.find('.userRoleButton').on('click', () => changeRole(user.handle, user.role, renderUsers));
+            userBlock.find('.userQuotaButton').on('click', () => manageUserQuota(user.handle, renderUsers));
+            userBlock.find('.userReset2faButton').toggle(!!user.twoFactor).on('click', () => resetTwoFactor(user.handle, renderUsers));
             userBlock.find('.userClearBackupsButton').on('click', () => clearUserBackups(user.handle, renderUsers));
+            userBlock.find('.userForceLogoutButton').on('click', () => forceLogoutUser(user.handle, renderUsers));
             userBlock.find('.userDelete').on('click', () => deleteUser(user.handle, renderUsers));
             userBlock.find('.userChangeNameButton').on('click', async () => changeName(user.handle, user.name, renderUsers));
             userBlock.find('.userBackupButton').on('click', function () {
@@ -1359,7 +2876,7 @@ async function openAdminPanel() {
             paginationBottom = $('<div class="usersPaginationBottom"></div>');
             template.find('.navTab.usersList').append(paginationBottom);
         }
-        paginationBottom.html(createUserPaginationControls(currentUserPage, totalPages, filteredUsers.length));
+        paginationBottom.html(createUserPaginationControls(currentUserPage, totalPages, result.total));
 
         // Bind pagination button events.
         bindUserPaginationEvents();
@@ -1531,7 +3048,8 @@ if (typeof window.initializeAdminExtensions === 'function') {
         createUser(event.target, () => {
             template.find('.manageUsersButton').trigger('click');
             currentUserPage = 1; // Reset to first page to show new user.
-            userSearchTerm = ''; // Clear search term.
+            userFilters = {}; // Clear search and filters.
+            template.find('.navTab.usersList .usersListControls').remove();
             renderUsers();
         });
     });
@@ -1542,183 +3060,241 @@ if (typeof window.initializeAdminExtensions === 'function') {
     // Bind delete-inactive-users button.
     template.find('.deleteInactiveUsersButton').on('click', () => deleteInactiveUsers(renderUsers));
 
+    // Bind quota tiers button.
+    template.find('.quotaTiersButton').on('click', () => manageQuotaTiers());
+
+    // Bind roles button.
+    template.find('.rolesButton').on('click', () => manageRoles(renderUsers));
+
     // Bind scheduled task buttons.
     initScheduledTasksHandlers(template);
 
+    // Users with a role only see the tabs their permissions allow.
+    const allowedTabButtons = template.find('.adminNav > button').filter(function () {
+        const permission = Object.entries(ADMIN_TAB_PERMISSIONS).find(([className]) => this.classList.contains(className))?.[1];
+        return isAdmin() || (!!permission && hasPermission(permission));
+    });
+    template.find('.adminNav > button').not(allowedTabButtons).hide();
+
     callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, large: true, allowVerticalScrolling: true, allowHorizontalScrolling: true });
 
-    renderUsers();
+    if (isAdmin()) {
+        renderUsers();
+    } else {
+        allowedTabButtons.first().trigger('click');
+    }
 }
 
 /**
- * Initialize scheduled task handlers.
- * @param {JQuery<HTMLElement>} template - Template jQuery object
+ * Describes the result of a scheduled task run in one line.
+ * @param {object} run Task run
+ * @returns {string}
  */
-function initScheduledTasksHandlers(template) {
-    const enabledCheckbox = template.find('#scheduledClearBackupsEnabled');
-    const configDiv = template.find('#scheduledClearBackupsConfig');
-    const cronInput = template.find('#scheduledClearBackupsCron');
-    const saveButton = template.find('#saveScheduledClearBackups');
-    const testButton = template.find('#testScheduledClearBackups');
-    const loadButton = template.find('#loadScheduledClearBackups');
-    const testCronButton = template.find('#testScheduledClearBackupsCron');
-    const statusDiv = template.find('#scheduledClearBackupsStatus');
-
-    // Toggle enabled/disabled state.
-    enabledCheckbox.on('change', function() {
-        if ($(this).is(':checked')) {
-            configDiv.slideDown();
-        } else {
-            configDiv.slideUp();
+function describeScheduledTaskRun(run) {
+    const when = new Date(run.startedAt).toLocaleString();
+    const trigger = run.trigger === 'manual' ? `manual, ${run.triggeredBy || 'admin'}` : 'scheduled';
+    const duration = run.finishedAt ? `${((run.finishedAt - run.startedAt) / 1000).toFixed(1)}s` : '';
+    const result = run.success
+        ? Object.entries(run.result || {}).map(([key, value]) => `${key}: ${key.endsWith('Size') ? humanFileSize(value) : value}`).join(', ')
+        : `Failed: ${run.error}`;
+    return `${when} (${trigger}, ${duration}) - ${result || 'Done'}`;
+}
+
+/**
+ * Shows the recent runs of a scheduled task.
+ * @param {string} name Task name
+ * @param {string} label Task label
+ */
+async function viewScheduledTaskHistory(name, label) {
+    try {
+        const response = await fetch(`/api/scheduled-tasks/${encodeURIComponent(name)}/history`, {
+            method: 'GET',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to load task history.');
         }
-    });
 
-    // Validate Cron expression.
-    testCronButton.on('click', async function() {
-        const cronExpression = String(cronInput.val() ?? '').trim();
-        if (!cronExpression) {
-            showScheduledTaskStatus(statusDiv, 'Please enter a Cron expression.', 'error');
-            return;
+        const { history } = await response.json();
+        const container = $('<div class="flex-container flexFlowColumn flexNoGap"></div>');
+        container.append($('<h3></h3>').text(`${label} - run history`));
+
+        if (history.length === 0) {
+            container.append('<div>The task has not run yet.</div>');
         }
 
-        try {
-            // Basic regex validation (full validation happens server-side).
-            const cronPattern = /^(\*|([0-9]|[1-5][0-9])|\*\/([0-9]|[1-5][0-9]))\s+(\*|([0-9]|1[0-9]|2[0-3])|\*\/([0-9]|1[0-9]|2[0-3]))\s+(\*|([1-9]|[12][0-9]|3[01])|\*\/([1-9]|[12][0-9]|3[01]))\s+(\*|([1-9]|1[0-2])|\*\/([1-9]|1[0-2]))\s+(\*|([0-6])|\*\/([0-6]))$/;
-            if (cronPattern.test(cronExpression)) {
-                showScheduledTaskStatus(statusDiv, 'Cron expression looks valid.', 'success');
-            } else {
-                showScheduledTaskStatus(statusDiv, 'Cron expression may be invalid. Please double-check.', 'warning');
-            }
-        } catch (error) {
-            console.error('Error validating cron:', error);
-            showScheduledTaskStatus(statusDiv, 'Validation failed: ' + error.message, 'error');
+        for (const run of history) {
+            const line = $('<div class="justifyLeft"></div>').text(describeScheduledTaskRun(run));
+            line.css('color', run.success ? '' : 'red');
+            container.append(line);
         }
-    });
 
-    // Save configuration.
-    saveButton.on('click', async function() {
-        const enabled = enabledCheckbox.is(':checked');
-        const cronExpression = String(cronInput.val() ?? '').trim();
+        await callGenericPopup(container, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: true, allowVerticalScrolling: true });
+    } catch (error) {
+        console.error('Error loading scheduled task history:', error);
+        toastr.error(error.message, 'Error');
+    }
+}
 
-        if (enabled && !cronExpression) {
-            showScheduledTaskStatus(statusDiv, 'Cron expression is required when enabling the schedule.', 'error');
-            return;
-        }
+/**
+ * Initialize scheduled task handlers.
+ * @param {JQuery<HTMLElement>} template - Template jQuery object
+ */
+function initScheduledTasksHandlers(template) {
+    const listContainer = template.find('.scheduledTasksList');
+    const loadButton = template.find('#loadScheduledTasks');
+
+    loadButton.on('click', loadScheduledTasks);
 
-        const button = $(this);
-        const originalText = button.html();
-        button.prop('disabled', true);
-        button.html('<i class="fa-fw fa-solid fa-spinner fa-spin"></i><span>Saving...</span>');
+    // Initial config load.
+    loadScheduledTasks();
 
+    /**
+     * Load all scheduled tasks and render their configuration.
+     */
+    async function loadScheduledTasks() {
         try {
-            const response = await fetch('/api/scheduled-tasks/config', {
-                method: 'POST',
+            const response = await fetch('/api/scheduled-tasks', {
+                method: 'GET',
                 headers: getRequestHeaders(),
-                body: JSON.stringify({
-                    enabled: enabled,
-                    cronExpression: cronExpression,
-                }),
             });
 
             if (!response.ok) {
-                const data = await response.json();
-                throw new Error(data.error || 'Failed to save configuration.');
+                throw new Error('Failed to load configuration.');
             }
 
             const data = await response.json();
-            showScheduledTaskStatus(statusDiv, data.message || 'Configuration saved.', 'success');
-            toastr.success(data.message || 'Scheduled task configuration saved.', 'Success');
+            listContainer.empty();
+
+            for (const task of data.tasks) {
+                listContainer.append(renderScheduledTask(task));
+            }
         } catch (error) {
-            console.error('Error saving scheduled task config:', error);
-            showScheduledTaskStatus(statusDiv, 'Save failed: ' + error.message, 'error');
-            toastr.error('Failed to save scheduled task configuration: ' + error.message, 'Error');
-        } finally {
-            button.prop('disabled', false);
-            button.html(originalText);
+            console.error('Error loading scheduled task config:', error);
+            toastr.error('Failed to load scheduled tasks: ' + error.message, 'Error');
         }
-    });
+    }
 
-    // Run immediately.
-    testButton.on('click', async function() {
-        if (!confirm('Run the clear-all-backups task now?')) {
-            return;
+    /**
+     * Render the configuration block of a scheduled task.
+     * @param {object} task Task from the server
+     * @returns {JQuery<HTMLElement>}
+     */
+    function renderScheduledTask(task) {
+        const block = template.find('.scheduledTaskTemplate .scheduledTaskItem').clone();
+        const statusDiv = block.find('.scheduledTaskStatus');
+        const config = task.config;
+
+        block.find('.scheduledTaskLabel').text(task.label);
+        block.find('.scheduledTaskDescription').text(task.description);
+        block.find('.scheduledTaskEnabled').prop('checked', config.enabled);
+        block.find('.scheduledTaskCron').val(config.cronExpression || task.defaultCron);
+        block.find('.scheduledTaskTimezone').val(config.timezone);
+
+        const optionsContainer = block.find('.scheduledTaskOptions');
+        for (const field of task.optionFields) {
+            const value = config.options[field.name];
+            if (field.type === 'boolean') {
+                const label = $('<label class="checkbox_label"></label>');
+                label.append($('<input type="checkbox">').attr('data-option', field.name).prop('checked', !!value));
+                label.append($('<span></span>').text(field.label));
+                optionsContainer.append(label);
+            } else {
+                const row = $('<div class="flex-container flexGap10 alignItemsCenter"></div>');
+                row.append($('<label style="min-width: 120px;"></label>').text(`${field.label}:`));
+                const input = $('<input class="text_pole flex1">')
+                    .attr('type', field.type === 'number' ? 'number' : 'text')
+                    .attr('data-option', field.name)
+                    .val(value);
+                if (field.type === 'number' && field.min !== undefined) {
+                    input.attr('min', field.min);
+                }
+                row.append(input);
+                optionsContainer.append(row);
+            }
         }
 
-        const button = $(this);
-        const originalText = button.html();
-        button.prop('disabled', true);
-        button.html('<i class="fa-fw fa-solid fa-spinner fa-spin"></i><span>Running...</span>');
+        const lastRunText = [];
+        if (task.running) {
+            lastRunText.push('Running now.');
+        }
+        if (task.status?.nextRun) {
+            lastRunText.push(`Next run: ${new Date(task.status.nextRun).toLocaleString()}.`);
+        }
+        lastRunText.push(task.lastRun ? `Last run: ${describeScheduledTaskRun(task.lastRun)}` : 'Never run.');
+        block.find('.scheduledTaskLastRun').text(lastRunText.join(' '));
 
-        try {
-            const response = await fetch('/api/scheduled-tasks/execute/clear-all-backups', {
-                method: 'POST',
-                headers: getRequestHeaders(),
+        block.find('.scheduledTaskSave').on('click', async function () {
+            const options = {};
+            optionsContainer.find('[data-option]').each(function () {
+                const input = $(this);
+                options[input.attr('data-option')] = input.is(':checkbox') ? input.is(':checked') : input.val();
             });
 
-            if (!response.ok) {
+            const button = $(this);
+            button.prop('disabled', true);
+
+            try {
+                const response = await fetch(`/api/scheduled-tasks/${encodeURIComponent(task.name)}/config`, {
+                    method: 'POST',
+                    headers: getRequestHeaders(),
+                    body: JSON.stringify({
+                        enabled: block.find('.scheduledTaskEnabled').is(':checked'),
+                        cronExpression: String(block.find('.scheduledTaskCron').val() ?? '').trim(),
+                        timezone: String(block.find('.scheduledTaskTimezone').val() ?? '').trim(),
+                        options: options,
+                    }),
+                });
+
                 const data = await response.json();
-                throw new Error(data.error || 'Execution failed.');
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to save configuration.');
+                }
+
+                showScheduledTaskStatus(statusDiv, data.message || 'Configuration saved.', 'success');
+                toastr.success(data.message || 'Scheduled task configuration saved.', 'Success');
+            } catch (error) {
+                console.error('Error saving scheduled task config:', error);
+                showScheduledTaskStatus(statusDiv, 'Save failed: ' + error.message, 'error');
+            } finally {
+                button.prop('disabled', false);
             }
+        });
 
-            const data = await response.json();
-            showScheduledTaskStatus(statusDiv, data.message || 'Task started. Check server logs.', 'success');
-            toastr.info(data.message || 'Cleanup task started. Check server logs for details.', 'Running');
-        } catch (error) {
-            console.error('Error executing scheduled task:', error);
-            showScheduledTaskStatus(statusDiv, 'Execution failed: ' + error.message, 'error');
-            toastr.error('Failed to run cleanup task: ' + error.message, 'Error');
-        } finally {
-            button.prop('disabled', false);
-            button.html(originalText);
-        }
-    });
+        block.find('.scheduledTaskRun').on('click', async function () {
+            if (!confirm(`Run the task "${task.label}" now?`)) {
+                return;
+            }
 
-    // Load config.
-    loadButton.on('click', loadScheduledTaskConfig);
+            const button = $(this);
+            button.prop('disabled', true);
 
-    // Initial config load.
-    loadScheduledTaskConfig();
+            try {
+                const response = await fetch(`/api/scheduled-tasks/${encodeURIComponent(task.name)}/run`, {
+                    method: 'POST',
+                    headers: getRequestHeaders(),
+                });
 
-    /**
-     * Load scheduled task configuration.
-     */
-    async function loadScheduledTaskConfig() {
-        try {
-            const response = await fetch('/api/scheduled-tasks/config', {
-                method: 'GET',
-                headers: getRequestHeaders(),
-            });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Execution failed.');
+                }
 
-            if (!response.ok) {
-                throw new Error('Failed to load configuration.');
+                showScheduledTaskStatus(statusDiv, data.message || 'Task started.', 'success');
+                toastr.info(data.message || 'Task started.', 'Running');
+            } catch (error) {
+                console.error('Error executing scheduled task:', error);
+                showScheduledTaskStatus(statusDiv, 'Execution failed: ' + error.message, 'error');
+            } finally {
+                button.prop('disabled', false);
             }
+        });
 
-            const data = await response.json();
-            const config = data.config || {};
-            const status = data.status || {};
-
-            // Update UI.
-            enabledCheckbox.prop('checked', config.enabled || false);
-            cronInput.val(config.cronExpression || '');
-
-            if (config.enabled) {
-                configDiv.show();
-            } else {
-                configDiv.hide();
-            }
+        block.find('.scheduledTaskHistory').on('click', () => viewScheduledTaskHistory(task.name, task.label));
 
-            // Show status.
-            if (status.enabled && status.running) {
-                showScheduledTaskStatus(statusDiv, `Scheduled task enabled and running (Cron: ${config.cronExpression})`, 'success');
-            } else if (config.enabled) {
-                showScheduledTaskStatus(statusDiv, 'Scheduled task configured but not running.', 'warning');
-            } else {
-                showScheduledTaskStatus(statusDiv, 'Scheduled task is disabled.', 'info');
-            }
-        } catch (error) {
-            console.error('Error loading scheduled task config:', error);
-            showScheduledTaskStatus(statusDiv, 'Failed to load configuration: ' + error.message, 'error');
-        }
+        return block;
     }
 
     /**
@@ -1838,6 +3414,7 @@ jQuery(() => {
     $('#account_button').on('click', () => {
         openUserProfile();
     });
+    showOAuthLinkResult();
     setInterval(async () => {
         if (currentUser) {
             await extendUserSession();
@@ -0,0 +1,20 @@
+import process from 'node:process';
+import { setConfigFilePath } from './src/util.js';
+
+const newKey = process.argv[2];
+const configPath = './config.yaml';
+
+if (newKey === '--help' || newKey === '-h') {
+    console.error('A tool for rotating the master key of encrypted secrets. Uses "dataRoot" and "secretsEncryption" settings from config.yaml file.');
+    console.error('Usage: node rotate-secrets-key.js (new key)');
+    console.error('If no key is provided, a random one is generated.');
+    process.exit(1);
+}
+
+async function main() {
+    setConfigFilePath(configPath);
+    const { rotateSecretsKey } = await import('./src/rotate-secrets-key.js');
+    await rotateSecretsKey(configPath, newKey);
+}
+
+main();
@@ -0,0 +1,148 @@
+import { getConfigValue } from './util.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * POST endpoints that only read data, or that an expired user needs to leave or renew.
+ * Full paths, so that unrelated routes ending in the same word are not allowed.
+ * Everything else is rejected while the account is read-only.
+ */
+const READ_ONLY_POST_ROUTES = new Set([
+    '/api/users/logout',
+    '/api/users/renew',
+    '/api/users/backup',
+    '/api/users/heartbeat',
+    '/api/users/list',
+    '/api/settings/get',
+    '/api/characters/all',
+    '/api/characters/get',
+    '/api/characters/export',
+    '/api/chats/get',
+    '/api/chats/group/get',
+    '/api/chats/export',
+    '/api/chats/search',
+    '/api/chats/recent',
+    '/api/groups/all',
+    '/api/worldinfo/list',
+    '/api/worldinfo/get',
+    '/api/avatars/get',
+    '/api/backgrounds/all',
+    '/api/assets/get',
+    '/api/stats/get',
+    '/api/backups/chat/get',
+    '/api/backups/chat/download',
+]);
+
+/**
+ * @typedef {Object} ExpiryReminderState
+ * @property {number} expiresAt - Expiration time the reminders were sent for. Reset when the account is renewed
+ * @property {number[]} sent - Reminder thresholds (days before expiry) already sent
+ */
+
+/**
+ * Gets the thresholds (days before expiry) at which reminder emails are sent, most distant first.
+ * @returns {number[]}
+ */
+export function getExpiryReminderDays() {
+    const value = getConfigValue('accountExpiry.reminderDays', [7, 1]);
+    const days = (Array.isArray(value) ? value : String(value).split(','))
+        .map(x => parseInt(String(x), 10))
+        .filter(x => Number.isInteger(x) && x > 0);
+    return [...new Set(days)].sort((a, b) => b - a);
+}
+
+/**
+ * Gets how long an expired user can still log in read-only.
+ * @returns {number} Grace period in milliseconds, 0 if disabled
+ */
+export function getGracePeriodMs() {
+    const days = getConfigValue('accountExpiry.gracePeriodDays', 3, 'number');
+    return days > 0 ? days * DAY_MS : 0;
+}
+
+/**
+ * Gets the end of the read-only grace period of a user.
+ * @param {import('./users.js').User} user User
+ * @returns {number | null} Timestamp, or null for permanent accounts
+ */
+export function getGraceEndsAt(user) {
+    if (!user?.expiresAt) {
+        return null;
+    }
+    return user.expiresAt + getGracePeriodMs();
+}
+
+/**
+ * Checks if the user's subscription has expired but the read-only grace period is still running.
+ * @param {import('./users.js').User} user User
+ * @returns {boolean}
+ */
+export function isInGracePeriod(user) {
+    const now = Date.now();
+    return !!user?.expiresAt && user.expiresAt < now && getGraceEndsAt(user) > now;
+}
+
+/**
+ * Checks if a request can be served to a read-only (expired) user.
+ * @param {import('express').Request} request Request object
+ * @returns {boolean}
+ */
+export function isReadOnlyRequestAllowed(request) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(request.method)) {
+        return true;
+    }
+
+    // Routes match case-insensitively and with a trailing slash
+    const routePath = request.path.toLowerCase().replace(/\/+$/, '');
+    return request.method === 'POST' && READ_ONLY_POST_ROUTES.has(routePath);
+}
+
+/**
+ * Gets the reminder threshold that is due for the user, if any.
+ * @param {import('./users.js').User} user User
+ * @returns {{threshold: number, daysLeft: number} | null}
+ */
+export function getDueExpiryReminder(user) {
+    const now = Date.now();
+    if (!user?.expiresAt || user.expiresAt <= now || !user.email) {
+        return null;
+    }
+
+    const sent = user.expiryReminders?.expiresAt === user.expiresAt ? user.expiryReminders.sent : [];
+    const daysLeft = Math.ceil((user.expiresAt - now) / DAY_MS);
+    // Only the most urgent threshold is sent, so a server that was down for a week doesn't send a burst of emails
+    const due = getExpiryReminderDays().filter(x => daysLeft <= x && !sent.includes(x));
+    if (due.length === 0) {
+        return null;
+    }
+
+    return { threshold: due[due.length - 1], daysLeft };
+}
+
+/**
+ * Marks every reminder threshold up to the given one as sent. The caller must persist the user afterwards.
+ * @param {import('./users.js').User} user User
+ * @param {number} threshold Sent threshold
+ */
+export function markExpiryReminderSent(user, threshold) {
+    const sent = user.expiryReminders?.expiresAt === user.expiresAt ? user.expiryReminders.sent : [];
+    const covered = getExpiryReminderDays().filter(x => x >= threshold);
+    user.expiryReminders = {
+        expiresAt: user.expiresAt,
+        sent: [...new Set([...sent, ...covered])],
+    };
+}
+
+/**
+ * Builds the expiry fields of the current user view model.
+ * @param {import('./users.js').User} user User
+ * @returns {{readOnly: boolean, graceEndsAt: number | null, expiryWarningDays: number}}
+ */
+export function getExpiryInfo(user) {
+    const reminderDays = getExpiryReminderDays();
+    return {
+        readOnly: isInGracePeriod(user),
+        graceEndsAt: user?.expiresAt && getGracePeriodMs() > 0 ? getGraceEndsAt(user) : null,
+        expiryWarningDays: reminderDays.length ? reminderDays[0] : 0,
+    };
+}
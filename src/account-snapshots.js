@@ -0,0 +1,753 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { pipeline } from 'node:stream/promises';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+import yauzl from 'yauzl';
+
+import { getUserDirectories } from './users.js';
+import { SNAPSHOTS_DIRECTORY, USER_DIRECTORY_TEMPLATE } from './constants.js';
+import { getConfigValue, isPathUnderParent, normalizeZipEntryPath } from './util.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * User directories that are not part of snapshots: backups are copies already, and thumbnails are regenerated.
+ */
+const EXCLUDED_DIRECTORIES = [USER_DIRECTORY_TEMPLATE.backups, USER_DIRECTORY_TEMPLATE.thumbnails];
+
+/**
+ * Handles of users with a snapshot or restore in progress.
+ * @type {Set<string>}
+ */
+const BUSY_USERS = new Set();
+
+/**
+ * @typedef {Object} SnapshotFile
+ * @property {string} hash - SHA-256 of the content, which is also the name of the stored object
+ * @property {number} size - Size in bytes
+ * @property {number} mtimeMs - Modification time of the file when the snapshot was taken
+ */
+
+/**
+ * @typedef {Object} SnapshotManifest
+ * @property {string} id - Snapshot ID
+ * @property {number} createdAt - Timestamp of the snapshot
+ * @property {'schedule' | 'manual' | 'import' | 'restore'} trigger - What created the snapshot
+ * @property {string} [label] - Name of the imported archive
+ * @property {Record<string, SnapshotFile>} files - Files by path relative to the user data directory
+ */
+
+/**
+ * @typedef {Object} SnapshotSummary
+ * @property {string} id - Snapshot ID
+ * @property {number} createdAt - Timestamp of the snapshot
+ * @property {string} trigger - What created the snapshot
+ * @property {string} label - Name of the imported archive
+ * @property {number} fileCount - Number of files
+ * @property {number} size - Total size of the files in bytes
+ */
+
+/**
+ * @typedef {Object} SnapshotRetentionPolicy
+ * @property {number} keepLast - Number of most recent snapshots to keep
+ * @property {number} keepDaily - Number of days for which the newest snapshot of the day is kept
+ * @property {number} keepWeekly - Number of weeks for which the newest snapshot of the week is kept
+ */
+
+/**
+ * @typedef {Object} RestorableItem
+ * @property {'character' | 'chat' | 'groupChat'} type - Item type
+ * @property {string} path - Path relative to the user data directory
+ * @property {string} name - File name
+ * @property {string} [character] - Folder of the character a chat belongs to
+ * @property {number} size - Size in bytes
+ */
+
+/**
+ * @typedef {Object} SnapshotImportLimits
+ * @property {number} maxArchiveBytes - Largest accepted archive
+ * @property {number} maxFiles - Largest accepted number of archive entries
+ * @property {number} maxUncompressedBytes - Largest accepted total size of the unpacked files
+ */
+
+/**
+ * Thrown when an import or restore would exceed the import limits or the storage quota of the user.
+ */
+export class SnapshotLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SnapshotLimitError';
+    }
+}
+
+/**
+ * Checks if account snapshots and self-service restore are enabled.
+ * @returns {boolean}
+ */
+export function isAccountSnapshotsEnabled() {
+    return !!getConfigValue('backups.snapshots.enabled', true, 'boolean');
+}
+
+/**
+ * Gets the configured retention policy of account snapshots.
+ * @returns {SnapshotRetentionPolicy}
+ */
+export function getSnapshotRetentionPolicy() {
+    return {
+        keepLast: Math.max(1, Number(getConfigValue('backups.snapshots.keepLast', 3, 'number')) || 1),
+        keepDaily: Math.max(0, Number(getConfigValue('backups.snapshots.keepDaily', 7, 'number')) || 0),
+        keepWeekly: Math.max(0, Number(getConfigValue('backups.snapshots.keepWeekly', 4, 'number')) || 0),
+    };
+}
+
+/**
+ * Gets the configured limits for backup archives imported as restore points.
+ * @returns {SnapshotImportLimits}
+ */
+export function getSnapshotImportLimits() {
+    return {
+        maxArchiveBytes: Math.max(1, Number(getConfigValue('backups.snapshots.maxImportSizeMb', 1024, 'number')) || 1) * BYTES_PER_MB,
+        maxFiles: Math.max(1, Number(getConfigValue('backups.snapshots.maxImportFiles', 50000, 'number')) || 1),
+        maxUncompressedBytes: Math.max(1, Number(getConfigValue('backups.snapshots.maxImportUncompressedMb', 4096, 'number')) || 1) * BYTES_PER_MB,
+    };
+}
+
+/**
+ * Checks if a snapshot or restore of the user is in progress.
+ * @param {string} handle User handle
+ * @returns {boolean}
+ */
+export function isAccountSnapshotBusy(handle) {
+    return BUSY_USERS.has(handle);
+}
+
+/**
+ * Runs an operation on the snapshots of a user, so that two operations never change the same files at once.
+ * @template T
+ * @param {string} handle User handle
+ * @param {() => Promise<T>} operation Operation to run
+ * @returns {Promise<T>}
+ */
+async function withSnapshotLock(handle, operation) {
+    if (BUSY_USERS.has(handle)) {
+        throw new Error('Another snapshot or restore is in progress');
+    }
+
+    BUSY_USERS.add(handle);
+    try {
+        return await operation();
+    } finally {
+        BUSY_USERS.delete(handle);
+    }
+}
+
+/**
+ * Gets the directory holding the snapshots of a user. It is outside of the user data directory,
+ * so snapshots are not included in each other. The storage quota counts it separately.
+ * @param {string} handle User handle
+ * @returns {string}
+ */
+export function getSnapshotsDirectory(handle) {
+    return path.join(globalThis.DATA_ROOT, SNAPSHOTS_DIRECTORY, handle);
+}
+
+/**
+ * Gets the path of a stored file content.
+ * @param {string} handle User handle
+ * @param {string} hash Content hash
+ * @returns {string}
+ */
+function getObjectPath(handle, hash) {
+    return path.join(getSnapshotsDirectory(handle), 'objects', hash.slice(0, 2), hash);
+}
+
+/**
+ * Gets the path of a snapshot manifest.
+ * @param {string} handle User handle
+ * @param {string} id Snapshot ID
+ * @returns {string}
+ */
+function getManifestPath(handle, id) {
+    return path.join(getSnapshotsDirectory(handle), 'manifests', `${id}.json`);
+}
+
+/**
+ * Checks if a path relative to the user data directory is left out of snapshots.
+ * @param {string} relativePath Path with forward slashes
+ * @returns {boolean}
+ */
+function isExcludedPath(relativePath) {
+    return EXCLUDED_DIRECTORIES.some(dir => relativePath === dir || relativePath.startsWith(`${dir}/`));
+}
+
+/**
+ * Lists the files of a directory recursively.
+ * @param {string} rootPath Directory to list
+ * @param {string} [relativePath=''] Path of the current subdirectory
+ * @returns {Promise<string[]>} Paths relative to the root, with forward slashes
+ */
+async function listFiles(rootPath, relativePath = '') {
+    const entries = await fs.promises.readdir(path.join(rootPath, relativePath), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+        if (isExcludedPath(entryPath)) {
+            continue;
+        }
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(rootPath, entryPath));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Moves a file into the object store, unless the same content is stored already.
+ * @param {string} handle User handle
+ * @param {string} tempPath Path of a temporary copy of the content
+ * @param {string} hash Content hash
+ */
+async function storeObject(handle, tempPath, hash) {
+    const objectPath = getObjectPath(handle, hash);
+    if (fs.existsSync(objectPath)) {
+        await fs.promises.rm(tempPath, { force: true });
+        return;
+    }
+
+    await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+    await fs.promises.rename(tempPath, objectPath);
+}
+
+/**
+ * Copies a stream into a temporary file of the snapshot directory while hashing it.
+ * @param {string} handle User handle
+ * @param {NodeJS.ReadableStream} stream Content stream
+ * @returns {Promise<{tempPath: string, hash: string, size: number}>}
+ */
+async function writeTempObject(handle, stream) {
+    const tempDirectory = path.join(getSnapshotsDirectory(handle), 'tmp');
+    await fs.promises.mkdir(tempDirectory, { recursive: true });
+
+    const tempPath = path.join(tempDirectory, crypto.randomUUID());
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    stream.on('data', chunk => {
+        hash.update(chunk);
+        size += chunk.length;
+    });
+
+    try {
+        await pipeline(stream, fs.createWriteStream(tempPath));
+    } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+
+    return { tempPath, hash: hash.digest('hex'), size };
+}
+
+/**
+ * Reads a snapshot manifest.
+ * @param {string} handle User handle
+ * @param {string} id Snapshot ID
+ * @returns {Promise<SnapshotManifest | null>} The manifest, or null if the snapshot doesn't exist
+ */
+export async function getAccountSnapshot(handle, id) {
+    if (!/^[\w-]+$/.test(String(id))) {
+        return null;
+    }
+
+    try {
+        const manifestPath = getManifestPath(handle, id);
+        if (!fs.existsSync(manifestPath)) {
+            return null;
+        }
+        return JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        console.error(`Failed to read snapshot ${id} of ${handle}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Reads all snapshot manifests of a user, most recent first.
+ * @param {string} handle User handle
+ * @returns {Promise<SnapshotManifest[]>}
+ */
+async function getAllManifests(handle) {
+    const manifestsDirectory = path.join(getSnapshotsDirectory(handle), 'manifests');
+    if (!fs.existsSync(manifestsDirectory)) {
+        return [];
+    }
+
+    const manifests = [];
+    for (const file of await fs.promises.readdir(manifestsDirectory)) {
+        if (!file.endsWith('.json')) {
+            continue;
+        }
+        const manifest = await getAccountSnapshot(handle, path.parse(file).name);
+        if (manifest) {
+            manifests.push(manifest);
+        }
+    }
+
+    return manifests.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Summarizes a snapshot for listing.
+ * @param {SnapshotManifest} manifest Snapshot manifest
+ * @returns {SnapshotSummary}
+ */
+function summarizeSnapshot(manifest) {
+    const files = Object.values(manifest.files);
+    return {
+        id: manifest.id,
+        createdAt: manifest.createdAt,
+        trigger: manifest.trigger,
+        label: manifest.label || '',
+        fileCount: files.length,
+        size: files.reduce((total, file) => total + file.size, 0),
+    };
+}
+
+/**
+ * Lists the restore points of a user, most recent first.
+ * @param {string} handle User handle
+ * @returns {Promise<SnapshotSummary[]>}
+ */
+export async function listAccountSnapshots(handle) {
+    return (await getAllManifests(handle)).map(summarizeSnapshot);
+}
+
+/**
+ * Saves a new snapshot manifest.
+ * @param {string} handle User handle
+ * @param {Omit<SnapshotManifest, 'id' | 'createdAt'>} snapshot Snapshot contents
+ * @returns {SnapshotManifest}
+ */
+function saveManifest(handle, snapshot) {
+    const createdAt = Date.now();
+    let id = String(createdAt);
+    for (let i = 1; fs.existsSync(getManifestPath(handle, id)); i++) {
+        id = `${createdAt}-${i}`;
+    }
+
+    /** @type {SnapshotManifest} */
+    const manifest = { id, createdAt, ...snapshot };
+    fs.mkdirSync(path.dirname(getManifestPath(handle, id)), { recursive: true });
+    writeFileAtomicSync(getManifestPath(handle, id), JSON.stringify(manifest));
+    return manifest;
+}
+
+/**
+ * Checks if two snapshots contain the same files.
+ * @param {Record<string, SnapshotFile>} a Files of the first snapshot
+ * @param {Record<string, SnapshotFile>} b Files of the second snapshot
+ * @returns {boolean}
+ */
+function hasSameFiles(a, b) {
+    const paths = Object.keys(a);
+    return paths.length === Object.keys(b).length && paths.every(x => b[x]?.hash === a[x].hash);
+}
+
+/**
+ * Takes a snapshot of the user data directory. Only files that changed since the previous snapshot are read and stored,
+ * everything else refers to the content stored before.
+ * @param {string} handle User handle
+ * @param {'schedule' | 'manual' | 'restore'} trigger What created the snapshot
+ * @returns {Promise<{snapshot: SnapshotSummary, created: boolean}>} The new snapshot, or the latest one if nothing changed since
+ */
+async function takeSnapshot(handle, trigger) {
+    const root = getUserDirectories(handle).root;
+    const [previous] = await getAllManifests(handle);
+    /** @type {Record<string, SnapshotFile>} */
+    const files = {};
+
+    for (const relativePath of await listFiles(root)) {
+        try {
+            const filePath = path.join(root, relativePath);
+            const stats = await fs.promises.stat(filePath);
+            const known = previous?.files[relativePath];
+
+            if (known && known.size === stats.size && known.mtimeMs === stats.mtimeMs && fs.existsSync(getObjectPath(handle, known.hash))) {
+                files[relativePath] = known;
+                continue;
+            }
+
+            const { tempPath, hash, size } = await writeTempObject(handle, fs.createReadStream(filePath));
+            await storeObject(handle, tempPath, hash);
+            files[relativePath] = { hash, size, mtimeMs: stats.mtimeMs };
+        } catch (error) {
+            // Files can be deleted while the snapshot is taken
+            console.warn(`Skipped ${relativePath} in the snapshot of ${handle}:`, error.message);
+        }
+    }
+
+    if (previous && hasSameFiles(files, previous.files)) {
+        return { snapshot: summarizeSnapshot(previous), created: false };
+    }
+
+    const manifest = saveManifest(handle, { trigger, files });
+    return { snapshot: summarizeSnapshot(manifest), created: true };
+}
+
+/**
+ * Takes a snapshot of the user data directory.
+ * @param {string} handle User handle
+ * @param {'schedule' | 'manual'} trigger What created the snapshot
+ * @returns {Promise<{snapshot: SnapshotSummary, created: boolean}>} The new snapshot, or the latest one if nothing changed since
+ */
+export async function createAccountSnapshot(handle, trigger) {
+    return await withSnapshotLock(handle, () => takeSnapshot(handle, trigger));
+}
+
+/**
+ * Reads the files of a backup archive into the object store.
+ * @param {string} handle User handle
+ * @param {string} zipPath Path of the archive
+ * @param {SnapshotImportLimits} limits Import limits
+ * @param {number} maxBytes Free storage space of the user in bytes
+ * @returns {Promise<Record<string, SnapshotFile>>} Files by path inside the archive
+ */
+async function readArchiveFiles(handle, zipPath, limits, maxBytes) {
+    /** @type {Record<string, SnapshotFile>} */
+    const files = {};
+    let totalSize = 0;
+
+    await new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true }, (err, zipfile) => {
+            if (err) {
+                return reject(new Error('The file is not a valid ZIP archive'));
+            }
+
+            const fail = (error) => {
+                zipfile.close();
+                reject(error);
+            };
+
+            if (zipfile.entryCount > limits.maxFiles) {
+                return fail(new SnapshotLimitError(`The archive contains more than ${limits.maxFiles} files`));
+            }
+
+            zipfile.on('entry', (entry) => {
+                const relativePath = normalizeZipEntryPath(entry.fileName);
+                if (!relativePath || entry.fileName.endsWith('/') || relativePath.startsWith('__MACOSX') || isExcludedPath(relativePath)) {
+                    return zipfile.readEntry();
+                }
+
+                // Entry sizes are validated while reading, so an entry can't unpack to more than it declares
+                totalSize += entry.uncompressedSize;
+                if (totalSize > limits.maxUncompressedBytes) {
+                    return fail(new SnapshotLimitError(`The archive unpacks to more than ${Math.round(limits.maxUncompressedBytes / BYTES_PER_MB)} MB`));
+                }
+                if (totalSize > maxBytes) {
+                    return fail(new SnapshotLimitError('Not enough storage space to import the archive'));
+                }
+
+                zipfile.openReadStream(entry, async (streamErr, readStream) => {
+                    try {
+                        if (streamErr) {
+                            throw streamErr;
+                        }
+                        const { tempPath, hash, size } = await writeTempObject(handle, readStream);
+                        await storeObject(handle, tempPath, hash);
+                        files[relativePath] = { hash, size, mtimeMs: entry.getLastModDate().getTime() };
+                        zipfile.readEntry();
+                    } catch (error) {
+                        fail(error);
+                    }
+                });
+            });
+            zipfile.on('end', resolve);
+            zipfile.on('error', reject);
+            zipfile.readEntry();
+        });
+    });
+
+    return files;
+}
+
+/**
+ * Adds a backup archive downloaded from the user settings as a restore point.
+ * @param {string} handle User handle
+ * @param {string} zipPath Path of the uploaded archive
+ * @param {string} label Name of the archive
+ * @param {number} [maxBytes=Infinity] Free storage space of the user in bytes
+ * @returns {Promise<SnapshotSummary>}
+ */
+export async function importAccountSnapshot(handle, zipPath, label, maxBytes = Infinity) {
+    return await withSnapshotLock(handle, async () => {
+        const limits = getSnapshotImportLimits();
+        if ((await fs.promises.stat(zipPath)).size > limits.maxArchiveBytes) {
+            throw new SnapshotLimitError(`The archive is larger than ${Math.round(limits.maxArchiveBytes / BYTES_PER_MB)} MB`);
+        }
+
+        let files;
+        try {
+            files = await readArchiveFiles(handle, zipPath, limits, maxBytes);
+        } catch (error) {
+            // Drop the content stored before the import failed
+            await removeUnusedObjects(handle, await getAllManifests(handle));
+            throw error;
+        }
+
+        // Archives that were extracted and zipped again may have the user data in a folder
+        const paths = Object.keys(files);
+        const topFolders = new Set(paths.map(x => x.split('/')[0]));
+        const knownFolders = Object.values(USER_DIRECTORY_TEMPLATE).filter(Boolean);
+        const folder = topFolders.size === 1 && paths.every(x => x.includes('/')) ? [...topFolders][0] : null;
+        const snapshotFiles = folder && !knownFolders.includes(folder)
+            ? Object.fromEntries(paths.map(x => [x.slice(folder.length + 1), files[x]]).filter(([x]) => !isExcludedPath(x)))
+            : files;
+
+        if (Object.keys(snapshotFiles).length === 0) {
+            await removeUnusedObjects(handle, await getAllManifests(handle));
+            throw new Error('The archive contains no user data');
+        }
+
+        return summarizeSnapshot(saveManifest(handle, { trigger: 'import', label: String(label || '').slice(0, 200), files: snapshotFiles }));
+    });
+}
+
+/**
+ * Lists the characters and chats in a snapshot that can be restored one by one.
+ * @param {SnapshotManifest} manifest Snapshot manifest
+ * @returns {RestorableItem[]}
+ */
+export function getRestorableItems(manifest) {
+    /** @type {RestorableItem[]} */
+    const items = [];
+
+    for (const [relativePath, file] of Object.entries(manifest.files)) {
+        const parts = relativePath.split('/');
+        if (parts.length === 2 && parts[0] === USER_DIRECTORY_TEMPLATE.characters && parts[1].endsWith('.png')) {
+            items.push({ type: 'character', path: relativePath, name: parts[1], size: file.size });
+        } else if (parts.length === 3 && parts[0] === USER_DIRECTORY_TEMPLATE.chats && parts[2].endsWith('.jsonl')) {
+            items.push({ type: 'chat', path: relativePath, name: parts[2], character: parts[1], size: file.size });
+        } else if (parts.length === 2 && parts[0] === USER_DIRECTORY_TEMPLATE.groupChats && parts[1].endsWith('.jsonl')) {
+            items.push({ type: 'groupChat', path: relativePath, name: parts[1], size: file.size });
+        }
+    }
+
+    return items.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Copies files of a snapshot into the user data directory.
+ * @param {string} handle User handle
+ * @param {SnapshotManifest} manifest Snapshot manifest
+ * @param {string[]} paths Paths of the files to restore
+ * @returns {Promise<number>} Number of restored files
+ */
+async function restoreFiles(handle, manifest, paths) {
+    const root = getUserDirectories(handle).root;
+    let restored = 0;
+
+    for (const relativePath of paths) {
+        const file = manifest.files[relativePath];
+        const targetPath = path.join(root, relativePath);
+        if (!file || !isPathUnderParent(root, targetPath)) {
+            continue;
+        }
+
+        const objectPath = getObjectPath(handle, file.hash);
+        if (!fs.existsSync(objectPath)) {
+            console.warn(`Snapshot ${manifest.id} of ${handle} is missing the content of ${relativePath}`);
+            continue;
+        }
+
+        await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+        await fs.promises.copyFile(objectPath, targetPath);
+        restored++;
+    }
+
+    return restored;
+}
+
+/**
+ * Calculates how much a restore grows the user data directory.
+ * @param {string} root User data directory
+ * @param {SnapshotManifest} manifest Snapshot manifest
+ * @param {string[]} paths Paths of the files to restore
+ * @param {string[]} removedPaths Paths of the files to remove
+ * @returns {Promise<number>} Size difference in bytes
+ */
+async function getRestoreGrowth(root, manifest, paths, removedPaths) {
+    const getCurrentSize = async (relativePath) => {
+        const stats = await fs.promises.stat(path.join(root, relativePath)).catch(() => null);
+        return stats?.isFile() ? stats.size : 0;
+    };
+
+    let growth = 0;
+    for (const relativePath of paths) {
+        growth += (manifest.files[relativePath]?.size || 0) - await getCurrentSize(relativePath);
+    }
+    for (const relativePath of removedPaths) {
+        growth -= await getCurrentSize(relativePath);
+    }
+
+    return growth;
+}
+
+/**
+ * Restores the user data from a snapshot. The current data is saved as a restore point first, so a restore can be undone.
+ * @param {string} handle User handle
+ * @param {string} id Snapshot ID
+ * @param {string[] | null} paths Files to restore (characters restore their chats too), or null for the whole account
+ * @param {number} [maxBytes=Infinity] Free storage space of the user in bytes
+ * @returns {Promise<{restored: number, removed: number, undoSnapshot: SnapshotSummary} | null>} Result, or null if the snapshot doesn't exist
+ */
+export async function restoreAccountSnapshot(handle, id, paths, maxBytes = Infinity) {
+    return await withSnapshotLock(handle, async () => {
+        const manifest = await getAccountSnapshot(handle, id);
+        if (!manifest) {
+            return null;
+        }
+
+        const root = getUserDirectories(handle).root;
+        const selected = new Set();
+        /** @type {string[]} */
+        let removedPaths = [];
+
+        if (paths === null) {
+            // Files that were added after the snapshot are removed, so the account looks exactly like it did then
+            Object.keys(manifest.files).forEach(x => selected.add(x));
+            removedPaths = (await listFiles(root)).filter(x => !manifest.files[x]);
+        } else {
+            for (const item of getRestorableItems(manifest).filter(x => paths.includes(x.path))) {
+                selected.add(item.path);
+                if (item.type === 'character') {
+                    const chatsFolder = `${USER_DIRECTORY_TEMPLATE.chats}/${path.parse(item.name).name}/`;
+                    Object.keys(manifest.files).filter(x => x.startsWith(chatsFolder)).forEach(x => selected.add(x));
+                }
+            }
+        }
+
+        if (await getRestoreGrowth(root, manifest, [...selected], removedPaths) > maxBytes) {
+            throw new SnapshotLimitError('Not enough storage space to restore these files');
+        }
+
+        const { snapshot: undoSnapshot } = await takeSnapshot(handle, 'restore');
+
+        for (const relativePath of removedPaths) {
+            await fs.promises.rm(path.join(root, relativePath), { force: true });
+        }
+
+        const restored = await restoreFiles(handle, manifest, [...selected]);
+        return { restored, removed: removedPaths.length, undoSnapshot };
+    });
+}
+
+/**
+ * Gets the IDs of the snapshots kept by a retention policy.
+ * @param {SnapshotManifest[]} manifests Snapshots, most recent first
+ * @param {SnapshotRetentionPolicy} policy Retention policy
+ * @returns {Set<string>}
+ */
+function getRetainedSnapshotIds(manifests, policy) {
+    const retained = new Set(manifests.slice(0, policy.keepLast).map(x => x.id));
+    const days = new Set();
+    const weeks = new Set();
+
+    for (const manifest of manifests) {
+        const day = Math.floor(manifest.createdAt / DAY_MS);
+        // Epoch day 0 was a Thursday, so the offset makes weeks start on Monday
+        const week = Math.floor((day + 3) / 7);
+
+        if (!days.has(day) && days.size < policy.keepDaily) {
+            days.add(day);
+            retained.add(manifest.id);
+        }
+        if (!weeks.has(week) && weeks.size < policy.keepWeekly) {
+            weeks.add(week);
+            retained.add(manifest.id);
+        }
+    }
+
+    return retained;
+}
+
+/**
+ * Deletes the content of files that no snapshot refers to anymore.
+ * @param {string} handle User handle
+ * @param {SnapshotManifest[]} manifests Remaining snapshots
+ * @returns {Promise<number>} Freed space in bytes
+ */
+async function removeUnusedObjects(handle, manifests) {
+    const used = new Set(manifests.flatMap(x => Object.values(x.files).map(file => file.hash)));
+    const objectsDirectory = path.join(getSnapshotsDirectory(handle), 'objects');
+    let freed = 0;
+
+    if (!fs.existsSync(objectsDirectory)) {
+        return 0;
+    }
+
+    for (const prefix of await fs.promises.readdir(objectsDirectory)) {
+        const prefixDirectory = path.join(objectsDirectory, prefix);
+        for (const hash of await fs.promises.readdir(prefixDirectory)) {
+            if (used.has(hash)) {
+                continue;
+            }
+            const objectPath = path.join(prefixDirectory, hash);
+            freed += (await fs.promises.stat(objectPath)).size;
+            await fs.promises.rm(objectPath, { force: true });
+        }
+    }
+
+    await fs.promises.rm(path.join(getSnapshotsDirectory(handle), 'tmp'), { recursive: true, force: true });
+    return freed;
+}
+
+/**
+ * Deletes snapshots that are not kept by the retention policy, and the content only they referred to.
+ * @param {string} handle User handle
+ * @param {SnapshotRetentionPolicy} [policy] Retention policy, the configured one by default
+ * @returns {Promise<{deleted: number, freed: number}>}
+ */
+export async function pruneAccountSnapshots(handle, policy = getSnapshotRetentionPolicy()) {
+    return await withSnapshotLock(handle, async () => {
+        const manifests = await getAllManifests(handle);
+        const retained = getRetainedSnapshotIds(manifests, policy);
+        const deleted = manifests.filter(x => !retained.has(x.id));
+
+        for (const manifest of deleted) {
+            await fs.promises.rm(getManifestPath(handle, manifest.id), { force: true });
+        }
+
+        const freed = deleted.length > 0 ? await removeUnusedObjects(handle, manifests.filter(x => retained.has(x.id))) : 0;
+        return { deleted: deleted.length, freed };
+    });
+}
+
+/**
+ * Deletes a restore point.
+ * @param {string} handle User handle
+ * @param {string} id Snapshot ID
+ * @returns {Promise<boolean>} Whether the snapshot existed
+ */
+export async function deleteAccountSnapshot(handle, id) {
+    return await withSnapshotLock(handle, async () => {
+        if (!await getAccountSnapshot(handle, id)) {
+            return false;
+        }
+
+        await fs.promises.rm(getManifestPath(handle, id), { force: true });
+        await removeUnusedObjects(handle, await getAllManifests(handle));
+        return true;
+    });
+}
+
+/**
+ * Deletes all snapshots of a user.
+ * @param {string} handle User handle
+ */
+export async function deleteAllAccountSnapshots(handle) {
+    await fs.promises.rm(getSnapshotsDirectory(handle), { recursive: true, force: true });
+}
@@ -0,0 +1,153 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { getIpFromRequest, getRealIpFromHeader } from './express-common.js';
+import { getConfigValue } from './util.js';
+
+const AUDIT_LOG_FILE = 'audit-log.jsonl';
+const PREFER_REAL_IP_HEADER = getConfigValue('rateLimiting.preferRealIpHeader', false, 'boolean');
+const CSV_COLUMNS = ['timestamp', 'actor', 'ip', 'action', 'target', 'details'];
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} timestamp - ISO timestamp of the action
+ * @property {string} actor - Handle of the user that performed the action (or "system" for scheduled jobs)
+ * @property {string} ip - IP address of the request
+ * @property {string} action - Action identifier, e.g. "user.disable" or "invitation.create"
+ * @property {string} target - Object of the action, e.g. a user handle or an invitation code
+ * @property {Record<string, any>} details - Additional action-specific data
+ */
+
+/**
+ * @typedef {Object} AuditFilters
+ * @property {string} [actor] - Only entries performed by this handle
+ * @property {string} [action] - Only entries whose action starts with this prefix
+ * @property {string} [target] - Only entries with this target
+ * @property {string} [search] - Only entries containing this text anywhere
+ * @property {number} [from] - Only entries at or after this timestamp (ms)
+ * @property {number} [to] - Only entries at or before this timestamp (ms)
+ */
+
+export const getAuditLogPath = () => path.join(globalThis.DATA_ROOT, AUDIT_LOG_FILE);
+
+/**
+ * Gets the IP address of a request. The X-Real-IP header is set by clients as they like,
+ * so it is only trusted when a reverse proxy is configured to set it.
+ * @param {import('express').Request} request Request object
+ * @returns {string}
+ */
+function getClientIp(request) {
+    return PREFER_REAL_IP_HEADER ? getRealIpFromHeader(request) : getIpFromRequest(request);
+}
+
+/**
+ * Appends an entry to the audit log. Entries are never modified or removed by the server.
+ * Failures are logged and never interrupt the audited action.
+ * @param {import('express').Request | null} request Request that triggered the action, or null for scheduled jobs
+ * @param {string} action Action identifier
+ * @param {string} [target] Object of the action
+ * @param {Record<string, any>} [details] Additional data. Never include secrets or passwords
+ */
+export function recordAuditEvent(request, action, target = '', details = {}) {
+    /** @type {AuditEntry} */
+    const entry = {
+        timestamp: new Date().toISOString(),
+        actor: request?.user?.profile?.handle ?? 'system',
+        ip: request ? getClientIp(request) : '',
+        action,
+        target: String(target ?? ''),
+        details,
+    };
+
+    try {
+        fs.appendFileSync(getAuditLogPath(), JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+        console.error('Failed to write audit log:', error);
+    }
+}
+
+/**
+ * Checks whether an entry matches the filters.
+ * @param {AuditEntry} entry Audit entry
+ * @param {AuditFilters} filters Filters
+ * @returns {boolean}
+ */
+function matchesFilters(entry, filters) {
+    const time = Date.parse(entry.timestamp);
+
+    if (filters.actor && entry.actor !== filters.actor) {
+        return false;
+    }
+    if (filters.action && !entry.action.startsWith(filters.action)) {
+        return false;
+    }
+    if (filters.target && entry.target !== filters.target) {
+        return false;
+    }
+    if (filters.from && time < filters.from) {
+        return false;
+    }
+    if (filters.to && time > filters.to) {
+        return false;
+    }
+    if (filters.search && !JSON.stringify(entry).toLowerCase().includes(filters.search.toLowerCase())) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Reads the audit log entries matching the filters, newest first.
+ * @param {AuditFilters} [filters] Filters
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function readAuditLog(filters = {}) {
+    const filePath = getAuditLogPath();
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const contents = await fs.promises.readFile(filePath, 'utf8');
+    const entries = [];
+
+    for (const line of contents.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            const entry = JSON.parse(line);
+            if (matchesFilters(entry, filters)) {
+                entries.push(entry);
+            }
+        } catch {
+            // Skip lines that were cut short by a crash
+        }
+    }
+
+    return entries.reverse();
+}
+
+/**
+ * Escapes a value for a CSV cell.
+ * @param {any} value Cell value
+ * @returns {string}
+ */
+export function toCsvCell(value) {
+    const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+    // Prevent spreadsheet formula injection from user-controlled values
+    const safeText = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return /[",\n\r]/.test(safeText) ? `"${safeText.replace(/"/g, '""')}"` : safeText;
+}
+
+/**
+ * Converts audit entries to CSV.
+ * @param {AuditEntry[]} entries Audit entries
+ * @returns {string}
+ */
+export function auditEntriesToCsv(entries) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const entry of entries) {
+        lines.push(CSV_COLUMNS.map(column => toCsvCell(entry[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
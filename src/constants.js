@@ -216,6 +216,11 @@ export const CHAT_COMPLETION_SOURCES = {
  */
 export const UPLOADS_DIRECTORY = '_uploads';
 
+/**
+ * Path to account snapshots under the data root.
+ */
+export const SNAPSHOTS_DIRECTORY = '_snapshots';
+
 // TODO: this is copied from the client code; there should be a way to de-duplicate it eventually
 export const TEXTGEN_TYPES = {
     OOBA: 'ooba',
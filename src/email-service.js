@@ -1,25 +1,41 @@
 import nodemailer from 'nodemailer';
+import { encode } from 'html-entities';
 import { getConfigValue } from './util.js';
+import { getEmailTemplate, renderEmailTemplate } from './email-templates.js';
 
 
 let emailConfig = null;
 let transporter = null;
 
+/**
+ * Creates the nodemailer transport of each delivery method, by the name used in email.transport.
+ * @type {Map<string, (config: object) => import('nodemailer').Transporter>}
+ */
+const EMAIL_TRANSPORTS = new Map();
+
 
 function loadEmailConfig() {
     try {
         const config = {
             enabled: getConfigValue('email.enabled', false, 'boolean'),
+            transport: getConfigValue('email.transport', 'smtp'),
             host: getConfigValue('email.smtp.host', ''),
             port: getConfigValue('email.smtp.port', 587, 'number'),
             secure: getConfigValue('email.smtp.secure', false, 'boolean'),
             user: getConfigValue('email.smtp.user', ''),
             password: getConfigValue('email.smtp.password', ''),
+            catcherHost: getConfigValue('email.catcher.host', 'localhost'),
+            catcherPort: getConfigValue('email.catcher.port', 1025, 'number'),
             from: getConfigValue('email.from', ''),
             fromName: getConfigValue('email.fromName', 'SillyTavern'),
         };
 
-        if (config.enabled && (!config.host || !config.user || !config.password || !config.from)) {
+        if (config.enabled && !EMAIL_TRANSPORTS.has(config.transport)) {
+            console.warn(`Email service is enabled but the transport "${config.transport}" is unknown. Check the email settings in config.yaml.`);
+            return null;
+        }
+
+        if (config.enabled && config.transport === 'smtp' && (!config.host || !config.user || !config.password || !config.from)) {
             console.warn('Email service is enabled but configuration is incomplete. Check the email settings in config.yaml.');
             return null;
         }
@@ -32,6 +48,69 @@ function loadEmailConfig() {
 }
 
 
+function createSmtpTransport(config) {
+    const useSSL = config.port === 465 ? true : config.secure;
+
+    const transportConfig = {
+        host: config.host,
+        port: config.port,
+        secure: useSSL,
+        auth: {
+            user: config.user,
+            pass: config.password,
+        },
+    };
+
+    if (!useSSL && config.port === 587) {
+        transportConfig.requireTLS = true;
+        transportConfig.tls = {
+            ciphers: 'SSLv3',
+            rejectUnauthorized: false,
+        };
+    }
+
+    console.log('Email service config:', {
+        host: transportConfig.host,
+        port: transportConfig.port,
+        secure: transportConfig.secure,
+        user: transportConfig.auth.user,
+    });
+
+    return nodemailer.createTransport(transportConfig);
+}
+
+
+/**
+ * Adds a delivery method that can be selected with email.transport, e.g. to capture emails in tests.
+ * @param {string} name Transport name
+ * @param {(config: object) => import('nodemailer').Transporter} createTransport Creates the transport from the email configuration
+ */
+export function registerEmailTransport(name, createTransport) {
+    EMAIL_TRANSPORTS.set(name, createTransport);
+    transporter = null;
+}
+
+registerEmailTransport('smtp', createSmtpTransport);
+// A local SMTP catcher such as Mailpit or MailHog, which needs neither authentication nor TLS
+registerEmailTransport('catcher', config => nodemailer.createTransport({
+    host: config.catcherHost,
+    port: config.catcherPort,
+    secure: false,
+    ignoreTLS: true,
+}));
+// Drops the messages and only logs their recipient and subject, see sendEmail
+registerEmailTransport('log', () => nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' }));
+
+
+/**
+ * Lists the names of the available delivery methods.
+ * @returns {string[]}
+ */
+export function getEmailTransports() {
+    return [...EMAIL_TRANSPORTS.keys()];
+}
+
+
 function initTransporter() {
     emailConfig = loadEmailConfig();
 
@@ -40,36 +119,9 @@ function initTransporter() {
     }
 
     try {
-        const useSSL = emailConfig.port === 465 ? true : emailConfig.secure;
-
-        const transportConfig = {
-            host: emailConfig.host,
-            port: emailConfig.port,
-            secure: useSSL,
-            auth: {
-                user: emailConfig.user,
-                pass: emailConfig.password,
-            },
-        };
-
-        if (!useSSL && emailConfig.port === 587) {
-            transportConfig.requireTLS = true;
-            transportConfig.tls = {
-                ciphers: 'SSLv3',
-                rejectUnauthorized: false,
-            };
-        }
-
-        console.log('Email service config:', {
-            host: transportConfig.host,
-            port: transportConfig.port,
-            secure: transportConfig.secure,
-            user: transportConfig.auth.user,
-        });
+        transporter = EMAIL_TRANSPORTS.get(emailConfig.transport)(emailConfig);
 
-        transporter = nodemailer.createTransport(transportConfig);
-
-        console.log('Email service initialized');
+        console.log(`Email service initialized (${emailConfig.transport})`);
         return transporter;
     } catch (error) {
         console.error('Failed to initialize mail transporter:', error);
@@ -92,16 +144,20 @@ export function getEmailConfig() {
     }
 
     if (!emailConfig) {
-        return { enabled: false };
+        return { enabled: false, transports: getEmailTransports() };
     }
 
     return {
         enabled: emailConfig.enabled,
+        transport: emailConfig.transport,
+        transports: getEmailTransports(),
         host: emailConfig.host,
         port: emailConfig.port,
         secure: emailConfig.secure,
         user: emailConfig.user,
         password: emailConfig.password,
+        catcherHost: emailConfig.catcherHost,
+        catcherPort: emailConfig.catcherPort,
         from: emailConfig.from,
         fromName: emailConfig.fromName,
     };
@@ -123,7 +179,8 @@ export async function sendEmail(to, subject, text, html = null) {
 
     try {
         const mailOptions = {
-            from: `"${emailConfig.fromName}" <${emailConfig.from}>`,
+            // Test transports don't need a real sender address
+            from: `"${emailConfig.fromName}" <${emailConfig.from || 'sillytavern@localhost'}>`,
             to: to,
             subject: subject,
             text: text,
@@ -135,6 +192,10 @@ export async function sendEmail(to, subject, text, html = null) {
 
         const info = await transporter.sendMail(mailOptions);
         console.log('Email sent successfully:', info.messageId, 'to', to);
+        if (emailConfig.transport === 'log') {
+            // Bodies carry verification and recovery codes, which must not end up in the server logs
+            console.log('Email subject:', subject);
+        }
         return true;
     } catch (error) {
         console.error('Failed to send email:', error);
@@ -143,290 +204,94 @@ export async function sendEmail(to, subject, text, html = null) {
 }
 
 
-export async function sendVerificationCode(to, code, userName) {
-    const subject = 'SillyTavern - Registration Verification Code';
-    const text = `
-Dear ${userName},
-
-Thank you for registering with SillyTavern!
-
-Your verification code is: ${code}
-
-This code is valid for 5 minutes. Please do not share it with anyone.
-
-If you did not request this, please ignore this email.
-
-Best regards,
-The SillyTavern Team
-    `.trim();
-
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 20px;
-        }
-        .header {
-            background-color: #4a90e2;
-            color: white;
-            padding: 20px;
-            text-align: center;
-            border-radius: 5px 5px 0 0;
-        }
-        .content {
-            background-color: #f9f9f9;
-            padding: 30px;
-            border: 1px solid #ddd;
-            border-top: none;
-        }
-        .code {
-            background-color: #fff;
-            border: 2px dashed #4a90e2;
-            padding: 20px;
-            text-align: center;
-            font-size: 32px;
-            font-weight: bold;
-            letter-spacing: 5px;
-            margin: 20px 0;
-            color: #4a90e2;
-        }
-        .footer {
-            background-color: #f0f0f0;
-            padding: 15px;
-            text-align: center;
-            font-size: 12px;
-            color: #666;
-            border-radius: 0 0 5px 5px;
-        }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>SillyTavern Registration Verification</h1>
-    </div>
-    <div class="content">
-        <p>Dear <strong>${userName}</strong>,</p>
-        <p>Thank you for registering with SillyTavern!</p>
-        <p>Your verification code is:</p>
-        <div class="code">${code}</div>
-        <p>This code is valid for <strong>5 minutes</strong>. Please do not share it with anyone.</p>
-        <p>If you did not request this, please ignore this email.</p>
-    </div>
-    <div class="footer">
-        <p>This email was sent automatically by the SillyTavern system. Please do not reply.</p>
-    </div>
-</body>
-</html>
-    `.trim();
-
-    return await sendEmail(to, subject, text, html);
+/**
+ * Sends the email of an event, using the template variant for the language of the recipient.
+ * @param {string} to Recipient address
+ * @param {string} event Email event
+ * @param {string} locale UI locale of the recipient
+ * @param {Record<string, any>} variables Values of the template placeholders
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+export async function sendTemplatedEmail(to, event, locale, variables) {
+    const template = await getEmailTemplate(event, locale);
+    const email = renderEmailTemplate(template, variables);
+    return await sendEmail(to, email.subject, email.text, email.html);
 }
 
 
-export async function sendPasswordRecoveryCode(to, code, userName) {
-    const subject = 'SillyTavern - Password Recovery';
-    const text = `
-Dear ${userName},
-
-We received your password recovery request.
-
-Your password recovery code is: ${code}
-
-This recovery code is valid for 5 minutes. Use it to reset your password.
-
-If you did not request this, contact your administrator immediately. Your account may be at risk.
+export async function sendVerificationCode(to, code, userName, locale = '') {
+    return await sendTemplatedEmail(to, 'verificationCode', locale, { userName, code, validMinutes: 5 });
+}
 
-Best regards,
-The SillyTavern Team
-    `.trim();
 
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 20px;
-        }
-        .header {
-            background-color: #e74c3c;
-            color: white;
-            padding: 20px;
-            text-align: center;
-            border-radius: 5px 5px 0 0;
-        }
-        .content {
-            background-color: #f9f9f9;
-            padding: 30px;
-            border: 1px solid #ddd;
-            border-top: none;
-        }
-        .code {
-            background-color: #fff;
-            border: 2px dashed #e74c3c;
-            padding: 20px;
-            text-align: center;
-            font-size: 32px;
-            font-weight: bold;
-            letter-spacing: 5px;
-            margin: 20px 0;
-            color: #e74c3c;
-        }
-        .warning {
-            background-color: #fff3cd;
-            border-left: 4px solid #ffc107;
-            padding: 15px;
-            margin: 15px 0;
-        }
-        .footer {
-            background-color: #f0f0f0;
-            padding: 15px;
-            text-align: center;
-            font-size: 12px;
-            color: #666;
-            border-radius: 0 0 5px 5px;
-        }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>Password Recovery Request</h1>
-    </div>
-    <div class="content">
-        <p>Dear <strong>${userName}</strong>,</p>
-        <p>We received your password recovery request.</p>
-        <p>Your password recovery code is:</p>
-        <div class="code">${code}</div>
-        <p>This recovery code is valid for <strong>5 minutes</strong>. Use it to reset your password.</p>
-        <div class="warning">
-            <strong>⚠️ Security notice:</strong>
-            <p>If you did not request this, contact your administrator immediately. Your account may be at risk.</p>
-        </div>
-    </div>
-    <div class="footer">
-        <p>This email was sent automatically by the SillyTavern system. Please do not reply.</p>
-    </div>
-</body>
-</html>
-    `.trim();
-
-    return await sendEmail(to, subject, text, html);
+export async function sendPasswordRecoveryCode(to, code, userName, locale = '') {
+    return await sendTemplatedEmail(to, 'passwordRecovery', locale, { userName, code, validMinutes: 5 });
 }
 
 
-export async function sendInactiveUserDeletionNotice(to, userName, daysInactive, storageSize, siteUrl) {
+export async function sendInactiveUserDeletionNotice(to, userName, daysInactive, storageSize, siteUrl, locale = '') {
     const durationLabelMap = new Map([
         [7, '1 week'],
         [15, 'half a month'],
         [30, '1 month'],
         [60, '2 months'],
     ]);
-    const durationLabel = durationLabelMap.get(daysInactive) || `${daysInactive} days`;
     const storageMiB = Number.isFinite(storageSize) ? (storageSize / 1024 / 1024) : 0;
-    const storageLabel = storageMiB.toFixed(2);
-    const siteLine = siteUrl ? `Site entry: ${siteUrl}` : 'Site entry: Contact the administrator for details';
-
-    const subject = 'Ding dong! A tavern notice is looking for you 💌';
-    const text = `
-Dear ${userName},
-
-   Long time no see! The hearth is still warm, but your seat has gathered dust — it has been ${durationLabel} (about ${daysInactive} days) since your last visit.
 
-Although your luggage only uses ${storageLabel} MiB, we need to free space for new adventurers, so we temporarily cleared your room.
-
-Don’t worry—our doors are always open, and your memories are safe with us.
-
-To make room for active guests, we cleared your account data for now.
+    return await sendTemplatedEmail(to, 'inactiveUserDeletion', locale, {
+        userName,
+        daysInactive,
+        durationLabel: durationLabelMap.get(daysInactive) || `${daysInactive} days`,
+        storageMiB: storageMiB.toFixed(2),
+        siteLine: siteUrl ? `Site entry: ${siteUrl}` : 'Site entry: Contact the administrator for details',
+        siteLinkHtml: siteUrl ? `<a href="${encode(siteUrl)}">${encode(siteUrl)}</a>` : 'Contact the administrator for details',
+    });
+}
 
-If you ever miss the tavern, you are always welcome to return for a new adventure!
 
-Your way back to the tavern: ${siteLine}
+export async function sendExpiryReminder(to, userName, expiresAt, daysLeft, renewLink, gracePeriodDays, locale = '') {
+    let expiresLabel = new Date(expiresAt).toLocaleString('en-US');
+    try {
+        expiresLabel = new Date(expiresAt).toLocaleString(locale || 'en-US');
+    } catch {
+        // Unknown locales keep the English date format
+    }
 
-We hope to see you shining in the tavern again! ✨
+    return await sendTemplatedEmail(to, 'expiryReminder', locale, {
+        userName,
+        daysLeft,
+        daysLabel: daysLeft === 1 ? '1 day' : `${daysLeft} days`,
+        expiresAt: expiresLabel,
+        graceLine: gracePeriodDays > 0
+            ? `After that, you can still log in for ${gracePeriodDays} days in read-only mode to export your data.`
+            : 'After that, you will no longer be able to log in until the account is renewed.',
+        renewLine: renewLink ? `Get a renewal code: ${renewLink}` : 'Contact the administrator to get a renewal code.',
+        renewLinkHtml: renewLink ? `Get a renewal code: <a href="${encode(renewLink)}">${encode(renewLink)}</a>` : 'Contact the administrator to get a renewal code.',
+    });
+}
 
-If you need help, contact the administrator.
-    `.trim();
 
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 20px;
+export async function sendForumNotificationDigest(to, userName, notifications, forumLink, locale = '') {
+    const describe = (notification) => {
+        const actor = notification.actor.name || notification.actor.handle;
+        switch (notification.type) {
+            case 'comment': return `${actor} commented on your post "${notification.article_title}"`;
+            case 'reply': return `${actor} replied to your comment on "${notification.article_title}"`;
+            case 'mention': return `${actor} mentioned you in "${notification.article_title}"`;
+            case 'like': return `${actor} liked your post "${notification.article_title}"`;
+            default: return `${actor} on "${notification.article_title}"`;
         }
-        .header {
-            background-color: #f39c12;
-            color: white;
-            padding: 20px;
-            text-align: center;
-            border-radius: 5px 5px 0 0;
-        }
-        .content {
-            background-color: #f9f9f9;
-            padding: 30px;
-            border: 1px solid #ddd;
-            border-top: none;
-        }
-        .notice {
-            background-color: #fff3cd;
-            border-left: 4px solid #f39c12;
-            padding: 15px;
-            margin: 15px 0;
-        }
-        .footer {
-            background-color: #f0f0f0;
-            padding: 15px;
-            text-align: center;
-            font-size: 12px;
-            color: #666;
-            border-radius: 0 0 5px 5px;
-        }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>Tavern Cleanup Notice</h1>
-    </div>
-    <div class="content">
-        <p>Dear <strong>${userName}</strong>,</p>
-        <div class="notice">
-            <p>We noticed you have not visited for <strong>${durationLabel}</strong> (about ${daysInactive} days).</p>
-            <p>Your tavern storage uses about <strong>${storageLabel} MiB</strong>.</p>
-        </div>
-        <p>To make room for active guests, we cleared your account data for now.</p>
-        <p>Don’t worry — you’re always welcome to come back. We’ll be here waiting.</p>
-        <p>Site entry: ${siteUrl ? `<a href="${siteUrl}">${siteUrl}</a>` : 'Contact the administrator for details'}</p>
-        <p>If you need help, contact the administrator.</p>
-    </div>
-    <div class="footer">
-        <p>This email was sent automatically by the SillyTavern system. Please do not reply.</p>
-    </div>
-</body>
-</html>
-    `.trim();
+    };
 
-    return await sendEmail(to, subject, text, html);
+    return await sendTemplatedEmail(to, 'forumDigest', locale, {
+        userName,
+        count: notifications.length,
+        countLabel: notifications.length === 1 ? '1 new notification' : `${notifications.length} new notifications`,
+        notificationsText: notifications.map(x => `- ${describe(x)}${x.excerpt ? `\n  ${x.excerpt}` : ''}`).join('\n'),
+        notificationsHtml: notifications.map(x => `<div class="item"><div>${encode(describe(x))}</div>${x.excerpt ? `<div class="excerpt">${encode(x.excerpt)}</div>` : ''}</div>`).join('\n        '),
+        forumLine: forumLink ? `Open the forum: ${forumLink}` : 'Open the forum to read them.',
+        forumLinkHtml: forumLink ? `<a href="${encode(forumLink)}">Open the forum</a>` : 'Open the forum to read them.',
+    });
 }
 
 
@@ -0,0 +1,486 @@
+import storage from 'node-persist';
+import { encode } from 'html-entities';
+
+const EMAIL_TEMPLATES_KEY = 'email:templates';
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+const MAX_LENGTHS = { subject: 200, text: 20000, html: 100000 };
+
+/**
+ * Locale of the template variant used for languages that have no variant of their own.
+ */
+export const DEFAULT_TEMPLATE_LOCALE = 'default';
+
+/**
+ * @typedef {Object} EmailTemplate
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain text body
+ * @property {string} html - HTML body (empty to send plain text only)
+ */
+
+/**
+ * @typedef {Object} EmailEventType
+ * @property {string} label - Name shown in the admin panel
+ * @property {string} description - When the email is sent
+ * @property {Record<string, string>} variables - Placeholder variables and what they contain
+ * @property {Record<string, string>} sample - Values of the variables used for previews and test emails
+ * @property {EmailTemplate} template - Built-in template
+ */
+
+/**
+ * Wraps the body of a built-in email in the shared page layout.
+ * @param {string} color Accent color of the header
+ * @param {string} title Header title
+ * @param {string} body Body HTML
+ * @param {string} [styles=''] Extra CSS rules
+ * @returns {string}
+ */
+function renderLayout(color, title, body, styles = '') {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: ${color}; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { background-color: #f9f9f9; padding: 30px; border: 1px solid #ddd; border-top: none; }
+        .footer { background-color: #f0f0f0; padding: 15px; text-align: center; font-size: 12px; color: #666; border-radius: 0 0 5px 5px; }
+        ${styles}
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${title}</h1>
+    </div>
+    <div class="content">
+${body}
+    </div>
+    <div class="footer">
+        <p>This email was sent automatically by the SillyTavern system. Please do not reply.</p>
+    </div>
+</body>
+</html>
+    `.trim();
+}
+
+/**
+ * Emails the server sends, by event.
+ * Variables ending in "Html" hold ready-made markup and are inserted into the HTML body as is; all other values are escaped.
+ * @type {Record<string, EmailEventType>}
+ */
+const EMAIL_EVENTS = {
+    verificationCode: {
+        label: 'Registration verification code',
+        description: 'Sent when someone enters their email address on the registration page.',
+        variables: {
+            userName: 'Name entered on the registration page',
+            code: 'Verification code',
+            validMinutes: 'Minutes until the code expires',
+        },
+        sample: { userName: 'Alice', code: '123456', validMinutes: '5' },
+        template: {
+            subject: 'SillyTavern - Registration Verification Code',
+            text: `
+Dear {{userName}},
+
+Thank you for registering with SillyTavern!
+
+Your verification code is: {{code}}
+
+This code is valid for {{validMinutes}} minutes. Please do not share it with anyone.
+
+If you did not request this, please ignore this email.
+
+Best regards,
+The SillyTavern Team
+            `.trim(),
+            html: renderLayout('#4a90e2', 'SillyTavern Registration Verification', `
+        <p>Dear <strong>{{userName}}</strong>,</p>
+        <p>Thank you for registering with SillyTavern!</p>
+        <p>Your verification code is:</p>
+        <div class="code">{{code}}</div>
+        <p>This code is valid for <strong>{{validMinutes}} minutes</strong>. Please do not share it with anyone.</p>
+        <p>If you did not request this, please ignore this email.</p>`,
+            '.code { background-color: #fff; border: 2px dashed #4a90e2; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0; color: #4a90e2; }'),
+        },
+    },
+    passwordRecovery: {
+        label: 'Password recovery code',
+        description: 'Sent when a user asks to reset their password on the login page.',
+        variables: {
+            userName: 'Display name of the user',
+            code: 'Recovery code',
+            validMinutes: 'Minutes until the code expires',
+        },
+        sample: { userName: 'Alice', code: '1234', validMinutes: '5' },
+        template: {
+            subject: 'SillyTavern - Password Recovery',
+            text: `
+Dear {{userName}},
+
+We received your password recovery request.
+
+Your password recovery code is: {{code}}
+
+This recovery code is valid for {{validMinutes}} minutes. Use it to reset your password.
+
+If you did not request this, contact your administrator immediately. Your account may be at risk.
+
+Best regards,
+The SillyTavern Team
+            `.trim(),
+            html: renderLayout('#e74c3c', 'Password Recovery Request', `
+        <p>Dear <strong>{{userName}}</strong>,</p>
+        <p>We received your password recovery request.</p>
+        <p>Your password recovery code is:</p>
+        <div class="code">{{code}}</div>
+        <p>This recovery code is valid for <strong>{{validMinutes}} minutes</strong>. Use it to reset your password.</p>
+        <div class="warning">
+            <strong>⚠️ Security notice:</strong>
+            <p>If you did not request this, contact your administrator immediately. Your account may be at risk.</p>
+        </div>`,
+            `.code { background-color: #fff; border: 2px dashed #e74c3c; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0; color: #e74c3c; }
+        .warning { background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 15px 0; }`),
+        },
+    },
+    inactiveUserDeletion: {
+        label: 'Inactive account deletion',
+        description: 'Sent to users whose data was deleted by the inactive user cleanup.',
+        variables: {
+            userName: 'Display name of the user',
+            daysInactive: 'Days since the last visit',
+            durationLabel: 'Time since the last visit in words (English)',
+            storageMiB: 'Size of the deleted data in MiB',
+            siteLine: 'Site address line of the plain text email',
+            siteLinkHtml: 'Link to the site, or a hint to contact the administrator',
+        },
+        sample: {
+            userName: 'Alice',
+            daysInactive: '60',
+            durationLabel: '2 months',
+            storageMiB: '12.34',
+            siteLine: 'Site entry: https://tavern.example.com',
+            siteLinkHtml: '<a href="https://tavern.example.com">https://tavern.example.com</a>',
+        },
+        template: {
+            subject: 'Ding dong! A tavern notice is looking for you 💌',
+            text: `
+Dear {{userName}},
+
+   Long time no see! The hearth is still warm, but your seat has gathered dust — it has been {{durationLabel}} (about {{daysInactive}} days) since your last visit.
+
+Although your luggage only uses {{storageMiB}} MiB, we need to free space for new adventurers, so we temporarily cleared your room.
+
+Don’t worry—our doors are always open, and your memories are safe with us.
+
+To make room for active guests, we cleared your account data for now.
+
+If you ever miss the tavern, you are always welcome to return for a new adventure!
+
+Your way back to the tavern: {{siteLine}}
+
+We hope to see you shining in the tavern again! ✨
+
+If you need help, contact the administrator.
+            `.trim(),
+            html: renderLayout('#f39c12', 'Tavern Cleanup Notice', `
+        <p>Dear <strong>{{userName}}</strong>,</p>
+        <div class="notice">
+            <p>We noticed you have not visited for <strong>{{durationLabel}}</strong> (about {{daysInactive}} days).</p>
+            <p>Your tavern storage uses about <strong>{{storageMiB}} MiB</strong>.</p>
+        </div>
+        <p>To make room for active guests, we cleared your account data for now.</p>
+        <p>Don’t worry — you’re always welcome to come back. We’ll be here waiting.</p>
+        <p>Site entry: {{siteLinkHtml}}</p>
+        <p>If you need help, contact the administrator.</p>`,
+            '.notice { background-color: #fff3cd; border-left: 4px solid #f39c12; padding: 15px; margin: 15px 0; }'),
+        },
+    },
+    expiryReminder: {
+        label: 'Account expiry reminder',
+        description: 'Sent by the expiry reminders scheduled task before a subscription expires.',
+        variables: {
+            userName: 'Display name of the user',
+            daysLeft: 'Days until the account expires',
+            daysLabel: 'Days until the account expires in words (English)',
+            expiresAt: 'Date and time of expiry, formatted for the language of the template',
+            graceLine: 'What happens after the expiry',
+            renewLine: 'Where to get a renewal code, for the plain text email',
+            renewLinkHtml: 'Link to get a renewal code, or a hint to contact the administrator',
+        },
+        sample: {
+            userName: 'Alice',
+            daysLeft: '3',
+            daysLabel: '3 days',
+            expiresAt: new Date(Date.UTC(2030, 0, 1, 12)).toLocaleString('en-US'),
+            graceLine: 'After that, you can still log in for 7 days in read-only mode to export your data.',
+            renewLine: 'Get a renewal code: https://shop.example.com',
+            renewLinkHtml: 'Get a renewal code: <a href="https://shop.example.com">https://shop.example.com</a>',
+        },
+        template: {
+            subject: 'SillyTavern - Your account expires in {{daysLabel}}',
+            text: `
+Dear {{userName}},
+
+Your SillyTavern account expires in {{daysLabel}}, on {{expiresAt}}.
+
+{{graceLine}}
+
+To keep using the tavern, open your profile and enter a renewal code.
+{{renewLine}}
+
+If you need help, contact the administrator.
+            `.trim(),
+            html: renderLayout('#f39c12', 'Account Expiry Reminder', `
+        <p>Dear <strong>{{userName}}</strong>,</p>
+        <div class="notice">
+            <p>Your account expires in <strong>{{daysLabel}}</strong>, on <strong>{{expiresAt}}</strong>.</p>
+            <p>{{graceLine}}</p>
+        </div>
+        <p>To keep using the tavern, open your profile and enter a renewal code.</p>
+        <p>{{renewLinkHtml}}</p>
+        <p>If you need help, contact the administrator.</p>`,
+            '.notice { background-color: #fff3cd; border-left: 4px solid #f39c12; padding: 15px; margin: 15px 0; }'),
+        },
+    },
+    forumDigest: {
+        label: 'Forum notification digest',
+        description: 'Sent by the forum email digests scheduled task to users with unread notifications.',
+        variables: {
+            userName: 'Display name of the user',
+            count: 'Number of notifications',
+            countLabel: 'Number of notifications in words (English)',
+            notificationsText: 'List of the notifications, for the plain text email',
+            notificationsHtml: 'List of the notifications',
+            forumLine: 'Where to read them, for the plain text email',
+            forumLinkHtml: 'Link to the forum',
+        },
+        sample: {
+            userName: 'Alice',
+            count: '2',
+            countLabel: '2 new notifications',
+            notificationsText: '- Bob commented on your post "Hello"\n  Nice post!\n- Carol liked your post "Hello"',
+            notificationsHtml: '<div class="item"><div>Bob commented on your post "Hello"</div><div class="excerpt">Nice post!</div></div>\n<div class="item"><div>Carol liked your post "Hello"</div></div>',
+            forumLine: 'Open the forum: https://tavern.example.com/forum',
+            forumLinkHtml: '<a href="https://tavern.example.com/forum">Open the forum</a>',
+        },
+        template: {
+            subject: 'SillyTavern - {{countLabel}} in the forum',
+            text: `
+Dear {{userName}},
+
+You have {{countLabel}} in the community forum:
+
+{{notificationsText}}
+
+{{forumLine}}
+
+You can change how often you get these emails in the notification settings of the forum.
+            `.trim(),
+            html: renderLayout('#667eea', 'Forum Notifications', `
+        <p>Dear <strong>{{userName}}</strong>,</p>
+        <p>You have <strong>{{countLabel}}</strong> in the community forum:</p>
+        {{notificationsHtml}}
+        <p>{{forumLinkHtml}}</p>
+        <p>You can change how often you get these emails in the notification settings of the forum.</p>`,
+            `.item { background-color: #fff; border-left: 4px solid #667eea; padding: 10px 15px; margin: 10px 0; }
+        .excerpt { color: #666; font-size: 14px; }`),
+        },
+    },
+};
+
+/**
+ * Normalizes a UI locale or an Accept-Language header to a locale ID like "en" or "zh-cn".
+ * @param {any} locale Locale
+ * @returns {string} Locale ID, or an empty string if it is not valid
+ */
+export function normalizeLocale(locale) {
+    const value = String(locale ?? '').split(',')[0].split(';')[0].trim().toLowerCase().replace(/_/g, '-');
+    return LOCALE_PATTERN.test(value) ? value : '';
+}
+
+/**
+ * Checks if an email event exists.
+ * @param {string} event Event name
+ * @returns {boolean}
+ */
+export function isEmailEvent(event) {
+    return Object.hasOwn(EMAIL_EVENTS, event);
+}
+
+/**
+ * Gets the templates customized by admins.
+ * @returns {Promise<Record<string, Record<string, EmailTemplate>>>} Templates by event and locale
+ */
+async function getCustomTemplates() {
+    const templates = await storage.getItem(EMAIL_TEMPLATES_KEY);
+    return templates && typeof templates === 'object' ? templates : {};
+}
+
+/**
+ * Lists the email events with their variables, built-in template and customized variants.
+ * @returns {Promise<object[]>}
+ */
+export async function getEmailTemplateList() {
+    const customTemplates = await getCustomTemplates();
+    return Object.entries(EMAIL_EVENTS).map(([name, event]) => ({
+        name,
+        label: event.label,
+        description: event.description,
+        variables: event.variables,
+        builtIn: event.template,
+        variants: customTemplates[name] ?? {},
+    }));
+}
+
+/**
+ * Picks the template variant for a locale: the exact locale, then the same language, then the default variant.
+ * @param {string[]} locales Locales with a variant
+ * @param {string} locale Wanted locale
+ * @returns {string | null} Locale of the variant, or null if none fits
+ */
+export function resolveTemplateLocale(locales, locale) {
+    const wanted = normalizeLocale(locale);
+    const language = wanted.split('-')[0];
+
+    if (wanted && locales.includes(wanted)) {
+        return wanted;
+    }
+
+    if (language) {
+        const sameLanguage = locales.find(x => x === language) ?? locales.find(x => x.split('-')[0] === language);
+        if (sameLanguage) {
+            return sameLanguage;
+        }
+    }
+
+    return locales.includes(DEFAULT_TEMPLATE_LOCALE) ? DEFAULT_TEMPLATE_LOCALE : null;
+}
+
+/**
+ * Gets the template of an event for a locale, falling back to the built-in template.
+ * @param {string} event Event name
+ * @param {string} [locale] UI locale of the recipient
+ * @returns {Promise<EmailTemplate & {locale: string | null}>} Template and the locale of the variant (null for the built-in one)
+ */
+export async function getEmailTemplate(event, locale = '') {
+    if (!isEmailEvent(event)) {
+        throw new Error(`Unknown email event: ${event}`);
+    }
+
+    const variants = (await getCustomTemplates())[event] ?? {};
+    const variantLocale = resolveTemplateLocale(Object.keys(variants), locale);
+    if (variantLocale) {
+        return { ...variants[variantLocale], locale: variantLocale };
+    }
+
+    return { ...EMAIL_EVENTS[event].template, locale: null };
+}
+
+/**
+ * Replaces the {{placeholders}} of a template string. Unknown placeholders are left as they are, so they stand out in previews.
+ * @param {string} value Template string
+ * @param {Record<string, any>} variables Variable values
+ * @param {boolean} escape Whether to escape the values for HTML
+ * @returns {string}
+ */
+function fillPlaceholders(value, variables, escape) {
+    return String(value ?? '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        if (!Object.hasOwn(variables, name)) {
+            return match;
+        }
+        const variable = String(variables[name] ?? '');
+        return escape && !name.endsWith('Html') ? encode(variable) : variable;
+    });
+}
+
+/**
+ * Fills in a template.
+ * @param {EmailTemplate} template Template
+ * @param {Record<string, any>} variables Variable values
+ * @returns {{subject: string, text: string, html: string | null}}
+ */
+export function renderEmailTemplate(template, variables) {
+    return {
+        subject: fillPlaceholders(template.subject, variables, false).replace(/\s*\n\s*/g, ' ').trim(),
+        text: fillPlaceholders(template.text, variables, false),
+        html: template.html ? fillPlaceholders(template.html, variables, true) : null,
+    };
+}
+
+/**
+ * Gets the sample variable values of an event, used for previews and test emails.
+ * @param {string} event Event name
+ * @returns {Record<string, string>}
+ */
+export function getSampleVariables(event) {
+    return { ...EMAIL_EVENTS[event]?.sample };
+}
+
+/**
+ * Checks a template submitted by an admin.
+ * @param {string} event Event name
+ * @param {string} locale Locale of the variant
+ * @param {Partial<EmailTemplate>} template Template
+ * @returns {string | null} Error message, or null if the template is valid
+ */
+export function getEmailTemplateError(event, locale, template) {
+    if (!isEmailEvent(event)) {
+        return 'Unknown email event';
+    }
+
+    if (locale !== DEFAULT_TEMPLATE_LOCALE && normalizeLocale(locale) !== locale) {
+        return 'Language must be a locale ID like "en" or "zh-cn", or "default"';
+    }
+
+    if (!String(template?.subject ?? '').trim() || !String(template?.text ?? '').trim()) {
+        return 'Subject and plain text body are required';
+    }
+
+    for (const [field, maxLength] of Object.entries(MAX_LENGTHS)) {
+        if (String(template[field] ?? '').length > maxLength) {
+            return `The ${field} is too long (at most ${maxLength} characters)`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Saves a customized template variant.
+ * @param {string} event Event name
+ * @param {string} locale Locale of the variant
+ * @param {EmailTemplate} template Template
+ */
+export async function saveEmailTemplate(event, locale, template) {
+    const templates = await getCustomTemplates();
+    templates[event] = {
+        ...templates[event],
+        [locale]: {
+            subject: String(template.subject).trim(),
+            text: String(template.text),
+            html: String(template.html ?? ''),
+        },
+    };
+    await storage.setItem(EMAIL_TEMPLATES_KEY, templates);
+}
+
+/**
+ * Deletes a customized template variant.
+ * @param {string} event Event name
+ * @param {string} locale Locale of the variant
+ * @returns {Promise<boolean>} Whether the variant existed
+ */
+export async function deleteEmailTemplate(event, locale) {
+    const templates = await getCustomTemplates();
+    if (!templates[event] || !Object.hasOwn(templates[event], locale)) {
+        return false;
+    }
+
+    delete templates[event][locale];
+    if (Object.keys(templates[event]).length === 0) {
+        delete templates[event];
+    }
+    await storage.setItem(EMAIL_TEMPLATES_KEY, templates);
+    return true;
+}
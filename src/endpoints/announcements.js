@@ -1,11 +1,40 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import express from 'express';
-import { requireAdminMiddleware } from '../users.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { PERMISSIONS } from '../roles.js';
+import { recordAuditEvent } from '../audit-log.js';
+import { getAllEnabledUsers } from '../users.js';
 
 const ANNOUNCEMENTS_DIR = path.join(process.cwd(), 'data', 'announcements');
 const ANNOUNCEMENTS_FILE = path.join(ANNOUNCEMENTS_DIR, 'announcements.json');
 const LOGIN_ANNOUNCEMENTS_FILE = path.join(ANNOUNCEMENTS_DIR, 'login_announcements.json');
+const RECEIPTS_FILE = path.join(ANNOUNCEMENTS_DIR, 'announcement_receipts.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How an announcement is shown: a bar at the top of the page or a popup.
+ */
+const ANNOUNCEMENT_PRIORITIES = Object.freeze(['banner', 'modal']);
+
+/**
+ * Audience role that matches administrators, who don't need a role to be admins.
+ */
+const ADMIN_AUDIENCE_ROLE = 'admin';
+
+/**
+ * @typedef {Object} AnnouncementAudience
+ * @property {string[]} roles - Roles the user must have one of; empty for everyone
+ * @property {number | null} minAccountAgeDays - Minimum age of the account in days
+ * @property {number | null} maxAccountAgeDays - Maximum age of the account in days
+ * @property {string[]} invitationCampaigns - Invitation batches the user must have signed up with one of; empty for everyone
+ */
+
+/**
+ * @typedef {Object} AnnouncementReceipt
+ * @property {number} seenAt - When the announcement was first shown to the user
+ * @property {number | null} dismissedAt - When the user dismissed it
+ */
 
 export const router = express.Router();
 
@@ -71,14 +100,219 @@ function saveLoginAnnouncements(announcements) {
     }
 }
 
+/**
+ * Loads the read receipts of all announcements.
+ * @returns {Record<string, Record<string, AnnouncementReceipt>>} Announcement ID -> user handle -> receipt
+ */
+function loadReceipts() {
+    ensureAnnouncementsDirectory();
+
+    if (!fs.existsSync(RECEIPTS_FILE)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(RECEIPTS_FILE, 'utf8')) || {};
+    } catch (error) {
+        console.error('Error loading announcement receipts:', error);
+        return {};
+    }
+}
+
+function saveReceipts(receipts) {
+    ensureAnnouncementsDirectory();
+
+    try {
+        fs.writeFileSync(RECEIPTS_FILE, JSON.stringify(receipts, null, 2), 'utf8');
+        return true;
+    } catch (error) {
+        console.error('Error saving announcement receipts:', error);
+        return false;
+    }
+}
+
+/**
+ * Parses a start or end time given as a timestamp or a date string.
+ * @param {unknown} value Value from the request
+ * @returns {number | null} Timestamp, null if empty or NaN if invalid
+ */
+function parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const timestamp = typeof value === 'number' ? value : Date.parse(String(value));
+    return Number.isFinite(timestamp) ? timestamp : NaN;
+}
+
+/**
+ * Reads the start and end time of an announcement from a request body.
+ * Fields missing from the body keep the values of the existing announcement.
+ * @param {object} body Request body
+ * @param {object} [existing] Announcement being updated
+ * @returns {{error: string} | {schedule: {startsAt: number | null, endsAt: number | null}}}
+ */
+function parseSchedule(body, existing = {}) {
+    const startsAt = body.startsAt !== undefined ? parseTimestamp(body.startsAt) : (existing.startsAt ?? null);
+    const endsAt = body.endsAt !== undefined ? parseTimestamp(body.endsAt) : (existing.endsAt ?? null);
+
+    if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) {
+        return { error: 'Invalid start or end time' };
+    }
+    if (startsAt !== null && endsAt !== null && endsAt <= startsAt) {
+        return { error: 'The end time must be after the start time' };
+    }
+
+    return { schedule: { startsAt, endsAt } };
+}
+
+/**
+ * Validates the audience of an announcement.
+ * @param {unknown} audience Audience from the request
+ * @returns {{error: string} | {audience: AnnouncementAudience}}
+ */
+function parseAudience(audience) {
+    const source = audience && typeof audience === 'object' ? audience : {};
+    const toList = value => Array.isArray(value)
+        ? [...new Set(value.filter(x => typeof x === 'string').map(x => x.trim()).filter(Boolean))]
+        : [];
+    const toDays = value => value === null || value === undefined || value === '' ? null : Number(value);
+
+    const result = {
+        roles: toList(source.roles),
+        minAccountAgeDays: toDays(source.minAccountAgeDays),
+        maxAccountAgeDays: toDays(source.maxAccountAgeDays),
+        invitationCampaigns: toList(source.invitationCampaigns),
+    };
+
+    for (const days of [result.minAccountAgeDays, result.maxAccountAgeDays]) {
+        if (days !== null && (!Number.isFinite(days) || days < 0)) {
+            return { error: 'Account age must be a non-negative number of days' };
+        }
+    }
+    if (result.minAccountAgeDays !== null && result.maxAccountAgeDays !== null && result.minAccountAgeDays > result.maxAccountAgeDays) {
+        return { error: 'The minimum account age must not exceed the maximum' };
+    }
+
+    return { audience: result };
+}
+
+/**
+ * Reads the schedule, priority and audience of an announcement from a request body.
+ * @param {object} body Request body
+ * @param {object} [existing] Announcement being updated
+ * @returns {{error: string} | {options: {startsAt: number | null, endsAt: number | null, priority: string, audience: AnnouncementAudience}}}
+ */
+function parseAnnouncementOptions(body, existing = {}) {
+    const schedule = parseSchedule(body, existing);
+    if ('error' in schedule) {
+        return schedule;
+    }
+
+    const priority = body.priority ?? existing.priority ?? 'modal';
+    if (!ANNOUNCEMENT_PRIORITIES.includes(priority)) {
+        return { error: 'Invalid priority' };
+    }
+
+    const audience = body.audience !== undefined || !existing.audience ? parseAudience(body.audience) : { audience: existing.audience };
+    if ('error' in audience) {
+        return audience;
+    }
+
+    return { options: { ...schedule.schedule, priority, audience: audience.audience } };
+}
+
+/**
+ * Checks whether an announcement is enabled and within its schedule.
+ * @param {object} announcement Announcement
+ * @param {number} now Current timestamp
+ * @returns {boolean}
+ */
+function isAnnouncementActive(announcement, now) {
+    return Boolean(announcement.enabled)
+        && (!announcement.startsAt || announcement.startsAt <= now)
+        && (!announcement.endsAt || now < announcement.endsAt);
+}
+
+/**
+ * Checks whether a user is in the audience of an announcement.
+ * @param {object} announcement Announcement
+ * @param {import('../users.js').User} user User
+ * @param {number} now Current timestamp
+ * @returns {boolean}
+ */
+function isUserTargeted(announcement, user, now) {
+    const audience = announcement.audience;
+    if (!audience) {
+        return true;
+    }
+
+    if (audience.roles?.length > 0) {
+        const isAdminTarget = user.admin && audience.roles.includes(ADMIN_AUDIENCE_ROLE);
+        if (!isAdminTarget && !audience.roles.includes(user.role)) {
+            return false;
+        }
+    }
+
+    const accountAgeDays = (now - (user.created || 0)) / DAY_MS;
+    if (audience.minAccountAgeDays !== null && audience.minAccountAgeDays !== undefined && accountAgeDays < audience.minAccountAgeDays) {
+        return false;
+    }
+    if (audience.maxAccountAgeDays !== null && audience.maxAccountAgeDays !== undefined && accountAgeDays > audience.maxAccountAgeDays) {
+        return false;
+    }
+
+    if (audience.invitationCampaigns?.length > 0 && !audience.invitationCampaigns.includes(user.invitation?.campaign)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Gets the announcement fields shown to users.
+ * @param {object} announcement Announcement
+ * @returns {object}
+ */
+function toPublicAnnouncement(announcement) {
+    return {
+        id: announcement.id,
+        title: announcement.title,
+        content: announcement.content,
+        type: announcement.type,
+        priority: announcement.priority || 'modal',
+        createdAt: announcement.createdAt,
+        updatedAt: announcement.updatedAt,
+    };
+}
+
+/**
+ * Gets the login page announcements that are enabled and within their schedule.
+ * @returns {object[]}
+ */
+export function getCurrentLoginAnnouncements() {
+    const now = Date.now();
+    return loadLoginAnnouncements().filter(announcement => isAnnouncementActive(announcement, now));
+}
+
 function generateAnnouncementId() {
     return `announcement_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
-router.get('/', requireAdminMiddleware, async (request, response) => {
+router.get('/', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const announcements = loadAnnouncements();
-        response.json(announcements);
+        const receipts = loadReceipts();
+
+        response.json(announcements.map(announcement => {
+            const entries = Object.values(receipts[announcement.id] || {});
+            return {
+                ...announcement,
+                stats: {
+                    seen: entries.length,
+                    dismissed: entries.filter(x => x.dismissedAt).length,
+                },
+            };
+        }));
     } catch (error) {
         console.error('Error getting announcements:', error);
         response.status(500).json({ error: 'Failed to get announcements' });
@@ -87,20 +321,34 @@ router.get('/', requireAdminMiddleware, async (request, response) => {
 
 router.get('/current', async (request, response) => {
     try {
-        const announcements = loadAnnouncements();
+        const user = request.user.profile;
+        const now = Date.now();
+        const receipts = loadReceipts();
 
-        const validAnnouncements = announcements.filter(announcement => {
-            return announcement.enabled;
+        const candidates = loadAnnouncements().filter(announcement => {
+            return isAnnouncementActive(announcement, now) && !receipts[announcement.id]?.[user.handle]?.dismissedAt;
         });
+        const validAnnouncements = candidates.filter(announcement => isUserTargeted(announcement, user, now));
+
+        // Record the first time each announcement is shown, for the read receipts
+        const unseen = validAnnouncements.filter(announcement => !receipts[announcement.id]?.[user.handle]);
+        if (unseen.length > 0) {
+            const latestReceipts = loadReceipts();
+            for (const announcement of unseen) {
+                latestReceipts[announcement.id] ??= {};
+                latestReceipts[announcement.id][user.handle] ??= { seenAt: now, dismissedAt: null };
+            }
+            saveReceipts(latestReceipts);
+        }
 
-        response.json(validAnnouncements);
+        response.json(validAnnouncements.map(toPublicAnnouncement));
     } catch (error) {
         console.error('Error getting current announcements:', error);
         response.status(500).json({ error: 'Failed to get current announcements' });
     }
 });
 
-router.post('/', requireAdminMiddleware, async (request, response) => {
+router.post('/', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const { title, content, type, enabled } = request.body;
 
@@ -108,6 +356,11 @@ router.post('/', requireAdminMiddleware, async (request, response) => {
             return response.status(400).json({ error: 'Title and content are required' });
         }
 
+        const parsed = parseAnnouncementOptions(request.body);
+        if ('error' in parsed) {
+            return response.status(400).json({ error: parsed.error });
+        }
+
         const announcements = loadAnnouncements();
         const now = Date.now();
 
@@ -117,6 +370,7 @@ router.post('/', requireAdminMiddleware, async (request, response) => {
             content: content.trim(),
             type: type || 'info', // info, warning, success, error
             enabled: enabled !== false,
+            ...parsed.options,
             createdAt: now,
             updatedAt: now,
             createdBy: request.user.profile.handle,
@@ -126,6 +380,7 @@ router.post('/', requireAdminMiddleware, async (request, response) => {
 
         if (saveAnnouncements(announcements)) {
             console.log(`Announcement created: "${newAnnouncement.title}" by ${request.user.profile.handle}`);
+            recordAuditEvent(request, 'announcement.create', newAnnouncement.id, { title: newAnnouncement.title, type: newAnnouncement.type, enabled: newAnnouncement.enabled, ...parsed.options });
             response.json(newAnnouncement);
         } else {
             response.status(500).json({ error: 'Failed to save announcement' });
@@ -136,7 +391,7 @@ router.post('/', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.put('/:id', requireAdminMiddleware, async (request, response) => {
+router.put('/:id', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const { id } = request.params;
         const { title, content, type, enabled } = request.body;
@@ -149,17 +404,23 @@ router.put('/:id', requireAdminMiddleware, async (request, response) => {
         }
 
         const announcement = announcements[announcementIndex];
+        const parsed = parseAnnouncementOptions(request.body, announcement);
+        if ('error' in parsed) {
+            return response.status(400).json({ error: parsed.error });
+        }
 
         if (title !== undefined) announcement.title = title.trim();
         if (content !== undefined) announcement.content = content.trim();
         if (type !== undefined) announcement.type = type;
         if (enabled !== undefined) announcement.enabled = enabled;
+        Object.assign(announcement, parsed.options);
 
         announcement.updatedAt = Date.now();
         announcement.updatedBy = request.user.profile.handle;
 
         if (saveAnnouncements(announcements)) {
             console.log(`Announcement updated: "${announcement.title}" by ${request.user.profile.handle}`);
+            recordAuditEvent(request, 'announcement.update', announcement.id, { title: announcement.title, type: announcement.type, enabled: announcement.enabled, ...parsed.options });
             response.json(announcement);
         } else {
             response.status(500).json({ error: 'Failed to update announcement' });
@@ -170,7 +431,7 @@ router.put('/:id', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.delete('/:id', requireAdminMiddleware, async (request, response) => {
+router.delete('/:id', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const { id } = request.params;
 
@@ -185,7 +446,14 @@ router.delete('/:id', requireAdminMiddleware, async (request, response) => {
         announcements.splice(announcementIndex, 1);
 
         if (saveAnnouncements(announcements)) {
+            const receipts = loadReceipts();
+            if (receipts[announcement.id]) {
+                delete receipts[announcement.id];
+                saveReceipts(receipts);
+            }
+
             console.log(`Announcement deleted: "${announcement.title}" by ${request.user.profile.handle}`);
+            recordAuditEvent(request, 'announcement.delete', announcement.id, { title: announcement.title });
             response.json({ success: true });
         } else {
             response.status(500).json({ error: 'Failed to delete announcement' });
@@ -196,7 +464,7 @@ router.delete('/:id', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.post('/:id/toggle', requireAdminMiddleware, async (request, response) => {
+router.post('/:id/toggle', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const { id } = request.params;
 
@@ -213,6 +481,7 @@ router.post('/:id/toggle', requireAdminMiddleware, async (request, response) =>
 
         if (saveAnnouncements(announcements)) {
             console.log(`Announcement ${announcement.enabled ? 'enabled' : 'disabled'}: "${announcement.title}" by ${request.user.profile.handle}`);
+            recordAuditEvent(request, 'announcement.toggle', announcement.id, { title: announcement.title, enabled: announcement.enabled });
             response.json(announcement);
         } else {
             response.status(500).json({ error: 'Failed to toggle announcement' });
@@ -223,23 +492,70 @@ router.post('/:id/toggle', requireAdminMiddleware, async (request, response) =>
     }
 });
 
+router.post('/:id/dismiss', async (request, response) => {
+    try {
+        const { id } = request.params;
+        const handle = request.user.profile.handle;
 
-router.get('/login/current', async (request, response) => {
+        if (!loadAnnouncements().some(a => a.id === id)) {
+            return response.status(404).json({ error: 'Announcement not found' });
+        }
+
+        const now = Date.now();
+        const receipts = loadReceipts();
+        receipts[id] ??= {};
+        receipts[id][handle] = { seenAt: receipts[id][handle]?.seenAt || now, dismissedAt: now };
+
+        if (saveReceipts(receipts)) {
+            response.json({ success: true });
+        } else {
+            response.status(500).json({ error: 'Failed to dismiss announcement' });
+        }
+    } catch (error) {
+        console.error('Error dismissing announcement:', error);
+        response.status(500).json({ error: 'Failed to dismiss announcement' });
+    }
+});
+
+router.get('/:id/stats', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
-        const announcements = loadLoginAnnouncements();
+        const { id } = request.params;
+        const announcement = loadAnnouncements().find(a => a.id === id);
 
-        const validAnnouncements = announcements.filter(announcement => {
-            return announcement.enabled;
+        if (!announcement) {
+            return response.status(404).json({ error: 'Announcement not found' });
+        }
+
+        const now = Date.now();
+        const users = await getAllEnabledUsers();
+        const targeted = users.filter(user => isUserTargeted(announcement, user, now)).length;
+
+        const receipts = Object.entries(loadReceipts()[id] || {})
+            .map(([handle, receipt]) => ({ handle, seenAt: receipt.seenAt, dismissedAt: receipt.dismissedAt || null }))
+            .sort((a, b) => b.seenAt - a.seenAt);
+
+        response.json({
+            targeted,
+            seen: receipts.length,
+            dismissed: receipts.filter(x => x.dismissedAt).length,
+            receipts,
         });
+    } catch (error) {
+        console.error('Error getting announcement stats:', error);
+        response.status(500).json({ error: 'Failed to get announcement stats' });
+    }
+});
 
-        response.json(validAnnouncements);
+router.get('/login/current', async (request, response) => {
+    try {
+        response.json(getCurrentLoginAnnouncements());
     } catch (error) {
         console.error('Error getting current login announcements:', error);
         response.status(500).json({ error: 'Failed to get current login announcements' });
     }
 });
 
-router.get('/login', requireAdminMiddleware, async (request, response) => {
+router.get('/login', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const announcements = loadLoginAnnouncements();
         response.json(announcements);
@@ -249,7 +565,7 @@ router.get('/login', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.post('/login', requireAdminMiddleware, async (request, response) => {
+router.post('/login', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const { title, content, type, enabled } = request.body;
 
@@ -257,6 +573,11 @@ router.post('/login', requireAdminMiddleware, async (request, response) => {
             return response.status(400).json({ error: 'Title and content are required' });
         }
 
+        const parsed = parseSchedule(request.body);
+        if ('error' in parsed) {
+            return response.status(400).json({ error: parsed.error });
+        }
+
         const announcements = loadLoginAnnouncements();
         const now = Date.now();
 
@@ -266,6 +587,7 @@ router.post('/login', requireAdminMiddleware, async (request, response) => {
             content: content.trim(),
             type: type || 'info', // info, warning, success, error
             enabled: enabled !== false,
+            ...parsed.schedule,
             createdAt: now,
             updatedAt: now,
             createdBy: request.user.profile.handle,
@@ -275,6 +597,7 @@ router.post('/login', requireAdminMiddleware, async (request, response) => {
 
         if (saveLoginAnnouncements(announcements)) {
             console.log(`Login announcement created: "${newAnnouncement.title}" by ${request.user.profile.handle}`);
+            recordAuditEvent(request, 'login-announcement.create', newAnnouncement.id, { title: newAnnouncement.title, type: newAnnouncement.type, enabled: newAnnouncement.enabled, ...parsed.schedule });
             response.json(newAnnouncement);
         } else {
             response.status(500).json({ error: 'Failed to save login announcement' });
@@ -285,7 +608,7 @@ router.post('/login', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.put('/login/:id', requireAdminMiddleware, async (request, response) => {
+router.put('/login/:id', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const { id } = request.params;
         const { title, content, type, enabled } = request.body;
@@ -298,17 +621,23 @@ router.put('/login/:id', requireAdminMiddleware, async (request, response) => {
         }
 
         const announcement = announcements[announcementIndex];
+        const parsed = parseSchedule(request.body, announcement);
+        if ('error' in parsed) {
+            return response.status(400).json({ error: parsed.error });
+        }
 
         if (title !== undefined) announcement.title = title.trim();
         if (content !== undefined) announcement.content = content.trim();
         if (type !== undefined) announcement.type = type;
         if (enabled !== undefined) announcement.enabled = enabled;
+        Object.assign(announcement, parsed.schedule);
 
         announcement.updatedAt = Date.now();
         announcement.updatedBy = request.user.profile.handle;
 
         if (saveLoginAnnouncements(announcements)) {
             console.log(`Login announcement updated: "${announcement.title}" by ${request.user.profile.handle}`);
+            recordAuditEvent(request, 'login-announcement.update', announcement.id, { title: announcement.title, type: announcement.type, enabled: announcement.enabled, ...parsed.schedule });
             response.json(announcement);
         } else {
             response.status(500).json({ error: 'Failed to update login announcement' });
@@ -319,7 +648,7 @@ router.put('/login/:id', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.delete('/login/:id', requireAdminMiddleware, async (request, response) => {
+router.delete('/login/:id', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const { id } = request.params;
 
@@ -335,6 +664,7 @@ router.delete('/login/:id', requireAdminMiddleware, async (request, response) =>
 
         if (saveLoginAnnouncements(announcements)) {
             console.log(`Login announcement deleted: "${announcement.title}" by ${request.user.profile.handle}`);
+            recordAuditEvent(request, 'login-announcement.delete', announcement.id, { title: announcement.title });
             response.json({ success: true });
         } else {
             response.status(500).json({ error: 'Failed to delete login announcement' });
@@ -345,7 +675,7 @@ router.delete('/login/:id', requireAdminMiddleware, async (request, response) =>
     }
 });
 
-router.post('/login/:id/toggle', requireAdminMiddleware, async (request, response) => {
+router.post('/login/:id/toggle', requirePermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (request, response) => {
     try {
         const { id } = request.params;
 
@@ -362,6 +692,7 @@ router.post('/login/:id/toggle', requireAdminMiddleware, async (request, respons
 
         if (saveLoginAnnouncements(announcements)) {
             console.log(`Login announcement ${announcement.enabled ? 'enabled' : 'disabled'}: "${announcement.title}" by ${request.user.profile.handle}`);
+            recordAuditEvent(request, 'login-announcement.toggle', announcement.id, { title: announcement.title, enabled: announcement.enabled });
             response.json(announcement);
         } else {
             response.status(500).json({ error: 'Failed to toggle login announcement' });
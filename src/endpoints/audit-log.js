@@ -0,0 +1,60 @@
+import express from 'express';
+import { requireAdminMiddleware } from '../users.js';
+import { auditEntriesToCsv, readAuditLog } from '../audit-log.js';
+
+export const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Parses the audit log filters from the query string.
+ * @param {import('express').Request} request Request object
+ * @returns {import('../audit-log.js').AuditFilters}
+ */
+function getFilters(request) {
+    const toTimestamp = (value) => {
+        const time = value ? Date.parse(String(value)) : NaN;
+        return Number.isFinite(time) ? time : undefined;
+    };
+
+    return {
+        actor: request.query.actor ? String(request.query.actor) : undefined,
+        action: request.query.action ? String(request.query.action) : undefined,
+        target: request.query.target ? String(request.query.target) : undefined,
+        search: request.query.search ? String(request.query.search) : undefined,
+        from: toTimestamp(request.query.from),
+        to: toTimestamp(request.query.to),
+    };
+}
+
+router.get('/', requireAdminMiddleware, async (request, response) => {
+    try {
+        const entries = await readAuditLog(getFilters(request));
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(request.query.limit) || DEFAULT_PAGE_SIZE));
+        const offset = Math.max(0, Number(request.query.offset) || 0);
+
+        return response.json({
+            total: entries.length,
+            entries: entries.slice(offset, offset + limit),
+        });
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        return response.status(500).json({ error: 'Failed to read audit log' });
+    }
+});
+
+router.get('/export', requireAdminMiddleware, async (request, response) => {
+    try {
+        const entries = await readAuditLog(getFilters(request));
+        const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        response.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        response.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        // BOM so that spreadsheet applications detect UTF-8
+        return response.send('﻿' + auditEntriesToCsv(entries));
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        return response.status(500).json({ error: 'Failed to export audit log' });
+    }
+});
@@ -25,6 +25,19 @@ import { getChatInfo } from './chats.js';
 import { ByafParser } from '../byaf.js';
 import { CharXParser, persistCharXAssets } from '../charx.js';
 import cacheBuster from '../middleware/cacheBuster.js';
+import {
+    getAccessibleCollections,
+    getCollection,
+    getCollectionAccess,
+    getSharedCharacterPath,
+    getSharedCharacterUserState,
+    hasCollectionAccess,
+    hasSharedAvatarPrefix,
+    parseSharedAvatar,
+    saveSharedCharacter,
+    toSharedAvatar,
+    updateSharedCharacterUserState,
+} from '../shared-characters.js';
 
 // With 100 MB limit it would take roughly 3000 characters to reach this limit
 const memoryCacheCapacity = getConfigValue('performance.memoryCacheCapacity', '100mb');
@@ -159,6 +172,130 @@ class DiskCache {
 
 export const diskCache = new DiskCache();
 
+/**
+ * Shared characters whose access getSharedCharacterAccessFunction has checked, by request.
+ * @type {WeakMap<import('express').Request, {avatar: string, collectionId: string, fileName: string}>}
+ */
+const checkedSharedCharacters = new WeakMap();
+
+/**
+ * Gets the shared character named by an avatar, if the access of the user to it was checked for this request.
+ * @param {import('express').Request} request Express request object
+ * @param {string} avatar Avatar file name
+ * @returns {{collectionId: string, fileName: string} | null} Null for personal characters
+ */
+function getCheckedSharedCharacter(request, avatar) {
+    const shared = checkedSharedCharacters.get(request);
+    return shared && shared.avatar === avatar ? shared : null;
+}
+
+/**
+ * Gets the path of a character file named in a request. Characters of shared collections are stored outside of the
+ * user directory and only resolve there after their access was checked; any other name is a personal character.
+ * @param {import('express').Request} request Express request object
+ * @param {string} avatar Avatar file name
+ * @returns {string} Path to the character file
+ */
+function getCharacterPath(request, avatar) {
+    const shared = getCheckedSharedCharacter(request, avatar);
+    return shared ? getSharedCharacterPath(shared.collectionId, shared.fileName) : path.join(request.user.directories.characters, avatar);
+}
+
+/**
+ * Gets a middleware that checks the access of the user to shared characters named in the request body.
+ * Personal characters are passed through.
+ * @param {string} fieldName Field of the request body holding the avatar file name
+ * @param {'read'|'edit'|null|((request: import('express').Request) => 'read'|'edit')} requiredAccess Required access level,
+ * a function returning it, or null if the route doesn't support shared characters
+ * @returns {import('express').RequestHandler}
+ */
+function getSharedCharacterAccessFunction(fieldName, requiredAccess) {
+    return async function (request, response, next) {
+        try {
+            const shared = parseSharedAvatar(request.body?.[fieldName]);
+            if (!shared) {
+                return next();
+            }
+
+            const required = typeof requiredAccess === 'function' ? requiredAccess(request) : requiredAccess;
+            if (!required) {
+                return response.status(400).send('Error: shared characters are managed in their collection');
+            }
+
+            const collection = getCollection(shared.collectionId);
+            const access = collection && Object.hasOwn(collection.characters, shared.fileName)
+                ? await getCollectionAccess(collection, request.user.profile)
+                : null;
+            if (!access) {
+                return response.sendStatus(404);
+            }
+            if (!hasCollectionAccess(access, required)) {
+                return response.status(403).send('Error: you can not edit characters in this collection');
+            }
+
+            checkedSharedCharacters.set(request, { avatar: request.body[fieldName], ...shared });
+            next();
+        } catch (error) {
+            console.error('Failed to check shared character access:', error);
+            return response.sendStatus(500);
+        }
+    };
+}
+
+/**
+ * Adds the collection details and the per-user state to a shared character.
+ * @param {object} character Character object
+ * @param {import('../shared-characters.js').SharedCollection} collection Collection of the character
+ * @param {string} fileName Character file name in the collection
+ * @param {string} access Access level of the user
+ * @param {Record<string, {chat?: string}>} userState Per-user state of shared characters
+ * @returns {object} Character object
+ */
+function withSharedDetails(character, collection, fileName, access, userState) {
+    const entry = collection.characters[fileName];
+    character.shared = {
+        collection_id: collection.id,
+        collection_name: collection.name,
+        owner: collection.owner,
+        access,
+        revision: entry.revision,
+        updated_by: entry.updated_by,
+        updated_at: entry.updated_at,
+    };
+
+    const chat = userState[character.avatar]?.chat;
+    if (chat) {
+        character.chat = chat;
+    }
+    return character;
+}
+
+/**
+ * Checks whether a merge only changes fields that are kept per user for shared characters.
+ * @param {object} update Merge request body
+ * @returns {boolean}
+ */
+function isUserStateUpdate(update) {
+    return Object.keys(update).every(key => key === 'avatar' || key === 'chat');
+}
+
+/**
+ * Saves a character. Saves of shared characters are serialized and, if a revision is given, checked for conflicts.
+ * @param {import('express').Request} request Express request object
+ * @param {string} avatar Avatar file name
+ * @param {number | null} expectedRevision Revision the changes are based on, or null to save without checking
+ * @param {() => Promise<boolean>} save Function that writes the character file
+ * @returns {Promise<{saved: boolean, conflict: boolean, revision?: number}>}
+ */
+async function saveCharacter(request, avatar, expectedRevision, save) {
+    const shared = getCheckedSharedCharacter(request, avatar);
+    if (!shared) {
+        return { saved: await save(), conflict: false };
+    }
+
+    return await saveSharedCharacter(shared.collectionId, shared.fileName, request.user.profile.handle, expectedRevision, save);
+}
+
 /**
  * Gets the cache key for the specified image file.
  * @param {string} inputFile - Path to the image file
@@ -255,7 +392,7 @@ async function writeCharacterData(inputFile, data, outputFile, request, crop = u
 
         // Get the chunks
         const outputImage = write(inputImage, data);
-        const outputImagePath = path.join(request.user.directories.characters, `${outputFile}.png`);
+        const outputImagePath = getCharacterPath(request, `${outputFile}.png`);
 
         writeFileAtomicSync(outputImagePath, outputImage);
         return true;
@@ -433,11 +570,12 @@ const toShallow = (character) => {
  * @param  {import('../users.js').UserDirectoryList} directories User directories
  * @param  {object} options Options for the character processing
  * @param  {boolean} options.shallow If true, only return the core character's metadata
+ * @param  {string} [options.filePath] Path of the character file, defaults to the personal character of that name
  * @return {Promise<object>}     A Promise that resolves when the character processing is done.
  */
-const processCharacter = async (item, directories, { shallow }) => {
+const processCharacter = async (item, directories, { shallow, filePath = path.join(directories.characters, item) }) => {
     try {
-        const imgFile = path.join(directories.characters, item);
+        const imgFile = filePath;
         const imgData = await readCharacterData(imgFile);
         if (imgData === undefined) throw new Error('Failed to read character file');
 
@@ -445,7 +583,7 @@ const processCharacter = async (item, directories, { shallow }) => {
         jsonObject.avatar = item;
         const character = jsonObject;
         character['json_data'] = imgData;
-        const charStat = fs.statSync(path.join(directories.characters, item));
+        const charStat = fs.statSync(imgFile);
         character['date_added'] = charStat.ctimeMs;
         character['create_date'] = jsonObject['create_date'] || humanizedISO8601DateTime(charStat.ctimeMs);
         const chatsDirectory = path.join(directories.chats, item.replace('.png', ''));
@@ -1055,6 +1193,9 @@ router.post('/create', getFileNameValidationFunction('file_name'), async functio
         if (!request.body) return response.sendStatus(400);
 
         request.body.ch_name = sanitize(request.body.ch_name);
+        if (hasSharedAvatarPrefix(request.body.file_name) || hasSharedAvatarPrefix(request.body.ch_name)) {
+            return response.status(400).send('Error: this name is reserved for shared characters');
+        }
 
         const char = JSON.stringify(charaFormatData(request.body, request.user.directories));
         const internalName = request.body.file_name || getPngName(request.body.ch_name, request.user.directories);
@@ -1079,13 +1220,16 @@ router.post('/create', getFileNameValidationFunction('file_name'), async functio
     }
 });
 
-router.post('/rename', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/rename', validateAvatarUrlMiddleware, getSharedCharacterAccessFunction('avatar_url', null), async function (request, response) {
     if (!request.body.avatar_url || !request.body.new_name) {
         return response.sendStatus(400);
     }
 
     const oldAvatarName = request.body.avatar_url;
     const newName = sanitize(request.body.new_name);
+    if (hasSharedAvatarPrefix(newName)) {
+        return response.status(400).send('Error: this name is reserved for shared characters');
+    }
     const oldInternalName = path.parse(request.body.avatar_url).name;
     const newInternalName = getPngName(newName, request.user.directories);
     const newAvatarName = `${newInternalName}.png`;
@@ -1126,7 +1270,7 @@ router.post('/rename', validateAvatarUrlMiddleware, async function (request, res
     }
 });
 
-router.post('/edit', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/edit', validateAvatarUrlMiddleware, getSharedCharacterAccessFunction('avatar_url', 'edit'), async function (request, response) {
     if (!request.body) {
         console.warn('Error: no response body detected');
         response.status(400).send('Error: no response body detected');
@@ -1144,22 +1288,43 @@ router.post('/edit', validateAvatarUrlMiddleware, async function (request, respo
     char.create_date = request.body.create_date;
     char = JSON.stringify(char);
     let targetFile = (request.body.avatar_url).replace('.png', '');
+    const isShared = !!getCheckedSharedCharacter(request, request.body.avatar_url);
+    // Full saves of shared characters must be based on the latest revision, so they don't overwrite edits made by others
+    const expectedRevision = isShared ? Number(request.body.shared_revision) : null;
+    const newAvatarPath = request.file ? path.join(request.file.destination, request.file.filename) : null;
 
     try {
-        if (!request.file) {
-            const avatarPath = path.join(request.user.directories.characters, request.body.avatar_url);
-            await writeCharacterData(avatarPath, char, targetFile, request);
-        } else {
+        const result = await saveCharacter(request, request.body.avatar_url, expectedRevision, async () => {
+            if (!newAvatarPath) {
+                const avatarPath = getCharacterPath(request, request.body.avatar_url);
+                return await writeCharacterData(avatarPath, char, targetFile, request);
+            }
+
             const crop = tryParse(request.query.crop);
-            const newAvatarPath = path.join(request.file.destination, request.file.filename);
             invalidateThumbnail(request.user.directories, 'avatar', request.body.avatar_url);
-            await writeCharacterData(newAvatarPath, char, targetFile, request, crop);
+            return await writeCharacterData(newAvatarPath, char, targetFile, request, crop);
+        });
+
+        if (newAvatarPath && fs.existsSync(newAvatarPath)) {
             fs.unlinkSync(newAvatarPath);
+        }
+
+        if (result.conflict) {
+            return response.status(409).send({ error: 'The character was changed by someone else. Reload it and apply your changes again.', revision: result.revision });
+        }
 
+        if (newAvatarPath) {
             // Bust cache to reload the new avatar
             cacheBuster.bust(request, response);
         }
 
+        if (isShared) {
+            if (request.body.chat) {
+                updateSharedCharacterUserState(request.user.directories, request.body.avatar_url, { chat: String(request.body.chat) });
+            }
+            return response.send({ revision: result.revision });
+        }
+
         return response.sendStatus(200);
     } catch (err) {
         console.error('An error occurred, character edit invalidated.', err);
@@ -1167,7 +1332,7 @@ router.post('/edit', validateAvatarUrlMiddleware, async function (request, respo
     }
 });
 
-router.post('/edit-avatar', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/edit-avatar', validateAvatarUrlMiddleware, getSharedCharacterAccessFunction('avatar_url', 'edit'), async function (request, response) {
     try {
         if (!request.file) {
             return response.status(400).send('Error: no file uploaded');
@@ -1181,18 +1346,21 @@ router.post('/edit-avatar', validateAvatarUrlMiddleware, async function (request
         if (!fs.existsSync(uploadPath)) {
             return response.status(400).send('Error: uploaded file does not exist');
         }
-        const characterPath = path.join(request.user.directories.characters, request.body.avatar_url);
+        const characterPath = getCharacterPath(request, request.body.avatar_url);
         if (!fs.existsSync(characterPath)) {
             return response.status(400).send('Error: character file does not exist');
         }
-        const data = await readCharacterData(characterPath);
-        if (!data) {
-            return response.status(400).send('Error: failed to read character data');
-        }
 
         const crop = tryParse(request.query.crop);
         const fileName = request.body.avatar_url.replace('.png', '');
-        await writeCharacterData(uploadPath, data, fileName, request, crop);
+        const result = await saveCharacter(request, request.body.avatar_url, null, async () => {
+            const data = await readCharacterData(characterPath);
+            return !!data && await writeCharacterData(uploadPath, data, fileName, request, crop);
+        });
+        if (!result.saved) {
+            fs.unlinkSync(uploadPath);
+            return response.status(400).send('Error: failed to read character data');
+        }
 
         // Remove uploaded temp file
         fs.unlinkSync(uploadPath);
@@ -1218,7 +1386,7 @@ router.post('/edit-avatar', validateAvatarUrlMiddleware, async function (request
  * @param {Object} response - The HTTP response object.
  * @returns {void}
  */
-router.post('/edit-attribute', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/edit-attribute', validateAvatarUrlMiddleware, getSharedCharacterAccessFunction('avatar_url', 'edit'), async function (request, response) {
     console.debug(request.body);
     if (!request.body) {
         console.warn('Error: no response body detected');
@@ -1236,22 +1404,29 @@ router.post('/edit-attribute', validateAvatarUrlMiddleware, async function (requ
     }
 
     try {
-        const avatarPath = path.join(request.user.directories.characters, request.body.avatar_url);
-        const charJSON = await readCharacterData(avatarPath);
-        if (typeof charJSON !== 'string') throw new Error('Failed to read character file');
+        const avatarPath = getCharacterPath(request, request.body.avatar_url);
+        let invalidField = false;
+        await saveCharacter(request, request.body.avatar_url, null, async () => {
+            const charJSON = await readCharacterData(avatarPath);
+            if (typeof charJSON !== 'string') throw new Error('Failed to read character file');
+
+            const char = JSON.parse(charJSON);
+            //check if the field exists
+            if (char[request.body.field] === undefined && char.data[request.body.field] === undefined) {
+                invalidField = true;
+                return false;
+            }
+            char[request.body.field] = request.body.value;
+            char.data[request.body.field] = request.body.value;
+            let newCharJSON = JSON.stringify(char);
+            const targetFile = (request.body.avatar_url).replace('.png', '');
+            return await writeCharacterData(avatarPath, newCharJSON, targetFile, request);
+        });
 
-        const char = JSON.parse(charJSON);
-        //check if the field exists
-        if (char[request.body.field] === undefined && char.data[request.body.field] === undefined) {
+        if (invalidField) {
             console.warn('Error: invalid field.');
-            response.status(400).send('Error: invalid field.');
-            return;
+            return response.status(400).send('Error: invalid field.');
         }
-        char[request.body.field] = request.body.value;
-        char.data[request.body.field] = request.body.value;
-        let newCharJSON = JSON.stringify(char);
-        const targetFile = (request.body.avatar_url).replace('.png', '');
-        await writeCharacterData(avatarPath, newCharJSON, targetFile, request);
         return response.sendStatus(200);
     } catch (err) {
         console.error('An error occurred, character edit invalidated.', err);
@@ -1270,42 +1445,64 @@ router.post('/edit-attribute', validateAvatarUrlMiddleware, async function (requ
  *
  * @returns {void}
  * */
-router.post('/merge-attributes', getFileNameValidationFunction('avatar'), async function (request, response) {
+const mergeAccessFunction = getSharedCharacterAccessFunction('avatar', request => isUserStateUpdate(request.body) ? 'read' : 'edit');
+
+router.post('/merge-attributes', getFileNameValidationFunction('avatar'), mergeAccessFunction, async function (request, response) {
     try {
         const update = request.body;
-        const avatarPath = path.join(request.user.directories.characters, update.avatar);
-
-        const pngStringData = await readCharacterData(avatarPath);
 
-        if (!pngStringData) {
-            console.error('Error: invalid character file.');
-            return response.status(400).send('Error: invalid character file.');
+        // The last opened chat is kept per user, so users with read access can chat with shared characters
+        if (getCheckedSharedCharacter(request, update.avatar) && isUserStateUpdate(update)) {
+            updateSharedCharacterUserState(request.user.directories, update.avatar, { chat: String(update.chat ?? '') });
+            return response.sendStatus(200);
         }
 
-        let character = JSON.parse(pngStringData);
+        const avatarPath = getCharacterPath(request, update.avatar);
+        /** @type {{message: string, error?: any} | null} */
+        let failure = null;
 
-        _.unset(update, 'json_data');
-        _.unset(character, 'json_data');
+        await saveCharacter(request, update.avatar, null, async () => {
+            const pngStringData = await readCharacterData(avatarPath);
 
-        character = deepMerge(character, update);
+            if (!pngStringData) {
+                failure = { message: 'Error: invalid character file.' };
+                return false;
+            }
 
-        const validator = new TavernCardValidator(character);
-        const targetImg = (update.avatar).replace('.png', '');
+            let character = JSON.parse(pngStringData);
 
-        //Accept either V1 or V2.
-        if (validator.validate()) {
-            await writeCharacterData(avatarPath, JSON.stringify(character), targetImg, request);
-            response.sendStatus(200);
-        } else {
-            console.warn(validator.lastValidationError);
-            response.status(400).send({ message: `Validation failed for ${character.name}`, error: validator.lastValidationError });
+            _.unset(update, 'json_data');
+            _.unset(character, 'json_data');
+
+            character = deepMerge(character, update);
+
+            const validator = new TavernCardValidator(character);
+            const targetImg = (update.avatar).replace('.png', '');
+
+            //Accept either V1 or V2.
+            if (!validator.validate()) {
+                failure = { message: `Validation failed for ${character.name}`, error: validator.lastValidationError };
+                return false;
+            }
+
+            return await writeCharacterData(avatarPath, JSON.stringify(character), targetImg, request);
+        });
+
+        if (failure?.error) {
+            console.warn(failure.error);
+            return response.status(400).send(failure);
+        }
+        if (failure) {
+            console.error(failure.message);
+            return response.status(400).send(failure.message);
         }
+        response.sendStatus(200);
     } catch (exception) {
         response.status(500).send({ message: 'Unexpected error while saving character.', error: exception.toString() });
     }
 });
 
-router.post('/delete', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/delete', validateAvatarUrlMiddleware, getSharedCharacterAccessFunction('avatar_url', null), async function (request, response) {
     if (!request.body || !request.body.avatar_url) {
         return response.sendStatus(400);
     }
@@ -1360,6 +1557,18 @@ router.post('/all', async function (request, response) {
         const files = fs.readdirSync(request.user.directories.characters);
         const pngFiles = files.filter(file => file.endsWith('.png'));
         const processingPromises = pngFiles.map(file => processCharacter(file, request.user.directories, { shallow: useShallowCharacters }));
+
+        // Characters of the shared collections the user can access are listed after the personal ones
+        const userState = getSharedCharacterUserState(request.user.directories);
+        for (const { collection, access } of await getAccessibleCollections(request.user.profile)) {
+            for (const fileName of Object.keys(collection.characters)) {
+                const avatar = toSharedAvatar(collection.id, fileName);
+                const filePath = getSharedCharacterPath(collection.id, fileName);
+                processingPromises.push(processCharacter(avatar, request.user.directories, { shallow: useShallowCharacters, filePath })
+                    .then(character => character.name ? withSharedDetails(character, collection, fileName, access, userState) : character));
+            }
+        }
+
         const data = (await Promise.all(processingPromises)).filter(c => c.name);
         return response.send(data);
     } catch (err) {
@@ -1369,17 +1578,24 @@ router.post('/all', async function (request, response) {
     }
 });
 
-router.post('/get', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/get', validateAvatarUrlMiddleware, getSharedCharacterAccessFunction('avatar_url', 'read'), async function (request, response) {
     try {
         if (!request.body) return response.sendStatus(400);
         const item = request.body.avatar_url;
-        const filePath = path.join(request.user.directories.characters, item);
+        const filePath = getCharacterPath(request, item);
 
         if (!fs.existsSync(filePath)) {
             return response.sendStatus(404);
         }
 
-        const data = await processCharacter(item, request.user.directories, { shallow: false });
+        const data = await processCharacter(item, request.user.directories, { shallow: false, filePath });
+
+        const shared = getCheckedSharedCharacter(request, item);
+        if (shared && data.name) {
+            const collection = getCollection(shared.collectionId);
+            const access = await getCollectionAccess(collection, request.user.profile);
+            withSharedDetails(data, collection, shared.fileName, access, getSharedCharacterUserState(request.user.directories));
+        }
 
         return response.send(data);
     } catch (err) {
@@ -1433,6 +1649,10 @@ router.post('/chats', validateAvatarUrlMiddleware, async function (request, resp
  * @returns {string} - The name for the uploaded PNG file
  */
 function getPngName(file, directories) {
+    // Names of imported cards must not be mistaken for shared characters
+    if (hasSharedAvatarPrefix(file)) {
+        file = `_${file}`;
+    }
     let i = 1;
     const baseName = file;
     while (fs.existsSync(path.join(directories.characters, `${file}.png`))) {
@@ -1459,6 +1679,9 @@ router.post('/import', async function (request, response) {
     const uploadPath = path.join(request.file.destination, request.file.filename);
     const format = request.body.file_type;
     const preservedFileName = getPreservedName(request);
+    if (hasSharedAvatarPrefix(preservedFileName)) {
+        return response.status(400).send('Error: this name is reserved for shared characters');
+    }
 
     const formatImportFunctions = {
         'yaml': importFromYaml,
@@ -1494,7 +1717,7 @@ router.post('/import', async function (request, response) {
     }
 });
 
-router.post('/duplicate', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/duplicate', validateAvatarUrlMiddleware, getSharedCharacterAccessFunction('avatar_url', null), async function (request, response) {
     try {
         if (!request.body.avatar_url) {
             console.warn('avatar URL not found in request body');
@@ -1540,13 +1763,13 @@ router.post('/duplicate', validateAvatarUrlMiddleware, async function (request,
     }
 });
 
-router.post('/export', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/export', validateAvatarUrlMiddleware, getSharedCharacterAccessFunction('avatar_url', 'read'), async function (request, response) {
     try {
         if (!request.body.format || !request.body.avatar_url) {
             return response.sendStatus(400);
         }
 
-        let filename = path.join(request.user.directories.characters, sanitize(request.body.avatar_url));
+        let filename = getCharacterPath(request, sanitize(request.body.avatar_url));
 
         if (!fs.existsSync(filename)) {
             return response.sendStatus(404);
@@ -8,6 +8,7 @@ import {
     clearDefaultTemplate,
     listDefaultTemplateCategories,
 } from '../default-template.js';
+import { recordAuditEvent } from '../audit-log.js';
 
 export const router = express.Router();
 
@@ -39,6 +40,7 @@ router.post('/snapshot', requireAdminMiddleware, async (request, response) => {
 
         const directories = getUserDirectories(normalizedHandle);
         const result = snapshotDefaultTemplateFromUser(directories, normalizedHandle, categories);
+        recordAuditEvent(request, 'default-config.snapshot', normalizedHandle, { categories });
 
         return response.json({
             success: true,
@@ -50,9 +52,10 @@ router.post('/snapshot', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.post('/clear', requireAdminMiddleware, (_request, response) => {
+router.post('/clear', requireAdminMiddleware, (request, response) => {
     try {
         clearDefaultTemplate();
+        recordAuditEvent(request, 'default-config.clear');
         return response.json({ success: true });
     } catch (error) {
         console.error('Default template clear failed:', error);
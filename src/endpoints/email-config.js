@@ -2,8 +2,20 @@ import fs from 'node:fs';
 import path from 'node:path';
 import yaml from 'yaml';
 import express from 'express';
-import { getEmailConfig, testEmailConfig, reloadEmailConfig } from '../email-service.js';
+import { getEmailConfig, testEmailConfig, reloadEmailConfig, getEmailTransports, isEmailServiceAvailable, sendEmail } from '../email-service.js';
+import {
+    DEFAULT_TEMPLATE_LOCALE,
+    deleteEmailTemplate,
+    getEmailTemplate,
+    getEmailTemplateError,
+    getEmailTemplateList,
+    getSampleVariables,
+    isEmailEvent,
+    renderEmailTemplate,
+    saveEmailTemplate,
+} from '../email-templates.js';
 import { requireAdminMiddleware } from '../users.js';
+import { recordAuditEvent } from '../audit-log.js';
 
 export const router = express.Router();
 
@@ -21,7 +33,11 @@ router.get('/get', requireAdminMiddleware, async (request, response) => {
 
 router.post('/save', requireAdminMiddleware, async (request, response) => {
     try {
-        const { enabled, host, port, secure, user, password, from, fromName } = request.body;
+        const { enabled, transport, host, port, secure, user, password, catcherHost, catcherPort, from, fromName } = request.body;
+
+        if (transport && !getEmailTransports().includes(transport)) {
+            return response.status(400).json({ error: `Unknown email transport: ${transport}` });
+        }
 
         const configPath = path.join(process.cwd(), 'config.yaml');
         let config = {};
@@ -32,7 +48,9 @@ router.post('/save', requireAdminMiddleware, async (request, response) => {
         }
 
         config.email = {
+            ...config.email,
             enabled: enabled || false,
+            transport: transport || 'smtp',
             smtp: {
                 host: host || '',
                 port: parseInt(port) || 587,
@@ -40,6 +58,10 @@ router.post('/save', requireAdminMiddleware, async (request, response) => {
                 user: user || '',
                 password: password || '',
             },
+            catcher: {
+                host: catcherHost || 'localhost',
+                port: parseInt(catcherPort) || 1025,
+            },
             from: from || '',
             fromName: fromName || 'SillyTavern',
         };
@@ -50,6 +72,8 @@ router.post('/save', requireAdminMiddleware, async (request, response) => {
         reloadEmailConfig();
 
         console.info('Email config saved successfully');
+        // The SMTP password is deliberately left out of the audit trail
+        recordAuditEvent(request, 'email-config.save', '', { enabled: config.email.enabled, transport: config.email.transport, host: config.email.smtp.host, port: config.email.smtp.port, user: config.email.smtp.user, from: config.email.from });
         return response.json({ success: true, message: 'Email configuration saved. Some changes may require a server restart to take effect.' });
     } catch (error) {
         console.error('Save email config failed:', error);
@@ -72,6 +96,7 @@ router.post('/test', requireAdminMiddleware, async (request, response) => {
         }
 
         const result = await testEmailConfig(testEmail);
+        recordAuditEvent(request, 'email-config.test', testEmail, { success: result.success });
 
         if (result.success) {
             console.info('Email test successful for', testEmail);
@@ -85,3 +110,117 @@ router.post('/test', requireAdminMiddleware, async (request, response) => {
         return response.status(500).json({ error: 'Failed to test email configuration: ' + error.message });
     }
 });
+
+
+/**
+ * Gets the template to preview or test: the unsaved draft sent by the editor, or the saved template for the language.
+ * @param {import('express').Request} request Request
+ * @returns {Promise<import('../email-templates.js').EmailTemplate>}
+ */
+async function getRequestedTemplate(request) {
+    const { event, locale, subject, text, html } = request.body;
+
+    if (subject !== undefined || text !== undefined || html !== undefined) {
+        return { subject: String(subject ?? ''), text: String(text ?? ''), html: String(html ?? '') };
+    }
+
+    return await getEmailTemplate(event, locale === DEFAULT_TEMPLATE_LOCALE ? '' : locale);
+}
+
+
+router.get('/templates', requireAdminMiddleware, async (request, response) => {
+    try {
+        return response.json(await getEmailTemplateList());
+    } catch (error) {
+        console.error('Get email templates failed:', error);
+        return response.status(500).json({ error: 'Failed to load email templates' });
+    }
+});
+
+
+router.post('/templates/save', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { event, locale, subject, text, html } = request.body;
+        const template = { subject, text, html: html ?? '' };
+
+        const error = getEmailTemplateError(event, locale, template);
+        if (error) {
+            return response.status(400).json({ error });
+        }
+
+        await saveEmailTemplate(event, locale, template);
+        console.info(`Email template ${event} (${locale}) saved`);
+        recordAuditEvent(request, 'email-template.save', event, { locale });
+        return response.json({ success: true });
+    } catch (error) {
+        console.error('Save email template failed:', error);
+        return response.status(500).json({ error: 'Failed to save email template: ' + error.message });
+    }
+});
+
+
+router.post('/templates/delete', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { event, locale } = request.body;
+
+        if (!await deleteEmailTemplate(String(event), String(locale))) {
+            return response.status(404).json({ error: 'Template not found' });
+        }
+
+        console.info(`Email template ${event} (${locale}) deleted`);
+        recordAuditEvent(request, 'email-template.delete', event, { locale });
+        return response.json({ success: true });
+    } catch (error) {
+        console.error('Delete email template failed:', error);
+        return response.status(500).json({ error: 'Failed to delete email template: ' + error.message });
+    }
+});
+
+
+router.post('/templates/preview', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { event } = request.body;
+
+        if (!isEmailEvent(event)) {
+            return response.status(400).json({ error: 'Unknown email event' });
+        }
+
+        const template = await getRequestedTemplate(request);
+        return response.json(renderEmailTemplate(template, getSampleVariables(event)));
+    } catch (error) {
+        console.error('Preview email template failed:', error);
+        return response.status(500).json({ error: 'Failed to preview email template: ' + error.message });
+    }
+});
+
+
+router.post('/templates/test', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { event, testEmail } = request.body;
+
+        if (!isEmailEvent(event)) {
+            return response.status(400).json({ error: 'Unknown email event' });
+        }
+
+        if (!testEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(testEmail)) {
+            return response.status(400).json({ error: 'Email format is invalid' });
+        }
+
+        if (!isEmailServiceAvailable()) {
+            return response.status(503).json({ error: 'Email service is not enabled or configuration is incomplete' });
+        }
+
+        const email = renderEmailTemplate(await getRequestedTemplate(request), getSampleVariables(event));
+        const sent = await sendEmail(testEmail, `[Test] ${email.subject}`, email.text, email.html);
+        recordAuditEvent(request, 'email-template.test', testEmail, { event, success: sent });
+
+        if (!sent) {
+            return response.status(500).json({ error: 'Email send failed. Please check the server logs' });
+        }
+
+        return response.json({ success: true, message: 'Test email sent. Please check your inbox.' });
+    } catch (error) {
+        console.error('Test email template failed:', error);
+        return response.status(500).json({ error: 'Failed to send test email: ' + error.message });
+    }
+});
@@ -2,13 +2,30 @@ import path from 'node:path';
 import fs from 'node:fs';
 import express from 'express';
 import sanitize from 'sanitize-filename';
+import DiffMatchPatch from 'diff-match-patch';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
-import { humanizedISO8601DateTime } from '../util.js';
+import { humanizedISO8601DateTime, getConfigValue } from '../util.js';
+import { PERMISSIONS, hasPermission } from '../roles.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { recordAuditEvent } from '../audit-log.js';
+import { ForumSearchIndex, normalizeText, parseQuery, stripHtml } from '../forum-search-index.js';
+import {
+    extractMentions,
+    getNotificationSettings,
+    getNotifications,
+    markNotificationsRead,
+    notifyMentions,
+    notifyUser,
+    updateNotificationSettings,
+} from '../forum-notifications.js';
 
 // 论坛数据存储目录
 const FORUM_DATA_DIR = path.join(globalThis.DATA_ROOT, 'forum_data');
 const ARTICLES_DIR = path.join(FORUM_DATA_DIR, 'articles');
 const COMMENTS_DIR = path.join(FORUM_DATA_DIR, 'comments');
+const REPORTS_DIR = path.join(FORUM_DATA_DIR, 'reports');
+const REVISIONS_DIR = path.join(FORUM_DATA_DIR, 'revisions');
+const MAX_REVISIONS = 100;
 
 // 确保目录存在
 if (!fs.existsSync(FORUM_DATA_DIR)) {
@@ -20,12 +37,21 @@ if (!fs.existsSync(ARTICLES_DIR)) {
 if (!fs.existsSync(COMMENTS_DIR)) {
     fs.mkdirSync(COMMENTS_DIR, { recursive: true });
 }
+if (!fs.existsSync(REPORTS_DIR)) {
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+}
+if (!fs.existsSync(REVISIONS_DIR)) {
+    fs.mkdirSync(REVISIONS_DIR, { recursive: true });
+}
 if (!fs.existsSync(path.join(FORUM_DATA_DIR, 'temp'))) {
     fs.mkdirSync(path.join(FORUM_DATA_DIR, 'temp'), { recursive: true });
 }
 
 export const router = express.Router();
 
+// 全文搜索索引（首次使用时加载，索引文件缺失或与文章数量不一致时重建）
+const searchIndex = new ForumSearchIndex(path.join(FORUM_DATA_DIR, 'search-index.json'));
+
 /**
  * 生成文章ID
  * @returns {string} 文章ID
@@ -80,8 +106,8 @@ function getAllArticles() {
             }
         }
 
-        // 按创建时间倒序排列
-        return articles.sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+        // 置顶文章在前，其余按创建时间倒序排列
+        return articles.sort(compareArticles);
     } catch (error) {
         console.error('Error getting all articles:', error);
         return [];
@@ -159,10 +185,386 @@ function getArticleComments(articleId) {
     }
 }
 
+/**
+ * 读取目录中的所有JSON文件
+ * @param {string} directory 目录
+ * @returns {Array} 解析后的数据
+ */
+function readJsonFiles(directory) {
+    const items = [];
+    for (const file of fs.readdirSync(directory)) {
+        if (!file.endsWith('.json')) {
+            continue;
+        }
+        try {
+            items.push(JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+        } catch (error) {
+            console.error(`Error reading forum file ${file}:`, error);
+        }
+    }
+    return items;
+}
+
+/**
+ * 获取评论
+ * @param {string} commentId 评论ID
+ * @returns {object|null} 评论数据
+ */
+function getComment(commentId) {
+    try {
+        const commentPath = path.join(COMMENTS_DIR, `${sanitize(commentId)}.json`);
+        if (!fs.existsSync(commentPath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(commentPath, 'utf8'));
+    } catch (error) {
+        console.error('Error getting comment:', error);
+        return null;
+    }
+}
+
+/**
+ * 保存举报数据
+ * @param {object} report 举报数据
+ * @returns {boolean} 是否成功
+ */
+function saveReport(report) {
+    try {
+        writeFileAtomicSync(path.join(REPORTS_DIR, `${report.id}.json`), JSON.stringify(report, null, 2));
+        return true;
+    } catch (error) {
+        console.error('Error saving report:', error);
+        return false;
+    }
+}
+
+/**
+ * 获取举报
+ * @param {string} reportId 举报ID
+ * @returns {object|null} 举报数据
+ */
+function getReport(reportId) {
+    try {
+        const reportPath = path.join(REPORTS_DIR, `${sanitize(reportId)}.json`);
+        if (!fs.existsSync(reportPath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    } catch (error) {
+        console.error('Error getting report:', error);
+        return null;
+    }
+}
+
+/**
+ * 关闭某个内容的所有未处理举报
+ * @param {'article'|'comment'} targetType 内容类型
+ * @param {string} targetId 内容ID
+ * @param {string} resolution 处理结果
+ * @param {string} moderatorHandle 处理人
+ * @returns {number} 关闭的举报数量
+ */
+function closeReportsForTarget(targetType, targetId, resolution, moderatorHandle) {
+    let closed = 0;
+    for (const report of readJsonFiles(REPORTS_DIR)) {
+        if (report.status === 'open' && report.target_type === targetType && report.target_id === targetId) {
+            report.status = resolution;
+            report.resolved_by = moderatorHandle;
+            report.resolved_at = humanizedISO8601DateTime();
+            saveReport(report);
+            closed++;
+        }
+    }
+    return closed;
+}
+
+/**
+ * 构建文章的搜索文档（只包含对所有人可见的评论）
+ * @param {object} article 文章数据
+ * @param {Array} comments 文章的评论
+ * @returns {import('../forum-search-index.js').SearchDocument} 搜索文档
+ */
+function toSearchDocument(article, comments) {
+    return {
+        title: article.title,
+        tags: article.tags || [],
+        content: article.content,
+        comments: comments.filter(c => !c.hidden && c.status !== 'pending').map(c => c.content),
+        meta: {
+            category: article.category,
+            author: article.author,
+            hidden: !!article.hidden,
+            status: article.status || 'published',
+        },
+    };
+}
+
+/**
+ * 读取所有评论并按文章分组
+ * @returns {Map<string, Array>} 文章ID到评论列表的映射
+ */
+function groupCommentsByArticle() {
+    const commentsByArticle = new Map();
+    for (const comment of readJsonFiles(COMMENTS_DIR)) {
+        if (!commentsByArticle.has(comment.article_id)) {
+            commentsByArticle.set(comment.article_id, []);
+        }
+        commentsByArticle.get(comment.article_id).push(comment);
+    }
+    return commentsByArticle;
+}
+
+/**
+ * 确保搜索索引已加载，必要时从所有文章重建
+ */
+function ensureSearchIndex() {
+    if (searchIndex.loaded) {
+        return;
+    }
+
+    const articleCount = fs.readdirSync(ARTICLES_DIR).filter(file => file.endsWith('.json')).length;
+    if (searchIndex.load() && searchIndex.docs.size === articleCount) {
+        return;
+    }
+
+    console.info('Rebuilding forum search index...');
+    const commentsByArticle = groupCommentsByArticle();
+    const articles = readJsonFiles(ARTICLES_DIR);
+    searchIndex.rebuild(articles.map(article => [article.id, toSearchDocument(article, commentsByArticle.get(article.id) || [])]));
+    console.info(`Forum search index rebuilt with ${articles.length} posts`);
+}
+
+/**
+ * 更新文章在搜索索引中的内容，文章不存在时从索引中移除
+ * @param {string} articleId 文章ID
+ */
+function reindexArticle(articleId) {
+    try {
+        ensureSearchIndex();
+        const article = getArticle(articleId);
+        if (article) {
+            searchIndex.updateDocument(article.id, toSearchDocument(article, getArticleComments(article.id)));
+        } else {
+            searchIndex.removeDocument(articleId);
+        }
+    } catch (error) {
+        console.error('Error updating forum search index:', error);
+    }
+}
+
+/**
+ * 通知被@的用户有新文章（只在文章公开后调用）
+ * @param {object} article 文章数据
+ * @param {string[]} [exclude=[]] 已经通知过的用户
+ */
+function dispatchArticleNotifications(article, exclude = []) {
+    const event = { article_id: article.id, article_title: article.title, actor: article.author };
+    notifyMentions(article.content, event, exclude).catch(error => {
+        console.error('Error sending forum notifications:', error);
+    });
+}
+
+/**
+ * 通知文章作者、被回复的用户和被@的用户有新评论（只在评论公开后调用）
+ * @param {object} article 文章数据
+ * @param {object} comment 评论数据
+ */
+function dispatchCommentNotifications(article, comment) {
+    // 文章本身还不可见时不通知
+    if (article.hidden || article.status === 'pending') {
+        return;
+    }
+
+    const event = {
+        article_id: article.id,
+        article_title: article.title,
+        comment_id: comment.id,
+        actor: comment.author,
+        text: comment.content,
+    };
+
+    (async () => {
+        const notified = [];
+        const parent = comment.parent_id ? getComment(comment.parent_id) : null;
+        if (parent) {
+            await notifyUser(parent.author.handle, { ...event, type: 'reply' });
+            notified.push(parent.author.handle);
+        }
+        if (!notified.includes(article.author.handle)) {
+            await notifyUser(article.author.handle, { ...event, type: 'comment' });
+            notified.push(article.author.handle);
+        }
+        await notifyMentions(comment.content, event, notified);
+    })().catch(error => {
+        console.error('Error sending forum notifications:', error);
+    });
+}
+
+/**
+ * 获取文章的修订历史（旧文章没有历史文件时，把当前内容作为第一个版本）
+ * @param {object} article 文章数据
+ * @returns {Array} 修订列表，按版本号升序
+ */
+function getArticleRevisions(article) {
+    try {
+        const revisionsPath = path.join(REVISIONS_DIR, `${sanitize(article.id)}.json`);
+        if (fs.existsSync(revisionsPath)) {
+            return JSON.parse(fs.readFileSync(revisionsPath, 'utf8'));
+        }
+    } catch (error) {
+        console.error('Error reading article revisions:', error);
+    }
+
+    return [{
+        revision: 1,
+        title: article.title,
+        content: article.content,
+        category: article.category,
+        tags: article.tags || [],
+        edited_by: article.author,
+        edited_at: article.updated_at || article.created_at,
+    }];
+}
+
+/**
+ * 为文章追加一个修订版本，记录当前内容和编辑者
+ * @param {object} article 文章数据（已更新为新内容）
+ * @param {Array} revisions 修改前的修订列表
+ * @param {{handle: string, name: string}} editor 编辑者
+ * @param {string} [note] 备注
+ * @returns {number} 新的版本号
+ */
+function appendArticleRevision(article, revisions, editor, note) {
+    const revision = (revisions.length ? revisions[revisions.length - 1].revision : 0) + 1;
+    revisions.push({
+        revision,
+        title: article.title,
+        content: article.content,
+        category: article.category,
+        tags: article.tags || [],
+        edited_by: { handle: editor.handle, name: editor.name },
+        edited_at: humanizedISO8601DateTime(),
+        ...(note ? { note } : {}),
+    });
+
+    // 超出上限时丢弃最早的修改，但保留原始版本
+    while (revisions.length > MAX_REVISIONS) {
+        revisions.splice(1, 1);
+    }
+
+    writeFileAtomicSync(path.join(REVISIONS_DIR, `${sanitize(article.id)}.json`), JSON.stringify(revisions, null, 2));
+    return revision;
+}
+
+/**
+ * 删除文章的修订历史
+ * @param {string} articleId 文章ID
+ */
+function deleteArticleRevisions(articleId) {
+    fs.rmSync(path.join(REVISIONS_DIR, `${sanitize(articleId)}.json`), { force: true });
+}
+
+/**
+ * 把文章HTML转换为适合比较差异的纯文本（块级元素换行）
+ * @param {string} html 文章内容
+ * @returns {string} 纯文本
+ */
+function toDiffText(html) {
+    const withBreaks = String(html || '').replace(/<br\s*\/?>|<\/(p|div|h[1-6]|li|blockquote|pre)>/gi, '\n');
+    return stripHtml(withBreaks).replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * 比较两段文本
+ * @param {string} before 旧文本
+ * @param {string} after 新文本
+ * @returns {Array<[number, string]>} 差异片段：-1 删除，0 未变，1 新增
+ */
+function diffText(before, after) {
+    const dmp = new DiffMatchPatch();
+    const diff = dmp.diff_main(before, after);
+    dmp.diff_cleanupSemantic(diff);
+    return diff.map(([operation, text]) => [operation, text]);
+}
+
+/**
+ * 检查当前用户能否看到文章或评论（隐藏和待审核内容只对版主可见，待审核内容作者本人也可见）
+ * @param {object} item 文章或评论
+ * @param {string|undefined} userHandle 当前用户
+ * @param {boolean} canModerate 是否为版主
+ * @returns {boolean} 是否可见
+ */
+function isVisibleTo(item, userHandle, canModerate) {
+    if (canModerate) {
+        return true;
+    }
+    if (item.hidden) {
+        return false;
+    }
+    if (item.status === 'pending') {
+        return item.author.handle === userHandle;
+    }
+    return true;
+}
+
+/**
+ * 检查当前用户是否有论坛管理权限
+ * @param {import('express').Request} request 请求
+ * @returns {Promise<boolean>} 是否为版主
+ */
+async function canModerateForum(request) {
+    return !!request.user && await hasPermission(request.user.profile, PERMISSIONS.FORUM_MODERATE);
+}
+
+/**
+ * 检查新用户的内容是否需要审核后才能发布
+ * @param {import('express').Request} request 请求
+ * @returns {Promise<boolean>} 是否需要审核
+ */
+async function requiresApproval(request) {
+    if (!getConfigValue('forum.requireApprovalForNewUsers', false, 'boolean')) {
+        return false;
+    }
+    if (await canModerateForum(request)) {
+        return false;
+    }
+
+    const threshold = getConfigValue('forum.approvalPostCount', 1, 'number');
+    const handle = request.user.profile.handle;
+    const isApproved = item => item.author?.handle === handle && item.status !== 'pending';
+    let approvedCount = readJsonFiles(ARTICLES_DIR).filter(isApproved).length;
+    if (approvedCount < threshold) {
+        approvedCount += readJsonFiles(COMMENTS_DIR).filter(isApproved).length;
+    }
+    return approvedCount < threshold;
+}
+
+/**
+ * 重新统计文章的可见评论数
+ * @param {object} article 文章数据
+ */
+function refreshCommentsCount(article) {
+    article.comments_count = getArticleComments(article.id).filter(c => !c.hidden && c.status !== 'pending').length;
+}
+
+/**
+ * 文章排序：置顶文章在前，其余按创建时间倒序
+ * @param {object} a 文章
+ * @param {object} b 文章
+ * @returns {number} 排序结果
+ */
+function compareArticles(a, b) {
+    if (!!a.pinned !== !!b.pinned) {
+        return a.pinned ? -1 : 1;
+    }
+    return new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
+}
+
 // 获取所有文章
 router.get('/articles', async function (request, response) {
     try {
-        const articles = getAllArticles();
+        const canModerate = await canModerateForum(request);
+        const articles = getAllArticles().filter(article => isVisibleTo(article, request.user?.profile?.handle, canModerate));
         response.json(articles);
     } catch (error) {
         console.error('Error getting articles:', error);
@@ -175,13 +577,15 @@ router.get('/articles/:articleId', async function (request, response) {
     try {
         const { articleId } = request.params;
         const article = getArticle(articleId);
+        const canModerate = await canModerateForum(request);
+        const userHandle = request.user?.profile?.handle;
 
-        if (!article) {
+        if (!article || !isVisibleTo(article, userHandle, canModerate)) {
             return response.status(404).json({ error: 'Article not found' });
         }
 
-        // 获取文章评论
-        const comments = getArticleComments(articleId);
+        // 获取文章评论（过滤掉当前用户不可见的评论）
+        const comments = getArticleComments(articleId).filter(comment => isVisibleTo(comment, userHandle, canModerate));
         article.comments = comments;
 
         // 检查当前用户是否已点赞
@@ -226,10 +630,20 @@ router.post('/articles', async function (request, response) {
             views: 0,
             likes: 0,
             comments_count: 0,
+            status: await requiresApproval(request) ? 'pending' : 'published',
+            hidden: false,
+            locked: false,
+            pinned: false,
+            revision: 1,
         };
 
         if (saveArticle(article)) {
-            console.info(`Article "${article.title}" created by ${article.author.handle}`);
+            appendArticleRevision(article, [], article.author);
+            reindexArticle(article.id);
+            if (article.status !== 'pending') {
+                dispatchArticleNotifications(article);
+            }
+            console.info(`Article "${article.title}" created by ${article.author.handle}${article.status === 'pending' ? ' (awaiting approval)' : ''}`);
             response.json(article);
         } else {
             response.status(500).json({ error: 'Failed to save article' });
@@ -250,27 +664,42 @@ router.put('/articles/:articleId', async function (request, response) {
             return response.status(401).json({ error: 'Authentication required' });
         }
 
+        // 被版主隐藏的文章，作者在处理期间不能修改内容
         const article = getArticle(articleId);
-        if (!article) {
+        const canModerate = await canModerateForum(request);
+        if (!article || !isVisibleTo(article, request.user.profile.handle, canModerate)) {
             return response.status(404).json({ error: 'Article not found' });
         }
 
         // 检查权限：只有作者或管理员可以编辑
         const isAuthor = article.author.handle === request.user.profile.handle;
-        const isAdmin = request.user.profile.admin;
 
-        if (!isAuthor && !isAdmin) {
+        if (!isAuthor && !canModerate) {
             return response.status(403).json({ error: 'Permission denied' });
         }
 
+        // 编辑前已经@过的用户不再重复通知
+        const previousMentions = extractMentions(article.content);
+        const revisions = getArticleRevisions(article);
+        const previous = JSON.stringify([article.title, article.content, article.category, article.tags || []]);
+
         // 更新文章
         if (title) article.title = title.trim();
         if (content) article.content = content.trim();
         if (category) article.category = category;
         if (tags) article.tags = tags;
-        article.updated_at = humanizedISO8601DateTime();
+
+        // 内容有变化时记录新的修订版本
+        if (JSON.stringify([article.title, article.content, article.category, article.tags || []]) !== previous) {
+            article.updated_at = humanizedISO8601DateTime();
+            article.revision = appendArticleRevision(article, revisions, request.user.profile);
+        }
 
         if (saveArticle(article)) {
+            reindexArticle(article.id);
+            if (article.status !== 'pending' && !article.hidden) {
+                dispatchArticleNotifications(article, previousMentions);
+            }
             console.info(`Article "${article.title}" updated by ${request.user.profile.handle}`);
             response.json(article);
         } else {
@@ -298,9 +727,9 @@ router.delete('/articles/:articleId', async function (request, response) {
 
         // 检查权限：只有作者或管理员可以删除
         const isAuthor = article.author.handle === request.user.profile.handle;
-        const isAdmin = request.user.profile.admin;
+        const canModerate = await hasPermission(request.user.profile, PERMISSIONS.FORUM_MODERATE);
 
-        if (!isAuthor && !isAdmin) {
+        if (!isAuthor && !canModerate) {
             return response.status(403).json({ error: 'Permission denied' });
         }
 
@@ -317,6 +746,13 @@ router.delete('/articles/:articleId', async function (request, response) {
             }
         }
 
+        closeReportsForTarget('article', articleId, 'resolved', request.user.profile.handle);
+        deleteArticleRevisions(articleId);
+        reindexArticle(articleId);
+        if (!isAuthor) {
+            recordAuditEvent(request, 'forum.article.delete', articleId, { title: article.title, author: article.author.handle });
+        }
+
         console.info(`Article "${article.title}" deleted by ${request.user.profile.handle}`);
         response.json({ success: true });
     } catch (error) {
@@ -325,6 +761,124 @@ router.delete('/articles/:articleId', async function (request, response) {
     }
 });
 
+/**
+ * 加载文章并检查当前用户能否查看修订历史（只有作者和版主可以）
+ * @param {import('express').Request} request 请求
+ * @param {import('express').Response} response 响应
+ * @returns {Promise<object|null>} 文章数据，无权限时已发送错误响应并返回null
+ */
+async function getArticleForHistory(request, response) {
+    if (!request.user) {
+        response.status(401).json({ error: 'Authentication required' });
+        return null;
+    }
+
+    const article = getArticle(request.params.articleId);
+    const canModerate = await canModerateForum(request);
+    if (!article || !isVisibleTo(article, request.user.profile.handle, canModerate)) {
+        response.status(404).json({ error: 'Article not found' });
+        return null;
+    }
+
+    if (article.author.handle !== request.user.profile.handle && !canModerate) {
+        response.status(403).json({ error: 'Permission denied' });
+        return null;
+    }
+
+    return article;
+}
+
+// 获取文章的修订历史
+router.get('/articles/:articleId/revisions', async function (request, response) {
+    try {
+        const article = await getArticleForHistory(request, response);
+        if (!article) {
+            return;
+        }
+
+        const revisions = getArticleRevisions(article)
+            .map(({ revision, title, edited_by, edited_at, note }) => ({ revision, title, edited_by, edited_at, note }))
+            .reverse();
+        response.json({ current: article.revision || 1, revisions });
+    } catch (error) {
+        console.error('Error getting article revisions:', error);
+        response.status(500).json({ error: 'Failed to get article revisions' });
+    }
+});
+
+// 比较两个修订版本（默认与上一个版本比较）
+router.get('/articles/:articleId/revisions/:revision/diff', async function (request, response) {
+    try {
+        const article = await getArticleForHistory(request, response);
+        if (!article) {
+            return;
+        }
+
+        const revisions = getArticleRevisions(article);
+        const index = revisions.findIndex(r => r.revision === Number(request.params.revision));
+        if (index === -1) {
+            return response.status(404).json({ error: 'Revision not found' });
+        }
+
+        const target = revisions[index];
+        const base = request.query.against !== undefined
+            ? revisions.find(r => r.revision === Number(request.query.against))
+            : revisions[index - 1];
+        if (request.query.against !== undefined && !base) {
+            return response.status(404).json({ error: 'Revision not found' });
+        }
+
+        response.json({
+            from: base ? base.revision : null,
+            to: target.revision,
+            edited_by: target.edited_by,
+            edited_at: target.edited_at,
+            title: diffText(base?.title || '', target.title),
+            content: diffText(toDiffText(base?.content), toDiffText(target.content)),
+            tags: diffText((base?.tags || []).join(', '), (target.tags || []).join(', ')),
+            category: { from: base?.category ?? null, to: target.category },
+        });
+    } catch (error) {
+        console.error('Error comparing article revisions:', error);
+        response.status(500).json({ error: 'Failed to compare article revisions' });
+    }
+});
+
+// 回滚到指定的修订版本（作为新的修订记录，不删除历史）
+router.post('/articles/:articleId/revisions/:revision/rollback', requirePermission(PERMISSIONS.FORUM_MODERATE), async function (request, response) {
+    try {
+        const article = getArticle(request.params.articleId);
+        if (!article) {
+            return response.status(404).json({ error: 'Article not found' });
+        }
+
+        const revisions = getArticleRevisions(article);
+        const target = revisions.find(r => r.revision === Number(request.params.revision));
+        if (!target) {
+            return response.status(404).json({ error: 'Revision not found' });
+        }
+
+        article.title = target.title;
+        article.content = target.content;
+        article.category = target.category;
+        article.tags = target.tags || [];
+        article.updated_at = humanizedISO8601DateTime();
+        article.revision = appendArticleRevision(article, revisions, request.user.profile, `Rolled back to revision ${target.revision}`);
+
+        if (!saveArticle(article)) {
+            return response.status(500).json({ error: 'Failed to update article' });
+        }
+        reindexArticle(article.id);
+
+        recordAuditEvent(request, 'forum.article.rollback', article.id, { revision: target.revision, author: article.author.handle });
+        console.info(`Article "${article.title}" rolled back to revision ${target.revision} by ${request.user.profile.handle}`);
+        response.json(article);
+    } catch (error) {
+        console.error('Error rolling back article:', error);
+        response.status(500).json({ error: 'Failed to roll back article' });
+    }
+});
+
 // 添加评论
 router.post('/articles/:articleId/comments', async function (request, response) {
     try {
@@ -340,10 +894,15 @@ router.post('/articles/:articleId/comments', async function (request, response)
         }
 
         const article = getArticle(articleId);
-        if (!article) {
+        const canModerate = await canModerateForum(request);
+        if (!article || !isVisibleTo(article, request.user.profile.handle, canModerate)) {
             return response.status(404).json({ error: 'Article not found' });
         }
 
+        if (article.locked && !canModerate) {
+            return response.status(403).json({ error: 'This thread is locked' });
+        }
+
         const comment = {
             id: generateCommentId(),
             article_id: articleId,
@@ -355,12 +914,18 @@ router.post('/articles/:articleId/comments', async function (request, response)
             },
             created_at: humanizedISO8601DateTime(),
             likes: 0,
+            status: await requiresApproval(request) ? 'pending' : 'published',
+            hidden: false,
         };
 
         if (saveComment(comment)) {
-            // 更新文章评论数
-            article.comments_count = (article.comments_count || 0) + 1;
-            saveArticle(article);
+            // 更新文章评论数和搜索索引（待审核评论在通过后才计数）
+            if (comment.status !== 'pending') {
+                article.comments_count = (article.comments_count || 0) + 1;
+                saveArticle(article);
+                reindexArticle(article.id);
+                dispatchCommentNotifications(article, comment);
+            }
 
             console.info(`Comment added to article "${article.title}" by ${comment.author.handle}`);
             response.json(comment);
@@ -428,21 +993,26 @@ router.delete('/comments/:commentId', async function (request, response) {
 
         // 检查权限：只有作者或管理员可以删除
         const isAuthor = comment.author.handle === request.user.profile.handle;
-        const isAdmin = request.user.profile.admin;
+        const canModerate = await hasPermission(request.user.profile, PERMISSIONS.FORUM_MODERATE);
 
-        if (!isAuthor && !isAdmin) {
+        if (!isAuthor && !canModerate) {
             return response.status(403).json({ error: 'Permission denied' });
         }
 
         // 递归删除评论及其所有子评论
         const deletedCount = deleteCommentAndReplies(commentId);
+        closeReportsForTarget('comment', commentId, 'resolved', request.user.profile.handle);
+        if (!isAuthor) {
+            recordAuditEvent(request, 'forum.comment.delete', commentId, { article: comment.article_id, author: comment.author.handle });
+        }
 
         // 更新文章评论数
         const article = getArticle(comment.article_id);
         if (article) {
-            article.comments_count = Math.max(0, (article.comments_count || 0) - deletedCount);
+            refreshCommentsCount(article);
             saveArticle(article);
         }
+        reindexArticle(comment.article_id);
 
         console.info(`Comment and ${deletedCount - 1} replies deleted by ${request.user.profile.handle}`);
         response.json({ success: true, deletedCount });
@@ -462,12 +1032,11 @@ router.post('/articles/:articleId/like', async function (request, response) {
         }
 
         const article = getArticle(articleId);
-        if (!article) {
+        const userHandle = request.user.profile.handle;
+        if (!article || !isVisibleTo(article, userHandle, await canModerateForum(request))) {
             return response.status(404).json({ error: 'Article not found' });
         }
 
-        const userHandle = request.user.profile.handle;
-
         // 初始化点赞用户列表
         if (!article.liked_by) {
             article.liked_by = [];
@@ -498,6 +1067,12 @@ router.post('/articles/:articleId/like', async function (request, response) {
             article.likes = (article.likes || 0) + 1;
 
             if (saveArticle(article)) {
+                notifyUser(article.author.handle, {
+                    type: 'like',
+                    article_id: article.id,
+                    article_title: article.title,
+                    actor: { handle: userHandle, name: request.user.profile.name },
+                }).catch(error => console.error('Error sending forum notifications:', error));
                 console.info(`Article "${article.title}" liked by ${userHandle}`);
                 response.json({
                     success: true,
@@ -515,6 +1090,352 @@ router.post('/articles/:articleId/like', async function (request, response) {
     }
 });
 
+/**
+ * 创建举报
+ * @param {import('express').Request} request 请求
+ * @param {'article'|'comment'} targetType 内容类型
+ * @param {object} target 被举报的内容
+ * @returns {{status: number, body: object}} 响应
+ */
+function createReport(request, targetType, target) {
+    const reason = String(request.body?.reason || '').trim();
+    if (!reason) {
+        return { status: 400, body: { error: 'A reason is required' } };
+    }
+
+    const reporterHandle = request.user.profile.handle;
+    const duplicate = readJsonFiles(REPORTS_DIR).some(report =>
+        report.status === 'open' &&
+        report.target_type === targetType &&
+        report.target_id === target.id &&
+        report.reporter.handle === reporterHandle,
+    );
+    if (duplicate) {
+        return { status: 409, body: { error: 'You have already reported this content' } };
+    }
+
+    const report = {
+        id: generateArticleId(),
+        target_type: targetType,
+        target_id: target.id,
+        article_id: targetType === 'article' ? target.id : target.article_id,
+        reason: reason.substring(0, 1000),
+        reporter: {
+            handle: reporterHandle,
+            name: request.user.profile.name,
+        },
+        created_at: humanizedISO8601DateTime(),
+        status: 'open',
+    };
+
+    if (!saveReport(report)) {
+        return { status: 500, body: { error: 'Failed to save report' } };
+    }
+
+    console.info(`${targetType} ${target.id} reported by ${reporterHandle}`);
+    return { status: 200, body: { success: true } };
+}
+
+// 举报文章
+router.post('/articles/:articleId/report', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const article = getArticle(request.params.articleId);
+        if (!article || !isVisibleTo(article, request.user.profile.handle, false)) {
+            return response.status(404).json({ error: 'Article not found' });
+        }
+
+        const result = createReport(request, 'article', article);
+        response.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Error reporting article:', error);
+        response.status(500).json({ error: 'Failed to report article' });
+    }
+});
+
+// 举报评论
+router.post('/comments/:commentId/report', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const comment = getComment(request.params.commentId);
+        if (!comment || !isVisibleTo(comment, request.user.profile.handle, false)) {
+            return response.status(404).json({ error: 'Comment not found' });
+        }
+
+        const result = createReport(request, 'comment', comment);
+        response.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Error reporting comment:', error);
+        response.status(500).json({ error: 'Failed to report comment' });
+    }
+});
+
+// 审核队列：未处理的举报和待审核的内容
+router.get('/moderation/queue', requirePermission(PERMISSIONS.FORUM_MODERATE), async function (request, response) {
+    try {
+        const articles = readJsonFiles(ARTICLES_DIR);
+        const comments = readJsonFiles(COMMENTS_DIR);
+        const articleMap = new Map(articles.map(article => [article.id, article]));
+        const commentMap = new Map(comments.map(comment => [comment.id, comment]));
+        const summarize = item => item ? {
+            id: item.id,
+            title: item.title,
+            content: item.content,
+            author: item.author,
+            created_at: item.created_at,
+            hidden: !!item.hidden,
+            locked: !!item.locked,
+            pinned: !!item.pinned,
+            status: item.status || 'published',
+        } : null;
+
+        const reports = readJsonFiles(REPORTS_DIR)
+            .filter(report => report.status === 'open')
+            .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
+            .map(report => ({
+                ...report,
+                article_title: articleMap.get(report.article_id)?.title || null,
+                target: summarize(report.target_type === 'article' ? articleMap.get(report.target_id) : commentMap.get(report.target_id)),
+            }));
+
+        const pendingArticles = articles.filter(article => article.status === 'pending').map(summarize);
+        const pendingComments = comments
+            .filter(comment => comment.status === 'pending')
+            .map(comment => ({
+                ...summarize(comment),
+                article_id: comment.article_id,
+                article_title: articleMap.get(comment.article_id)?.title || null,
+            }));
+
+        response.json({ reports, pendingArticles, pendingComments });
+    } catch (error) {
+        console.error('Error getting moderation queue:', error);
+        response.status(500).json({ error: 'Failed to get moderation queue' });
+    }
+});
+
+// 文章管理操作：隐藏、锁定、置顶、审核
+router.post('/articles/:articleId/moderate', requirePermission(PERMISSIONS.FORUM_MODERATE), async function (request, response) {
+    try {
+        const { articleId } = request.params;
+        const { action } = request.body;
+        const article = getArticle(articleId);
+        if (!article) {
+            return response.status(404).json({ error: 'Article not found' });
+        }
+
+        const moderatorHandle = request.user.profile.handle;
+        const wasPending = article.status === 'pending';
+        switch (action) {
+            case 'hide':
+            case 'unhide':
+                article.hidden = action === 'hide';
+                break;
+            case 'lock':
+            case 'unlock':
+                article.locked = action === 'lock';
+                break;
+            case 'pin':
+            case 'unpin':
+                article.pinned = action === 'pin';
+                break;
+            case 'approve':
+                article.status = 'published';
+                break;
+            case 'reject': {
+                // 拒绝待审核文章：直接删除文章及其评论
+                fs.unlinkSync(path.join(ARTICLES_DIR, `${article.id}.json`));
+                for (const comment of getArticleComments(article.id)) {
+                    fs.rmSync(path.join(COMMENTS_DIR, `${comment.id}.json`), { force: true });
+                }
+                closeReportsForTarget('article', article.id, 'resolved', moderatorHandle);
+                deleteArticleRevisions(article.id);
+                reindexArticle(article.id);
+                recordAuditEvent(request, 'forum.article.reject', article.id, { title: article.title, author: article.author.handle });
+                return response.json({ success: true, deleted: true });
+            }
+            default:
+                return response.status(400).json({ error: 'Unknown moderation action' });
+        }
+
+        article.moderated_by = moderatorHandle;
+        article.moderated_at = humanizedISO8601DateTime();
+        if (!saveArticle(article)) {
+            return response.status(500).json({ error: 'Failed to update article' });
+        }
+        reindexArticle(article.id);
+
+        if (action === 'approve' && wasPending) {
+            dispatchArticleNotifications(article);
+        }
+
+        if (action === 'hide') {
+            closeReportsForTarget('article', article.id, 'resolved', moderatorHandle);
+        }
+
+        recordAuditEvent(request, `forum.article.${action}`, article.id, { title: article.title, author: article.author.handle });
+        console.info(`Moderation action "${action}" applied to article "${article.title}" by ${moderatorHandle}`);
+        response.json(article);
+    } catch (error) {
+        console.error('Error moderating article:', error);
+        response.status(500).json({ error: 'Failed to moderate article' });
+    }
+});
+
+// 评论管理操作：隐藏、审核
+router.post('/comments/:commentId/moderate', requirePermission(PERMISSIONS.FORUM_MODERATE), async function (request, response) {
+    try {
+        const { action } = request.body;
+        const comment = getComment(request.params.commentId);
+        if (!comment) {
+            return response.status(404).json({ error: 'Comment not found' });
+        }
+
+        const moderatorHandle = request.user.profile.handle;
+        const wasPending = comment.status === 'pending';
+        switch (action) {
+            case 'hide':
+            case 'unhide':
+                comment.hidden = action === 'hide';
+                break;
+            case 'approve':
+                comment.status = 'published';
+                break;
+            case 'reject': {
+                const deletedCount = deleteCommentAndReplies(comment.id);
+                const article = getArticle(comment.article_id);
+                if (article) {
+                    refreshCommentsCount(article);
+                    saveArticle(article);
+                }
+                reindexArticle(comment.article_id);
+                closeReportsForTarget('comment', comment.id, 'resolved', moderatorHandle);
+                recordAuditEvent(request, 'forum.comment.reject', comment.id, { article: comment.article_id, author: comment.author.handle });
+                return response.json({ success: true, deleted: true, deletedCount });
+            }
+            default:
+                return response.status(400).json({ error: 'Unknown moderation action' });
+        }
+
+        comment.moderated_by = moderatorHandle;
+        comment.moderated_at = humanizedISO8601DateTime();
+        if (!saveComment(comment)) {
+            return response.status(500).json({ error: 'Failed to update comment' });
+        }
+
+        const article = getArticle(comment.article_id);
+        if (article) {
+            refreshCommentsCount(article);
+            saveArticle(article);
+            if (action === 'approve' && wasPending) {
+                dispatchCommentNotifications(article, comment);
+            }
+        }
+        reindexArticle(comment.article_id);
+
+        if (action === 'hide') {
+            closeReportsForTarget('comment', comment.id, 'resolved', moderatorHandle);
+        }
+
+        recordAuditEvent(request, `forum.comment.${action}`, comment.id, { article: comment.article_id, author: comment.author.handle });
+        console.info(`Moderation action "${action}" applied to comment ${comment.id} by ${moderatorHandle}`);
+        response.json(comment);
+    } catch (error) {
+        console.error('Error moderating comment:', error);
+        response.status(500).json({ error: 'Failed to moderate comment' });
+    }
+});
+
+// 处理举报：标记为已处理或驳回
+router.post('/reports/:reportId/resolve', requirePermission(PERMISSIONS.FORUM_MODERATE), async function (request, response) {
+    try {
+        const report = getReport(request.params.reportId);
+        if (!report) {
+            return response.status(404).json({ error: 'Report not found' });
+        }
+
+        const resolution = request.body?.resolution === 'dismissed' ? 'dismissed' : 'resolved';
+        report.status = resolution;
+        report.resolved_by = request.user.profile.handle;
+        report.resolved_at = humanizedISO8601DateTime();
+        if (!saveReport(report)) {
+            return response.status(500).json({ error: 'Failed to update report' });
+        }
+
+        recordAuditEvent(request, 'forum.report.resolve', report.id, { resolution, target: `${report.target_type}:${report.target_id}` });
+        response.json({ success: true, report });
+    } catch (error) {
+        console.error('Error resolving report:', error);
+        response.status(500).json({ error: 'Failed to resolve report' });
+    }
+});
+
+// 获取当前用户的通知
+router.get('/notifications', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const unreadOnly = request.query.unread === 'true';
+        response.json(await getNotifications(request.user.profile.handle, unreadOnly));
+    } catch (error) {
+        console.error('Error getting notifications:', error);
+        response.status(500).json({ error: 'Failed to get notifications' });
+    }
+});
+
+// 标记通知为已读（不传ids时全部标记）
+router.post('/notifications/read', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const ids = Array.isArray(request.body?.ids) ? request.body.ids.map(String) : null;
+        const marked = await markNotificationsRead(request.user.profile.handle, ids);
+        response.json({ success: true, marked });
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        response.status(500).json({ error: 'Failed to update notifications' });
+    }
+});
+
+// 获取通知设置
+router.get('/notifications/settings', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        response.json(await getNotificationSettings(request.user.profile.handle));
+    } catch (error) {
+        console.error('Error getting notification settings:', error);
+        response.status(500).json({ error: 'Failed to get notification settings' });
+    }
+});
+
+// 更新通知设置：按类型屏蔽通知，设置邮件摘要频率
+router.post('/notifications/settings', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const { muted, emailDigest } = request.body || {};
+        response.json(await updateNotificationSettings(request.user.profile.handle, { muted, emailDigest }));
+    } catch (error) {
+        console.error('Error updating notification settings:', error);
+        response.status(500).json({ error: 'Failed to update notification settings' });
+    }
+});
+
 // 获取文章分类
 router.get('/categories', async function (request, response) {
     try {
@@ -533,38 +1454,73 @@ router.get('/categories', async function (request, response) {
     }
 });
 
-// 搜索文章
+// 搜索文章：基于倒排索引的全文搜索，支持相关度排序、"短语"查询和分页
 router.get('/search', async function (request, response) {
     try {
-        const { q, category, author } = request.query;
-        let articles = getAllArticles();
-
-        // 关键词搜索
-        if (q) {
-            // 确保 q 是字符串类型
-            const queryString = Array.isArray(q) ? q[0] : q;
-            const query = String(queryString).toLowerCase();
-            articles = articles.filter(article =>
-                article.title.toLowerCase().includes(query) ||
-                article.content.toLowerCase().includes(query) ||
-                (article.tags && article.tags.some(tag => tag.toLowerCase().includes(query))),
-            );
+        const { category, author } = request.query;
+        // 确保查询参数是字符串类型
+        const queryString = String((Array.isArray(request.query.q) ? request.query.q[0] : request.query.q) || '');
+        const page = Math.max(1, parseInt(String(request.query.page), 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(String(request.query.limit), 10) || 20));
+
+        const userHandle = request.user?.profile?.handle;
+        const canModerate = await canModerateForum(request);
+        const matchesFilters = meta =>
+            isVisibleTo(meta, userHandle, canModerate) &&
+            (!category || meta.category === category) &&
+            (!author || meta.author?.handle === author || meta.author?.name === author);
+
+        ensureSearchIndex();
+        const { terms, phrases } = parseQuery(queryString);
+
+        /** @type {{id: string, score: number}[]} */
+        let matches;
+        if (queryString.trim()) {
+            matches = searchIndex.search(terms).filter(result => matchesFilters(result.meta));
+        } else {
+            // 没有关键词时按筛选条件列出文章
+            matches = getAllArticles()
+                .filter(article => matchesFilters({ ...article, status: article.status || 'published' }))
+                .map(article => ({ id: article.id, score: 0 }));
         }
 
-        // 分类筛选
-        if (category) {
-            articles = articles.filter(article => article.category === category);
+        // 短语查询：索引只能保证所有词都出现，需要用原文确认短语完整出现
+        if (phrases.length > 0) {
+            let commentsByArticle = null;
+            matches = matches.filter(result => {
+                const article = getArticle(result.id);
+                if (!article) {
+                    return false;
+                }
+                const articleText = normalizeText([article.title, (article.tags || []).join(' '), stripHtml(article.content)].join('\n'));
+                const missing = phrases.filter(phrase => !articleText.includes(phrase));
+                if (missing.length === 0) {
+                    return true;
+                }
+                // 只有文章正文中找不到时才读取评论，所有候选文章共用一次评论扫描
+                commentsByArticle ??= groupCommentsByArticle();
+                const comments = toSearchDocument(article, commentsByArticle.get(article.id) || []).comments;
+                const commentsText = normalizeText(comments.join('\n'));
+                return missing.every(phrase => commentsText.includes(phrase));
+            });
         }
 
-        // 作者筛选
-        if (author) {
-            articles = articles.filter(article =>
-                article.author.handle === author ||
-                article.author.name === author,
-            );
-        }
+        const total = matches.length;
+        const results = matches
+            .slice((page - 1) * limit, page * limit)
+            .map(result => {
+                const article = getArticle(result.id);
+                return article ? { ...article, score: result.score } : null;
+            })
+            .filter(Boolean);
 
-        response.json(articles);
+        response.json({
+            results,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+        });
     } catch (error) {
         console.error('Error searching articles:', error);
         response.status(500).json({ error: 'Failed to search articles' });
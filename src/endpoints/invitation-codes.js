@@ -7,12 +7,44 @@ import {
     cleanupExpiredInvitationCodes,
     setPurchaseLink,
     getPurchaseLink,
+    updateInvitationCode,
+    getInvitationRedemptionReport,
 } from '../invitation-codes.js';
 import { requireAdminMiddleware } from '../users.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { PERMISSIONS, getRoles } from '../roles.js';
+import { getQuotaTiers } from '../usage-quotas.js';
+import { recordAuditEvent } from '../audit-log.js';
 
 export const router = express.Router();
 
-router.get('/', requireAdminMiddleware, async (request, response) => {
+/**
+ * Reads the options of new invitation codes from the request body. Only admins may attach role or quota tier grants.
+ * @param {import('express').Request} request Request object
+ * @returns {Promise<{options?: import('../invitation-codes.js').InvitationOptions, error?: string}>}
+ */
+async function getInvitationOptions(request) {
+    const { maxUses, grantRole, grantQuotaTier, note, campaign } = request.body;
+    const options = { maxUses, note, campaign, grantRole: '', grantQuotaTier: '' };
+
+    if (grantRole || grantQuotaTier) {
+        if (!request.user?.profile?.admin) {
+            return { error: 'Only administrators can create codes that grant a role or quota tier' };
+        }
+        if (grantRole && !(await getRoles())[grantRole]) {
+            return { error: `Role "${grantRole}" does not exist` };
+        }
+        if (grantQuotaTier && !(await getQuotaTiers())[grantQuotaTier]) {
+            return { error: `Quota tier "${grantQuotaTier}" does not exist` };
+        }
+        options.grantRole = grantRole || '';
+        options.grantQuotaTier = grantQuotaTier || '';
+    }
+
+    return { options };
+}
+
+router.get('/', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
     try {
         if (!isInvitationCodesEnabled()) {
             return response.json({ enabled: false, codes: [] });
@@ -26,7 +58,7 @@ router.get('/', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.post('/create', requireAdminMiddleware, async (request, response) => {
+router.post('/create', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
     try {
         if (!isInvitationCodesEnabled()) {
             return response.status(400).json({ error: 'Invitation codes are disabled' });
@@ -36,7 +68,13 @@ router.post('/create', requireAdminMiddleware, async (request, response) => {
         // @ts-ignore - user.handle exists in actual runtime
         const createdBy = request.user?.profile?.handle || request.user?.handle || 'admin';
 
-        const invitation = await createInvitationCode(createdBy, durationType);
+        const { options, error } = await getInvitationOptions(request);
+        if (error) {
+            return response.status(400).json({ error });
+        }
+
+        const invitation = await createInvitationCode(createdBy, durationType, options);
+        recordAuditEvent(request, 'invitation.create', invitation.code, { durationType, ...options });
         response.json(invitation);
     } catch (error) {
         console.error('Error creating invitation code:', error);
@@ -44,7 +82,7 @@ router.post('/create', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.post('/batch-create', requireAdminMiddleware, async (request, response) => {
+router.post('/batch-create', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
     try {
         if (!isInvitationCodesEnabled()) {
             return response.status(400).json({ error: 'Invitation codes are disabled' });
@@ -58,12 +96,18 @@ router.post('/batch-create', requireAdminMiddleware, async (request, response) =
             return response.status(400).json({ error: 'Count must be between 1 and 100' });
         }
 
+        const { options, error } = await getInvitationOptions(request);
+        if (error) {
+            return response.status(400).json({ error });
+        }
+
         const invitations = [];
         for (let i = 0; i < count; i++) {
-            const invitation = await createInvitationCode(createdBy, durationType);
+            const invitation = await createInvitationCode(createdBy, durationType, options);
             invitations.push(invitation);
         }
 
+        recordAuditEvent(request, 'invitation.batch-create', '', { count: invitations.length, durationType, ...options, codes: invitations.map(x => x.code) });
         response.json({
             success: true,
             count: invitations.length,
@@ -75,7 +119,61 @@ router.post('/batch-create', requireAdminMiddleware, async (request, response) =
     }
 });
 
-router.delete('/:code', requireAdminMiddleware, async (request, response) => {
+router.get('/grant-options', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
+    try {
+        if (!request.user?.profile?.admin) {
+            return response.json({ roles: [], quotaTiers: [] });
+        }
+
+        const roles = Object.keys(await getRoles());
+        const quotaTiers = Object.keys(await getQuotaTiers());
+        response.json({ roles, quotaTiers });
+    } catch (error) {
+        console.error('Error getting invitation grant options:', error);
+        response.status(500).json({ error: 'Failed to fetch grant options' });
+    }
+});
+
+router.post('/update', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
+    try {
+        if (!isInvitationCodesEnabled()) {
+            return response.status(400).json({ error: 'Invitation codes are not enabled' });
+        }
+
+        const { code, note, campaign, maxUses } = request.body;
+        if (!code) {
+            return response.status(400).json({ error: 'Missing invitation code' });
+        }
+
+        const invitation = await updateInvitationCode(code, { note, campaign, maxUses });
+        if (!invitation) {
+            return response.status(404).json({ error: 'Invitation code not found' });
+        }
+
+        recordAuditEvent(request, 'invitation.update', invitation.code, { note: invitation.note, campaign: invitation.campaign, maxUses: invitation.maxUses });
+        response.json(invitation);
+    } catch (error) {
+        console.error('Error updating invitation code:', error);
+        response.status(500).json({ error: 'Failed to update invitation code' });
+    }
+});
+
+router.get('/report', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
+    try {
+        if (!isInvitationCodesEnabled()) {
+            return response.json({ enabled: false, campaigns: [] });
+        }
+
+        const campaign = typeof request.query.campaign === 'string' ? request.query.campaign : undefined;
+        const campaigns = await getInvitationRedemptionReport(campaign);
+        response.json({ enabled: true, campaigns });
+    } catch (error) {
+        console.error('Error building invitation redemption report:', error);
+        response.status(500).json({ error: 'Failed to build the redemption report' });
+    }
+});
+
+router.delete('/:code', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
     try {
         if (!isInvitationCodesEnabled()) {
             return response.status(400).json({ error: 'Invitation codes are not enabled' });
@@ -85,6 +183,7 @@ router.delete('/:code', requireAdminMiddleware, async (request, response) => {
         const success = await deleteInvitationCode(code);
 
         if (success) {
+            recordAuditEvent(request, 'invitation.delete', code);
             response.json({ success: true });
         } else {
             response.status(404).json({ error: 'Invitation code not found' });
@@ -95,7 +194,7 @@ router.delete('/:code', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.post('/batch-delete', requireAdminMiddleware, async (request, response) => {
+router.post('/batch-delete', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
     try {
         if (!isInvitationCodesEnabled()) {
             return response.status(400).json({ error: 'Invitation codes are not enabled' });
@@ -123,6 +222,7 @@ router.post('/batch-delete', requireAdminMiddleware, async (request, response) =
             }
         }
 
+        recordAuditEvent(request, 'invitation.batch-delete', '', { requested: codes.length, deletedCount });
         response.json({
             success: true,
             deletedCount,
@@ -135,13 +235,14 @@ router.post('/batch-delete', requireAdminMiddleware, async (request, response) =
     }
 });
 
-router.post('/cleanup', requireAdminMiddleware, async (request, response) => {
+router.post('/cleanup', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), async (request, response) => {
     try {
         if (!isInvitationCodesEnabled()) {
             return response.status(400).json({ error: 'Invitation codes are not enabled' });
         }
 
         const cleanedCount = await cleanupExpiredInvitationCodes();
+        recordAuditEvent(request, 'invitation.cleanup', '', { cleanedCount });
         response.json({ cleanedCount });
     } catch (error) {
         console.error('Error cleaning up invitation codes:', error);
@@ -167,6 +268,7 @@ router.post('/purchase-link', requireAdminMiddleware, async (request, response)
 
         const { purchaseLink } = request.body;
         await setPurchaseLink(purchaseLink);
+        recordAuditEvent(request, 'invitation.purchase-link.set', '', { purchaseLink });
         response.json({ success: true, purchaseLink });
     } catch (error) {
         console.error('Error setting purchase link:', error);
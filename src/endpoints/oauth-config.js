@@ -4,6 +4,8 @@ import path from 'node:path';
 import yaml from 'yaml';
 import { requireAdminMiddleware } from '../users.js';
 import { getConfigValue } from '../util.js';
+import { recordAuditEvent } from '../audit-log.js';
+import { BUILT_IN_PROVIDERS, getOAuthProviderError, sanitizeOAuthProvider } from '../oauth-providers.js';
 
 export const router = express.Router();
 
@@ -33,9 +35,11 @@ router.get('/get', requireAdminMiddleware, async (request, response) => {
         }
         const finalProtocol = sslEnabled ? 'https' : protocol;
 
-        const defaultGithubCallback = `${finalProtocol}://${hostname}/api/oauth/github/callback`;
-        const defaultDiscordCallback = `${finalProtocol}://${hostname}/api/oauth/discord/callback`;
-        const defaultLinuxdoCallback = `${finalProtocol}://${hostname}/api/oauth/linuxdo/callback`;
+        const getDefaultCallbackUrl = (id) => `${finalProtocol}://${hostname}/api/oauth/${id}/callback`;
+        const defaultGithubCallback = getDefaultCallbackUrl('github');
+        const defaultDiscordCallback = getDefaultCallbackUrl('discord');
+        const defaultLinuxdoCallback = getDefaultCallbackUrl('linuxdo');
+        const customProviders = Array.isArray(config?.oauth?.providers) ? config.oauth.providers : [];
 
         const oauthConfig = {
             github: {
@@ -63,6 +67,10 @@ router.get('/get', requireAdminMiddleware, async (request, response) => {
                 tokenUrl: config?.oauth?.linuxdo?.tokenUrl || 'https://connect.linux.do/oauth2/token',
                 userInfoUrl: config?.oauth?.linuxdo?.userInfoUrl || 'https://connect.linux.do/api/user',
             },
+            providers: customProviders.map(x => sanitizeOAuthProvider(x)).map(provider => ({
+                ...provider,
+                defaultCallbackUrl: getDefaultCallbackUrl(provider.id),
+            })),
         };
 
         return response.json(oauthConfig);
@@ -75,12 +83,23 @@ router.get('/get', requireAdminMiddleware, async (request, response) => {
 
 router.post('/save', requireAdminMiddleware, async (request, response) => {
     try {
-        const { github, discord, linuxdo } = request.body;
+        const { github, discord, linuxdo, providers = [] } = request.body;
 
-        if (!github || !discord || !linuxdo) {
+        if (!github || !discord || !linuxdo || !Array.isArray(providers)) {
             return response.status(400).json({ error: 'Missing required configuration fields' });
         }
 
+        const customProviders = providers.map(x => sanitizeOAuthProvider(x));
+        for (const provider of customProviders) {
+            const error = getOAuthProviderError(provider);
+            if (error) {
+                return response.status(400).json({ error });
+            }
+            if (BUILT_IN_PROVIDERS.includes(provider.id) || customProviders.filter(x => x.id === provider.id).length > 1) {
+                return response.status(400).json({ error: `Provider ID "${provider.id}" is already in use` });
+            }
+        }
+
         const configPath = path.join(process.cwd(), 'config.yaml');
 
         if (!fs.existsSync(configPath)) {
@@ -96,24 +115,31 @@ router.post('/save', requireAdminMiddleware, async (request, response) => {
         }
 
         config.oauth.github = {
+            ...config.oauth.github,
             enabled: Boolean(github.enabled),
             clientId: String(github.clientId || ''),
             clientSecret: String(github.clientSecret || ''),
         };
         if (github.callbackUrl && github.callbackUrl.trim()) {
             config.oauth.github.callbackUrl = String(github.callbackUrl.trim());
+        } else {
+            delete config.oauth.github.callbackUrl;
         }
 
         config.oauth.discord = {
+            ...config.oauth.discord,
             enabled: Boolean(discord.enabled),
             clientId: String(discord.clientId || ''),
             clientSecret: String(discord.clientSecret || ''),
         };
         if (discord.callbackUrl && discord.callbackUrl.trim()) {
             config.oauth.discord.callbackUrl = String(discord.callbackUrl.trim());
+        } else {
+            delete config.oauth.discord.callbackUrl;
         }
 
         config.oauth.linuxdo = {
+            ...config.oauth.linuxdo,
             enabled: Boolean(linuxdo.enabled),
             clientId: String(linuxdo.clientId || ''),
             clientSecret: String(linuxdo.clientSecret || ''),
@@ -124,8 +150,13 @@ router.post('/save', requireAdminMiddleware, async (request, response) => {
         };
         if (linuxdo.callbackUrl && linuxdo.callbackUrl.trim()) {
             config.oauth.linuxdo.callbackUrl = String(linuxdo.callbackUrl.trim());
+        } else {
+            delete config.oauth.linuxdo.callbackUrl;
         }
 
+        // The preset is derived from the ID, and a blank callback URL is built from the request host
+        config.oauth.providers = customProviders.map(({ preset, callbackUrl, ...provider }) => (callbackUrl ? { ...provider, callbackUrl } : provider));
+
         const newConfigContent = yaml.stringify(config, {
             indent: 2,
             lineWidth: -1,
@@ -134,6 +165,12 @@ router.post('/save', requireAdminMiddleware, async (request, response) => {
         fs.writeFileSync(configPath, newConfigContent, 'utf8');
 
         console.log('OAuth configuration saved successfully');
+        recordAuditEvent(request, 'oauth-config.save', '', {
+            github: config.oauth.github.enabled,
+            discord: config.oauth.discord.enabled,
+            linuxdo: config.oauth.linuxdo.enabled,
+            providers: customProviders.map(x => ({ id: x.id, enabled: x.enabled })),
+        });
         return response.json({
             success: true,
             message: 'OAuth configuration saved. Restart the service to apply changes.'
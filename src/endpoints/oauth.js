@@ -6,37 +6,36 @@ import fetch from 'node-fetch';
 import { getConfigValue } from '../util.js';
 import {
     toKey,
-    getUserAvatar,
     normalizeHandle,
     KEY_PREFIX,
     getUserDirectories,
     ensurePublicDirectoriesExist,
-    toAvatarKey
+    toAvatarKey,
 } from '../users.js';
 import {
     validateInvitationCode,
     useInvitationCode,
-    isInvitationCodesEnabled
+    isInvitationCodesEnabled,
+    applyInvitationGrants,
 } from '../invitation-codes.js';
 import { checkForNewContent, CONTENT_TYPES } from './content-manager.js';
 import { applyDefaultTemplateToUser } from '../default-template.js';
+import { isTwoFactorEnabled } from '../two-factor.js';
+import { createUserSession } from '../user-sessions.js';
+import {
+    addOAuthLink,
+    applyMappedRole,
+    getEnabledOAuthProvider,
+    getMappedRole,
+    getOAuthLinks,
+    getOAuthProviders,
+    getProvisioningError,
+    mapOAuthIdentity,
+} from '../oauth-providers.js';
 
 export const router = express.Router();
 
 
-function processDiscourseAvatarTemplate(template, baseUrl = 'https://connect.linux.do') {
-    if (!template) return null;
-
-    if (template.startsWith('http://') || template.startsWith('https://')) {
-        return template.replace('{size}', '96');
-    }
-
-    const path = template.replace('{size}', '96');
-    return `${baseUrl}${path}`;
-}
-
-
-
 function decodeJWT(token) {
     try {
         if (!token || typeof token !== 'string') {
@@ -157,58 +156,34 @@ async function fetchOIDCConfig(wellKnownEndpoint) {
 }
 
 
-async function getOAuthConfig(request) {
-    const githubCallbackUrl = getConfigValue('oauth.github.callbackUrl', '', null) || buildCallbackUrl(request, 'github');
-    const discordCallbackUrl = getConfigValue('oauth.discord.callbackUrl', '', null) || buildCallbackUrl(request, 'discord');
-    const linuxdoCallbackUrl = getConfigValue('oauth.linuxdo.callbackUrl', '', null) || buildCallbackUrl(request, 'linuxdo');
-
-    const linuxdoEnabled = getConfigValue('oauth.linuxdo.enabled', false, 'boolean');
-    let linuxdoAuthUrl = String(getConfigValue('oauth.linuxdo.authUrl', 'https://connect.linux.do/oauth2/authorize') || 'https://connect.linux.do/oauth2/authorize');
-    let linuxdoTokenUrl = String(getConfigValue('oauth.linuxdo.tokenUrl', 'https://connect.linux.do/oauth2/token') || 'https://connect.linux.do/oauth2/token');
-    let linuxdoUserInfoUrl = String(getConfigValue('oauth.linuxdo.userInfoUrl', 'https://connect.linux.do/api/user') || 'https://connect.linux.do/api/user');
+/**
+ * Gets the endpoints and the callback URL of a provider, using its OIDC discovery document when configured.
+ * @param {import('express').Request} request Request object
+ * @param {import('../oauth-providers.js').OAuthProvider} provider Provider
+ * @returns {Promise<{authUrl: string, tokenUrl: string, userInfoUrl: string, callbackUrl: string}>}
+ */
+async function getProviderEndpoints(request, provider) {
+    const endpoints = {
+        authUrl: provider.authUrl,
+        tokenUrl: provider.tokenUrl,
+        userInfoUrl: provider.userInfoUrl,
+        callbackUrl: provider.callbackUrl || buildCallbackUrl(request, provider.id),
+    };
 
-    const wellKnownEndpoint = getConfigValue('oauth.linuxdo.wellKnownEndpoint', '', null);
-    if (linuxdoEnabled && wellKnownEndpoint && wellKnownEndpoint.trim()) {
-        const oidcConfig = await fetchOIDCConfig(wellKnownEndpoint.trim());
+    if (provider.wellKnownEndpoint) {
+        const oidcConfig = await fetchOIDCConfig(provider.wellKnownEndpoint);
         if (oidcConfig) {
-            linuxdoAuthUrl = oidcConfig.authorization_endpoint || linuxdoAuthUrl;
-            linuxdoTokenUrl = oidcConfig.token_endpoint || linuxdoTokenUrl;
-            linuxdoUserInfoUrl = oidcConfig.userinfo_endpoint || linuxdoUserInfoUrl;
+            endpoints.authUrl = oidcConfig.authorization_endpoint || endpoints.authUrl;
+            endpoints.tokenUrl = oidcConfig.token_endpoint || endpoints.tokenUrl;
+            endpoints.userInfoUrl = oidcConfig.userinfo_endpoint || endpoints.userInfoUrl;
         }
     }
 
-    return {
-        github: {
-            enabled: getConfigValue('oauth.github.enabled', false, 'boolean'),
-            clientId: String(getConfigValue('oauth.github.clientId', '') || ''),
-            clientSecret: String(getConfigValue('oauth.github.clientSecret', '') || ''),
-            callbackUrl: githubCallbackUrl,
-            authUrl: 'https://github.com/login/oauth/authorize',
-            tokenUrl: 'https://github.com/login/oauth/access_token',
-            userInfoUrl: 'https://api.github.com/user',
-        },
-        discord: {
-            enabled: getConfigValue('oauth.discord.enabled', false, 'boolean'),
-            clientId: String(getConfigValue('oauth.discord.clientId', '') || ''),
-            clientSecret: String(getConfigValue('oauth.discord.clientSecret', '') || ''),
-            callbackUrl: discordCallbackUrl,
-            authUrl: 'https://discord.com/api/oauth2/authorize',
-            tokenUrl: 'https://discord.com/api/oauth2/token',
-            userInfoUrl: 'https://discord.com/api/users/@me',
-        },
-        linuxdo: {
-            enabled: linuxdoEnabled,
-            clientId: String(getConfigValue('oauth.linuxdo.clientId', '') || ''),
-            clientSecret: String(getConfigValue('oauth.linuxdo.clientSecret', '') || ''),
-            callbackUrl: linuxdoCallbackUrl,
-            authUrl: linuxdoAuthUrl,
-            tokenUrl: linuxdoTokenUrl,
-            userInfoUrl: linuxdoUserInfoUrl,
-        },
-    };
+    return endpoints;
 }
 
 const oauthStateCache = new Map();
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
 
 
 function generateState() {
@@ -216,21 +191,12 @@ function generateState() {
 }
 
 
-router.get('/config', async (request, response) => {
+router.get('/config', async (_request, response) => {
     try {
-        const oauthConfig = await getOAuthConfig(request);
-        const config = {
-            github: {
-                enabled: oauthConfig.github.enabled && !!oauthConfig.github.clientId,
-            },
-            discord: {
-                enabled: oauthConfig.discord.enabled && !!oauthConfig.discord.clientId,
-            },
-            linuxdo: {
-                enabled: oauthConfig.linuxdo.enabled && !!oauthConfig.linuxdo.clientId,
-            },
-        };
-        return response.json(config);
+        const providers = getOAuthProviders()
+            .filter(provider => provider.enabled && provider.clientId)
+            .map(provider => ({ id: provider.id, name: provider.name, icon: provider.icon }));
+        return response.json({ providers });
     } catch (error) {
         console.error('Error getting OAuth config:', error);
         return response.status(500).json({ error: 'Failed to fetch OAuth configuration' });
@@ -238,419 +204,277 @@ router.get('/config', async (request, response) => {
 });
 
 
-router.get('/github', async (request, response) => {
+router.get('/:provider', async (request, response) => {
     try {
-        const oauthConfig = await getOAuthConfig(request);
-        if (!oauthConfig.github.enabled || !oauthConfig.github.clientId) {
-            return response.status(400).json({ error: 'GitHub OAuth is not enabled' });
+        const provider = getEnabledOAuthProvider(request.params.provider);
+        if (!provider) {
+            return response.status(400).json({ error: 'OAuth provider is not enabled' });
         }
 
-        const state = generateState();
-        oauthStateCache.set(state, { provider: 'github', timestamp: Date.now() });
-
-        for (const [key, value] of oauthStateCache.entries()) {
-            if (Date.now() - value.timestamp > 10 * 60 * 1000) {
-                oauthStateCache.delete(key);
-            }
+        const endpoints = await getProviderEndpoints(request, provider);
+        if (!endpoints.authUrl || !endpoints.tokenUrl) {
+            console.error(`OAuth provider ${provider.id} has no authorization or token endpoint`);
+            return response.status(500).json({ error: `Failed to initialize ${provider.name} OAuth` });
         }
 
-        const params = new URLSearchParams({
-            client_id: oauthConfig.github.clientId,
-            redirect_uri: oauthConfig.github.callbackUrl,
-            scope: 'read:user user:email',
-            state: state,
-        });
-
-        const authUrl = `${oauthConfig.github.authUrl}?${params.toString()}`;
-        return response.redirect(authUrl);
-    } catch (error) {
-        console.error('Error initiating GitHub OAuth:', error);
-        return response.status(500).json({ error: 'Failed to initialize GitHub OAuth' });
-    }
-});
-
-
-router.get('/discord', async (request, response) => {
-    try {
-        const oauthConfig = await getOAuthConfig(request);
-        if (!oauthConfig.discord.enabled || !oauthConfig.discord.clientId) {
-            return response.status(400).json({ error: 'Discord OAuth is not enabled' });
+        // Linking is started from the profile, which leaves a short-lived request in the session
+        const linkRequest = request.query.link ? request.session?.oauthLink : null;
+        if (request.session?.oauthLink) {
+            delete request.session.oauthLink;
+        }
+        if (request.query.link && (!linkRequest || linkRequest.provider !== provider.id || linkRequest.expiresAt < Date.now())) {
+            return response.redirect(`/?oauth_link_error=${encodeURIComponent('The link request has expired. Please try again.')}`);
         }
 
         const state = generateState();
-        oauthStateCache.set(state, { provider: 'discord', timestamp: Date.now() });
+        oauthStateCache.set(state, { provider: provider.id, linkHandle: linkRequest?.handle, timestamp: Date.now() });
 
         for (const [key, value] of oauthStateCache.entries()) {
-            if (Date.now() - value.timestamp > 10 * 60 * 1000) {
+            if (Date.now() - value.timestamp > OAUTH_STATE_TTL) {
                 oauthStateCache.delete(key);
             }
         }
 
         const params = new URLSearchParams({
-            client_id: oauthConfig.discord.clientId,
-            redirect_uri: oauthConfig.discord.callbackUrl,
+            client_id: provider.clientId,
+            redirect_uri: endpoints.callbackUrl,
             response_type: 'code',
-            scope: 'identify email',
             state: state,
         });
+        if (provider.scope) {
+            params.set('scope', provider.scope);
+        }
 
-        const authUrl = `${oauthConfig.discord.authUrl}?${params.toString()}`;
-        return response.redirect(authUrl);
+        return response.redirect(`${endpoints.authUrl}?${params.toString()}`);
     } catch (error) {
-        console.error('Error initiating Discord OAuth:', error);
-        return response.status(500).json({ error: 'Failed to initialize Discord OAuth' });
+        console.error('Error initiating OAuth:', error);
+        return response.status(500).json({ error: 'Failed to initialize OAuth' });
     }
 });
 
 
-router.get('/linuxdo', async (request, response) => {
-    try {
-        const oauthConfig = await getOAuthConfig(request);
-        if (!oauthConfig.linuxdo.enabled || !oauthConfig.linuxdo.clientId) {
-            return response.status(400).json({ error: 'Linux.do OAuth is not enabled' });
-        }
-
-        const state = generateState();
-        oauthStateCache.set(state, { provider: 'linuxdo', timestamp: Date.now() });
-
-        for (const [key, value] of oauthStateCache.entries()) {
-            if (Date.now() - value.timestamp > 10 * 60 * 1000) {
-                oauthStateCache.delete(key);
+/**
+ * Gets the claims of the logged in user from the ID token and the user info endpoint.
+ * @param {import('../oauth-providers.js').OAuthProvider} provider Provider
+ * @param {{userInfoUrl: string}} endpoints Provider endpoints
+ * @param {any} tokenData Token endpoint response
+ * @returns {Promise<any>} Claims, or null if the provider returned none
+ */
+async function getProviderClaims(provider, endpoints, tokenData) {
+    let claims = tokenData.id_token ? decodeJWT(tokenData.id_token) : null;
+
+    if (endpoints.userInfoUrl && tokenData.access_token) {
+        try {
+            const userResponse = await fetch(endpoints.userInfoUrl, {
+                headers: {
+                    'Authorization': `Bearer ${String(tokenData.access_token)}`,
+                    'Accept': 'application/json',
+                },
+            });
+
+            if (userResponse.ok) {
+                claims = { ...claims, .../** @type {any} */ (await userResponse.json()) };
+            } else {
+                console.error(`${provider.name} user info error:`, userResponse.status, await userResponse.text());
             }
+        } catch (error) {
+            console.error(`Error fetching user info from ${provider.name}:`, error.message);
         }
-
-        const params = new URLSearchParams({
-            client_id: oauthConfig.linuxdo.clientId,
-            redirect_uri: oauthConfig.linuxdo.callbackUrl,
-            response_type: 'code',
-            state: state,
-        });
-
-        const authUrl = `${oauthConfig.linuxdo.authUrl}?${params.toString()}`;
-        return response.redirect(authUrl);
-    } catch (error) {
-        console.error('Error initiating Linux.do OAuth:', error);
-        return response.status(500).json({ error: 'Failed to initialize Linux.do OAuth' });
     }
-});
-
 
-router.get('/github/callback', async (request, response) => {
-    try {
-        const { code, state } = request.query;
-        const oauthConfig = await getOAuthConfig(request);
-
-        const cachedState = oauthStateCache.get(state);
-        if (!cachedState || cachedState.provider !== 'github') {
-            return response.status(400).send('Invalid state parameter');
-        }
-        oauthStateCache.delete(state);
-
-        const tokenResponse = await fetch(oauthConfig.github.tokenUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-            },
-            body: JSON.stringify({
-                client_id: oauthConfig.github.clientId,
-                client_secret: oauthConfig.github.clientSecret,
-                code: code,
-                redirect_uri: oauthConfig.github.callbackUrl,
-            }),
-        });
-
-        /** @type {any} */
-        const tokenData = await tokenResponse.json();
-        if (!tokenData.access_token) {
-            console.error('GitHub OAuth token error:', tokenData);
-            return response.status(400).send('Failed to get access token');
-        }
-
-        const userResponse = await fetch(oauthConfig.github.userInfoUrl, {
-            headers: {
-                'Authorization': `Bearer ${String(tokenData.access_token)}`,
-                'Accept': 'application/json',
-            },
-        });
+    return claims;
+}
 
-        const userData = await userResponse.json();
-        console.log('GitHub user data:', userData);
 
-        await handleOAuthLogin(request, response, 'github', userData);
-    } catch (error) {
-        console.error('Error in GitHub OAuth callback:', error);
-        return response.status(500).send('GitHub OAuth callback failed');
+router.get('/:provider/callback', async (request, response) => {
+    const { code, state } = request.query;
+    const cachedState = oauthStateCache.get(state);
+    if (!cachedState || cachedState.provider !== request.params.provider) {
+        return response.status(400).send('Invalid state parameter');
     }
-});
+    oauthStateCache.delete(state);
 
+    const provider = getEnabledOAuthProvider(request.params.provider);
+    if (!provider) {
+        return response.status(400).send('OAuth provider is not enabled');
+    }
 
-router.get('/discord/callback', async (request, response) => {
     try {
-        const { code, state } = request.query;
-        const oauthConfig = await getOAuthConfig(request);
-
-        const cachedState = oauthStateCache.get(state);
-        if (!cachedState || cachedState.provider !== 'discord') {
-            return response.status(400).send('Invalid state parameter');
-        }
-        oauthStateCache.delete(state);
-
-        const codeStr = String(code || '');
+        const endpoints = await getProviderEndpoints(request, provider);
         const params = new URLSearchParams({
-            client_id: oauthConfig.discord.clientId,
-            client_secret: oauthConfig.discord.clientSecret,
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret,
             grant_type: 'authorization_code',
-            code: codeStr,
-            redirect_uri: oauthConfig.discord.callbackUrl,
+            code: String(code || ''),
+            redirect_uri: endpoints.callbackUrl,
         });
 
-        const tokenResponse = await fetch(oauthConfig.discord.tokenUrl, {
+        const tokenResponse = await fetch(endpoints.tokenUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json',
             },
             body: params.toString(),
         });
 
+        if (!tokenResponse.ok) {
+            const errorText = await tokenResponse.text();
+            console.error(`${provider.name} OAuth token error response:`, tokenResponse.status, errorText);
+            return response.status(400).send(`Failed to get access token: ${tokenResponse.status}`);
+        }
+
         /** @type {any} */
         const tokenData = await tokenResponse.json();
-        if (!tokenData.access_token) {
-            console.error('Discord OAuth token error:', tokenData);
+        if (!tokenData.access_token && !tokenData.id_token) {
+            console.error(`${provider.name} OAuth token error:`, tokenData);
             return response.status(400).send('Failed to get access token');
         }
 
-        const userResponse = await fetch(oauthConfig.discord.userInfoUrl, {
-            headers: {
-                'Authorization': `Bearer ${String(tokenData.access_token)}`,
-            },
-        });
+        const claims = await getProviderClaims(provider, endpoints, tokenData);
+        const identity = claims ? mapOAuthIdentity(provider, claims) : null;
+        if (!identity?.id) {
+            console.error(`${provider.name} OAuth error: Failed to get user information`, claims);
+            return response.status(400).send('Failed to get user information');
+        }
 
-        const userData = await userResponse.json();
-        console.log('Discord user data:', userData);
+        if (cachedState.linkHandle) {
+            return await handleOAuthLink(request, response, provider, identity, cachedState.linkHandle);
+        }
 
-        await handleOAuthLogin(request, response, 'discord', userData);
+        await handleOAuthLogin(request, response, provider, identity);
     } catch (error) {
-        console.error('Error in Discord OAuth callback:', error);
-        return response.status(500).send('Discord OAuth callback failed');
+        console.error(`Error in ${provider.name} OAuth callback:`, error);
+        return response.status(500).send(`${provider.name} OAuth callback failed`);
     }
 });
 
 
-router.get('/linuxdo/callback', async (request, response) => {
-    try {
-        const { code, state } = request.query;
-        const oauthConfig = await getOAuthConfig(request);
-
-        const cachedState = oauthStateCache.get(state);
-        if (!cachedState || cachedState.provider !== 'linuxdo') {
-            return response.status(400).send('Invalid state parameter');
-        }
-        oauthStateCache.delete(state);
-
-        const codeStr = String(code || '');
-        const params = new URLSearchParams({
-            client_id: oauthConfig.linuxdo.clientId,
-            client_secret: oauthConfig.linuxdo.clientSecret,
-            grant_type: 'authorization_code',
-            code: codeStr,
-            redirect_uri: oauthConfig.linuxdo.callbackUrl,
-        });
-
-        const tokenResponse = await fetch(oauthConfig.linuxdo.tokenUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: params.toString(),
-        });
-
-        if (!tokenResponse.ok) {
-            const errorText = await tokenResponse.text();
-            console.error('Linux.do OAuth token error response:', tokenResponse.status, errorText);
-            return response.status(400).send(`Failed to get access token: ${tokenResponse.status}`);
-        }
-
-        /** @type {any} */
-        const tokenData = await tokenResponse.json();
+/**
+ * Finds the account an identity at a provider belongs to.
+ * @param {string} providerId Provider ID
+ * @param {string} userId Namespaced user ID at the provider
+ * @returns {Promise<import('../users.js').User | null>}
+ */
+async function findUserByOAuthIdentity(providerId, userId) {
+    /** @type {import('../users.js').User[]} */
+    const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
+    return users.find(user => getOAuthLinks(user).some(x => x.provider === providerId && x.userId === userId)) ?? null;
+}
 
-        let userData;
 
-        if (tokenData.id_token) {
-            const decodedToken = decodeJWT(tokenData.id_token);
-            if (decodedToken) {
-                userData = decodedToken;
-            }
-        }
+/**
+ * Creates an account for an identity at a provider, with its data directories.
+ * @param {{handle: string, name: string, email?: string, avatar?: string, provider: string, userId: string, role?: string | null}} pendingUser Account details
+ * @param {(user: import('../users.js').User) => void} [customize] Applies changes before the account is saved
+ * @returns {Promise<import('../users.js').User>}
+ */
+async function createOAuthUser(pendingUser, customize) {
+    /** @type {import('../users.js').User} */
+    const user = {
+        handle: pendingUser.handle,
+        name: pendingUser.name || pendingUser.handle,
+        email: pendingUser.email || '',
+        created: Date.now(),
+        admin: false,
+        enabled: true,
+        password: null,
+        salt: null,
+        oauthProvider: pendingUser.provider,
+        oauthUserId: pendingUser.userId,
+        avatar: pendingUser.avatar || null,
+    };
 
-        if (!userData && tokenData.access_token && tokenData.access_token.split('.').length === 3) {
-            const decodedToken = decodeJWT(tokenData.access_token);
-            if (decodedToken && decodedToken.sub) {
-                if (decodedToken.username || decodedToken.email || decodedToken.name || decodedToken.preferred_username) {
-                    userData = decodedToken;
-                }
-            }
-        }
+    customize?.(user);
+    applyMappedRole(user, pendingUser.role ?? null);
+    await storage.setItem(toKey(user.handle), user);
 
-        if (!userData && tokenData.access_token) {
-            const endpoints = [
-                oauthConfig.linuxdo.userInfoUrl,
-                'https://connect.linux.do/api/user'
-            ];
-
-            for (const endpoint of endpoints) {
-                if (userData) break;
-
-                try {
-                    const userResponse = await fetch(endpoint, {
-                        headers: {
-                            'Authorization': `Bearer ${String(tokenData.access_token)}`,
-                            'Accept': 'application/json',
-                            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                        },
-                    });
-
-                    if (userResponse.ok) {
-                        const contentType = userResponse.headers.get('content-type');
-                        if (contentType && contentType.includes('application/json')) {
-                            /** @type {any} */
-                            const data = await userResponse.json();
-
-                            if (data && (data.username || data.id)) {
-                                userData = data;
-                                break;
-                            }
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error fetching user info from', endpoint, ':', error.message);
-                }
-            }
-        }
+    if (pendingUser.avatar) {
+        await storage.setItem(toAvatarKey(user.handle), pendingUser.avatar);
+    }
 
-        if (!userData) {
-            console.error('Linux.do OAuth error: Failed to get user information');
-            return response.status(400).send('Failed to get user information');
+    console.info('Creating data directories for', user.handle);
+    await ensurePublicDirectoriesExist();
+    const directories = getUserDirectories(user.handle);
+    for (const dir of Object.values(directories)) {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
         }
-
-        await handleOAuthLogin(request, response, 'linuxdo', userData);
-    } catch (error) {
-        console.error('Error in Linux.do OAuth callback:', error);
-        return response.status(500).send('Linux.do OAuth callback failed');
     }
-});
+    await checkForNewContent([directories], [CONTENT_TYPES.SETTINGS]);
+    applyDefaultTemplateToUser(directories, { userName: user.name });
+    return user;
+}
 
 
-async function handleOAuthLogin(request, response, provider, userData) {
+/**
+ * Logs in the account linked to an identity, creating it if the provisioning rules allow.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} response Response object
+ * @param {import('../oauth-providers.js').OAuthProvider} provider Provider
+ * @param {import('../oauth-providers.js').OAuthIdentity} identity Identity returned by the provider
+ */
+async function handleOAuthLogin(request, response, provider, identity) {
     try {
-        let userId, username, email, avatar;
-
-        switch (provider) {
-            case 'github':
-                userId = `github_${userData.id}`;
-                username = userData.login || `github_user_${userData.id}`;
-                email = userData.email;
-                avatar = userData.avatar_url;
-                break;
-            case 'discord':
-                userId = `discord_${userData.id}`;
-                username = userData.username || `discord_user_${userData.id}`;
-                email = userData.email;
-                avatar = userData.avatar
-                    ? `https://cdn.discordapp.com/avatars/${userData.id}/${userData.avatar}.png`
-                    : null;
-                break;
-            case 'linuxdo':
-                const userInfo = userData.user || userData.current_user || userData;
-
-                const rawUserId = userInfo.id || userData.id || userInfo.sub || userData.sub;
-                userId = `linuxdo_${rawUserId}`;
-
-                username = userInfo.username || userData.username ||
-                          userInfo.preferred_username || userData.preferred_username ||
-                          userInfo.name || userData.name ||
-                          `linuxdo_user_${rawUserId}`;
-
-                email = userInfo.email || userData.email;
-
-                avatar = userInfo.avatar_url || userData.avatar_url ||
-                        userInfo.picture || userData.picture ||
-                        userInfo.avatar_template || userData.avatar_template;
-
-                if (avatar && avatar.includes('{size}')) {
-                    avatar = processDiscourseAvatarTemplate(avatar);
-                }
-                break;
-            default:
-                throw new Error('Unknown OAuth provider');
-        }
+        const userId = `${provider.id}_${identity.id}`;
+        const role = getMappedRole(provider, identity);
+        let user = await findUserByOAuthIdentity(provider.id, userId);
 
-        const normalizedHandle = normalizeHandle(username);
-        if (!normalizedHandle) {
-            return response.redirect(`/login?error=${encodeURIComponent('Invalid username format')}`);
-        }
+        if (!user) {
+            const normalizedHandle = normalizeHandle(identity.handle);
+            if (!normalizedHandle) {
+                return response.redirect(`/login?error=${encodeURIComponent('Invalid username format')}`);
+            }
 
-        let user = await storage.getItem(toKey(normalizedHandle));
+            const provisioningError = getProvisioningError(provider, identity);
+            if (provisioningError) {
+                console.warn(`OAuth sign-up of ${normalizedHandle} via ${provider.id} rejected:`, provisioningError);
+                return response.redirect(`/login?error=${encodeURIComponent(provisioningError)}`);
+            }
 
-        if (!user) {
-            if (isInvitationCodesEnabled()) {
-                if (request.session) {
-                    request.session.oauthPendingUser = {
-                        handle: normalizedHandle,
-                        name: username,
-                        email: email,
-                        avatar: avatar,
-                        provider: provider,
-                        userId: userId,
-                    };
-                }
-                return response.redirect('/login?oauth_pending=true');
+            // Never attach an identity to an existing account just because the names match
+            if (await storage.getItem(toKey(normalizedHandle))) {
+                const message = `An account with this username already exists. If it is yours, sign in to it and link ${provider.name} in your profile.`;
+                return response.redirect(`/login?error=${encodeURIComponent(message)}`);
             }
 
-            user = {
+            const pendingUser = {
                 handle: normalizedHandle,
-                name: username || normalizedHandle,
-                email: email || '',
-                created: Date.now(),
-                admin: false,
-                enabled: true,
-                password: null,
-                salt: null,
-                oauthProvider: provider,
-                oauthUserId: userId,
-                avatar: avatar || null,
+                name: identity.name || normalizedHandle,
+                email: identity.email,
+                avatar: identity.avatar,
+                provider: provider.id,
+                userId: userId,
+                role: role,
             };
 
-            await storage.setItem(toKey(normalizedHandle), user);
-            console.log(`Created new user via ${provider} OAuth:`, normalizedHandle);
-
-            if (avatar) {
-                await storage.setItem(toAvatarKey(normalizedHandle), avatar);
-            }
-
-            console.info('Creating data directories for', normalizedHandle);
-            await ensurePublicDirectoriesExist();
-            const directories = getUserDirectories(normalizedHandle);
-            for (const dir of Object.values(directories)) {
-                if (!fs.existsSync(dir)) {
-                    fs.mkdirSync(dir, { recursive: true });
+            if (isInvitationCodesEnabled() && !provider.provisioning.skipInvitation) {
+                if (request.session) {
+                    request.session.oauthPendingUser = pendingUser;
                 }
+                return response.redirect('/login?oauth_pending=true');
             }
-            await checkForNewContent([directories], [CONTENT_TYPES.SETTINGS]);
-            applyDefaultTemplateToUser(directories, { userName: user.name });
+
+            user = await createOAuthUser(pendingUser);
+            console.log(`Created new user via ${provider.id} OAuth:`, normalizedHandle);
         } else {
-            user.oauthProvider = provider;
-            user.oauthUserId = userId;
-            if (avatar) {
-                user.avatar = avatar;
-                await storage.setItem(toAvatarKey(normalizedHandle), avatar);
+            if (identity.avatar) {
+                user.avatar = identity.avatar;
+                await storage.setItem(toAvatarKey(user.handle), identity.avatar);
             }
-            await storage.setItem(toKey(normalizedHandle), user);
+            applyMappedRole(user, role);
+            await storage.setItem(toKey(user.handle), user);
+        }
+
+        if (request.session && isTwoFactorEnabled(user)) {
+            request.session.twoFactorPending = { handle: user.handle, expiresAt: Date.now() + 5 * 60 * 1000 };
+            return response.redirect('/login?two_factor=true');
         }
 
         if (request.session) {
             request.session.handle = user.handle;
             request.session.authenticated = true;
+            await createUserSession(request, user.handle);
         }
 
         return response.redirect('/');
@@ -661,6 +485,47 @@ async function handleOAuthLogin(request, response, provider, userData) {
 }
 
 
+/**
+ * Links an identity to the account that requested it from its profile.
+ * @param {import('express').Request} request Request object
+ * @param {import('express').Response} response Response object
+ * @param {import('../oauth-providers.js').OAuthProvider} provider Provider
+ * @param {import('../oauth-providers.js').OAuthIdentity} identity Identity returned by the provider
+ * @param {string} handle Handle of the account the link was requested for
+ */
+async function handleOAuthLink(request, response, provider, identity, handle) {
+    const fail = (message) => response.redirect(`/?oauth_link_error=${encodeURIComponent(message)}`);
+
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(handle));
+        if (!user || !user.enabled || request.session?.handle !== handle) {
+            return fail('You were signed out before the account could be linked');
+        }
+
+        const userId = `${provider.id}_${identity.id}`;
+        const owner = await findUserByOAuthIdentity(provider.id, userId);
+        if (owner && owner.handle !== user.handle) {
+            return fail(`This ${provider.name} account is already linked to another user`);
+        }
+        if (!owner && getOAuthLinks(user).some(x => x.provider === provider.id)) {
+            return fail(`Unlink your current ${provider.name} account first`);
+        }
+
+        if (!owner) {
+            addOAuthLink(user, { provider: provider.id, userId, name: identity.name || identity.handle, linkedAt: Date.now() });
+            await storage.setItem(toKey(user.handle), user);
+            console.info(`User ${user.handle} linked a ${provider.id} account`);
+        }
+
+        return response.redirect(`/?oauth_linked=${encodeURIComponent(provider.id)}`);
+    } catch (error) {
+        console.error('Error linking OAuth account:', error);
+        return fail('Failed to link the account');
+    }
+}
+
+
 router.post('/verify-invitation', async (request, response) => {
     try {
         const { invitationCode } = request.body;
@@ -680,53 +545,32 @@ router.post('/verify-invitation', async (request, response) => {
             return response.status(400).json({ error: validation.reason || 'Invalid invitation code' });
         }
 
-        const user = {
-            handle: pendingUser.handle,
-            name: pendingUser.name || pendingUser.handle,
-            email: pendingUser.email || '',
-            created: Date.now(),
-            admin: false,
-            enabled: true,
-            password: null,
-            salt: null,
-            oauthProvider: pendingUser.provider,
-            oauthUserId: pendingUser.userId,
-            avatar: pendingUser.avatar || null,
-        };
+        if (await findUserByOAuthIdentity(pendingUser.provider, pendingUser.userId)) {
+            return response.status(409).json({ error: 'This login is already linked to an account. Sign in with it instead.' });
+        }
 
-        let userExpiresAt = null;
-        if (validation.invitation && validation.invitation.durationDays) {
-            const now = Date.now();
-            const expiresAt = now + (validation.invitation.durationDays * 24 * 60 * 60 * 1000);
-            userExpiresAt = expiresAt;
-            user.expiresAt = expiresAt;
+        if (await storage.getItem(toKey(pendingUser.handle))) {
+            return response.status(409).json({ error: 'An account with this username already exists' });
         }
 
-        await storage.setItem(toKey(pendingUser.handle), user);
+        let userExpiresAt = null;
+        const user = await createOAuthUser(pendingUser, (newUser) => {
+            if (validation.invitation && validation.invitation.durationDays) {
+                userExpiresAt = Date.now() + (validation.invitation.durationDays * 24 * 60 * 60 * 1000);
+                newUser.expiresAt = userExpiresAt;
+            }
+            applyInvitationGrants(newUser, validation.invitation);
+        });
         console.log(`Created new user via ${pendingUser.provider} OAuth with invitation code:`, pendingUser.handle);
 
-        if (pendingUser.avatar) {
-            await storage.setItem(toAvatarKey(pendingUser.handle), pendingUser.avatar);
-        }
-
         await useInvitationCode(invitationCode, pendingUser.handle, userExpiresAt);
 
-        console.info('Creating data directories for', pendingUser.handle);
-        await ensurePublicDirectoriesExist();
-        const directories = getUserDirectories(pendingUser.handle);
-        for (const dir of Object.values(directories)) {
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-        }
-        await checkForNewContent([directories], [CONTENT_TYPES.SETTINGS]);
-        applyDefaultTemplateToUser(directories, { userName: user.name });
-
         if (request.session) {
             delete request.session.oauthPendingUser;
 
             request.session.handle = user.handle;
             request.session.authenticated = true;
+            await createUserSession(request, user.handle);
         }
 
         return response.json({ success: true, handle: user.handle });
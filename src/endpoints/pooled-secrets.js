@@ -0,0 +1,91 @@
+import express from 'express';
+import { requireAdminMiddleware } from '../users.js';
+import { isPoolableKey } from './secrets.js';
+import {
+    createPooledSecret,
+    deletePooledSecret,
+    getGrantedPooledSecrets,
+    getPooledSecrets,
+    getPooledSecretsUsage,
+    updatePooledSecret,
+} from '../pooled-secrets.js';
+import { recordAuditEvent } from '../audit-log.js';
+
+export const router = express.Router();
+
+router.get('/', requireAdminMiddleware, async (_request, response) => {
+    try {
+        return response.json({ keys: getPooledSecrets(), usage: getPooledSecretsUsage() });
+    } catch (error) {
+        console.error('Error getting pooled secrets:', error);
+        return response.status(500).json({ error: 'Failed to fetch pooled keys' });
+    }
+});
+
+router.post('/create', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { key, value, label, grants } = request.body;
+
+        if (!isPoolableKey(key)) {
+            return response.status(400).json({ error: 'Pooled keys are only supported for chat completion providers with a fixed endpoint' });
+        }
+
+        if (!value || typeof value !== 'string') {
+            return response.status(400).json({ error: 'Secret value is required' });
+        }
+
+        const secret = createPooledSecret({ key, value, label, grants }, request.user.profile.handle);
+        recordAuditEvent(request, 'pooled-secret.create', secret.id, { key, label: secret.label, grants: secret.grants });
+        return response.json(secret);
+    } catch (error) {
+        console.error('Error creating pooled secret:', error);
+        return response.status(500).json({ error: 'Failed to create pooled key' });
+    }
+});
+
+router.post('/update', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { id, value, label, enabled, grants } = request.body;
+
+        if (!id) {
+            return response.status(400).json({ error: 'Pooled key ID is required' });
+        }
+
+        const secret = updatePooledSecret(id, { value, label, enabled, grants });
+
+        if (!secret) {
+            return response.status(404).json({ error: 'Pooled key not found' });
+        }
+
+        recordAuditEvent(request, 'pooled-secret.update', id, { valueChanged: !!value, label: secret.label, enabled: secret.enabled, grants: secret.grants });
+        return response.json(secret);
+    } catch (error) {
+        console.error('Error updating pooled secret:', error);
+        return response.status(500).json({ error: 'Failed to update pooled key' });
+    }
+});
+
+router.post('/delete', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { id } = request.body;
+
+        if (!deletePooledSecret(id)) {
+            return response.status(404).json({ error: 'Pooled key not found' });
+        }
+
+        recordAuditEvent(request, 'pooled-secret.delete', id);
+        return response.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting pooled secret:', error);
+        return response.status(500).json({ error: 'Failed to delete pooled key' });
+    }
+});
+
+router.get('/available', async (request, response) => {
+    try {
+        return response.json(getGrantedPooledSecrets(request.user.profile.handle));
+    } catch (error) {
+        console.error('Error getting available pooled secrets:', error);
+        return response.status(500).json({ error: 'Failed to fetch available pooled keys' });
+    }
+});
@@ -1,13 +1,40 @@
 import path from 'node:path';
 import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { isDeepStrictEqual } from 'node:util';
 import express from 'express';
 import sanitize from 'sanitize-filename';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
-import { humanizedISO8601DateTime } from '../util.js';
+import { humanizedISO8601DateTime, getConfigValue } from '../util.js';
+import { PERMISSIONS, hasPermission } from '../roles.js';
+import { TavernCardValidator } from '../validator/TavernCardValidator.js';
+import { invalidateThumbnail } from './thumbnails.js';
 
 const PUBLIC_CHARACTERS_DIR = path.join(globalThis.DATA_ROOT, 'public_characters');
 const PUBLIC_CHARACTER_FILES_DIR = path.join(PUBLIC_CHARACTERS_DIR, 'files');
 const CHARACTER_COMMENTS_DIR = path.join(globalThis.DATA_ROOT, 'forum_data', 'character_comments');
+const CHARACTER_FAVORITES_DIR = path.join(PUBLIC_CHARACTERS_DIR, 'favorites');
+const CHARACTER_PREFERENCES_DIR = path.join(PUBLIC_CHARACTERS_DIR, 'preferences');
+
+const MAX_RATING = 5;
+// Cards are ranked as if they already had a few average votes, so a single 5-star vote doesn't outrank many good ones
+const RATING_PRIOR_MEAN = 3;
+const RATING_PRIOR_WEIGHT = 3;
+const SORT_ORDERS = ['recent', 'rating', 'downloads', 'name', 'uploader'];
+const MAX_CHANGELOG_LENGTH = 2000;
+const IMPORTS_FILE_NAME = 'public-character-imports.json';
+
+const MAX_FILE_SIZE_MB = getConfigValue('publicCharacters.maxFileSizeMb', 10, 'number');
+const MAX_NAME_LENGTH = getConfigValue('publicCharacters.maxNameLength', 100, 'number');
+const MAX_DESCRIPTION_LENGTH = getConfigValue('publicCharacters.maxDescriptionLength', 2000, 'number');
+const MAX_TAGS = getConfigValue('publicCharacters.maxTags', 20, 'number');
+const MAX_TAG_LENGTH = getConfigValue('publicCharacters.maxTagLength', 40, 'number');
+const MAX_CARD_FIELD_LENGTH = getConfigValue('publicCharacters.maxCardFieldLength', 100000, 'number');
+
+// From least to most restricted. Users only see cards above 'general' after opting in.
+const CONTENT_RATINGS = ['general', 'mature', 'explicit'];
+// Cards shared before content ratings existed have none and are gated like the most restricted rating
+const UNRATED = 'unrated';
 
 if (!fs.existsSync(PUBLIC_CHARACTERS_DIR)) {
     fs.mkdirSync(PUBLIC_CHARACTERS_DIR, { recursive: true });
@@ -18,6 +45,12 @@ if (!fs.existsSync(PUBLIC_CHARACTER_FILES_DIR)) {
 if (!fs.existsSync(CHARACTER_COMMENTS_DIR)) {
     fs.mkdirSync(CHARACTER_COMMENTS_DIR, { recursive: true });
 }
+if (!fs.existsSync(CHARACTER_FAVORITES_DIR)) {
+    fs.mkdirSync(CHARACTER_FAVORITES_DIR, { recursive: true });
+}
+if (!fs.existsSync(CHARACTER_PREFERENCES_DIR)) {
+    fs.mkdirSync(CHARACTER_PREFERENCES_DIR, { recursive: true });
+}
 
 export const router = express.Router();
 
@@ -83,9 +116,272 @@ function getPublicCharacter(characterId) {
     }
 }
 
+function getFavoritesFilePath(handle) {
+    return path.join(CHARACTER_FAVORITES_DIR, `${sanitize(handle)}.json`);
+}
+
+
+function getUserFavorites(handle) {
+    try {
+        const favoritesPath = getFavoritesFilePath(handle);
+        if (!fs.existsSync(favoritesPath)) {
+            return [];
+        }
+
+        const favorites = JSON.parse(fs.readFileSync(favoritesPath, 'utf8'));
+        return Array.isArray(favorites) ? favorites : [];
+    } catch (error) {
+        console.error('Error getting character favorites:', error);
+        return [];
+    }
+}
+
+
+function saveUserFavorites(handle, favorites) {
+    try {
+        writeFileAtomicSync(getFavoritesFilePath(handle), JSON.stringify(favorites, null, 2));
+        return true;
+    } catch (error) {
+        console.error('Error saving character favorites:', error);
+        return false;
+    }
+}
+
+
+function getPreferencesFilePath(handle) {
+    return path.join(CHARACTER_PREFERENCES_DIR, `${sanitize(handle)}.json`);
+}
+
+
+function getUserPreferences(handle) {
+    const preferences = { max_content_rating: 'general', age_confirmed_at: null };
+    try {
+        const preferencesPath = getPreferencesFilePath(handle);
+        if (handle && fs.existsSync(preferencesPath)) {
+            const stored = JSON.parse(fs.readFileSync(preferencesPath, 'utf8'));
+            if (CONTENT_RATINGS.includes(stored?.max_content_rating)) {
+                preferences.max_content_rating = stored.max_content_rating;
+            }
+            preferences.age_confirmed_at = stored?.age_confirmed_at || null;
+        }
+    } catch (error) {
+        console.error('Error getting public character preferences:', error);
+    }
+    return preferences;
+}
+
+
+function getContentRating(character) {
+    return CONTENT_RATINGS.includes(character.content_rating) ? character.content_rating : UNRATED;
+}
+
+
+// Unrated cards stay hidden until the uploader or a moderator classifies them, unless the user opted into everything
+function canViewCharacter(character, handle, preferences) {
+    if (handle && character.uploader?.handle === handle) {
+        return true;
+    }
+    const rating = getContentRating(character);
+    const level = rating === UNRATED ? CONTENT_RATINGS.length - 1 : CONTENT_RATINGS.indexOf(rating);
+    return level <= CONTENT_RATINGS.indexOf(preferences.max_content_rating);
+}
+
+
+function findCharacterByAvatar(fileName) {
+    return getAllPublicCharacters().find(character => character.avatar === fileName) || null;
+}
+
+
+// Returns an error message for listing fields that are too long, or null
+function validateListingFields({ name, description, tags }) {
+    if (name !== undefined && String(name).trim().length > MAX_NAME_LENGTH) {
+        return `The character name cannot be longer than ${MAX_NAME_LENGTH} characters`;
+    }
+    if (description !== undefined && String(description).trim().length > MAX_DESCRIPTION_LENGTH) {
+        return `The description cannot be longer than ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    if (tags !== undefined) {
+        if (tags.length > MAX_TAGS) {
+            return `A character card can have at most ${MAX_TAGS} tags`;
+        }
+        if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            return `Tags cannot be longer than ${MAX_TAG_LENGTH} characters`;
+        }
+    }
+    return null;
+}
+
+
+function findOversizedField(value, fieldPath) {
+    if (typeof value === 'string') {
+        return value.length > MAX_CARD_FIELD_LENGTH ? fieldPath : null;
+    }
+    if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            const found = findOversizedField(child, fieldPath ? `${fieldPath}.${key}` : key);
+            if (found) {
+                return found;
+            }
+        }
+    }
+    return null;
+}
+
+
+// Returns an error message if the card data doesn't follow the character card spec or is too large, or null
+function validateCardData(characterData) {
+    if (!characterData || typeof characterData !== 'object' || Array.isArray(characterData)) {
+        return 'The file does not contain character card data';
+    }
+
+    const validator = new TavernCardValidator(characterData);
+    if (!validator.validate()) {
+        return `Invalid character card: ${validator.lastValidationError} is missing or malformed`;
+    }
+
+    const oversizedField = findOversizedField(characterData, '');
+    if (oversizedField) {
+        return `The card field "${oversizedField}" is longer than ${MAX_CARD_FIELD_LENGTH} characters`;
+    }
+    return null;
+}
+
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+
+// Hash of the card content that doesn't depend on the file format or key order
+function getContentHash(characterData) {
+    return crypto.createHash('sha256').update(stableStringify(getCardFields(characterData))).digest('hex');
+}
+
+
+function findDuplicateCharacter(contentHash, excludeId) {
+    return getAllPublicCharacters().find(character =>
+        character.id !== excludeId &&
+        (character.content_hash || getContentHash(character.character_data || {})) === contentHash,
+    ) || null;
+}
+
+
+function updateRatingSummary(character) {
+    const ratings = Object.values(character.ratings || {});
+    const total = ratings.reduce((sum, rating) => sum + rating, 0);
+    character.rating_count = ratings.length;
+    character.rating_average = ratings.length ? Math.round(total / ratings.length * 100) / 100 : 0;
+}
+
+
+function getRatingScore(character) {
+    const count = character.rating_count || 0;
+    return ((character.rating_average || 0) * count + RATING_PRIOR_MEAN * RATING_PRIOR_WEIGHT) / (count + RATING_PRIOR_WEIGHT);
+}
+
+
+// Cards uploaded before versioning have a single implicit first version
+function getCharacterVersions(character) {
+    if (Array.isArray(character.versions) && character.versions.length > 0) {
+        return character.versions;
+    }
+    return [{ version: character.version || 1, changelog: '', published_at: character.uploaded_at }];
+}
+
+
+// Individual ratings stay on the server; users only see the summary and their own rating
+function toCharacterResponse(character, handle, favoriteIds) {
+    const { ratings, ...rest } = character;
+    delete rest.content_hash;
+    return {
+        ...rest,
+        content_rating: getContentRating(character),
+        downloads: character.downloads || 0,
+        imports: character.imports || 0,
+        rating_average: character.rating_average || 0,
+        rating_count: character.rating_count || 0,
+        version: character.version || 1,
+        versions: getCharacterVersions(character),
+        my_rating: (handle && ratings?.[handle]) || 0,
+        favorited: favoriteIds.includes(character.id),
+    };
+}
+
+
+function parseTagList(value) {
+    const values = Array.isArray(value) ? value : String(value || '').split(',');
+    return values.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag);
+}
+
+
+function queryPublicCharacters(query, handle) {
+    const favoriteIds = handle ? getUserFavorites(handle).map(favorite => favorite.id) : [];
+    const preferences = getUserPreferences(handle);
+    let characters = getAllPublicCharacters().filter(character => canViewCharacter(character, handle, preferences));
+
+    const searchTerm = String(query.q || '').trim().toLowerCase();
+    if (searchTerm) {
+        characters = characters.filter(character =>
+            String(character.name || '').toLowerCase().includes(searchTerm) ||
+            String(character.description || '').toLowerCase().includes(searchTerm) ||
+            String(character.uploader?.name || '').toLowerCase().includes(searchTerm) ||
+            (character.tags || []).some(tag => String(tag).toLowerCase().includes(searchTerm)),
+        );
+    }
+
+    if (query.uploader) {
+        characters = characters.filter(character =>
+            character.uploader?.handle === query.uploader ||
+            character.uploader?.name === query.uploader,
+        );
+    }
+
+    const tags = parseTagList(query.tags);
+    if (tags.length > 0) {
+        characters = characters.filter(character => {
+            const characterTags = (character.tags || []).map(tag => String(tag).toLowerCase());
+            return tags.every(tag => characterTags.includes(tag));
+        });
+    }
+
+    if (query.favorites === true || query.favorites === 'true' || query.favorites === '1') {
+        characters = characters.filter(character => favoriteIds.includes(character.id));
+    }
+
+    // Characters are already sorted by upload date, and the sort is stable, so ties stay newest first
+    switch (query.sort) {
+        case 'rating':
+            characters.sort((a, b) => getRatingScore(b) - getRatingScore(a));
+            break;
+        case 'downloads':
+            characters.sort((a, b) => ((b.downloads || 0) + (b.imports || 0)) - ((a.downloads || 0) + (a.imports || 0)));
+            break;
+        case 'name':
+            characters.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+            break;
+        case 'uploader':
+            characters.sort((a, b) => String(a.uploader?.name || '').localeCompare(String(b.uploader?.name || '')));
+            break;
+    }
+
+    return characters.map(character => toCharacterResponse(character, handle, favoriteIds));
+}
+
 router.get('/', async function (request, response) {
     try {
-        const characters = getAllPublicCharacters();
+        const sort = String(request.query.sort || 'recent');
+        if (!SORT_ORDERS.includes(sort)) {
+            return response.status(400).json({ error: 'Unknown sort order' });
+        }
+
+        const characters = queryPublicCharacters({ ...request.query, sort }, request.user?.profile?.handle);
         response.json(characters);
     } catch (error) {
         console.error('Error getting public characters:', error);
@@ -93,6 +389,135 @@ router.get('/', async function (request, response) {
     }
 });
 
+router.get('/tags', async function (request, response) {
+    try {
+        /** @type {Map<string, {tag: string, count: number}>} */
+        const tags = new Map();
+        const handle = request.user?.profile?.handle;
+        const preferences = getUserPreferences(handle);
+        for (const character of getAllPublicCharacters().filter(item => canViewCharacter(item, handle, preferences))) {
+            for (const tag of new Set((character.tags || []).map(tag => String(tag).trim()).filter(tag => tag))) {
+                const key = tag.toLowerCase();
+                const entry = tags.get(key) || { tag, count: 0 };
+                entry.count++;
+                tags.set(key, entry);
+            }
+        }
+
+        response.json([...tags.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)));
+    } catch (error) {
+        console.error('Error getting public character tags:', error);
+        response.status(500).json({ error: 'Failed to get tags' });
+    }
+});
+
+router.get('/favorites', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const sort = String(request.query.sort || 'recent');
+        if (!SORT_ORDERS.includes(sort)) {
+            return response.status(400).json({ error: 'Unknown sort order' });
+        }
+
+        const characters = queryPublicCharacters({ ...request.query, sort, favorites: true }, request.user.profile.handle);
+        response.json(characters);
+    } catch (error) {
+        console.error('Error getting favorite characters:', error);
+        response.status(500).json({ error: 'Failed to get favorites' });
+    }
+});
+
+router.get('/search', async function (request, response) {
+    try {
+        const characters = queryPublicCharacters(request.query, request.user?.profile?.handle);
+        response.json(characters);
+    } catch (error) {
+        console.error('Error searching public characters:', error);
+        response.status(500).json({ error: 'Failed to search characters' });
+    }
+});
+
+router.get('/preferences', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        response.json({
+            ...getUserPreferences(request.user.profile.handle),
+            content_ratings: CONTENT_RATINGS,
+        });
+    } catch (error) {
+        console.error('Error getting public character preferences:', error);
+        response.status(500).json({ error: 'Failed to get preferences' });
+    }
+});
+
+router.post('/preferences', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const maxContentRating = request.body?.max_content_rating;
+        if (!CONTENT_RATINGS.includes(maxContentRating)) {
+            return response.status(400).json({ error: 'Unknown content rating' });
+        }
+
+        const handle = request.user.profile.handle;
+        const preferences = getUserPreferences(handle);
+
+        // Showing rated content requires confirming the age once
+        if (maxContentRating !== 'general' && !preferences.age_confirmed_at) {
+            if (request.body?.confirm_age !== true) {
+                return response.status(400).json({ error: 'Please confirm that you are an adult to show rated content' });
+            }
+            preferences.age_confirmed_at = Date.now();
+        }
+        preferences.max_content_rating = maxContentRating;
+
+        writeFileAtomicSync(getPreferencesFilePath(handle), JSON.stringify(preferences, null, 2));
+        response.json({ ...preferences, content_ratings: CONTENT_RATINGS });
+    } catch (error) {
+        console.error('Error saving public character preferences:', error);
+        response.status(500).json({ error: 'Failed to save preferences' });
+    }
+});
+
+router.get('/imports', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const directories = request.user.directories;
+        const imports = [];
+        for (const record of getImportRecords(directories)) {
+            if (!fs.existsSync(path.join(directories.characters, `${record.file_name}.png`))) {
+                continue;
+            }
+
+            const character = getPublicCharacter(record.character_id);
+            const latestVersion = character ? character.version || 1 : null;
+            imports.push({
+                ...record,
+                name: character?.name || record.file_name,
+                available: Boolean(character),
+                latest_version: latestVersion,
+                update_available: Boolean(character) && latestVersion > record.version,
+            });
+        }
+
+        response.json(imports);
+    } catch (error) {
+        console.error('Error getting imported public characters:', error);
+        response.status(500).json({ error: 'Failed to get imported characters' });
+    }
+});
+
 router.get('/:characterId', async function (request, response) {
     try {
         const { characterId } = request.params;
@@ -102,7 +527,13 @@ router.get('/:characterId', async function (request, response) {
             return response.status(404).json({ error: 'Character not found' });
         }
 
-        response.json(character);
+        const handle = request.user?.profile?.handle;
+        if (!canViewCharacter(character, handle, getUserPreferences(handle))) {
+            return response.status(403).json({ error: 'This character is hidden by your content settings', content_rating: getContentRating(character) });
+        }
+
+        const favoriteIds = handle ? getUserFavorites(handle).map(favorite => favorite.id) : [];
+        response.json(toCharacterResponse(character, handle, favoriteIds));
     } catch (error) {
         console.error('Error getting public character:', error);
         response.status(500).json({ error: 'Failed to get character' });
@@ -123,117 +554,188 @@ function validateFileType(req, res, next) {
                        file.originalname.endsWith('.yml');
 
     if (!isValidType) {
+        removeUploadedFile(file);
         return res.status(400).json({ error: 'Unsupported file type' });
     }
 
-    if (file.size > 10 * 1024 * 1024) {
-        return res.status(400).json({ error: 'File size cannot exceed 10MB' });
+    if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+        removeUploadedFile(file);
+        return res.status(400).json({ error: `File size cannot exceed ${MAX_FILE_SIZE_MB}MB` });
     }
 
     next();
 }
 
+function getUploadFileType(file, declaredType) {
+    let fileType = (declaredType || '').toString().trim().toLowerCase();
+    if (!fileType) {
+        const byMime = (file?.mimetype || '').toLowerCase();
+        if (byMime.includes('png')) fileType = 'png';
+        else if (byMime.includes('json')) fileType = 'json';
+        else if (byMime.includes('yaml') || byMime.includes('yml')) fileType = 'yaml';
+    }
+    if (!fileType) {
+        const original = file?.originalname || '';
+        const ext = original.split('.').pop()?.toLowerCase();
+        if (ext === 'png') fileType = 'png';
+        else if (ext === 'json') fileType = 'json';
+        else if (ext === 'yaml' || ext === 'yml') fileType = 'yaml';
+    }
+    return fileType;
+}
+
+
+function removeUploadedFile(file) {
+    if (file?.path && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+    }
+}
+
+
+async function parseCharacterFile(filePath, fileType) {
+    if (fileType === 'json') {
+        const fileContent = fs.readFileSync(filePath, 'utf8');
+        return JSON.parse(fileContent);
+    } else if (fileType === 'yaml' || fileType === 'yml') {
+        const yamlModule = await import('js-yaml');
+        const yaml = yamlModule.default || yamlModule;
+        const fileContent = fs.readFileSync(filePath, 'utf8');
+        return yaml.load(fileContent) || {};
+    } else if (fileType === 'png') {
+        const characterCardParser = await import('../character-card-parser.js');
+        const parse = characterCardParser.parse;
+        const parsedData = await parse(filePath, 'png');
+        try {
+            return JSON.parse(parsedData);
+        } catch (e) {
+            throw new Error('Embedded PNG character data is not valid JSON');
+        }
+    }
+    return {};
+}
+
+
+// Moves an uploaded card into the public files directory and returns its new file name
+function storeCharacterFile(file, fileType) {
+    const fileName = `${generateCharacterId()}.${fileType}`;
+    fs.renameSync(file.path, path.join(PUBLIC_CHARACTER_FILES_DIR, fileName));
+    return fileName;
+}
+
+
+function removeCharacterFile(fileName) {
+    if (!fileName) {
+        return;
+    }
+    const filePath = path.join(PUBLIC_CHARACTER_FILES_DIR, fileName);
+    if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+    const legacyPath = path.join(PUBLIC_CHARACTERS_DIR, fileName);
+    if (fs.existsSync(legacyPath)) {
+        fs.unlinkSync(legacyPath);
+    }
+}
+
+
+function parseTagsInput(tags) {
+    if (!tags) {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(tags);
+        return Array.isArray(parsed) ? parsed.map(tag => String(tag).trim()).filter(tag => tag) : [];
+    } catch (e) {
+        return String(tags).split(',').map(tag => tag.trim()).filter(tag => tag);
+    }
+}
+
 router.post('/upload', validateFileType, async function (request, response) {
     try {
         if (!request.user) {
+            removeUploadedFile(request.file);
             return response.status(401).json({ error: 'Authentication required' });
         }
 
-        const { name, description, tags, file_type } = request.body;
+        const { name, description, tags, file_type, content_rating } = request.body;
         const file = request.file;
-
-        let fileType = (file_type || '').toString().trim().toLowerCase();
-        if (!fileType) {
-            const byMime = (file?.mimetype || '').toLowerCase();
-            if (byMime.includes('png')) fileType = 'png';
-            else if (byMime.includes('json')) fileType = 'json';
-            else if (byMime.includes('yaml') || byMime.includes('yml')) fileType = 'yaml';
-        }
-        if (!fileType) {
-            const original = file?.originalname || '';
-            const ext = original.split('.').pop()?.toLowerCase();
-            if (ext === 'png') fileType = 'png';
-            else if (ext === 'json') fileType = 'json';
-            else if (ext === 'yaml' || ext === 'yml') fileType = 'yaml';
-        }
+        const fileType = getUploadFileType(file, file_type);
 
         if (!file) {
             return response.status(400).json({ error: 'Please select a character card file' });
         }
 
         if (!name) {
-            if (fs.existsSync(file.path)) {
-                fs.unlinkSync(file.path);
-            }
+            removeUploadedFile(file);
             return response.status(400).json({ error: 'Please enter a character name' });
         }
 
+        if (!CONTENT_RATINGS.includes(content_rating)) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: 'Please choose a content rating' });
+        }
+
+        const parsedTags = parseTagsInput(tags);
+        const listingError = validateListingFields({ name, description, tags: parsedTags });
+        if (listingError) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: listingError });
+        }
+
         let characterData = {};
         let avatarPath = null;
 
         try {
-            if (fileType === 'json') {
-                const fileContent = fs.readFileSync(file.path, 'utf8');
-                characterData = JSON.parse(fileContent);
-            } else if (fileType === 'yaml' || fileType === 'yml') {
-                const yamlModule = await import('js-yaml');
-                const yaml = yamlModule.default || yamlModule;
-                const fileContent = fs.readFileSync(file.path, 'utf8');
-                characterData = yaml.load(fileContent) || {};
-            } else if (fileType === 'png') {
-                const characterCardParser = await import('../character-card-parser.js');
-                const parse = characterCardParser.parse;
-                const parsedData = await parse(file.path, 'png');
-                try {
-                    characterData = JSON.parse(parsedData);
-                } catch (e) {
-                    throw new Error('Embedded PNG character data is not valid JSON');
-                }
-            }
-
-            const characterId = generateCharacterId();
-            const fileName = `${characterId}.${fileType}`;
-            const finalPath = path.join(PUBLIC_CHARACTER_FILES_DIR, fileName);
-
-            fs.renameSync(file.path, finalPath);
-            avatarPath = fileName;
-
+            characterData = await parseCharacterFile(file.path, fileType);
         } catch (parseError) {
-            if (fs.existsSync(file.path)) {
-                fs.unlinkSync(file.path);
-            }
+            removeUploadedFile(file);
             console.error('Error parsing character file:', parseError);
             return response.status(400).json({ error: 'Invalid character card file format' });
         }
 
-        let parsedTags = [];
-        if (tags) {
-            try {
-                parsedTags = JSON.parse(tags);
-            } catch (e) {
-                parsedTags = tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-            }
+        const cardError = validateCardData(characterData);
+        if (cardError) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: cardError });
         }
 
+        const contentHash = getContentHash(characterData);
+        const duplicate = findDuplicateCharacter(contentHash, null);
+        if (duplicate) {
+            removeUploadedFile(file);
+            return response.status(409).json({ error: `This character card has already been shared as "${duplicate.name}"`, duplicate_id: duplicate.id });
+        }
+
+        avatarPath = storeCharacterFile(file, fileType);
+
+        const uploadedAt = humanizedISO8601DateTime();
         const character = {
             id: generateCharacterId(),
             name: name.trim(),
             description: description?.trim() || '',
             tags: parsedTags,
+            content_rating,
+            content_hash: contentHash,
             uploader: {
                 handle: request.user.profile.handle,
                 name: request.user.profile.name,
             },
-            uploaded_at: humanizedISO8601DateTime(),
-            created_at: humanizedISO8601DateTime(),
+            uploaded_at: uploadedAt,
+            created_at: uploadedAt,
             character_data: characterData,
             avatar: avatarPath,
             downloads: 0,
+            imports: 0,
+            rating_average: 0,
+            rating_count: 0,
+            ratings: {},
+            version: 1,
+            versions: [{ version: 1, changelog: '', published_at: uploadedAt }],
         };
 
         if (savePublicCharacter(character)) {
             console.info(`Public character "${character.name}" uploaded by ${character.uploader.handle}`);
-            response.json(character);
+            response.json(toCharacterResponse(character, request.user.profile.handle, []));
         } else {
             response.status(500).json({ error: 'Failed to save character' });
         }
@@ -243,6 +745,126 @@ router.post('/upload', validateFileType, async function (request, response) {
     }
 });
 
+router.post('/:characterId/versions', validateFileType, async function (request, response) {
+    const file = request.file;
+    try {
+        if (!request.user) {
+            removeUploadedFile(file);
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const { characterId } = request.params;
+        const character = getPublicCharacter(characterId);
+        if (!character) {
+            removeUploadedFile(file);
+            return response.status(404).json({ error: 'Character not found' });
+        }
+
+        if (character.uploader?.handle !== request.user.profile.handle) {
+            removeUploadedFile(file);
+            return response.status(403).json({ error: 'Only the uploader can publish new versions' });
+        }
+
+        const changelog = String(request.body.changelog || '').trim();
+        if (!changelog) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: 'Please describe what changed in this version' });
+        }
+        if (changelog.length > MAX_CHANGELOG_LENGTH) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: `The changelog cannot be longer than ${MAX_CHANGELOG_LENGTH} characters` });
+        }
+
+        const { content_rating } = request.body;
+        if (content_rating !== undefined && !CONTENT_RATINGS.includes(content_rating)) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: 'Unknown content rating' });
+        }
+
+        const parsedTags = request.body.tags !== undefined ? parseTagsInput(request.body.tags) : undefined;
+        const listingError = validateListingFields({ name: request.body.name, description: request.body.description, tags: parsedTags });
+        if (listingError) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: listingError });
+        }
+
+        const fileType = getUploadFileType(file, request.body.file_type);
+        let characterData;
+        try {
+            characterData = await parseCharacterFile(file.path, fileType);
+        } catch (parseError) {
+            removeUploadedFile(file);
+            console.error('Error parsing character file:', parseError);
+            return response.status(400).json({ error: 'Invalid character card file format' });
+        }
+
+        const cardError = validateCardData(characterData);
+        if (cardError) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: cardError });
+        }
+
+        const contentHash = getContentHash(characterData);
+        if (contentHash === (character.content_hash || getContentHash(character.character_data || {}))) {
+            removeUploadedFile(file);
+            return response.status(400).json({ error: 'This file is identical to the current version' });
+        }
+
+        const duplicate = findDuplicateCharacter(contentHash, characterId);
+        if (duplicate) {
+            removeUploadedFile(file);
+            return response.status(409).json({ error: `This character card has already been shared as "${duplicate.name}"`, duplicate_id: duplicate.id });
+        }
+
+        // Read the card again, it may have been rated or downloaded while the file was parsed
+        const current = getPublicCharacter(characterId);
+        if (!current) {
+            removeUploadedFile(file);
+            return response.status(404).json({ error: 'Character not found' });
+        }
+
+        const previousFile = current.avatar;
+        const publishedAt = humanizedISO8601DateTime();
+        const version = (current.version || 1) + 1;
+
+        current.avatar = storeCharacterFile(file, fileType);
+        current.character_data = characterData;
+        current.content_hash = contentHash;
+        current.versions = [...getCharacterVersions(current), { version, changelog, published_at: publishedAt }];
+        current.version = version;
+        current.updated_at = publishedAt;
+        if (request.body.name?.trim()) {
+            current.name = request.body.name.trim();
+        }
+        if (typeof request.body.description === 'string') {
+            current.description = request.body.description.trim();
+        }
+        if (parsedTags !== undefined) {
+            current.tags = parsedTags;
+        }
+        if (content_rating !== undefined) {
+            current.content_rating = content_rating;
+        }
+
+        if (!savePublicCharacter(current)) {
+            removeCharacterFile(current.avatar);
+            return response.status(500).json({ error: 'Failed to save character' });
+        }
+
+        if (previousFile !== current.avatar) {
+            removeCharacterFile(previousFile);
+        }
+
+        console.info(`Public character "${current.name}" updated to version ${version} by ${request.user.profile.handle}`);
+        const favoriteIds = getUserFavorites(request.user.profile.handle).map(favorite => favorite.id);
+        response.json(toCharacterResponse(current, request.user.profile.handle, favoriteIds));
+    } catch (error) {
+        removeUploadedFile(file);
+        console.error('Error publishing public character version:', error);
+        response.status(500).json({ error: 'Failed to publish new version' });
+    }
+});
+
 router.delete('/:characterId', async function (request, response) {
     try {
         const { characterId } = request.params;
@@ -257,24 +879,15 @@ router.delete('/:characterId', async function (request, response) {
         }
 
         const isUploader = character.uploader.handle === request.user.profile.handle;
-        const isAdmin = request.user.profile.admin;
+        const canManage = await hasPermission(request.user.profile, PERMISSIONS.CHARACTERS_MANAGE);
 
-        if (!isUploader && !isAdmin) {
+        if (!isUploader && !canManage) {
             return response.status(403).json({ error: 'Permission denied' });
         }
 
         const characterPath = path.join(PUBLIC_CHARACTERS_DIR, `${characterId}.json`);
         fs.unlinkSync(characterPath);
-        if (character.avatar) {
-            const avatarPath = path.join(PUBLIC_CHARACTER_FILES_DIR, character.avatar);
-            if (fs.existsSync(avatarPath)) {
-                fs.unlinkSync(avatarPath);
-            }
-            const legacyAvatarPath = path.join(PUBLIC_CHARACTERS_DIR, character.avatar);
-            if (fs.existsSync(legacyAvatarPath)) {
-                fs.unlinkSync(legacyAvatarPath);
-            }
-        }
+        removeCharacterFile(character.avatar);
 
         console.info(`Public character "${character.name}" deleted by ${request.user.profile.handle}`);
         response.json({ success: true });
@@ -284,36 +897,39 @@ router.delete('/:characterId', async function (request, response) {
     }
 });
 
-router.get('/search', async function (request, response) {
+router.post('/:characterId/download', async function (request, response) {
     try {
-        const { q, uploader } = request.query;
-        let characters = getAllPublicCharacters();
+        const { characterId } = request.params;
+        const character = getPublicCharacter(characterId);
 
-        if (q) {
-            const query = String(q).toLowerCase();
-            characters = characters.filter(character =>
-                character.name.toLowerCase().includes(query) ||
-                character.description.toLowerCase().includes(query) ||
-                (character.tags && character.tags.some(tag => tag.toLowerCase().includes(query))),
-            );
+        if (!character) {
+            return response.status(404).json({ error: 'Character not found' });
         }
 
-        if (uploader) {
-            characters = characters.filter(character =>
-                character.uploader.handle === uploader ||
-                character.uploader.name === uploader,
-            );
+        const handle = request.user?.profile?.handle;
+        if (!canViewCharacter(character, handle, getUserPreferences(handle))) {
+            return response.status(403).json({ error: 'This character is hidden by your content settings' });
         }
 
-        response.json(characters);
+        character.downloads = (character.downloads || 0) + 1;
+        savePublicCharacter(character);
+
+        response.json({
+            success: true,
+            character_data: character.character_data,
+        });
     } catch (error) {
-        console.error('Error searching public characters:', error);
-        response.status(500).json({ error: 'Failed to search characters' });
+        console.error('Error downloading public character:', error);
+        response.status(500).json({ error: 'Failed to download character' });
     }
 });
 
-router.post('/:characterId/download', async function (request, response) {
+router.post('/:characterId/rate', async function (request, response) {
     try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
         const { characterId } = request.params;
         const character = getPublicCharacter(characterId);
 
@@ -321,16 +937,108 @@ router.post('/:characterId/download', async function (request, response) {
             return response.status(404).json({ error: 'Character not found' });
         }
 
-        character.downloads = (character.downloads || 0) + 1;
-        savePublicCharacter(character);
+        const handle = request.user.profile.handle;
+        if (character.uploader?.handle === handle) {
+            return response.status(403).json({ error: 'You cannot rate your own character' });
+        }
+
+        const rating = Number(request.body?.rating);
+        if (!Number.isInteger(rating) || rating < 0 || rating > MAX_RATING) {
+            return response.status(400).json({ error: `Rating must be a whole number from 1 to ${MAX_RATING}, or 0 to remove it` });
+        }
+
+        character.ratings = character.ratings || {};
+        if (rating === 0) {
+            delete character.ratings[handle];
+        } else {
+            character.ratings[handle] = rating;
+        }
+        updateRatingSummary(character);
+
+        if (!savePublicCharacter(character)) {
+            return response.status(500).json({ error: 'Failed to save rating' });
+        }
 
         response.json({
             success: true,
-            character_data: character.character_data,
+            rating_average: character.rating_average,
+            rating_count: character.rating_count,
+            my_rating: rating,
         });
     } catch (error) {
-        console.error('Error downloading public character:', error);
-        response.status(500).json({ error: 'Failed to download character' });
+        console.error('Error rating public character:', error);
+        response.status(500).json({ error: 'Failed to rate character' });
+    }
+});
+
+router.post('/:characterId/content-rating', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const { characterId } = request.params;
+        const character = getPublicCharacter(characterId);
+        if (!character) {
+            return response.status(404).json({ error: 'Character not found' });
+        }
+
+        const isUploader = character.uploader?.handle === request.user.profile.handle;
+        const canManage = await hasPermission(request.user.profile, PERMISSIONS.CHARACTERS_MANAGE);
+        if (!isUploader && !canManage) {
+            return response.status(403).json({ error: 'Permission denied' });
+        }
+
+        const contentRating = request.body?.content_rating;
+        if (!CONTENT_RATINGS.includes(contentRating)) {
+            return response.status(400).json({ error: 'Unknown content rating' });
+        }
+
+        // Read the card again, the permission check may have taken a while
+        const current = getPublicCharacter(characterId) || character;
+        current.content_rating = contentRating;
+        if (!savePublicCharacter(current)) {
+            return response.status(500).json({ error: 'Failed to save character' });
+        }
+
+        console.info(`Content rating of public character "${current.name}" set to ${contentRating} by ${request.user.profile.handle}`);
+        response.json({ success: true, content_rating: contentRating });
+    } catch (error) {
+        console.error('Error updating content rating:', error);
+        response.status(500).json({ error: 'Failed to update content rating' });
+    }
+});
+
+router.post('/:characterId/favorite', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const { characterId } = request.params;
+        if (!getPublicCharacter(characterId)) {
+            return response.status(404).json({ error: 'Character not found' });
+        }
+
+        const handle = request.user.profile.handle;
+        const favorites = getUserFavorites(handle);
+        const isFavorite = favorites.some(favorite => favorite.id === characterId);
+        // Without an explicit value the favorite is toggled
+        const favorite = typeof request.body?.favorite === 'boolean' ? request.body.favorite : !isFavorite;
+
+        if (favorite !== isFavorite) {
+            const updated = favorite
+                ? [{ id: characterId, added_at: Date.now() }, ...favorites]
+                : favorites.filter(item => item.id !== characterId);
+            if (!saveUserFavorites(handle, updated)) {
+                return response.status(500).json({ error: 'Failed to save favorites' });
+            }
+        }
+
+        response.json({ success: true, favorited: favorite });
+    } catch (error) {
+        console.error('Error updating character favorites:', error);
+        response.status(500).json({ error: 'Failed to update favorites' });
     }
 });
 
@@ -339,6 +1047,17 @@ router.get('/avatar/:filename', async function (request, response) {
         const { filename } = request.params;
         const decodedFilename = decodeURIComponent(filename);
 
+        // Only files that belong to a listed card are served, with the same content gate as the card itself
+        const character = findCharacterByAvatar(decodedFilename);
+        if (!character) {
+            return response.status(404).json({ error: 'Avatar not found' });
+        }
+
+        const handle = request.user?.profile?.handle;
+        if (!canViewCharacter(character, handle, getUserPreferences(handle))) {
+            return response.status(403).json({ error: 'This character is hidden by your content settings' });
+        }
+
         const primaryPath = path.join(PUBLIC_CHARACTER_FILES_DIR, decodedFilename);
         const fallbackPath = path.join(PUBLIC_CHARACTERS_DIR, decodedFilename);
         const avatarPath = fs.existsSync(primaryPath) ? primaryPath : fallbackPath;
@@ -358,7 +1077,8 @@ router.get('/avatar/:filename', async function (request, response) {
         }
 
         response.setHeader('Content-Type', contentType);
-        response.setHeader('Cache-Control', 'public, max-age=31536000');
+        // The response depends on the user's content settings, so shared caches must not keep it
+        response.setHeader('Cache-Control', 'private, max-age=86400');
 
         const avatarBuffer = fs.readFileSync(avatarPath);
         response.send(avatarBuffer);
@@ -381,11 +1101,17 @@ router.post('/:characterId/import', async function (request, response) {
             return response.status(404).json({ error: 'Character not found' });
         }
 
+        if (!canViewCharacter(character, request.user.profile.handle, getUserPreferences(request.user.profile.handle))) {
+            return response.status(403).json({ error: 'This character is hidden by your content settings' });
+        }
+
         const importResult = await importCharacterToUserLibrary(character, request.user);
 
         if (importResult.success) {
-            character.downloads = (character.downloads || 0) + 1;
-            savePublicCharacter(character);
+            // Read the card again, it may have been rated while the import was running
+            const current = getPublicCharacter(characterId) || character;
+            current.imports = (current.imports || 0) + 1;
+            savePublicCharacter(current);
 
             response.json({
                 success: true,
@@ -401,6 +1127,117 @@ router.post('/:characterId/import', async function (request, response) {
     }
 });
 
+// Reads the card data of the current version of a public character. The image is only returned for PNG cards.
+async function readPublicCharacterCard(character) {
+    let characterFilePath = null;
+    if (character.avatar && character.avatar !== 'img/ai4.png') {
+        const candidate = path.join(PUBLIC_CHARACTER_FILES_DIR, character.avatar);
+        characterFilePath = fs.existsSync(candidate)
+            ? candidate
+            : path.join(PUBLIC_CHARACTERS_DIR, character.avatar);
+    }
+
+    if (!characterFilePath || !fs.existsSync(characterFilePath)) {
+        throw new Error('Character card file not found');
+    }
+
+    const extension = path.extname(characterFilePath).toLowerCase().substring(1);
+
+    if (extension === 'png') {
+        const characterCardParser = await import('../character-card-parser.js');
+        const { read } = characterCardParser;
+        const pngBuffer = fs.readFileSync(characterFilePath);
+        const metaJson = read(pngBuffer);
+        try {
+            return { jsonData: JSON.parse(metaJson), avatarBuffer: pngBuffer };
+        } catch (e) {
+            throw new Error('Embedded PNG character data is not valid JSON');
+        }
+    } else if (extension === 'json') {
+        const fileContent = fs.readFileSync(characterFilePath, 'utf8');
+        return { jsonData: JSON.parse(fileContent), avatarBuffer: null };
+    } else if (extension === 'yaml' || extension === 'yml') {
+        const yamlModule = await import('js-yaml');
+        const yaml = yamlModule.default || yamlModule;
+        const fileContent = fs.readFileSync(characterFilePath, 'utf8');
+        return { jsonData: yaml.load(fileContent), avatarBuffer: null };
+    }
+
+    throw new Error(`Unsupported file format: ${extension}`);
+}
+
+
+function getDefaultAvatarBuffer() {
+    const fallback = path.join(process.cwd(), 'public', 'img', 'ai4.png');
+    if (!fs.existsSync(fallback)) {
+        throw new Error('Unable to locate default avatar file');
+    }
+    return fs.readFileSync(fallback);
+}
+
+
+function getImportsFilePath(directories) {
+    return path.join(directories.user, IMPORTS_FILE_NAME);
+}
+
+
+// Public characters a user imported, so they can be told about newer versions
+function getImportRecords(directories) {
+    try {
+        const importsPath = getImportsFilePath(directories);
+        if (!fs.existsSync(importsPath)) {
+            return [];
+        }
+
+        const records = JSON.parse(fs.readFileSync(importsPath, 'utf8'));
+        return Array.isArray(records) ? records : [];
+    } catch (error) {
+        console.error('Error getting public character imports:', error);
+        return [];
+    }
+}
+
+
+function saveImportRecords(directories, records) {
+    try {
+        writeFileAtomicSync(getImportsFilePath(directories), JSON.stringify(records, null, 2));
+        return true;
+    } catch (error) {
+        console.error('Error saving public character imports:', error);
+        return false;
+    }
+}
+
+
+function recordCharacterImport(directories, character, fileName) {
+    const records = getImportRecords(directories).filter(record => record.file_name !== fileName);
+    records.push({
+        character_id: character.id,
+        version: character.version || 1,
+        file_name: fileName,
+        imported_at: Date.now(),
+    });
+    return saveImportRecords(directories, records);
+}
+
+
+function getCardFields(card) {
+    return card?.data && typeof card.data === 'object' ? card.data : (card || {});
+}
+
+
+// Lists the card fields whose values differ, with both values
+function diffCardFields(localCard, remoteCard) {
+    const local = getCardFields(localCard);
+    const remote = getCardFields(remoteCard);
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    return [...fields]
+        .filter(field => !isDeepStrictEqual(local[field], remote[field]))
+        .map(field => ({ field, local: local[field] ?? null, remote: remote[field] ?? null }));
+}
+
+
 async function importCharacterToUserLibrary(character, user) {
     try {
         const { getUserDirectories } = await import('../users.js');
@@ -410,62 +1247,13 @@ async function importCharacterToUserLibrary(character, user) {
             fs.mkdirSync(userDirs.characters, { recursive: true });
         }
 
-        let characterFilePath = null;
-        if (character.avatar && character.avatar !== 'img/ai4.png') {
-            const candidate = path.join(PUBLIC_CHARACTER_FILES_DIR, character.avatar);
-            characterFilePath = fs.existsSync(candidate)
-                ? candidate
-                : path.join(PUBLIC_CHARACTERS_DIR, character.avatar);
-        }
-
-        if (!characterFilePath || !fs.existsSync(characterFilePath)) {
-            throw new Error('Character card file not found');
-        }
-
-        const extension = path.extname(characterFilePath).toLowerCase().substring(1);
-        let jsonData;
-        let avatarBuffer;
-
-        if (extension === 'png') {
-            const characterCardParser = await import('../character-card-parser.js');
-            const { read } = characterCardParser;
-            const pngBuffer = fs.readFileSync(characterFilePath);
-            const metaJson = read(pngBuffer);
-            try {
-                jsonData = JSON.parse(metaJson);
-            } catch (e) {
-                throw new Error('Embedded PNG character data is not valid JSON');
-            }
-            avatarBuffer = pngBuffer;
-        } else if (extension === 'json') {
-            const fileContent = fs.readFileSync(characterFilePath, 'utf8');
-            jsonData = JSON.parse(fileContent);
-            const fallback = path.join(process.cwd(), 'public', 'img', 'ai4.png');
-            avatarBuffer = fs.existsSync(fallback) ? fs.readFileSync(fallback) : null;
-        } else if (extension === 'yaml' || extension === 'yml') {
-            const yamlModule = await import('js-yaml');
-            const yaml = yamlModule.default || yamlModule;
-            const fileContent = fs.readFileSync(characterFilePath, 'utf8');
-            jsonData = yaml.load(fileContent);
-            const fallback = path.join(process.cwd(), 'public', 'img', 'ai4.png');
-            avatarBuffer = fs.existsSync(fallback) ? fs.readFileSync(fallback) : null;
-        } else {
-            throw new Error(`Unsupported file format: ${extension}`);
-        }
+        const { jsonData, avatarBuffer: cardAvatar } = await readPublicCharacterCard(character);
+        const avatarBuffer = cardAvatar?.length ? cardAvatar : getDefaultAvatarBuffer();
 
         const timestamp = Date.now();
         const baseFileName = sanitize(jsonData.name || character.name || 'character');
         const sanitizedFileName = sanitize(`${baseFileName}_${timestamp}`);
 
-        if (!avatarBuffer || avatarBuffer.length === 0) {
-            const fallback = path.join(process.cwd(), 'public', 'img', 'ai4.png');
-            if (fs.existsSync(fallback)) {
-                avatarBuffer = fs.readFileSync(fallback);
-            } else {
-                throw new Error('Unable to locate default avatar file');
-            }
-        }
-
         const characterCardParser = await import('../character-card-parser.js');
         const { write } = characterCardParser;
         const newPng = write(avatarBuffer, JSON.stringify(jsonData));
@@ -477,6 +1265,8 @@ async function importCharacterToUserLibrary(character, user) {
             fs.mkdirSync(chatsPath, { recursive: true });
         }
 
+        recordCharacterImport(userDirs, character, sanitizedFileName);
+
         console.info(`Character ${character.name} imported by user ${user.profile.handle}`);
         return { success: true, fileName: sanitizedFileName };
     } catch (error) {
@@ -489,6 +1279,140 @@ async function importCharacterToUserLibrary(character, user) {
 }
 
 
+// Finds the local copy of an imported public character and reads its card data
+async function readImportedCard(directories, characterId, fileName) {
+    const record = getImportRecords(directories).find(item => item.character_id === characterId && item.file_name === fileName);
+    if (!record) {
+        return null;
+    }
+
+    const localPath = path.join(directories.characters, `${sanitize(String(fileName))}.png`);
+    if (!fs.existsSync(localPath)) {
+        return null;
+    }
+
+    const characterCardParser = await import('../character-card-parser.js');
+    const pngBuffer = fs.readFileSync(localPath);
+    return {
+        record,
+        localPath,
+        pngBuffer,
+        card: JSON.parse(characterCardParser.read(pngBuffer)),
+    };
+}
+
+router.get('/:characterId/update-diff', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const { characterId } = request.params;
+        const character = getPublicCharacter(characterId);
+        if (!character) {
+            return response.status(404).json({ error: 'Character not found' });
+        }
+
+        if (!canViewCharacter(character, request.user.profile.handle, getUserPreferences(request.user.profile.handle))) {
+            return response.status(403).json({ error: 'This character is hidden by your content settings' });
+        }
+
+        const fileName = String(request.query.file_name || '');
+        const imported = await readImportedCard(request.user.directories, characterId, fileName);
+        if (!imported) {
+            return response.status(404).json({ error: 'No imported copy of this character was found' });
+        }
+
+        const { jsonData } = await readPublicCharacterCard(character);
+        response.json({
+            file_name: fileName,
+            from_version: imported.record.version,
+            to_version: character.version || 1,
+            versions: getCharacterVersions(character).filter(item => item.version > imported.record.version),
+            changes: diffCardFields(imported.card, jsonData),
+        });
+    } catch (error) {
+        console.error('Error comparing public character versions:', error);
+        response.status(500).json({ error: 'Failed to compare versions' });
+    }
+});
+
+router.post('/:characterId/update', async function (request, response) {
+    try {
+        if (!request.user) {
+            return response.status(401).json({ error: 'Authentication required' });
+        }
+
+        const { characterId } = request.params;
+        const character = getPublicCharacter(characterId);
+        if (!character) {
+            return response.status(404).json({ error: 'Character not found' });
+        }
+
+        if (!canViewCharacter(character, request.user.profile.handle, getUserPreferences(request.user.profile.handle))) {
+            return response.status(403).json({ error: 'This character is hidden by your content settings' });
+        }
+
+        const fileName = String(request.body?.file_name || '');
+        const fields = Array.isArray(request.body?.fields) ? request.body.fields.map(String) : null;
+        const imported = await readImportedCard(request.user.directories, characterId, fileName);
+        if (!imported) {
+            return response.status(404).json({ error: 'No imported copy of this character was found' });
+        }
+
+        const { jsonData, avatarBuffer } = await readPublicCharacterCard(character);
+        let updatedCard;
+        let imageBuffer = imported.pngBuffer;
+
+        if (fields) {
+            // Only take the selected fields, keep everything else including the image
+            updatedCard = structuredClone(imported.card);
+            const target = getCardFields(updatedCard);
+            const source = getCardFields(jsonData);
+            for (const field of fields) {
+                if (source[field] === undefined) {
+                    delete target[field];
+                } else {
+                    target[field] = source[field];
+                }
+                // V2 cards repeat the basic fields at the top level
+                if (updatedCard.data && field !== 'data' && Object.hasOwn(updatedCard, field)) {
+                    updatedCard[field] = target[field];
+                }
+            }
+        } else {
+            updatedCard = structuredClone(jsonData);
+            for (const key of ['chat', 'create_date']) {
+                if (imported.card[key] !== undefined) {
+                    updatedCard[key] = imported.card[key];
+                }
+            }
+            if (avatarBuffer?.length) {
+                imageBuffer = avatarBuffer;
+            }
+        }
+
+        const characterCardParser = await import('../character-card-parser.js');
+        writeFileAtomicSync(imported.localPath, characterCardParser.write(imageBuffer, JSON.stringify(updatedCard)));
+        invalidateThumbnail(request.user.directories, 'avatar', path.basename(imported.localPath));
+
+        const records = getImportRecords(request.user.directories);
+        const record = records.find(item => item.character_id === characterId && item.file_name === fileName);
+        if (record) {
+            record.version = character.version || 1;
+            record.updated_at = Date.now();
+            saveImportRecords(request.user.directories, records);
+        }
+
+        console.info(`Imported character ${fileName} updated to version ${character.version || 1} by ${request.user.profile.handle}`);
+        response.json({ success: true, file_name: fileName, version: character.version || 1 });
+    } catch (error) {
+        console.error('Error updating imported character:', error);
+        response.status(500).json({ error: 'Failed to update character' });
+    }
+});
+
+
 function generateCommentId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
@@ -551,6 +1475,11 @@ router.get('/:characterId/comments', async function (request, response) {
             return response.status(404).json({ error: 'Character not found' });
         }
 
+        const handle = request.user?.profile?.handle;
+        if (!canViewCharacter(character, handle, getUserPreferences(handle))) {
+            return response.status(403).json({ error: 'This character is hidden by your content settings' });
+        }
+
         const comments = getCharacterComments(characterId);
         response.json(comments);
     } catch (error) {
@@ -573,6 +1502,10 @@ router.post('/:characterId/comments', async function (request, response) {
             return response.status(404).json({ error: 'Character not found' });
         }
 
+        if (!canViewCharacter(character, request.user.profile.handle, getUserPreferences(request.user.profile.handle))) {
+            return response.status(403).json({ error: 'This character is hidden by your content settings' });
+        }
+
         if (!content || !content.trim()) {
             return response.status(400).json({ error: 'Comment content is required' });
         }
@@ -632,9 +1565,9 @@ router.delete('/:characterId/comments/:commentId', async function (request, resp
         }
 
         const isAuthor = comment.author.handle === request.user.profile.handle;
-        const isAdmin = request.user.profile.admin;
+        const canModerate = await hasPermission(request.user.profile, PERMISSIONS.CHARACTERS_MANAGE);
 
-        if (!isAuthor && !isAdmin) {
+        if (!isAuthor && !canModerate) {
             return response.status(403).json({ error: 'Permission denied' });
         }
 
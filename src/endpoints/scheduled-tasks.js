@@ -1,69 +1,82 @@
 import express from 'express';
+import cron from 'node-cron';
 import { requireAdminMiddleware } from '../users.js';
-import scheduledTasksManager from '../scheduled-tasks.js';
+import scheduledTasksManager, { isValidTimezone } from '../scheduled-tasks.js';
+import { recordAuditEvent } from '../audit-log.js';
 
 export const router = express.Router();
 
 
-router.get('/config', requireAdminMiddleware, async (request, response) => {
+router.get('/', requireAdminMiddleware, async (_request, response) => {
     try {
-        const config = scheduledTasksManager.getTaskConfig();
-        const status = scheduledTasksManager.getTaskStatus('clearAllBackups');
+        const tasks = await scheduledTasksManager.getTaskList();
+        return response.json({ success: true, tasks });
+    } catch (error) {
+        console.error('Get scheduled tasks failed:', error);
+        return response.status(500).json({ error: 'Failed to fetch scheduled tasks: ' + error.message });
+    }
+});
 
-        return response.json({
-            success: true,
-            config: config || {
-                enabled: false,
-                cronExpression: '',
-            },
-            status: status || {
-                enabled: false,
-                running: false,
-            },
-        });
+
+router.get('/:name/history', requireAdminMiddleware, async (request, response) => {
+    try {
+        const taskName = request.params.name;
+        if (!scheduledTasksManager.taskTypes.has(taskName)) {
+            return response.status(404).json({ error: 'Unknown scheduled task' });
+        }
+
+        const history = await scheduledTasksManager.getTaskHistory(taskName);
+        return response.json({ success: true, history });
     } catch (error) {
-        console.error('Get scheduled task config failed:', error);
-        return response.status(500).json({ error: 'Failed to fetch scheduled task configuration: ' + error.message });
+        console.error('Get scheduled task history failed:', error);
+        return response.status(500).json({ error: 'Failed to fetch scheduled task history: ' + error.message });
     }
 });
 
 
-router.post('/config', requireAdminMiddleware, async (request, response) => {
+router.post('/:name/config', requireAdminMiddleware, async (request, response) => {
     try {
-        const { enabled, cronExpression } = request.body;
+        const taskName = request.params.name;
+        if (!scheduledTasksManager.taskTypes.has(taskName)) {
+            return response.status(404).json({ error: 'Unknown scheduled task' });
+        }
+
+        const taskConfig = scheduledTasksManager.normalizeTaskConfig(taskName, request.body || {});
 
-        if (enabled && !cronExpression) {
+        if (taskConfig.enabled && !taskConfig.cronExpression) {
             return response.status(400).json({ error: 'A cron expression is required when enabling scheduled tasks' });
         }
 
-        if (enabled) {
-            const cron = await import('node-cron');
-            if (!cron.default.validate(cronExpression)) {
-                return response.status(400).json({ error: 'Invalid cron expression' });
-            }
+        if (taskConfig.cronExpression && !cron.validate(taskConfig.cronExpression)) {
+            return response.status(400).json({ error: 'Invalid cron expression' });
         }
 
-        const saved = scheduledTasksManager.saveTaskConfig({
-            enabled: enabled || false,
-            cronExpression: cronExpression || '',
-        });
+        if (!isValidTimezone(taskConfig.timezone)) {
+            return response.status(400).json({ error: 'Invalid timezone' });
+        }
+
+        const saved = scheduledTasksManager.saveTaskConfig(taskConfig, taskName);
 
         if (!saved) {
             return response.status(500).json({ error: 'Failed to save configuration' });
         }
 
-        if (enabled) {
-            const started = scheduledTasksManager.startClearAllBackupsTask(cronExpression);
+        if (taskConfig.enabled) {
+            const started = scheduledTasksManager.startTask(taskName, taskConfig);
             if (!started) {
                 return response.status(500).json({ error: 'Failed to start scheduled task' });
             }
         } else {
-            scheduledTasksManager.stopTask('clearAllBackups');
+            scheduledTasksManager.stopTask(taskName);
         }
 
+        recordAuditEvent(request, 'scheduled-task.config', taskName, taskConfig);
+
         return response.json({
             success: true,
-            message: enabled ? 'Scheduled task enabled' : 'Scheduled task disabled',
+            message: taskConfig.enabled ? 'Scheduled task enabled' : 'Scheduled task disabled',
+            config: taskConfig,
+            status: scheduledTasksManager.getTaskStatus(taskName),
         });
     } catch (error) {
         console.error('Save scheduled task config failed:', error);
@@ -72,32 +85,28 @@ router.post('/config', requireAdminMiddleware, async (request, response) => {
 });
 
 
-router.get('/status', requireAdminMiddleware, async (request, response) => {
+router.post('/:name/run', requireAdminMiddleware, async (request, response) => {
     try {
-        const status = scheduledTasksManager.getAllTasksStatus();
-        return response.json({
-            success: true,
-            tasks: status,
-        });
-    } catch (error) {
-        console.error('Get scheduled tasks status failed:', error);
-        return response.status(500).json({ error: 'Failed to fetch scheduled task status: ' + error.message });
-    }
-});
+        const taskName = request.params.name;
+        if (!scheduledTasksManager.taskTypes.has(taskName)) {
+            return response.status(404).json({ error: 'Unknown scheduled task' });
+        }
 
+        if (scheduledTasksManager.isTaskRunning(taskName)) {
+            return response.status(409).json({ error: 'The task is already running' });
+        }
 
-router.post('/execute/clear-all-backups', requireAdminMiddleware, async (request, response) => {
-    try {
-        scheduledTasksManager.executeClearAllBackups().catch(error => {
-            console.error('Manual backup cleanup task failed:', error);
+        recordAuditEvent(request, 'scheduled-task.run', taskName);
+        scheduledTasksManager.runTask(taskName, 'manual', request.user.profile.handle).catch(error => {
+            console.error(`Manual run of scheduled task ${taskName} failed:`, error);
         });
 
         return response.json({
             success: true,
-            message: 'Cleanup task started. Check server logs for details.',
+            message: 'Task started. Its result will appear in the run history.',
         });
     } catch (error) {
-        console.error('Execute clear all backups task failed:', error);
-        return response.status(500).json({ error: 'Failed to execute cleanup task: ' + error.message });
+        console.error('Execute scheduled task failed:', error);
+        return response.status(500).json({ error: 'Failed to execute scheduled task: ' + error.message });
     }
 });
@@ -2,8 +2,9 @@ import fs from 'node:fs';
 import path from 'node:path';
 
 import express from 'express';
-import { sync as writeFileAtomicSync } from 'write-file-atomic';
 import { color, getConfigValue, uuidv4 } from '../util.js';
+import { getGrantedPooledSecrets, getPooledSecretsPath, recordPooledSecretUsage, resolvePooledSecret } from '../pooled-secrets.js';
+import { decodeSecretsFile, ensureMasterKey, migrateSecretsFiles, readSecretsFile, writeSecretsFile } from '../secrets-encryption.js';
 
 export const SECRETS_FILE = 'secrets.json';
 export const SECRET_KEYS = {
@@ -103,6 +104,31 @@ const EXPORTABLE_KEYS = [
 
 const allowKeysExposure = !!getConfigValue('allowKeysExposure', false, 'boolean');
 
+// Keys of chat completion providers with a fixed API endpoint. Only these can be backed by pooled keys,
+// keys of custom, local and text completion backends go to a URL chosen by the user.
+const POOLABLE_KEYS = [
+    SECRET_KEYS.OPENAI,
+    SECRET_KEYS.CLAUDE,
+    SECRET_KEYS.OPENROUTER,
+    SECRET_KEYS.AI21,
+    SECRET_KEYS.MAKERSUITE,
+    SECRET_KEYS.MISTRALAI,
+    SECRET_KEYS.COHERE,
+    SECRET_KEYS.PERPLEXITY,
+    SECRET_KEYS.GROQ,
+    SECRET_KEYS.CHUTES,
+    SECRET_KEYS.ELECTRONHUB,
+    SECRET_KEYS.NANOGPT,
+    SECRET_KEYS.DEEPSEEK,
+    SECRET_KEYS.AIMLAPI,
+    SECRET_KEYS.XAI,
+    SECRET_KEYS.MOONSHOT,
+    SECRET_KEYS.FIREWORKS,
+    SECRET_KEYS.COMETAPI,
+    SECRET_KEYS.ZAI,
+    SECRET_KEYS.SILICONFLOW,
+];
+
 /**
  * SecretManager class to handle all secret operations
  */
@@ -122,7 +148,7 @@ export class SecretManager {
      */
     _ensureSecretsFile() {
         if (!fs.existsSync(this.filePath)) {
-            writeFileAtomicSync(this.filePath, JSON.stringify(this.defaultSecrets), 'utf-8');
+            writeSecretsFile(this.filePath, this.defaultSecrets);
         }
     }
 
@@ -133,8 +159,7 @@ export class SecretManager {
      */
     _readSecretsFile() {
         this._ensureSecretsFile();
-        const fileContents = fs.readFileSync(this.filePath, 'utf-8');
-        return /** @type {SecretKeys} */ (JSON.parse(fileContents));
+        return /** @type {SecretKeys} */ (readSecretsFile(this.filePath));
     }
 
     /**
@@ -143,7 +168,7 @@ export class SecretManager {
      * @param {SecretKeys} secrets
      */
     _writeSecretsFile(secrets) {
-        writeFileAtomicSync(this.filePath, JSON.stringify(secrets, null, 4), 'utf-8');
+        writeSecretsFile(this.filePath, secrets);
     }
 
     /**
@@ -380,7 +405,7 @@ export class SecretManager {
         }
 
         const fileContents = fs.readFileSync(this.filePath, 'utf8');
-        const secrets = /** @type {FlatSecretKeys} */ (JSON.parse(fileContents));
+        const secrets = /** @type {FlatSecretKeys} */ (decodeSecretsFile(fileContents));
         const values = Object.values(secrets);
 
         // Check if already migrated
@@ -444,6 +469,49 @@ export function readSecret(directories, key) {
     return new SecretManager(directories).readSecret(key, null);
 }
 
+/**
+ * Reads the provider secret of a chat completion request, falling back to a pooled key granted to the user.
+ * Pooled keys are never used when the request names its own endpoint, so they can't be sent to a server the user controls.
+ * @param {import('express').Request} request Express request object
+ * @param {string} key Secret key
+ * @returns {string} Secret value
+ */
+export function readProviderSecret(request, key) {
+    const value = readSecret(request.user.directories, key);
+
+    if (value || !isPoolableKey(key) || hasCustomEndpoint(request.body)) {
+        return value;
+    }
+
+    const handle = request.user.profile.handle;
+    const pooledValue = resolvePooledSecret(handle, key);
+
+    // Model lists and status checks also read the key, but only generations count as usage
+    if (pooledValue && request.path === '/generate') {
+        recordPooledSecretUsage(handle, key);
+    }
+
+    return pooledValue;
+}
+
+/**
+ * Checks if the request body points the request at an endpoint chosen by the user
+ * @param {object} body Request body
+ * @returns {boolean} True if a reverse proxy, custom URL or server is set
+ */
+function hasCustomEndpoint(body) {
+    return ['reverse_proxy', 'custom_url', 'api_server', 'server_url'].some(field => !!body?.[field]);
+}
+
+/**
+ * Checks if the key can be backed by a pooled server-side secret
+ * @param {string} key Secret key
+ * @returns {boolean} True if the key belongs to a provider with a fixed endpoint
+ */
+export function isPoolableKey(key) {
+    return POOLABLE_KEYS.includes(key);
+}
+
 /**
  * Reads the secret state from the secrets file
  * @param {import('../users.js').UserDirectoryList} directories User directories
@@ -501,6 +569,24 @@ export function migrateFlatSecrets(directoriesList) {
     }
 }
 
+/**
+ * Encrypts or decrypts the secrets files of all users and the pooled secrets to match the encryption setting
+ * @param {import('../users.js').UserDirectoryList[]} directoriesList User directories
+ */
+export function migrateSecretsEncryption(directoriesList) {
+    const filePaths = directoriesList.map(directories => path.join(directories.root, SECRETS_FILE));
+    filePaths.push(getPooledSecretsPath());
+
+    try {
+        ensureMasterKey(filePaths);
+    } catch (error) {
+        console.error(color.red(error.message));
+        process.exit(1);
+    }
+
+    migrateSecretsFiles(filePaths);
+}
+
 export const router = express.Router();
 
 router.post('/write', (request, response) => {
@@ -525,6 +611,19 @@ router.post('/read', (request, response) => {
     try {
         const manager = new SecretManager(request.user.directories);
         const state = manager.getSecretState();
+
+        // Pooled keys are reported as present, but their values are never exposed
+        for (const pooled of getGrantedPooledSecrets(request.user.profile.handle)) {
+            if (!state[pooled.key] && isPoolableKey(pooled.key)) {
+                state[pooled.key] = [{
+                    id: `pooled:${pooled.id}`,
+                    value: '**********',
+                    label: `${pooled.label} (shared)`,
+                    active: true,
+                }];
+            }
+        }
+
         return response.send(state);
     } catch (error) {
         console.error('Error reading secret state:', error);
@@ -0,0 +1,192 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import express from 'express';
+import sanitize from 'sanitize-filename';
+
+import { recordAuditEvent } from '../audit-log.js';
+import { invalidateThumbnail } from './thumbnails.js';
+import {
+    addCharacterToCollection,
+    createCollection,
+    deleteCollection,
+    getAccessibleCollections,
+    getCollection,
+    getCollectionAccess,
+    getSharedCharacterPath,
+    hasCollectionAccess,
+    removeCharacterFromCollection,
+    toSharedAvatar,
+    updateCollectionSettings,
+} from '../shared-characters.js';
+
+const MAX_COLLECTION_NAME_LENGTH = 100;
+
+export const router = express.Router();
+
+/**
+ * Gets the collection fields sent to a user.
+ * @param {import('../shared-characters.js').SharedCollection} collection Collection
+ * @param {string} access Access level of the user
+ * @returns {object}
+ */
+function toCollectionResponse(collection, access) {
+    return {
+        id: collection.id,
+        name: collection.name,
+        description: collection.description,
+        owner: collection.owner,
+        access,
+        // Only the owner decides who the collection is shared with
+        grants: access === 'owner' ? collection.grants : undefined,
+        characters: Object.entries(collection.characters).map(([fileName, entry]) => ({
+            avatar: toSharedAvatar(collection.id, fileName),
+            file_name: fileName,
+            ...entry,
+        })),
+        created_at: collection.created_at,
+        updated_at: collection.updated_at,
+    };
+}
+
+/**
+ * Gets a middleware that loads the collection from the route and checks the access level of the user.
+ * @param {'read'|'edit'|'owner'} required Required access level
+ * @returns {import('express').RequestHandler}
+ */
+function requireCollectionAccess(required) {
+    return async function (request, response, next) {
+        try {
+            const collection = getCollection(request.params.id);
+            const access = collection ? await getCollectionAccess(collection, request.user.profile) : null;
+
+            // Collections the user can't see at all are reported as missing
+            if (!access) {
+                return response.status(404).json({ error: 'Collection not found' });
+            }
+            if (!hasCollectionAccess(access, required)) {
+                return response.status(403).json({ error: 'You do not have permission to do this in the collection' });
+            }
+
+            response.locals.collection = collection;
+            next();
+        } catch (error) {
+            console.error('Failed to check shared collection access:', error);
+            return response.status(500).json({ error: 'Failed to check collection access' });
+        }
+    };
+}
+
+router.get('/', async (request, response) => {
+    try {
+        const collections = await getAccessibleCollections(request.user.profile);
+        return response.json(collections.map(({ collection, access }) => toCollectionResponse(collection, access)));
+    } catch (error) {
+        console.error('Failed to get shared collections:', error);
+        return response.status(500).json({ error: 'Failed to get shared collections' });
+    }
+});
+
+router.post('/', (request, response) => {
+    try {
+        const name = String(request.body?.name ?? '').trim();
+        if (!name || name.length > MAX_COLLECTION_NAME_LENGTH) {
+            return response.status(400).json({ error: `Collection name is required and must be at most ${MAX_COLLECTION_NAME_LENGTH} characters` });
+        }
+
+        const collection = createCollection(request.user.profile.handle, { ...request.body, name });
+        recordAuditEvent(request, 'shared-collection.create', collection.id, { name: collection.name, grants: collection.grants });
+        return response.json(toCollectionResponse(collection, 'owner'));
+    } catch (error) {
+        console.error('Failed to create shared collection:', error);
+        return response.status(500).json({ error: 'Failed to create shared collection' });
+    }
+});
+
+router.put('/:id', requireCollectionAccess('owner'), (request, response) => {
+    try {
+        const name = request.body?.name;
+        if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_COLLECTION_NAME_LENGTH)) {
+            return response.status(400).json({ error: `Collection name must be at most ${MAX_COLLECTION_NAME_LENGTH} characters` });
+        }
+
+        const collection = updateCollectionSettings(request.params.id, request.body || {});
+        recordAuditEvent(request, 'shared-collection.update', collection.id, { name: collection.name, grants: collection.grants });
+        return response.json(toCollectionResponse(collection, 'owner'));
+    } catch (error) {
+        console.error('Failed to update shared collection:', error);
+        return response.status(500).json({ error: 'Failed to update shared collection' });
+    }
+});
+
+router.delete('/:id', requireCollectionAccess('owner'), (request, response) => {
+    try {
+        const collection = response.locals.collection;
+        deleteCollection(collection.id);
+        recordAuditEvent(request, 'shared-collection.delete', collection.id, { name: collection.name });
+        return response.json({ success: true });
+    } catch (error) {
+        console.error('Failed to delete shared collection:', error);
+        return response.status(500).json({ error: 'Failed to delete shared collection' });
+    }
+});
+
+router.post('/:id/characters', requireCollectionAccess('edit'), (request, response) => {
+    try {
+        const avatar = request.body?.avatar_url;
+        if (typeof avatar !== 'string' || !avatar.endsWith('.png') || sanitize(avatar) !== avatar) {
+            return response.status(400).json({ error: 'A character from your library is required' });
+        }
+
+        const sourcePath = path.join(request.user.directories.characters, avatar);
+        if (!fs.existsSync(sourcePath)) {
+            return response.status(404).json({ error: 'Character not found' });
+        }
+
+        const collection = response.locals.collection;
+        const fileName = addCharacterToCollection(collection.id, sourcePath, request.user.profile.handle);
+        recordAuditEvent(request, 'shared-collection.add-character', collection.id, { file_name: fileName });
+        return response.json({ avatar: toSharedAvatar(collection.id, fileName), file_name: fileName });
+    } catch (error) {
+        console.error('Failed to add character to shared collection:', error);
+        return response.status(500).json({ error: 'Failed to add character to the collection' });
+    }
+});
+
+router.delete('/:id/characters/:fileName', requireCollectionAccess('edit'), (request, response) => {
+    try {
+        const collection = response.locals.collection;
+        if (!removeCharacterFromCollection(collection.id, request.params.fileName)) {
+            return response.status(404).json({ error: 'Character not found in the collection' });
+        }
+
+        invalidateThumbnail(request.user.directories, 'avatar', toSharedAvatar(collection.id, request.params.fileName));
+        recordAuditEvent(request, 'shared-collection.remove-character', collection.id, { file_name: request.params.fileName });
+        return response.json({ success: true });
+    } catch (error) {
+        console.error('Failed to remove character from shared collection:', error);
+        return response.status(500).json({ error: 'Failed to remove character from the collection' });
+    }
+});
+
+router.post('/:id/characters/:fileName/copy', requireCollectionAccess('read'), (request, response) => {
+    try {
+        const collection = response.locals.collection;
+        const fileName = request.params.fileName;
+        if (!Object.hasOwn(collection.characters, fileName)) {
+            return response.status(404).json({ error: 'Character not found in the collection' });
+        }
+
+        const baseName = path.parse(fileName).name;
+        let targetName = `${baseName}.png`;
+        for (let i = 1; fs.existsSync(path.join(request.user.directories.characters, targetName)); i++) {
+            targetName = `${baseName}${i}.png`;
+        }
+
+        fs.copyFileSync(getSharedCharacterPath(collection.id, fileName), path.join(request.user.directories.characters, targetName));
+        return response.json({ file_name: targetName });
+    } catch (error) {
+        console.error('Failed to copy shared character:', error);
+        return response.status(500).json({ error: 'Failed to copy the character to your library' });
+    }
+});
@@ -1,10 +1,12 @@
 import express from 'express';
 import systemMonitor from '../system-monitor.js';
 import { requireAdminMiddleware } from '../users.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { PERMISSIONS } from '../roles.js';
 
 export const router = express.Router();
 
-router.get('/', requireAdminMiddleware, async (request, response) => {
+router.get('/', requirePermission(PERMISSIONS.SYSTEM_LOAD_VIEW), async (request, response) => {
     try {
         const systemLoad = systemMonitor.getSystemLoad();
         const userStats = systemMonitor.getAllUserLoadStats();
@@ -21,7 +23,7 @@ router.get('/', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.get('/users', requireAdminMiddleware, async (request, response) => {
+router.get('/users', requirePermission(PERMISSIONS.SYSTEM_LOAD_VIEW), async (request, response) => {
     try {
         const userStats = systemMonitor.getAllUserLoadStats();
         response.json(userStats);
@@ -31,7 +33,7 @@ router.get('/users', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.get('/users/:userHandle', requireAdminMiddleware, async (request, response) => {
+router.get('/users/:userHandle', requirePermission(PERMISSIONS.SYSTEM_LOAD_VIEW), async (request, response) => {
     try {
         const { userHandle } = request.params;
         const userStats = systemMonitor.getUserLoadStats(userHandle);
@@ -68,7 +70,7 @@ router.post('/clear', requireAdminMiddleware, async (request, response) => {
     }
 });
 
-router.get('/history', requireAdminMiddleware, async (request, response) => {
+router.get('/history', requirePermission(PERMISSIONS.SYSTEM_LOAD_VIEW), async (request, response) => {
     try {
         const limitParam = request.query.limit;
         const limit = limitParam ? parseInt(String(limitParam)) : 100;
@@ -9,6 +9,7 @@ import { Jimp, JimpMime } from '../jimp.js';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
 
 import { getConfigValue, invalidateFirefoxCache } from '../util.js';
+import { getCollection, getCollectionAccess, getSharedCharacterPath, parseSharedAvatar } from '../shared-characters.js';
 
 const thumbnailsEnabled = !!getConfigValue('thumbnails.enabled', true, 'boolean');
 const quality = Math.min(100, Math.max(1, parseInt(getConfigValue('thumbnails.quality', 95, 'number'))));
@@ -73,6 +74,39 @@ function getOriginalFolder(directories, type) {
     return originalFolder;
 }
 
+/**
+ * Gets a path to the original image. Avatars of shared characters are stored in their collection.
+ * @param {import('../users.js').UserDirectoryList} directories User directories
+ * @param {ThumbnailType} type Thumbnail type
+ * @param {string} file Name of the file
+ * @returns {string|undefined} Path to the original image
+ */
+function getOriginalFilePath(directories, type, file) {
+    const shared = type === 'avatar' ? parseSharedAvatar(file) : null;
+    if (shared) {
+        return getSharedCharacterPath(shared.collectionId, shared.fileName);
+    }
+
+    const originalFolder = getOriginalFolder(directories, type);
+    return originalFolder === undefined ? undefined : path.join(originalFolder, file);
+}
+
+/**
+ * Checks whether the user can see a shared character avatar.
+ * @param {import('../users.js').User} user User
+ * @param {string} file Avatar file name
+ * @returns {Promise<boolean>} True for personal files, which are always read from the user directory
+ */
+async function canAccessAvatar(user, file) {
+    const shared = parseSharedAvatar(file);
+    if (!shared) {
+        return true;
+    }
+
+    const collection = getCollection(shared.collectionId);
+    return !!collection && Object.hasOwn(collection.characters, shared.fileName) && !!await getCollectionAccess(collection, user);
+}
+
 /**
  * Removes the generated thumbnail from the disk.
  * @param {import('../users.js').UserDirectoryList} directories User directories
@@ -99,10 +133,9 @@ export function invalidateThumbnail(directories, type, file) {
  */
 async function generateThumbnail(directories, type, file) {
     let thumbnailFolder = getThumbnailFolder(directories, type);
-    let originalFolder = getOriginalFolder(directories, type);
-    if (thumbnailFolder === undefined || originalFolder === undefined) throw new Error('Invalid thumbnail type');
+    const pathToOriginalFile = getOriginalFilePath(directories, type, file);
+    if (thumbnailFolder === undefined || pathToOriginalFile === undefined) throw new Error('Invalid thumbnail type');
     const pathToCachedFile = path.join(thumbnailFolder, file);
-    const pathToOriginalFile = path.join(originalFolder, file);
 
     const cachedFileExists = fs.existsSync(pathToCachedFile);
     const originalFileExists = fs.existsSync(pathToOriginalFile);
@@ -239,14 +272,17 @@ router.get('/', async function (request, response) {
             return response.sendStatus(403);
         }
 
+        if (type === 'avatar' && !await canAccessAvatar(request.user.profile, file)) {
+            return response.sendStatus(404);
+        }
+
         if (!thumbnailsEnabled) {
-            const folder = getOriginalFolder(request.user.directories, type);
+            const pathToOriginalFile = getOriginalFilePath(request.user.directories, type, file);
 
-            if (folder === undefined) {
+            if (pathToOriginalFile === undefined) {
                 return response.sendStatus(400);
             }
 
-            const pathToOriginalFile = path.join(folder, file);
             if (!fs.existsSync(pathToOriginalFile)) {
                 return response.sendStatus(404);
             }
@@ -1,6 +1,5 @@
 import { promises as fsPromises } from 'node:fs';
 import fs from 'node:fs';
-import path from 'node:path';
 
 import storage from 'node-persist';
 import express from 'express';
@@ -21,7 +20,22 @@ import {
 import { applyDefaultTemplateToUser } from '../default-template.js';
 import { DEFAULT_USER } from '../constants.js';
 import systemMonitor from '../system-monitor.js';
-import { isEmailServiceAvailable, sendInactiveUserDeletionNotice } from '../email-service.js';
+import { isEmailServiceAvailable, sendEmail, sendInactiveUserDeletionNotice } from '../email-service.js';
+import {
+    DEFAULT_QUOTA_TIER,
+    checkQuota,
+    deleteQuotaTier,
+    getQuotaTiers,
+    resetQuotaUsage,
+    sanitizeQuotaLimits,
+    saveQuotaTier,
+} from '../usage-quotas.js';
+import { PERMISSIONS, deleteRole, getRoles, saveRole } from '../roles.js';
+import { recordAuditEvent, toCsvCell } from '../audit-log.js';
+import { isTwoFactorEnabled } from '../two-factor.js';
+import { revokeAllUserSessions } from '../user-sessions.js';
+import { calculateDirectorySize, getStorageQuotaStatus } from '../storage-quotas.js';
+import { deleteAllAccountSnapshots } from '../account-snapshots.js';
 
 
 export const router = express.Router();
@@ -33,85 +47,236 @@ export const router = express.Router();
  *     totalMessages?: number;
  *     lastActivityFormatted?: string;
  *   } | null,
- *   storageSize?: number
+ *   storageSize?: number,
+ *   lastActivity?: number,
+ *   registrationSource?: string,
+ *   oauthProvider?: string
  * }} AdminUserViewModel
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DIRECTORY_PAGE_SIZE = 20;
+const MAX_DIRECTORY_PAGE_SIZE = 200;
+const MAX_BULK_EMAIL_LENGTH = 10000;
+const MAX_EXPIRY_EXTENSION_DAYS = 3650;
+const BULK_ACTIONS = ['disable', 'extend-expiry', 'send-email', 'delete'];
+// Actions that can't be run against filters matching every account
+const DESTRUCTIVE_BULK_ACTIONS = ['disable', 'delete'];
+const REGISTRATION_SOURCES = ['oauth', 'invitation', 'direct'];
+const DIRECTORY_CSV_COLUMNS = ['handle', 'name', 'email', 'enabled', 'admin', 'role', 'groups', 'created', 'expiresAt', 'lastActivity', 'registrationSource', 'quotaTier', 'storageSize'];
 
-async function calculateDirectorySize(dirPath) {
-    let totalSize = 0;
+/**
+ * @typedef {Object} UserDirectoryFilters
+ * @property {string} [search] - Text matched against the handle, name and email
+ * @property {boolean} [expired] - Only users whose account has expired
+ * @property {boolean} [disabled] - Only disabled users
+ * @property {number} [inactiveDays] - Only users without activity for more than this many days
+ * @property {number} [minStorageMiB] - Only users using more than this much storage
+ * @property {string} [source] - Only users registered through this source (oauth, invitation or direct)
+ */
 
-    try {
-        if (!fs.existsSync(dirPath)) {
-            return 0;
+/**
+ * Gets the time of the last known activity of a user, falling back to the creation time.
+ * @param {import('../users.js').User} user User
+ * @returns {number}
+ */
+function getLastActivityTime(user) {
+    const userStats = systemMonitor.getUserLoadStats(user.handle);
+    if (userStats && userStats.lastActivity) {
+        return userStats.lastHeartbeat || userStats.lastActivity;
+    }
+    return user.created || 0;
+}
+
+/**
+ * Gets how a user account was registered.
+ * @param {import('../users.js').User} user User
+ * @returns {'oauth'|'invitation'|'direct'}
+ */
+function getRegistrationSource(user) {
+    if (user.oauthProvider) {
+        return 'oauth';
+    }
+    if (user.invitation) {
+        return 'invitation';
+    }
+    return 'direct';
+}
+
+/**
+ * Parses the user directory filters from a request body or query string.
+ * @param {object} source Request body or query
+ * @returns {UserDirectoryFilters}
+ */
+function parseDirectoryFilters(source) {
+    const toBoolean = (value) => value === true || value === 'true';
+    const toPositiveNumber = (value) => {
+        const number = Number(value);
+        return Number.isFinite(number) && number > 0 ? number : undefined;
+    };
+
+    return {
+        search: source?.search ? String(source.search).trim().toLowerCase() : undefined,
+        expired: toBoolean(source?.expired),
+        disabled: toBoolean(source?.disabled),
+        inactiveDays: toPositiveNumber(source?.inactiveDays),
+        minStorageMiB: toPositiveNumber(source?.minStorageMiB),
+        source: REGISTRATION_SOURCES.includes(source?.source) ? source.source : undefined,
+    };
+}
+
+/**
+ * Finds the users matching the directory filters, ordered by creation time.
+ * Storage sizes are only calculated when filtering by storage or when requested.
+ * @param {UserDirectoryFilters} filters Directory filters
+ * @param {{includeStorageSize?: boolean}} [options] Options
+ * @returns {Promise<{user: import('../users.js').User, lastActivity: number, registrationSource: string, storageSize?: number}[]>}
+ */
+async function findDirectoryUsers(filters, { includeStorageSize = false } = {}) {
+    /** @type {import('../users.js').User[]} */
+    const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
+    const now = Date.now();
+    const results = [];
+
+    for (const user of users) {
+        if (filters.search && ![user.handle, user.name, user.email].some(x => String(x || '').toLowerCase().includes(filters.search))) {
+            continue;
+        }
+        if (filters.expired && !(user.expiresAt && user.expiresAt < now)) {
+            continue;
+        }
+        if (filters.disabled && user.enabled) {
+            continue;
         }
 
-        const items = await fsPromises.readdir(dirPath);
+        const lastActivity = getLastActivityTime(user);
+        if (filters.inactiveDays && now - lastActivity <= filters.inactiveDays * DAY_MS) {
+            continue;
+        }
 
-        for (const item of items) {
-            const itemPath = path.join(dirPath, item);
-            const stats = await fsPromises.stat(itemPath);
+        const registrationSource = getRegistrationSource(user);
+        if (filters.source && registrationSource !== filters.source) {
+            continue;
+        }
 
-            if (stats.isDirectory()) {
-                totalSize += await calculateDirectorySize(itemPath);
-            } else {
-                totalSize += stats.size;
+        let storageSize = undefined;
+        if (filters.minStorageMiB || includeStorageSize) {
+            storageSize = await calculateDirectorySize(getUserDirectories(user.handle).root);
+            if (filters.minStorageMiB && storageSize <= filters.minStorageMiB * 1024 * 1024) {
+                continue;
             }
         }
-    } catch (error) {
-        console.error('Error calculating directory size:', error);
+
+        results.push({ user, lastActivity, registrationSource, storageSize });
     }
 
-    return totalSize;
+    return results.sort((x, y) => (x.user.created ?? 0) - (y.user.created ?? 0));
+}
+
+/**
+ * Converts a user to the view model shown in the admin panel.
+ * @param {import('../users.js').User} user User
+ * @param {{lastActivity?: number, registrationSource?: string, storageSize?: number}} [details] Directory details
+ * @returns {Promise<AdminUserViewModel>}
+ */
+async function toAdminUserViewModel(user, details = {}) {
+    const avatar = await getUserAvatar(user.handle);
+    const loadStats = systemMonitor.getUserLoadStats(user.handle);
+
+    return {
+        handle: user.handle,
+        name: user.name,
+        avatar: avatar,
+        admin: user.admin,
+        enabled: user.enabled,
+        created: user.created,
+        password: !!user.password,
+        email: user.email || undefined,
+        storageSize: details.storageSize,
+        expiresAt: user.expiresAt || null,
+        quotaTier: user.quotaTier || DEFAULT_QUOTA_TIER,
+        groups: user.groups || [],
+        role: user.role || '',
+        twoFactor: isTwoFactorEnabled(user),
+        lastActivity: details.lastActivity,
+        registrationSource: details.registrationSource,
+        oauthProvider: user.oauthProvider || undefined,
+        loadStats: loadStats ? {
+            loadPercentage: loadStats.loadPercentage,
+            totalMessages: loadStats.totalMessages,
+            lastActivityFormatted: loadStats.lastActivityFormatted,
+        } : null,
+    };
 }
 
 router.post('/get', requireAdminMiddleware, async (request, response) => {
     try {
-        /** @type {import('../users.js').User[]} */
-        const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
-
         const includeStorageSize = request.body?.includeStorageSize === true;
 
-        /** @type {Promise<AdminUserViewModel>[]} */
-        const viewModelPromises = users
-            .map(user => new Promise(async (resolve) => {
-                const avatar = await getUserAvatar(user.handle);
-                const loadStats = systemMonitor.getUserLoadStats(user.handle);
-
-                let storageSize = undefined;
-                if (includeStorageSize) {
-                    const directories = getUserDirectories(user.handle);
-                    storageSize = await calculateDirectorySize(directories.root);
-                }
+        // Without a page the whole list is returned, as expected by older callers
+        if (request.body?.page === undefined) {
+            const results = await findDirectoryUsers({}, { includeStorageSize });
+            const viewModels = await Promise.all(results.map(({ user, ...details }) => toAdminUserViewModel(user, details)));
+            return response.json(viewModels);
+        }
 
-                resolve({
-                    handle: user.handle,
-                    name: user.name,
-                    avatar: avatar,
-                    admin: user.admin,
-                    enabled: user.enabled,
-                    created: user.created,
-                    password: !!user.password,
-                    email: user.email || undefined,
-                    storageSize: storageSize,
-                    expiresAt: user.expiresAt || null,
-                    loadStats: loadStats ? {
-                        loadPercentage: loadStats.loadPercentage,
-                        totalMessages: loadStats.totalMessages,
-                        lastActivityFormatted: loadStats.lastActivityFormatted,
-                    } : null,
-                });
-            }));
+        const filters = parseDirectoryFilters(request.body);
+        const results = await findDirectoryUsers(filters, { includeStorageSize });
+        const pageSize = Math.min(MAX_DIRECTORY_PAGE_SIZE, Math.max(1, Number.parseInt(request.body.pageSize, 10) || DEFAULT_DIRECTORY_PAGE_SIZE));
+        const totalPages = Math.max(1, Math.ceil(results.length / pageSize));
+        const page = Math.min(totalPages, Math.max(1, Number.parseInt(request.body.page, 10) || 1));
+        const pageResults = results.slice((page - 1) * pageSize, page * pageSize);
 
-        const viewModels = await Promise.all(viewModelPromises);
-        viewModels.sort((x, y) => (x.created ?? 0) - (y.created ?? 0));
-        return response.json(viewModels);
+        return response.json({
+            users: await Promise.all(pageResults.map(({ user, ...details }) => toAdminUserViewModel(user, details))),
+            total: results.length,
+            page: page,
+            pageSize: pageSize,
+            totalPages: totalPages,
+        });
     } catch (error) {
         console.error('User list failed:', error);
         return response.sendStatus(500);
     }
 });
 
+router.get('/export', requireAdminMiddleware, async (request, response) => {
+    try {
+        const results = await findDirectoryUsers(parseDirectoryFilters(request.query), { includeStorageSize: true });
+        const toIsoDate = (value) => value ? new Date(value).toISOString() : '';
+        const lines = [DIRECTORY_CSV_COLUMNS.join(',')];
+
+        for (const { user, lastActivity, registrationSource, storageSize } of results) {
+            const row = {
+                handle: user.handle,
+                name: user.name,
+                email: user.email || '',
+                enabled: !!user.enabled,
+                admin: !!user.admin,
+                role: user.role || '',
+                groups: (user.groups || []).join(' '),
+                created: toIsoDate(user.created),
+                expiresAt: toIsoDate(user.expiresAt),
+                lastActivity: toIsoDate(lastActivity),
+                registrationSource: registrationSource,
+                quotaTier: user.quotaTier || DEFAULT_QUOTA_TIER,
+                storageSize: storageSize,
+            };
+            lines.push(DIRECTORY_CSV_COLUMNS.map(column => toCsvCell(row[column])).join(','));
+        }
+
+        const fileName = `users-${new Date().toISOString().slice(0, 10)}.csv`;
+        recordAuditEvent(request, 'user.export', '', { users: results.length });
+        response.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        response.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        // BOM so that spreadsheet applications detect UTF-8
+        return response.send('﻿' + lines.join('\r\n') + '\r\n');
+    } catch (error) {
+        console.error('User export failed:', error);
+        return response.status(500).json({ error: 'Failed to export users' });
+    }
+});
+
 
 router.post('/storage-size', requireAdminMiddleware, async (request, response) => {
     try {
@@ -148,6 +313,263 @@ router.post('/storage-size', requireAdminMiddleware, async (request, response) =
     }
 });
 
+router.post('/groups/set', requireAdminMiddleware, async (request, response) => {
+    try {
+        const normalizedHandle = normalizeHandle(request.body.handle);
+
+        if (!normalizedHandle || !Array.isArray(request.body.groups)) {
+            console.warn('Set user groups failed: Missing or invalid fields');
+            return response.status(400).json({ error: 'Missing or invalid fields' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(normalizedHandle));
+
+        if (!user) {
+            console.error('Set user groups failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        user.groups = lodash.uniq(request.body.groups.map(x => normalizeHandle(String(x))).filter(x => x));
+        await storage.setItem(toKey(normalizedHandle), user);
+        recordAuditEvent(request, 'user.groups.set', normalizedHandle, { groups: user.groups });
+        return response.json({ groups: user.groups });
+    } catch (error) {
+        console.error('Set user groups failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/roles', requireAdminMiddleware, async (_request, response) => {
+    try {
+        const roles = await getRoles();
+        return response.json({ roles, permissions: Object.values(PERMISSIONS) });
+    } catch (error) {
+        console.error('Get roles failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/roles/save', requireAdminMiddleware, async (request, response) => {
+    try {
+        const name = normalizeHandle(request.body.name);
+
+        if (!name) {
+            console.warn('Save role failed: Missing or invalid role name');
+            return response.status(400).json({ error: 'Missing or invalid role name' });
+        }
+
+        const role = await saveRole(name, {
+            description: request.body.description,
+            permissions: request.body.permissions,
+        });
+        recordAuditEvent(request, 'role.save', name, role);
+        return response.json({ name, ...role });
+    } catch (error) {
+        console.error('Save role failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/roles/delete', requireAdminMiddleware, async (request, response) => {
+    try {
+        const name = String(request.body.name || '');
+        const deleted = await deleteRole(name);
+
+        if (!deleted) {
+            return response.status(404).json({ error: 'Role not found' });
+        }
+
+        recordAuditEvent(request, 'role.delete', name);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Delete role failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/role/set', requireAdminMiddleware, async (request, response) => {
+    try {
+        const normalizedHandle = normalizeHandle(request.body.handle);
+
+        if (!normalizedHandle) {
+            console.warn('Set user role failed: Invalid handle format');
+            return response.status(400).json({ error: 'Invalid handle format' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(normalizedHandle));
+
+        if (!user) {
+            console.error('Set user role failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        const role = String(request.body.role || '');
+
+        if (role) {
+            const roles = await getRoles();
+
+            if (!roles[role]) {
+                console.warn('Set user role failed: Unknown role', role);
+                return response.status(400).json({ error: 'Unknown role' });
+            }
+
+            user.role = role;
+        } else {
+            delete user.role;
+        }
+
+        await storage.setItem(toKey(normalizedHandle), user);
+        console.info(`Role of ${normalizedHandle} set to ${role || 'none'}`);
+        recordAuditEvent(request, 'user.role.set', normalizedHandle, { role });
+        return response.json({ role: user.role || '' });
+    } catch (error) {
+        console.error('Set user role failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/quota-tiers', requireAdminMiddleware, async (_request, response) => {
+    try {
+        const tiers = await getQuotaTiers();
+        return response.json(tiers);
+    } catch (error) {
+        console.error('Get quota tiers failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/quota-tiers/save', requireAdminMiddleware, async (request, response) => {
+    try {
+        const name = normalizeHandle(request.body.name);
+
+        if (!name) {
+            console.warn('Save quota tier failed: Missing or invalid tier name');
+            return response.status(400).json({ error: 'Missing or invalid tier name' });
+        }
+
+        const limits = await saveQuotaTier(name, request.body.limits);
+        recordAuditEvent(request, 'quota.tier.save', name, { limits });
+        return response.json({ name, limits });
+    } catch (error) {
+        console.error('Save quota tier failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/quota-tiers/delete', requireAdminMiddleware, async (request, response) => {
+    try {
+        const name = String(request.body.name || '');
+
+        if (name === DEFAULT_QUOTA_TIER) {
+            console.warn('Delete quota tier failed: Cannot delete the default tier');
+            return response.status(400).json({ error: 'Cannot delete the default tier' });
+        }
+
+        const deleted = await deleteQuotaTier(name);
+
+        if (!deleted) {
+            return response.status(404).json({ error: 'Quota tier not found' });
+        }
+
+        recordAuditEvent(request, 'quota.tier.delete', name);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Delete quota tier failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/quota/get', requireAdminMiddleware, async (request, response) => {
+    try {
+        const normalizedHandle = normalizeHandle(request.body.handle);
+
+        if (!normalizedHandle) {
+            console.warn('Get user quota failed: Invalid handle format');
+            return response.status(400).json({ error: 'Invalid handle format' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(normalizedHandle));
+
+        if (!user) {
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        const status = await checkQuota(user);
+        return response.json({
+            ...status,
+            tier: user.quotaTier || DEFAULT_QUOTA_TIER,
+            overrides: sanitizeQuotaLimits(user.quotaLimits, true),
+            storage: await getStorageQuotaStatus(user, true),
+        });
+    } catch (error) {
+        console.error('Get user quota failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/quota/set', requireAdminMiddleware, async (request, response) => {
+    try {
+        const normalizedHandle = normalizeHandle(request.body.handle);
+
+        if (!normalizedHandle) {
+            console.warn('Set user quota failed: Invalid handle format');
+            return response.status(400).json({ error: 'Invalid handle format' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(normalizedHandle));
+
+        if (!user) {
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        if (request.body.tier !== undefined) {
+            const tiers = await getQuotaTiers();
+            const tier = String(request.body.tier || DEFAULT_QUOTA_TIER);
+
+            if (!tiers[tier]) {
+                console.warn('Set user quota failed: Unknown tier', tier);
+                return response.status(400).json({ error: 'Unknown quota tier' });
+            }
+
+            user.quotaTier = tier;
+        }
+
+        if (request.body.limits !== undefined) {
+            user.quotaLimits = sanitizeQuotaLimits(request.body.limits, true);
+        }
+
+        await storage.setItem(toKey(normalizedHandle), user);
+        recordAuditEvent(request, 'user.quota.set', normalizedHandle, { tier: user.quotaTier, limits: user.quotaLimits });
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Set user quota failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/quota/reset', requireAdminMiddleware, async (request, response) => {
+    try {
+        const normalizedHandle = normalizeHandle(request.body.handle);
+
+        if (!normalizedHandle) {
+            console.warn('Reset user quota failed: Invalid handle format');
+            return response.status(400).json({ error: 'Invalid handle format' });
+        }
+
+        await resetQuotaUsage(normalizedHandle);
+        console.info('Reset usage quota for', normalizedHandle);
+        recordAuditEvent(request, 'user.quota.reset', normalizedHandle);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Reset user quota failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/disable', requireAdminMiddleware, async (request, response) => {
     try {
         if (!request.body.handle) {
@@ -177,6 +599,7 @@ router.post('/disable', requireAdminMiddleware, async (request, response) => {
 
         user.enabled = false;
         await storage.setItem(toKey(normalizedHandle), user);
+        recordAuditEvent(request, 'user.disable', normalizedHandle);
         return response.sendStatus(204);
     } catch (error) {
         console.error('User disable failed:', error);
@@ -208,6 +631,7 @@ router.post('/enable', requireAdminMiddleware, async (request, response) => {
 
         user.enabled = true;
         await storage.setItem(toKey(normalizedHandle), user);
+        recordAuditEvent(request, 'user.enable', normalizedHandle);
         return response.sendStatus(204);
     } catch (error) {
         console.error('User enable failed:', error);
@@ -215,6 +639,69 @@ router.post('/enable', requireAdminMiddleware, async (request, response) => {
     }
 });
 
+router.post('/2fa/reset', requireAdminMiddleware, async (request, response) => {
+    try {
+        if (!request.body.handle) {
+            console.warn('Reset two-factor failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const normalizedHandle = normalizeHandle(request.body.handle);
+
+        if (!normalizedHandle) {
+            console.warn('Reset two-factor failed: Invalid handle format');
+            return response.status(400).json({ error: 'Invalid handle format' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(normalizedHandle));
+
+        if (!user) {
+            console.error('Reset two-factor failed: User not found');
+            return response.status(404).json({ error: 'User not found' });
+        }
+
+        delete user.totp;
+        await storage.setItem(toKey(normalizedHandle), user);
+        console.info('Two-factor authentication reset for', normalizedHandle, 'by', request.user.profile.handle);
+        recordAuditEvent(request, 'user.2fa.reset', normalizedHandle);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Reset two-factor failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/sessions/revoke-all', requireAdminMiddleware, async (request, response) => {
+    try {
+        if (!request.body.handle) {
+            console.warn('Force logout failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const normalizedHandle = normalizeHandle(request.body.handle);
+
+        if (!normalizedHandle) {
+            console.warn('Force logout failed: Invalid handle format');
+            return response.status(400).json({ error: 'Invalid handle format' });
+        }
+
+        if (normalizedHandle === request.user.profile.handle) {
+            console.warn('Force logout failed: Cannot force logout yourself');
+            return response.status(400).json({ error: 'Cannot force logout yourself' });
+        }
+
+        const count = await revokeAllUserSessions(normalizedHandle);
+        systemMonitor.recordUserLogout(normalizedHandle);
+        console.info('Force logout of', normalizedHandle, 'by', request.user.profile.handle, '-', count, 'session(s) revoked');
+        recordAuditEvent(request, 'user.logout.force', normalizedHandle, { sessions: count });
+        return response.json({ count });
+    } catch (error) {
+        console.error('Force logout failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/promote', requireAdminMiddleware, async (request, response) => {
     try {
         if (!request.body.handle) {
@@ -239,6 +726,7 @@ router.post('/promote', requireAdminMiddleware, async (request, response) => {
 
         user.admin = true;
         await storage.setItem(toKey(normalizedHandle), user);
+        recordAuditEvent(request, 'user.promote', normalizedHandle);
         return response.sendStatus(204);
     } catch (error) {
         console.error('User promote failed:', error);
@@ -275,6 +763,7 @@ router.post('/demote', requireAdminMiddleware, async (request, response) => {
 
         user.admin = false;
         await storage.setItem(toKey(normalizedHandle), user);
+        recordAuditEvent(request, 'user.demote', normalizedHandle);
         return response.sendStatus(204);
     } catch (error) {
         console.error('User demote failed:', error);
@@ -324,6 +813,7 @@ router.post('/create', requireAdminMiddleware, async (request, response) => {
         const directories = getUserDirectories(newUser.handle);
         await checkForNewContent([directories], [CONTENT_TYPES.SETTINGS]);
         applyDefaultTemplateToUser(directories, { userName: newUser.name });
+        recordAuditEvent(request, 'user.create', newUser.handle, { admin: newUser.admin });
         return response.json({ handle: newUser.handle });
     } catch (error) {
         console.error('User create failed:', error);
@@ -331,6 +821,24 @@ router.post('/create', requireAdminMiddleware, async (request, response) => {
     }
 });
 
+/**
+ * Deletes a user account and ends its sessions.
+ * @param {string} handle User handle
+ * @param {boolean} purge Whether to also delete the user's data directories
+ */
+async function deleteUserAccount(handle, purge) {
+    await storage.removeItem(toKey(handle));
+    await resetQuotaUsage(handle);
+    await revokeAllUserSessions(handle);
+
+    if (purge) {
+        const directories = getUserDirectories(handle);
+        console.info('Deleting data directories for', handle);
+        await fsPromises.rm(directories.root, { recursive: true, force: true });
+        await deleteAllAccountSnapshots(handle);
+    }
+}
+
 router.post('/delete', requireAdminMiddleware, async (request, response) => {
     try {
         if (!request.body.handle) {
@@ -355,15 +863,9 @@ router.post('/delete', requireAdminMiddleware, async (request, response) => {
             return response.status(400).json({ error: 'Invalid handle format' });
         }
 
-        await storage.removeItem(toKey(normalizedHandle));
-
-        if (request.body.purge) {
-            const directories = getUserDirectories(normalizedHandle);
-            console.info('Deleting data directories for', normalizedHandle);
-            await fsPromises.rm(directories.root, { recursive: true, force: true });
-        }
-
+        await deleteUserAccount(normalizedHandle, !!request.body.purge);
         console.info('Deleted user:', normalizedHandle, 'purge:', !!request.body.purge);
+        recordAuditEvent(request, 'user.delete', normalizedHandle, { purge: !!request.body.purge });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User delete failed:', error);
@@ -371,6 +873,171 @@ router.post('/delete', requireAdminMiddleware, async (request, response) => {
     }
 });
 
+/**
+ * Gets why a bulk action can't be applied to a user.
+ * @param {string} action Bulk action
+ * @param {import('../users.js').User} user Target user
+ * @param {string} actorHandle Handle of the admin running the action
+ * @returns {string | null} Reason or null if the action applies
+ */
+function getBulkSkipReason(action, user, actorHandle) {
+    switch (action) {
+        case 'disable':
+            if (user.handle === actorHandle) {
+                return 'Cannot disable yourself';
+            }
+            return user.enabled ? null : 'Already disabled';
+        case 'delete':
+            if (user.handle === actorHandle) {
+                return 'Cannot delete yourself';
+            }
+            return user.handle === DEFAULT_USER.handle ? 'The default user cannot be deleted' : null;
+        case 'extend-expiry':
+            return user.expiresAt ? null : 'Permanent account';
+        case 'send-email':
+            return typeof user.email === 'string' && user.email.trim() ? null : 'No email address';
+        default:
+            return 'Unknown action';
+    }
+}
+
+/**
+ * Gets the new expiry of a user after extending it. Expired accounts are extended from now.
+ * @param {import('../users.js').User} user User
+ * @param {number} days Days to add
+ * @returns {number}
+ */
+function getExtendedExpiry(user, days) {
+    const baseTime = user.expiresAt && user.expiresAt > Date.now() ? user.expiresAt : Date.now();
+    return baseTime + days * DAY_MS;
+}
+
+router.post('/bulk', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { action, handles, filters, dryRun = false, purge = false } = request.body || {};
+
+        if (!BULK_ACTIONS.includes(action)) {
+            console.warn('Bulk user action failed: Unknown action', action);
+            return response.status(400).json({ error: 'Unknown bulk action' });
+        }
+
+        const days = Number(request.body.days);
+        if (action === 'extend-expiry' && (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_EXTENSION_DAYS)) {
+            return response.status(400).json({ error: `Days must be a whole number between 1 and ${MAX_EXPIRY_EXTENSION_DAYS}` });
+        }
+
+        const subject = String(request.body.subject ?? '').trim();
+        const message = String(request.body.message ?? '').trim();
+        if (action === 'send-email') {
+            if (!subject || subject.length > 200 || !message || message.length > MAX_BULK_EMAIL_LENGTH) {
+                return response.status(400).json({ error: `Subject (up to 200 characters) and message (up to ${MAX_BULK_EMAIL_LENGTH} characters) are required` });
+            }
+            if (!isEmailServiceAvailable()) {
+                return response.status(400).json({ error: 'Email service not available' });
+            }
+        }
+
+        /** @type {import('../users.js').User[]} */
+        let users = [];
+        const skipped = [];
+        if (Array.isArray(handles)) {
+            for (const handle of lodash.uniq(handles.map(x => normalizeHandle(String(x))).filter(x => x))) {
+                const user = await storage.getItem(toKey(handle));
+                if (user) {
+                    users.push(user);
+                } else {
+                    skipped.push({ handle, reason: 'User not found' });
+                }
+            }
+        } else if (filters && typeof filters === 'object') {
+            // Filters are only resolved for the preview, the action then runs on exactly the handles it returned
+            if (!dryRun) {
+                return response.status(400).json({ error: 'Preview the action first and confirm the listed users' });
+            }
+
+            const directoryFilters = parseDirectoryFilters(filters);
+            if (DESTRUCTIVE_BULK_ACTIONS.includes(action) && !Object.values(directoryFilters).some(x => x)) {
+                return response.status(400).json({ error: 'Set at least one filter before disabling or deleting all matching users' });
+            }
+
+            users = (await findDirectoryUsers(directoryFilters)).map(x => x.user);
+        }
+
+        if (users.length === 0 && skipped.length === 0) {
+            console.warn('Bulk user action failed: No users selected');
+            return response.status(400).json({ error: 'No users selected' });
+        }
+
+        const targets = [];
+        for (const user of users) {
+            const reason = getBulkSkipReason(action, user, request.user.profile.handle);
+            if (reason) {
+                skipped.push({ handle: user.handle, reason });
+            } else {
+                targets.push(user);
+            }
+        }
+
+        if (dryRun) {
+            return response.json({
+                dryRun: true,
+                action: action,
+                handles: targets.map(user => user.handle),
+                targets: targets.map(user => ({
+                    handle: user.handle,
+                    name: user.name,
+                    email: user.email || undefined,
+                    expiresAt: user.expiresAt || null,
+                    newExpiresAt: action === 'extend-expiry' ? getExtendedExpiry(user, days) : undefined,
+                })),
+                skipped: skipped,
+            });
+        }
+
+        const succeeded = [];
+        const failed = [];
+        for (const user of targets) {
+            try {
+                switch (action) {
+                    case 'disable':
+                        user.enabled = false;
+                        await storage.setItem(toKey(user.handle), user);
+                        break;
+                    case 'extend-expiry':
+                        user.expiresAt = getExtendedExpiry(user, days);
+                        await storage.setItem(toKey(user.handle), user);
+                        break;
+                    case 'send-email':
+                        if (!await sendEmail(user.email.trim(), subject, message)) {
+                            throw new Error('Failed to send email');
+                        }
+                        break;
+                    case 'delete':
+                        await deleteUserAccount(user.handle, !!purge);
+                        break;
+                }
+                succeeded.push(user.handle);
+            } catch (error) {
+                console.error(`Bulk ${action} failed for ${user.handle}:`, error);
+                failed.push({ handle: user.handle, error: error.message });
+            }
+        }
+
+        console.info(`Bulk ${action} by ${request.user.profile.handle}: ${succeeded.length} succeeded, ${failed.length} failed, ${skipped.length} skipped`);
+        recordAuditEvent(request, `user.bulk.${action}`, '', {
+            succeeded,
+            failed: failed.map(x => x.handle),
+            ...(action === 'extend-expiry' ? { days } : {}),
+            ...(action === 'send-email' ? { subject } : {}),
+            ...(action === 'delete' ? { purge: !!purge } : {}),
+        });
+        return response.json({ dryRun: false, action, succeeded, failed, skipped });
+    } catch (error) {
+        console.error('Bulk user action failed:', error);
+        return response.status(500).json({ error: 'Bulk action failed: ' + error.message });
+    }
+});
+
 router.post('/slugify', requireAdminMiddleware, async (request, response) => {
     try {
         if (!request.body.text) {
@@ -411,6 +1078,7 @@ router.post('/clear-backups', requireAdminMiddleware, async (request, response)
         }
 
         console.info(`Cleared backups for user ${handle}: ${deletedFiles} files, ${deletedSize} bytes`);
+        recordAuditEvent(request, 'backups.clear', handle, { deletedFiles, deletedSize });
         return response.json({
             success: true,
             deletedSize: deletedSize,
@@ -465,6 +1133,7 @@ router.post('/clear-all-backups', requireAdminMiddleware, async (request, respon
         }
 
         console.info(`Cleared all backups: ${totalDeletedFiles} files, ${totalDeletedSize} bytes`);
+        recordAuditEvent(request, 'backups.clear-all', '', { users: userHandles.length, deletedFiles: totalDeletedFiles, deletedSize: totalDeletedSize });
         return response.json({
             success: true,
             totalDeletedSize: totalDeletedSize,
@@ -479,134 +1148,153 @@ router.post('/clear-all-backups', requireAdminMiddleware, async (request, respon
 });
 
 
-router.post('/delete-inactive-users', requireAdminMiddleware, async (request, response) => {
-    try {
-        const { dryRun = false, inactiveDays: requestedInactiveDays, maxStorageMiB: requestedMaxStorageMiB } = request.body || {};
-        const allowedInactiveDays = new Set([7, 15, 30, 60]);
-        const parsedInactiveDays = Number.parseInt(requestedInactiveDays, 10);
-        const inactiveDays = allowedInactiveDays.has(parsedInactiveDays) ? parsedInactiveDays : 60;
-        const inactiveThreshold = inactiveDays * 24 * 60 * 60 * 1000;
-        const parsedMaxStorageMiB = Number(requestedMaxStorageMiB);
-        const maxStorageMiB = Number.isFinite(parsedMaxStorageMiB) && parsedMaxStorageMiB > 0 ? parsedMaxStorageMiB : null;
-        const maxStorageBytes = maxStorageMiB ? maxStorageMiB * 1024 * 1024 : null;
-        const storageFilterMessage = maxStorageMiB ? ` and storage usage <= ${maxStorageMiB} MiB` : '';
-        const now = Date.now();
-        const forwardedProto = request.get('x-forwarded-proto');
-        const protocol = forwardedProto ? forwardedProto.split(',')[0] : request.protocol;
-        const host = request.get('x-forwarded-host') || request.get('host');
-        const siteUrl = host ? `${protocol}://${host}` : '';
-
-        const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
+/**
+ * @typedef {Object} InactiveUserCleanupOptions
+ * @property {number} inactiveDays - Days without activity after which a user is deleted
+ * @property {number | null} [maxStorageMiB] - Only delete users using at most this much storage
+ * @property {boolean} [dryRun] - Only list the users that would be deleted
+ * @property {string[]} [excludeHandles] - Handles that are never deleted
+ * @property {string} [siteUrl] - Site address included in the notification email
+ */
 
-        const inactiveUsers = [];
-        const results = [];
-        let totalDeletedSize = 0;
+/**
+ * Finds users that have been inactive for too long and deletes them, notifying them by email when possible.
+ * Admins and the default user are never deleted.
+ * @param {InactiveUserCleanupOptions} options Cleanup options
+ * @returns {Promise<{inactiveUsers: object[], results: object[], totalDeletedSize: number}>}
+ */
+export async function deleteInactiveUsers({ inactiveDays, maxStorageMiB = null, dryRun = false, excludeHandles = [], siteUrl = '' }) {
+    const inactiveThreshold = inactiveDays * 24 * 60 * 60 * 1000;
+    const maxStorageBytes = maxStorageMiB ? maxStorageMiB * 1024 * 1024 : null;
+    const now = Date.now();
 
-        for (const user of users) {
-            if (user.handle === request.user.profile.handle) {
-                continue;
-            }
+    const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
 
-            if (user.handle === DEFAULT_USER.handle) {
-                continue;
-            }
+    const inactiveUsers = [];
+    const results = [];
+    let totalDeletedSize = 0;
 
-            if (user.admin) {
-                continue;
-            }
+    for (const user of users) {
+        if (excludeHandles.includes(user.handle)) {
+            continue;
+        }
 
-            const userStats = systemMonitor.getUserLoadStats(user.handle);
-            let lastActivityTime = null;
+        if (user.handle === DEFAULT_USER.handle) {
+            continue;
+        }
 
-            if (userStats && userStats.lastActivity) {
-                if (userStats.lastHeartbeat) {
-                    lastActivityTime = userStats.lastHeartbeat;
-                } else {
-                    lastActivityTime = userStats.lastActivity;
-                }
-            } else {
-                lastActivityTime = user.created || 0;
-            }
+        if (user.admin) {
+            continue;
+        }
 
-            const timeSinceLastActivity = now - lastActivityTime;
-            const daysSinceLastActivity = Math.floor(timeSinceLastActivity / (24 * 60 * 60 * 1000));
-            const hasBoundEmail = typeof user.email === 'string' && user.email.trim().length > 0;
+        const lastActivityTime = getLastActivityTime(user);
+        const timeSinceLastActivity = now - lastActivityTime;
+        const daysSinceLastActivity = Math.floor(timeSinceLastActivity / (24 * 60 * 60 * 1000));
+        const hasBoundEmail = typeof user.email === 'string' && user.email.trim().length > 0;
 
-            if (timeSinceLastActivity > inactiveThreshold) {
-                const directories = getUserDirectories(user.handle);
-                const storageSize = await calculateDirectorySize(directories.root);
+        if (timeSinceLastActivity > inactiveThreshold) {
+            const directories = getUserDirectories(user.handle);
+            const storageSize = await calculateDirectorySize(directories.root);
 
-                if (maxStorageBytes && storageSize > maxStorageBytes) {
-                    continue;
-                }
+            if (maxStorageBytes && storageSize > maxStorageBytes) {
+                continue;
+            }
 
-                inactiveUsers.push({
-                    handle: user.handle,
-                    name: user.name,
-                    lastActivity: lastActivityTime,
-                    lastActivityFormatted: new Date(lastActivityTime).toLocaleString('zh-CN'),
-                    daysSinceLastActivity: daysSinceLastActivity,
-                    storageSize: storageSize,
-                    hasEmail: hasBoundEmail,
-                });
+            inactiveUsers.push({
+                handle: user.handle,
+                name: user.name,
+                lastActivity: lastActivityTime,
+                lastActivityFormatted: new Date(lastActivityTime).toLocaleString('zh-CN'),
+                daysSinceLastActivity: daysSinceLastActivity,
+                storageSize: storageSize,
+                hasEmail: hasBoundEmail,
+            });
 
-                if (!dryRun) {
-                    let emailNotified = false;
-                    let emailError = null;
-
-                    try {
-                        if (hasBoundEmail) {
-                            if (isEmailServiceAvailable()) {
-                                const sent = await sendInactiveUserDeletionNotice(
-                                    user.email.trim(),
-                                    user.name,
-                                    daysSinceLastActivity,
-                                    storageSize,
-                                    siteUrl,
-                                );
-                                emailNotified = sent;
-                                if (!sent) {
-                                    emailError = 'Failed to send notification email';
-                                }
-                            } else {
-                                emailError = 'Email service not available';
+            if (!dryRun) {
+                let emailNotified = false;
+                let emailError = null;
+
+                try {
+                    if (hasBoundEmail) {
+                        if (isEmailServiceAvailable()) {
+                            const sent = await sendInactiveUserDeletionNotice(
+                                user.email.trim(),
+                                user.name,
+                                daysSinceLastActivity,
+                                storageSize,
+                                siteUrl,
+                                user.locale,
+                            );
+                            emailNotified = sent;
+                            if (!sent) {
+                                emailError = 'Failed to send notification email';
                             }
+                        } else {
+                            emailError = 'Email service not available';
                         }
+                    }
 
-                        await storage.removeItem(toKey(user.handle));
-
-                        if (fs.existsSync(directories.root)) {
-                            await fsPromises.rm(directories.root, { recursive: true, force: true });
-                        }
+                    await storage.removeItem(toKey(user.handle));
+                    await revokeAllUserSessions(user.handle);
 
-                        systemMonitor.resetUserStats(user.handle);
-
-                        totalDeletedSize += storageSize;
-                        results.push({
-                            handle: user.handle,
-                            name: user.name,
-                            success: true,
-                            deletedSize: storageSize,
-                            emailNotified: emailNotified,
-                            emailError: emailError,
-                            message: `Deleted user ${user.handle}, freed ${(storageSize / 1024 / 1024).toFixed(2)} MB`,
-                        });
-
-                        console.info(`Deleted inactive user ${user.handle}: ${(storageSize / 1024 / 1024).toFixed(2)} MB`);
-                    } catch (error) {
-                        console.error(`Error deleting user ${user.handle}:`, error);
-                        results.push({
-                            handle: user.handle,
-                            name: user.name,
-                            success: false,
-                            error: error.message,
-                            emailNotified: emailNotified,
-                            emailError: emailError,
-                        });
+                    if (fs.existsSync(directories.root)) {
+                        await fsPromises.rm(directories.root, { recursive: true, force: true });
                     }
+                    await deleteAllAccountSnapshots(user.handle);
+
+                    systemMonitor.resetUserStats(user.handle);
+
+                    totalDeletedSize += storageSize;
+                    results.push({
+                        handle: user.handle,
+                        name: user.name,
+                        success: true,
+                        deletedSize: storageSize,
+                        emailNotified: emailNotified,
+                        emailError: emailError,
+                        message: `Deleted user ${user.handle}, freed ${(storageSize / 1024 / 1024).toFixed(2)} MB`,
+                    });
+
+                    console.info(`Deleted inactive user ${user.handle}: ${(storageSize / 1024 / 1024).toFixed(2)} MB`);
+                } catch (error) {
+                    console.error(`Error deleting user ${user.handle}:`, error);
+                    results.push({
+                        handle: user.handle,
+                        name: user.name,
+                        success: false,
+                        error: error.message,
+                        emailNotified: emailNotified,
+                        emailError: emailError,
+                    });
                 }
             }
         }
+    }
+
+    return { inactiveUsers, results, totalDeletedSize };
+}
+
+router.post('/delete-inactive-users', requireAdminMiddleware, async (request, response) => {
+    try {
+        const { dryRun = false, inactiveDays: requestedInactiveDays, maxStorageMiB: requestedMaxStorageMiB } = request.body || {};
+        const allowedInactiveDays = new Set([7, 15, 30, 60]);
+        const parsedInactiveDays = Number.parseInt(requestedInactiveDays, 10);
+        const inactiveDays = allowedInactiveDays.has(parsedInactiveDays) ? parsedInactiveDays : 60;
+        const parsedMaxStorageMiB = Number(requestedMaxStorageMiB);
+        const maxStorageMiB = Number.isFinite(parsedMaxStorageMiB) && parsedMaxStorageMiB > 0 ? parsedMaxStorageMiB : null;
+        const storageFilterMessage = maxStorageMiB ? ` and storage usage <= ${maxStorageMiB} MiB` : '';
+        const forwardedProto = request.get('x-forwarded-proto');
+        const protocol = forwardedProto ? forwardedProto.split(',')[0] : request.protocol;
+        const host = request.get('x-forwarded-host') || request.get('host');
+        const siteUrl = host ? `${protocol}://${host}` : '';
+
+        const { inactiveUsers, results, totalDeletedSize } = await deleteInactiveUsers({
+            inactiveDays,
+            maxStorageMiB,
+            dryRun,
+            excludeHandles: [request.user.profile.handle],
+            siteUrl,
+        });
 
         if (dryRun) {
             return response.json({
@@ -620,6 +1308,13 @@ router.post('/delete-inactive-users', requireAdminMiddleware, async (request, re
                 message: `Found ${inactiveUsers.length} users inactive for more than ${inactiveDays} days${storageFilterMessage}`,
             });
         } else {
+            recordAuditEvent(request, 'user.delete-inactive', '', {
+                inactiveDays,
+                maxStorageMiB,
+                deleted: results.filter(r => r.success).map(r => r.handle),
+                failed: results.filter(r => !r.success).map(r => r.handle),
+                deletedSize: totalDeletedSize,
+            });
             return response.json({
                 success: true,
                 dryRun: false,
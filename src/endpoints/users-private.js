@@ -9,8 +9,31 @@ import { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, createBackupArc
 import { SETTINGS_FILE } from '../constants.js';
 import { checkForNewContent, CONTENT_TYPES } from './content-manager.js';
 import { color, Cache } from '../util.js';
+import { checkQuota } from '../usage-quotas.js';
+import { getStorageQuotaStatus } from '../storage-quotas.js';
+import { normalizeLocale } from '../email-templates.js';
+import {
+    createAccountSnapshot,
+    deleteAccountSnapshot,
+    getAccountSnapshot,
+    getRestorableItems,
+    getSnapshotRetentionPolicy,
+    importAccountSnapshot,
+    isAccountSnapshotBusy,
+    isAccountSnapshotsEnabled,
+    listAccountSnapshots,
+    pruneAccountSnapshots,
+    restoreAccountSnapshot,
+    SnapshotLimitError,
+} from '../account-snapshots.js';
+import { getUserPermissions } from '../roles.js';
+import { getUserSessions, isRecentLogin, revokeAllUserSessions, revokeUserSession } from '../user-sessions.js';
+import { getEnabledOAuthProvider, getOAuthLinks, getOAuthProviders, removeOAuthLink } from '../oauth-providers.js';
+import { generateTotpSecret, getTotpUri, getTotpQrCode, verifyTotp, generateRecoveryCodes, verifySecondFactor, isTwoFactorEnabled } from '../two-factor.js';
 
 const RESET_CACHE = new Cache(5 * 60 * 1000);
+const REAUTHENTICATION_MAX_AGE = 10 * 60 * 1000;
+const OAUTH_LINK_TIMEOUT = 5 * 60 * 1000;
 
 export const router = express.Router();
 
@@ -21,6 +44,10 @@ router.post('/logout', async (request, response) => {
             return response.sendStatus(500);
         }
 
+        if (request.session.sessionId) {
+            await revokeUserSession(request.user.profile.handle, request.session.sessionId);
+        }
+
         request.session = null;
         return response.sendStatus(204);
     } catch (error) {
@@ -41,7 +68,10 @@ router.get('/me', async (request, response) => {
             name: user.name,
             avatar: await getUserAvatar(user.handle),
             admin: user.admin,
+            role: user.role || '',
+            permissions: await getUserPermissions(user),
             password: !!user.password,
+            twoFactor: isTwoFactorEnabled(user),
             created: user.created,
         };
 
@@ -52,6 +82,299 @@ router.get('/me', async (request, response) => {
     }
 });
 
+router.get('/quota', async (request, response) => {
+    try {
+        const status = await checkQuota(request.user.profile);
+        return response.json({ ...status, exempt: !!request.user.profile.admin });
+    } catch (error) {
+        console.error('Get quota failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.get('/storage', async (request, response) => {
+    try {
+        const status = await getStorageQuotaStatus(request.user.profile, request.query.fresh === 'true');
+        return response.json({ ...status, exempt: !!request.user.profile.admin });
+    } catch (error) {
+        console.error('Get storage usage failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.get('/sessions', async (request, response) => {
+    try {
+        const sessions = await getUserSessions(request.user.profile.handle, request.session?.sessionId);
+        return response.json(sessions);
+    } catch (error) {
+        console.error('Get sessions failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/sessions/revoke', async (request, response) => {
+    try {
+        if (!request.body.id) {
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const revoked = await revokeUserSession(request.user.profile.handle, String(request.body.id));
+        if (!revoked) {
+            return response.status(404).json({ error: 'Session not found' });
+        }
+
+        console.info('Session revoked by', request.user.profile.handle);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Revoke session failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/sessions/revoke-others', async (request, response) => {
+    try {
+        const count = await revokeAllUserSessions(request.user.profile.handle, request.session?.sessionId);
+        console.info('User', request.user.profile.handle, 'signed out', count, 'other session(s)');
+        return response.json({ count });
+    } catch (error) {
+        console.error('Revoke other sessions failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.get('/2fa', async (request, response) => {
+    try {
+        const user = request.user.profile;
+        return response.json({
+            enabled: isTwoFactorEnabled(user),
+            enabledAt: user.totp?.enabledAt ?? null,
+            recoveryCodesLeft: user.totp?.recoveryCodes?.length ?? 0,
+        });
+    } catch (error) {
+        console.error('Get two-factor status failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/2fa/setup', async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+
+        if (isTwoFactorEnabled(user)) {
+            return response.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        // A stolen session must not be able to lock the owner out with another authenticator
+        const reauthenticationError = await getReauthenticationError(request, user);
+        if (reauthenticationError) {
+            return response.status(403).json({ error: reauthenticationError });
+        }
+
+        const secret = generateTotpSecret();
+        const uri = getTotpUri(secret, user.handle);
+        user.totp = { ...user.totp, enabled: false, pendingSecret: secret };
+        await storage.setItem(toKey(user.handle), user);
+
+        return response.json({ secret, uri, qrCode: await getTotpQrCode(uri) });
+    } catch (error) {
+        console.error('Two-factor setup failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/2fa/enable', async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+        const secret = user.totp?.pendingSecret;
+
+        if (!secret) {
+            return response.status(400).json({ error: 'Start the two-factor setup first' });
+        }
+
+        const reauthenticationError = await getReauthenticationError(request, user);
+        if (reauthenticationError) {
+            return response.status(403).json({ error: reauthenticationError });
+        }
+
+        const step = verifyTotp(secret, String(request.body.code ?? ''));
+        if (step === null) {
+            return response.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.totp = {
+            enabled: true,
+            secret,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            enabledAt: Date.now(),
+        };
+        await storage.setItem(toKey(user.handle), user);
+        console.info('Two-factor authentication enabled for', user.handle);
+
+        return response.json({ recoveryCodes: codes });
+    } catch (error) {
+        console.error('Two-factor enable failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/2fa/disable', async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+
+        if (!isTwoFactorEnabled(user)) {
+            return response.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!verifySecondFactor(user, String(request.body.code ?? ''))) {
+            return response.status(403).json({ error: 'Invalid verification code' });
+        }
+
+        delete user.totp;
+        await storage.setItem(toKey(user.handle), user);
+        console.info('Two-factor authentication disabled for', user.handle);
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Two-factor disable failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/2fa/recovery-codes', async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+
+        if (!isTwoFactorEnabled(user)) {
+            return response.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!verifySecondFactor(user, String(request.body.code ?? ''))) {
+            return response.status(403).json({ error: 'Invalid verification code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.totp.recoveryCodes = hashes;
+        await storage.setItem(toKey(user.handle), user);
+        console.info('Two-factor recovery codes regenerated for', user.handle);
+
+        return response.json({ recoveryCodes: codes });
+    } catch (error) {
+        console.error('Two-factor recovery codes failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Checks that the user confirmed who they are before changing how they log in.
+ * Users with a password enter it, users without one must have logged in recently.
+ * The second factor is required on top when it is enabled.
+ * @param {import('express').Request} request Request object
+ * @param {import('../users.js').User} user User, updated in place when a second factor is used
+ * @returns {Promise<string | null>} Error message or null if the user is confirmed
+ */
+async function getReauthenticationError(request, user) {
+    if (user.password && user.salt) {
+        if (!request.body.password || user.password !== getPasswordHash(String(request.body.password), user.salt)) {
+            return 'Current password is incorrect';
+        }
+    } else if (!await isRecentLogin(request, user.handle, REAUTHENTICATION_MAX_AGE)) {
+        return 'Sign out and sign in again to confirm it is you';
+    }
+
+    if (isTwoFactorEnabled(user) && !verifySecondFactor(user, String(request.body.code ?? ''))) {
+        return 'Invalid verification code';
+    }
+
+    return null;
+}
+
+router.get('/oauth-links', async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+        const providers = getOAuthProviders();
+        const links = getOAuthLinks(user);
+
+        return response.json({
+            password: !!user.password,
+            twoFactor: isTwoFactorEnabled(user),
+            providers: providers
+                .filter(x => (x.enabled && x.clientId) || links.some(link => link.provider === x.id))
+                .map(x => ({ id: x.id, name: x.name, icon: x.icon, enabled: x.enabled && !!x.clientId })),
+            links: links.map(x => ({ provider: x.provider, name: x.name || '', linkedAt: x.linkedAt })),
+        });
+    } catch (error) {
+        console.error('Get OAuth links failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/oauth-links/link', async (request, response) => {
+    try {
+        const provider = getEnabledOAuthProvider(String(request.body.provider ?? ''));
+        if (!provider) {
+            return response.status(400).json({ error: 'OAuth provider is not enabled' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+        if (getOAuthLinks(user).some(x => x.provider === provider.id)) {
+            return response.status(409).json({ error: `A ${provider.name} account is already linked` });
+        }
+
+        const reauthenticationError = await getReauthenticationError(request, user);
+        if (reauthenticationError) {
+            return response.status(403).json({ error: reauthenticationError });
+        }
+        await storage.setItem(toKey(user.handle), user);
+
+        // The provider redirects back to the callback, which links the identity to the account in this session
+        request.session.oauthLink = { handle: user.handle, provider: provider.id, expiresAt: Date.now() + OAUTH_LINK_TIMEOUT };
+        return response.json({ url: `/api/oauth/${encodeURIComponent(provider.id)}?link=true` });
+    } catch (error) {
+        console.error('Start OAuth link failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/oauth-links/unlink', async (request, response) => {
+    try {
+        const providerId = String(request.body.provider ?? '');
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+        const links = getOAuthLinks(user);
+        if (!links.some(x => x.provider === providerId)) {
+            return response.status(404).json({ error: 'This login method is not linked' });
+        }
+
+        // Never leave an account nobody can log in to
+        if (!user.password && links.length === 1) {
+            return response.status(400).json({ error: 'Set a password or link another login method before removing the last one' });
+        }
+
+        const reauthenticationError = await getReauthenticationError(request, user);
+        if (reauthenticationError) {
+            return response.status(403).json({ error: reauthenticationError });
+        }
+
+        removeOAuthLink(user, providerId);
+        await storage.setItem(toKey(user.handle), user);
+        console.info(`User ${user.handle} unlinked a ${providerId} account`);
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('OAuth unlink failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/change-avatar', async (request, response) => {
     try {
         if (!request.body.handle) {
@@ -175,6 +498,157 @@ router.post('/backup', async (request, response) => {
     }
 });
 
+/**
+ * Rejects requests to restore points when they are disabled or busy.
+ * @type {import('express').RequestHandler}
+ */
+function restorePointsMiddleware(request, response, next) {
+    if (!isAccountSnapshotsEnabled()) {
+        return response.status(404).json({ error: 'Restore points are disabled on this server' });
+    }
+
+    if (request.method === 'POST' && isAccountSnapshotBusy(request.user.profile.handle)) {
+        return response.status(409).json({ error: 'Another snapshot or restore is in progress. Try again later.' });
+    }
+
+    next();
+}
+
+/**
+ * Gets how much storage space the user has left for imports and restores.
+ * @param {import('../users.js').User} user User
+ * @returns {Promise<number>} Free space in bytes, Infinity for admins and unlimited users
+ */
+async function getFreeStorageSpace(user) {
+    if (user.admin) {
+        return Infinity;
+    }
+
+    const status = await getStorageQuotaStatus(user, true);
+    return status.limit === null ? Infinity : Math.max(0, status.limit - status.used);
+}
+
+router.get('/restore-points', restorePointsMiddleware, async (request, response) => {
+    try {
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+
+        return response.json({
+            password: !!user.password,
+            twoFactor: isTwoFactorEnabled(user),
+            policy: getSnapshotRetentionPolicy(),
+            snapshots: await listAccountSnapshots(user.handle),
+        });
+    } catch (error) {
+        console.error('Get restore points failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/restore-points/create', restorePointsMiddleware, async (request, response) => {
+    try {
+        const handle = request.user.profile.handle;
+        const result = await createAccountSnapshot(handle, 'manual');
+        await pruneAccountSnapshots(handle);
+
+        console.info(`Restore point ${result.created ? 'created' : 'unchanged'} for ${handle}`);
+        return response.json(result);
+    } catch (error) {
+        console.error('Create restore point failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/restore-points/import', restorePointsMiddleware, async (request, response) => {
+    if (!request.file) {
+        return response.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const handle = request.user.profile.handle;
+        const freeSpace = await getFreeStorageSpace(request.user.profile);
+        const snapshot = await importAccountSnapshot(handle, request.file.path, request.file.originalname, freeSpace);
+        await pruneAccountSnapshots(handle);
+
+        console.info(`Imported ${request.file.originalname} as a restore point for ${handle}`);
+        return response.json({ snapshot });
+    } catch (error) {
+        console.warn('Import restore point failed:', error);
+        return response.status(error instanceof SnapshotLimitError ? 413 : 400).json({ error: error.message });
+    } finally {
+        await fsPromises.rm(request.file.path, { force: true });
+    }
+});
+
+router.get('/restore-points/:id/items', restorePointsMiddleware, async (request, response) => {
+    try {
+        const snapshot = await getAccountSnapshot(request.user.profile.handle, request.params.id);
+        if (!snapshot) {
+            return response.status(404).json({ error: 'Restore point not found' });
+        }
+
+        return response.json(getRestorableItems(snapshot));
+    } catch (error) {
+        console.error('Get restore point items failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/restore-points/restore', restorePointsMiddleware, async (request, response) => {
+    try {
+        const { id, paths } = request.body;
+        const wholeAccount = !Array.isArray(paths);
+
+        if (!id || (!wholeAccount && paths.length === 0)) {
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+
+        // Restoring the whole account replaces all data, so it asks for the same confirmation as a login method change
+        if (wholeAccount) {
+            const reauthenticationError = await getReauthenticationError(request, user);
+            if (reauthenticationError) {
+                return response.status(403).json({ error: reauthenticationError });
+            }
+            await storage.setItem(toKey(user.handle), user);
+        }
+
+        const freeSpace = await getFreeStorageSpace(user);
+        const result = await restoreAccountSnapshot(user.handle, String(id), wholeAccount ? null : paths.map(String), freeSpace);
+        if (!result) {
+            return response.status(404).json({ error: 'Restore point not found' });
+        }
+
+        console.info(`Restored ${result.restored} files of ${user.handle} from restore point ${id}`);
+        return response.json(result);
+    } catch (error) {
+        if (error instanceof SnapshotLimitError) {
+            return response.status(413).json({ error: error.message });
+        }
+        console.error('Restore failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/restore-points/delete', restorePointsMiddleware, async (request, response) => {
+    try {
+        if (!request.body.id) {
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        if (!await deleteAccountSnapshot(request.user.profile.handle, String(request.body.id))) {
+            return response.status(404).json({ error: 'Restore point not found' });
+        }
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Delete restore point failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/reset-settings', async (request, response) => {
     try {
         const password = request.body.password;
@@ -195,6 +669,27 @@ router.post('/reset-settings', async (request, response) => {
     }
 });
 
+router.post('/change-locale', async (request, response) => {
+    try {
+        const locale = normalizeLocale(request.body.locale);
+
+        if (!locale) {
+            console.warn('Change locale failed: Invalid locale');
+            return response.status(400).json({ error: 'Invalid locale' });
+        }
+
+        /** @type {import('../users.js').User} */
+        const user = await storage.getItem(toKey(request.user.profile.handle));
+        user.locale = locale;
+        await storage.setItem(toKey(user.handle), user);
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Change locale failed:', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/change-name', async (request, response) => {
     try {
         if (!request.body.name || !request.body.handle) {
@@ -6,19 +6,33 @@ import { RateLimiterMemory, RateLimiterRes } from 'rate-limiter-flexible';
 import { getIpFromRequest, getRealIpFromHeader } from '../express-common.js';
 import { color, Cache, getConfigValue } from '../util.js';
 import { KEY_PREFIX, getUserAvatar, toKey, getPasswordHash, getPasswordSalt, getAllUserHandles, getUserDirectories, ensurePublicDirectoriesExist, normalizeHandle } from '../users.js';
-import { validateInvitationCode, useInvitationCode, getPurchaseLink, isInvitationCodesEnabled } from '../invitation-codes.js';
+import { validateInvitationCode, useInvitationCode, getPurchaseLink, isInvitationCodesEnabled, applyInvitationGrants } from '../invitation-codes.js';
 import { checkForNewContent, CONTENT_TYPES } from './content-manager.js';
 import { applyDefaultTemplateToUser } from '../default-template.js';
 import systemMonitor from '../system-monitor.js';
 import { isEmailServiceAvailable, sendVerificationCode, sendPasswordRecoveryCode } from '../email-service.js';
+import { normalizeLocale } from '../email-templates.js';
+import { isTwoFactorEnabled, verifySecondFactor } from '../two-factor.js';
+import { createUserSession, revokeUserSession, touchUserSession } from '../user-sessions.js';
+import { getUserPermissions } from '../roles.js';
+import { getExpiryInfo, isInGracePeriod } from '../account-expiry.js';
+import { getOAuthLinks, getOAuthProviders } from '../oauth-providers.js';
 
 const DISCREET_LOGIN = getConfigValue('enableDiscreetLogin', false, 'boolean');
 const PREFER_REAL_IP_HEADER = getConfigValue('rateLimiting.preferRealIpHeader', false, 'boolean');
 const MFA_CACHE = new Cache(5 * 60 * 1000);
 const VERIFICATION_CODE_CACHE = new Cache(5 * 60 * 1000);
+const TWO_FACTOR_TIMEOUT = 5 * 60 * 1000;
 
 const getIpAddress = (request) => PREFER_REAL_IP_HEADER ? getRealIpFromHeader(request) : getIpFromRequest(request);
 
+/**
+ * Gets the UI locale sent by the login or registration page, or the browser language.
+ * @param {import('express').Request} request Request
+ * @returns {string} Locale ID, or an empty string if unknown
+ */
+const getRequestLocale = (request) => normalizeLocale(request.body?.locale) || normalizeLocale(request.get('accept-language'));
+
 export const router = express.Router();
 const loginLimiter = new RateLimiterMemory({
     points: 5,
@@ -38,6 +52,29 @@ const sendVerificationLimiter = new RateLimiterMemory({
 });
 
 
+/**
+ * Starts an authenticated session for the user.
+ * @param {import('express').Request} request Request object
+ * @param {import('../users.js').User} user User
+ * @param {string} ip IP address of the client
+ */
+async function completeLogin(request, user, ip) {
+    await loginLimiter.delete(ip);
+    delete request.session.twoFactorPending;
+    request.session.handle = user.handle;
+    request.session.userId = user.id || user.handle;
+    await createUserSession(request, user.handle);
+
+    systemMonitor.recordUserLogin(user.handle, { userName: user.name });
+
+    systemMonitor.updateUserActivity(user.handle, {
+        userName: user.name,
+        isHeartbeat: false,
+    });
+
+    console.info('Login successful:', user.handle, 'from', ip, 'at', new Date().toLocaleString('en-US'));
+}
+
 function isTrivialHandle(handle) {
     if (!handle) return true;
     const h = String(handle).toLowerCase().replace(/-/g, '');
@@ -120,7 +157,9 @@ router.post('/login', async (request, response) => {
             return response.status(403).json({ error: 'User is disabled' });
         }
 
-        if (user.expiresAt && user.expiresAt < Date.now()) {
+        const readOnly = isInGracePeriod(user);
+
+        if (user.expiresAt && user.expiresAt < Date.now() && !readOnly) {
             console.warn('Login failed: User', user.handle, 'subscription expired');
             const purchaseLink = await getPurchaseLink();
             return response.status(403).json({
@@ -130,16 +169,13 @@ router.post('/login', async (request, response) => {
             });
         }
 
-        if (user.oauthProvider && !user.password && !user.salt) {
-            const providerNames = {
-                'github': 'GitHub',
-                'discord': 'Discord',
-                'linuxdo': 'Linux.do'
-            };
-            const providerName = providerNames[user.oauthProvider] || user.oauthProvider;
+        const oauthLinks = getOAuthLinks(user);
+        if (oauthLinks.length > 0 && !user.password && !user.salt) {
+            const providers = getOAuthProviders();
+            const providerNames = oauthLinks.map(link => providers.find(x => x.id === link.provider)?.name || link.provider);
             console.warn('Login failed: OAuth user', user.handle, 'has no password set, must use OAuth login');
             return response.status(403).json({
-                error: `This account was created via ${providerName} and does not have a password yet. Use third-party login or set a password in your profile first.`
+                error: `This account signs in with ${providerNames.join(', ')} and does not have a password yet. Use third-party login or set a password in your profile first.`,
             });
         }
 
@@ -161,20 +197,18 @@ router.post('/login', async (request, response) => {
             return response.status(500).json({ error: 'Session not available' });
         }
 
-        await loginLimiter.delete(ip);
-        request.session.handle = user.handle;
-        request.session.userId = user.id || user.handle;
-
-        systemMonitor.recordUserLogin(user.handle, { userName: user.name });
-
-        systemMonitor.updateUserActivity(user.handle, {
-            userName: user.name,
-            isHeartbeat: false,
-        });
+        if (isTwoFactorEnabled(user)) {
+            // The password is correct, but the session stays unauthenticated until the second step
+            request.session.twoFactorPending = { handle: user.handle, expiresAt: Date.now() + TWO_FACTOR_TIMEOUT };
+            console.info('Login for', user.handle, 'requires a two-factor code');
+            return response.json({ twoFactorRequired: true });
+        }
 
-        console.info('Login successful:', user.handle, 'from', ip, 'at', new Date().toLocaleString('en-US'));
-        
-        return response.json({ handle: user.handle });
+        await completeLogin(request, user, ip);
+        if (readOnly) {
+            console.info('User', user.handle, 'logged in read-only during the expiry grace period');
+        }
+        return response.json({ handle: user.handle, readOnly });
     } catch (error) {
         if (error instanceof RateLimiterRes) {
             console.error('Login failed: Rate limited from', getIpAddress(request));
@@ -186,6 +220,60 @@ router.post('/login', async (request, response) => {
     }
 });
 
+router.post('/login/2fa', async (request, response) => {
+    try {
+        const pending = request.session?.twoFactorPending;
+        if (!pending || pending.expiresAt < Date.now()) {
+            if (request.session) {
+                delete request.session.twoFactorPending;
+            }
+            return response.status(403).json({ error: 'The login attempt has expired. Please log in again.', restart: true });
+        }
+
+        if (!request.body.code) {
+            return response.status(400).json({ error: 'Missing verification code' });
+        }
+
+        const ip = getIpAddress(request);
+        await loginLimiter.consume(ip);
+
+        const user = await storage.getItem(toKey(pending.handle));
+        if (!user || !user.enabled) {
+            delete request.session.twoFactorPending;
+            return response.status(403).json({ error: 'User is disabled', restart: true });
+        }
+
+        // Two-factor was reset by an administrator after the first step
+        if (!isTwoFactorEnabled(user)) {
+            await completeLogin(request, user, ip);
+            return response.json({ handle: user.handle });
+        }
+
+        const method = verifySecondFactor(user, String(request.body.code));
+        if (!method) {
+            console.warn('Login failed: Invalid two-factor code for', user.handle);
+            return response.status(403).json({ error: 'Invalid verification code' });
+        }
+
+        await storage.setItem(toKey(user.handle), user);
+
+        if (method === 'recovery') {
+            console.info('User', user.handle, 'logged in with a recovery code,', user.totp.recoveryCodes.length, 'left');
+        }
+
+        await completeLogin(request, user, ip);
+        return response.json({ handle: user.handle, recoveryCodesLeft: method === 'recovery' ? user.totp.recoveryCodes.length : undefined });
+    } catch (error) {
+        if (error instanceof RateLimiterRes) {
+            console.error('Two-factor login failed: Rate limited from', getIpAddress(request));
+            return response.status(429).json({ error: 'Too many attempts. Please try again later.' });
+        }
+
+        console.error('Two-factor login failed:', error);
+        return response.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
 router.post('/logout', async (request, response) => {
     try {
         if (!request.session) {
@@ -194,6 +282,9 @@ router.post('/logout', async (request, response) => {
 
         const userHandle = request.session.handle;
         if (userHandle) {
+            if (request.session.sessionId) {
+                await revokeUserSession(userHandle, request.session.sessionId);
+            }
             systemMonitor.recordUserLogout(userHandle);
             console.info('Logout successful:', userHandle, 'at', new Date().toLocaleString('en-US'));
         }
@@ -225,6 +316,7 @@ router.post('/heartbeat', async (request, response) => {
         });
 
         request.session.lastActivity = Date.now();
+        await touchUserSession(request, userHandle);
 
         return response.json({ status: 'ok', timestamp: Date.now() });
     } catch (error) {
@@ -255,7 +347,7 @@ router.post('/send-verification', async (request, response) => {
 
         VERIFICATION_CODE_CACHE.set(email, verificationCode);
 
-        const sent = await sendVerificationCode(email, verificationCode, userName);
+        const sent = await sendVerificationCode(email, verificationCode, userName, getRequestLocale(request));
 
         if (!sent) {
             console.error('Send verification failed: Failed to send email to', email);
@@ -314,7 +406,7 @@ router.post('/recover-step1', async (request, response) => {
         const mfaCode = String(crypto.randomInt(1000, 9999));
 
         if (isEmailServiceAvailable()) {
-            const sent = await sendPasswordRecoveryCode(user.email, mfaCode, user.name);
+            const sent = await sendPasswordRecoveryCode(user.email, mfaCode, user.name, user.locale || getRequestLocale(request));
             if (sent) {
                 console.info('Password recovery code sent to email:', user.email);
                 MFA_CACHE.set(user.handle, mfaCode);
@@ -496,10 +588,11 @@ router.post('/register', async (request, response) => {
         const hashedPassword = getPasswordHash(password, salt);
 
         let userExpiresAt = null;
+        let invitation = null;
         if (isInvitationCodesEnabled() && invitationCode) {
             const invitationValidationResult = await validateInvitationCode(invitationCode);
             if (invitationValidationResult.valid && invitationValidationResult.invitation) {
-                const invitation = invitationValidationResult.invitation;
+                invitation = invitationValidationResult.invitation;
                 if (invitation.durationDays !== null && invitation.durationDays > 0) {
                     userExpiresAt = Date.now() + (invitation.durationDays * 24 * 60 * 60 * 1000);
                 }
@@ -521,6 +614,12 @@ router.post('/register', async (request, response) => {
             newUser.email = normalizedEmail;
         }
 
+        const locale = getRequestLocale(request);
+        if (locale) {
+            newUser.locale = locale;
+        }
+
+        applyInvitationGrants(newUser, invitation);
         await storage.setItem(toKey(normalizedHandle), newUser);
 
         if (normalizedEmail && isEmailServiceAvailable()) {
@@ -577,12 +676,21 @@ router.get('/me', async (request, response) => {
             handle: user.handle,
             name: user.name,
             admin: user.admin || false,
+            role: user.role || '',
+            permissions: await getUserPermissions(user),
             enabled: user.enabled,
             created: user.created,
             avatar: avatar,
             password: !!user.password,
+            twoFactor: isTwoFactorEnabled(user),
             expiresAt: user.expiresAt || null,
+            ...getExpiryInfo(user),
             email: user.email || null,
+            locale: user.locale || null,
+            oauthProviders: getOAuthLinks(user).map(link => ({
+                id: link.provider,
+                name: getOAuthProviders().find(x => x.id === link.provider)?.name || link.provider,
+            })),
         });
     } catch (error) {
         console.error('Get current user failed:', error);
@@ -0,0 +1,304 @@
+import crypto from 'node:crypto';
+
+import storage from 'node-persist';
+import { getAllUserHandles, toKey } from './users.js';
+import { isEmailServiceAvailable, sendForumNotificationDigest } from './email-service.js';
+
+const NOTIFICATIONS_PREFIX = 'forum-notifications:';
+const MAX_NOTIFICATIONS = 200;
+const MAX_MENTIONS = 10;
+const EXCERPT_LENGTH = 140;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A digest that is due within this margin is sent now, so a daily task doesn't skip a day because of a few minutes
+const DIGEST_MARGIN_MS = 60 * 60 * 1000;
+
+export const NOTIFICATION_TYPES = Object.freeze(['comment', 'reply', 'mention', 'like']);
+
+/**
+ * Days between email digests for each frequency.
+ */
+export const DIGEST_FREQUENCIES = Object.freeze({
+    off: 0,
+    daily: 1,
+    weekly: 7,
+});
+
+/**
+ * @typedef {Object} ForumNotification
+ * @property {string} id - Random identifier
+ * @property {'comment'|'reply'|'mention'|'like'} type - What happened
+ * @property {string} article_id - Post the notification is about
+ * @property {string} article_title - Title of the post when the notification was created
+ * @property {string|null} comment_id - Comment that triggered the notification, if any
+ * @property {{handle: string, name: string}} actor - User who triggered the notification
+ * @property {string} excerpt - Beginning of the comment or post text
+ * @property {number} created_at - Timestamp
+ * @property {boolean} read - Whether the recipient has seen it
+ * @property {boolean} emailed - Whether it was included in an email digest
+ */
+
+/**
+ * @typedef {Object} NotificationSettings
+ * @property {string[]} muted - Notification types the user doesn't want
+ * @property {'off'|'daily'|'weekly'} emailDigest - How often unread notifications are emailed
+ */
+
+/**
+ * @typedef {Object} NotificationInbox
+ * @property {ForumNotification[]} items - Notifications, newest first
+ * @property {NotificationSettings} settings - Preferences of the user
+ * @property {number} lastDigestAt - Timestamp of the last email digest
+ */
+
+/**
+ * Pending inbox updates per user, so concurrent notifications don't overwrite each other.
+ * @type {Map<string, Promise<any>>}
+ */
+const INBOX_LOCKS = new Map();
+
+function toNotificationsKey(handle) {
+    return `${NOTIFICATIONS_PREFIX}${handle}`;
+}
+
+/**
+ * Gets the inbox of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<NotificationInbox>}
+ */
+async function readInbox(handle) {
+    const stored = await storage.getItem(toNotificationsKey(handle));
+    return {
+        items: Array.isArray(stored?.items) ? stored.items : [],
+        settings: {
+            muted: Array.isArray(stored?.settings?.muted) ? stored.settings.muted : [],
+            emailDigest: Object.hasOwn(DIGEST_FREQUENCIES, stored?.settings?.emailDigest) ? stored.settings.emailDigest : 'off',
+        },
+        lastDigestAt: stored?.lastDigestAt || 0,
+    };
+}
+
+/**
+ * Reads, modifies and saves the inbox of a user. Updates of the same user run one after another.
+ * @template T
+ * @param {string} handle User handle
+ * @param {(inbox: NotificationInbox) => T | Promise<T>} update Function that modifies the inbox in place
+ * @returns {Promise<T>} Result of the update function
+ */
+function updateInbox(handle, update) {
+    const previous = INBOX_LOCKS.get(handle) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const inbox = await readInbox(handle);
+        const result = await update(inbox);
+        inbox.items = inbox.items.slice(0, MAX_NOTIFICATIONS);
+        await storage.setItem(toNotificationsKey(handle), inbox);
+        return result;
+    });
+
+    INBOX_LOCKS.set(handle, next);
+    next.finally(() => {
+        if (INBOX_LOCKS.get(handle) === next) {
+            INBOX_LOCKS.delete(handle);
+        }
+    }).catch(() => {});
+    return next;
+}
+
+/**
+ * Shortens a comment or post text for display in the inbox.
+ * @param {string} text Text, may contain HTML
+ * @returns {string}
+ */
+function toExcerpt(text) {
+    const plain = String(text || '').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+    return plain.length > EXCERPT_LENGTH ? plain.substring(0, EXCERPT_LENGTH - 1) + '…' : plain;
+}
+
+/**
+ * Gets the notifications of a user.
+ * @param {string} handle User handle
+ * @param {boolean} [unreadOnly=false] Only return unread notifications
+ * @returns {Promise<{notifications: ForumNotification[], unreadCount: number}>}
+ */
+export async function getNotifications(handle, unreadOnly = false) {
+    const inbox = await readInbox(handle);
+    const unread = inbox.items.filter(x => !x.read);
+    return {
+        notifications: unreadOnly ? unread : inbox.items,
+        unreadCount: unread.length,
+    };
+}
+
+/**
+ * Marks notifications as read.
+ * @param {string} handle User handle
+ * @param {string[] | null} ids Notifications to mark, or null for all
+ * @returns {Promise<number>} Number of notifications that were unread
+ */
+export function markNotificationsRead(handle, ids) {
+    return updateInbox(handle, inbox => {
+        let count = 0;
+        for (const item of inbox.items) {
+            if (!item.read && (!ids || ids.includes(item.id))) {
+                item.read = true;
+                count++;
+            }
+        }
+        return count;
+    });
+}
+
+/**
+ * Gets the notification preferences of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<NotificationSettings>}
+ */
+export async function getNotificationSettings(handle) {
+    return (await readInbox(handle)).settings;
+}
+
+/**
+ * Updates the notification preferences of a user. Unknown values are ignored.
+ * @param {string} handle User handle
+ * @param {Partial<NotificationSettings>} settings New preferences
+ * @returns {Promise<NotificationSettings>}
+ */
+export function updateNotificationSettings(handle, settings) {
+    return updateInbox(handle, inbox => {
+        if (Array.isArray(settings.muted)) {
+            inbox.settings.muted = NOTIFICATION_TYPES.filter(type => settings.muted.includes(type));
+        }
+        if (typeof settings.emailDigest === 'string' && Object.hasOwn(DIGEST_FREQUENCIES, settings.emailDigest)) {
+            inbox.settings.emailDigest = settings.emailDigest;
+        }
+        return inbox.settings;
+    });
+}
+
+/**
+ * Adds a notification to the inbox of a user, unless they triggered it themselves or muted the type.
+ * @param {string} recipient Handle of the user to notify
+ * @param {Pick<ForumNotification, 'type'|'article_id'|'article_title'|'actor'> & {comment_id?: string, text?: string}} event What happened
+ * @returns {Promise<boolean>} Whether a notification was added
+ */
+export async function notifyUser(recipient, event) {
+    if (!recipient || recipient === event.actor.handle) {
+        return false;
+    }
+
+    return updateInbox(recipient, inbox => {
+        if (inbox.settings.muted.includes(event.type)) {
+            return false;
+        }
+
+        // Liking, unliking and liking again shouldn't stack up notifications
+        if (event.type === 'like' && inbox.items.some(x => x.type === 'like' && !x.read && x.article_id === event.article_id && x.actor.handle === event.actor.handle)) {
+            return false;
+        }
+
+        inbox.items.unshift({
+            id: crypto.randomUUID(),
+            type: event.type,
+            article_id: event.article_id,
+            article_title: event.article_title,
+            comment_id: event.comment_id || null,
+            actor: { handle: event.actor.handle, name: event.actor.name },
+            excerpt: toExcerpt(event.text),
+            created_at: Date.now(),
+            read: false,
+            emailed: false,
+        });
+        return true;
+    });
+}
+
+/**
+ * Finds the handles mentioned as @handle in a text.
+ * @param {string} text Text, may contain HTML
+ * @returns {string[]} Distinct handles, at most {@link MAX_MENTIONS}
+ */
+export function extractMentions(text) {
+    const plain = String(text || '').replace(/<[^>]+>/g, ' ');
+    const handles = new Set();
+    for (const match of plain.matchAll(/(^|[^\w@])@([a-z0-9][a-z0-9-]*)/gi)) {
+        handles.add(match[2].toLowerCase().replace(/-+$/, ''));
+        if (handles.size >= MAX_MENTIONS) {
+            break;
+        }
+    }
+    return [...handles];
+}
+
+/**
+ * Notifies the existing users mentioned in a text.
+ * @param {string} text Text, may contain HTML
+ * @param {Omit<Parameters<typeof notifyUser>[1], 'type'>} event What happened
+ * @param {string[]} [exclude=[]] Handles that were already notified about the same content
+ * @returns {Promise<string[]>} Handles that were notified
+ */
+export async function notifyMentions(text, event, exclude = []) {
+    const notified = [];
+    for (const handle of extractMentions(text)) {
+        if (exclude.includes(handle) || !(await storage.getItem(toKey(handle)))) {
+            continue;
+        }
+        if (await notifyUser(handle, { ...event, type: 'mention', text })) {
+            notified.push(handle);
+        }
+    }
+    return notified;
+}
+
+/**
+ * Emails unread notifications to the users who enabled digests and whose digest is due.
+ * @param {string} [siteUrl] Address of the site, used for the forum link in the email
+ * @returns {Promise<{sent: number}>}
+ */
+export async function sendNotificationDigests(siteUrl = '') {
+    if (!isEmailServiceAvailable()) {
+        throw new Error('Email service is not available');
+    }
+
+    const forumLink = siteUrl ? `${siteUrl.replace(/\/+$/, '')}/forum` : '';
+    const now = Date.now();
+    let sent = 0;
+
+    for (const handle of await getAllUserHandles()) {
+        try {
+            const inbox = await readInbox(handle);
+            const frequencyDays = DIGEST_FREQUENCIES[inbox.settings.emailDigest];
+            if (!frequencyDays || now - inbox.lastDigestAt < frequencyDays * DAY_MS - DIGEST_MARGIN_MS) {
+                continue;
+            }
+
+            const pending = inbox.items.filter(x => !x.read && !x.emailed);
+            if (pending.length === 0) {
+                continue;
+            }
+
+            /** @type {import('./users.js').User} */
+            const user = await storage.getItem(toKey(handle));
+            if (!user?.enabled || !user.email) {
+                continue;
+            }
+
+            if (!await sendForumNotificationDigest(user.email, user.name || handle, pending, forumLink, user.locale)) {
+                continue;
+            }
+
+            const emailedIds = pending.map(x => x.id);
+            await updateInbox(handle, current => {
+                for (const item of current.items) {
+                    if (emailedIds.includes(item.id)) {
+                        item.emailed = true;
+                    }
+                }
+                current.lastDigestAt = now;
+            });
+            sent++;
+        } catch (error) {
+            console.error(`Failed to send forum notification digest to ${handle}:`, error);
+        }
+    }
+
+    return { sent };
+}
@@ -0,0 +1,340 @@
+import fs from 'node:fs';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+const INDEX_VERSION = 1;
+const SAVE_DELAY_MS = 2000;
+const MAX_TOKEN_LENGTH = 64;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Relative weight of a token occurrence in each field of a post.
+ */
+const FIELD_WEIGHTS = Object.freeze({
+    title: 3,
+    tags: 2,
+    content: 1,
+    comments: 0.5,
+});
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const WORD_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}_]+/gu;
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {string} title Post title
+ * @property {string[]} tags Post tags
+ * @property {string} content Post content, may contain HTML
+ * @property {string[]} comments Text of the visible comments
+ * @property {object} [meta] Small fields stored with the document, so results can be filtered without reading the post
+ */
+
+/**
+ * @typedef {Object} IndexedDocument
+ * @property {number} length Weighted number of tokens in the document
+ * @property {string[]} tokens Distinct tokens of the document, used to remove it from the postings
+ * @property {object} meta Fields given in {@link SearchDocument.meta}
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {string[]} terms Tokens that must all be present
+ * @property {string[]} phrases Normalized phrases that must appear verbatim
+ */
+
+/**
+ * Removes HTML tags and entities from a string.
+ * @param {string} html HTML text
+ * @returns {string} Plain text
+ */
+export function stripHtml(html) {
+    return String(html || '')
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;/gi, '\'')
+        .replace(/&amp;/gi, '&');
+}
+
+/**
+ * Normalizes text for matching: Unicode compatibility forms, lower case and collapsed whitespace.
+ * @param {string} text Text
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+    return String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Splits text into index tokens. Words of alphabetic scripts are kept whole; runs of CJK characters,
+ * which are not separated by spaces, are indexed as single characters and overlapping bigrams.
+ * @param {string} text Plain text
+ * @param {boolean} [forQuery=false] Query mode: CJK runs longer than one character only produce bigrams
+ * @returns {string[]} Tokens, in order of appearance
+ */
+export function tokenize(text, forQuery = false) {
+    const tokens = [];
+    for (const [word] of normalizeText(text).matchAll(WORD_PATTERN)) {
+        if (!CJK_PATTERN.test(word)) {
+            tokens.push(word.substring(0, MAX_TOKEN_LENGTH));
+            continue;
+        }
+
+        const chars = Array.from(word);
+        if (chars.length === 1 || !forQuery) {
+            tokens.push(...chars);
+        }
+        for (let i = 0; i < chars.length - 1; i++) {
+            tokens.push(chars[i] + chars[i + 1]);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses a search query. Text in double quotes is treated as a phrase, everything else as separate terms.
+ * @param {string} query Query string
+ * @returns {ParsedQuery}
+ */
+export function parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"/g, (_, phrase) => {
+        const normalized = normalizeText(phrase);
+        if (normalized) {
+            phrases.push(normalized);
+        }
+        return ' ';
+    });
+
+    const terms = new Set(tokenize(rest, true));
+    for (const phrase of phrases) {
+        tokenize(phrase, true).forEach(token => terms.add(token));
+    }
+
+    return { terms: [...terms], phrases };
+}
+
+/**
+ * Persistent inverted index of forum posts, ranked with BM25. Each post is one document that also
+ * covers the text of its comments.
+ */
+export class ForumSearchIndex {
+    /**
+     * @param {string} indexPath Path of the JSON file the index is stored in
+     */
+    constructor(indexPath) {
+        this.indexPath = indexPath;
+        /** @type {Map<string, IndexedDocument>} */
+        this.docs = new Map();
+        /** @type {Map<string, Map<string, number>>} token -> document ID -> weighted term frequency */
+        this.postings = new Map();
+        this.totalLength = 0;
+        this.loaded = false;
+        this.saveTimer = null;
+        this.flushOnExit = () => this.saveNow();
+    }
+
+    /**
+     * Loads the index from disk.
+     * @returns {boolean} False if there is no usable index file and it must be rebuilt
+     */
+    load() {
+        this.loaded = true;
+        this.clear();
+
+        try {
+            if (!fs.existsSync(this.indexPath)) {
+                return false;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+            if (data.version !== INDEX_VERSION) {
+                return false;
+            }
+
+            for (const [id, doc] of Object.entries(data.docs || {})) {
+                this.docs.set(id, doc);
+                this.totalLength += doc.length;
+            }
+            for (const [token, entries] of Object.entries(data.postings || {})) {
+                this.postings.set(token, new Map(Object.entries(entries)));
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to load forum search index:', error);
+            this.clear();
+            return false;
+        }
+    }
+
+    clear() {
+        this.docs.clear();
+        this.postings.clear();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Replaces the whole index.
+     * @param {Iterable<[string, SearchDocument]>} documents Document ID and content pairs
+     */
+    rebuild(documents) {
+        this.clear();
+        for (const [id, document] of documents) {
+            this.addDocument(id, document);
+        }
+        this.loaded = true;
+        this.saveNow();
+    }
+
+    /**
+     * Adds or replaces a document.
+     * @param {string} id Document ID
+     * @param {SearchDocument} document Document content
+     */
+    updateDocument(id, document) {
+        this.removeDocument(id, false);
+        this.addDocument(id, document);
+        this.scheduleSave();
+    }
+
+    /**
+     * Removes a document.
+     * @param {string} id Document ID
+     * @param {boolean} [save=true] Persist the change
+     */
+    removeDocument(id, save = true) {
+        const doc = this.docs.get(id);
+        if (!doc) {
+            return;
+        }
+
+        for (const token of doc.tokens) {
+            const entries = this.postings.get(token);
+            entries?.delete(id);
+            if (entries?.size === 0) {
+                this.postings.delete(token);
+            }
+        }
+
+        this.totalLength -= doc.length;
+        this.docs.delete(id);
+
+        if (save) {
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * @param {string} id Document ID
+     * @param {SearchDocument} document Document content
+     */
+    addDocument(id, document) {
+        /** @type {Map<string, number>} */
+        const frequencies = new Map();
+        let length = 0;
+
+        const addField = (text, weight) => {
+            for (const token of tokenize(text)) {
+                frequencies.set(token, (frequencies.get(token) || 0) + weight);
+                length += weight;
+            }
+        };
+
+        addField(document.title, FIELD_WEIGHTS.title);
+        addField((document.tags || []).join(' '), FIELD_WEIGHTS.tags);
+        addField(stripHtml(document.content), FIELD_WEIGHTS.content);
+        for (const comment of document.comments || []) {
+            addField(comment, FIELD_WEIGHTS.comments);
+        }
+
+        for (const [token, frequency] of frequencies) {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+            }
+            this.postings.get(token).set(id, frequency);
+        }
+
+        this.docs.set(id, { length, tokens: [...frequencies.keys()], meta: document.meta || {} });
+        this.totalLength += length;
+    }
+
+    /**
+     * Finds the documents containing every query term, best match first.
+     * @param {string[]} terms Query tokens
+     * @returns {{id: string, score: number, meta: object}[]}
+     */
+    search(terms) {
+        if (terms.length === 0 || this.docs.size === 0) {
+            return [];
+        }
+
+        const entriesByTerm = terms.map(term => this.postings.get(term));
+        if (entriesByTerm.some(entries => !entries)) {
+            return [];
+        }
+
+        // Walk the rarest term's postings and look the others up
+        entriesByTerm.sort((a, b) => a.size - b.size);
+        const averageLength = this.totalLength / this.docs.size || 1;
+        const results = [];
+
+        for (const id of entriesByTerm[0].keys()) {
+            if (!entriesByTerm.every(entries => entries.has(id))) {
+                continue;
+            }
+
+            const doc = this.docs.get(id);
+            const length = doc?.length || 0;
+            let score = 0;
+            for (const entries of entriesByTerm) {
+                const frequency = entries.get(id);
+                const idf = Math.log(1 + (this.docs.size - entries.size + 0.5) / (entries.size + 0.5));
+                score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+            }
+            results.push({ id, score, meta: doc?.meta || {} });
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Writes the index to disk after a short delay, so bursts of updates are saved once.
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        process.once('exit', this.flushOnExit);
+        this.saveTimer = setTimeout(() => this.saveNow(), SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    saveNow() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        process.removeListener('exit', this.flushOnExit);
+
+        try {
+            const postings = {};
+            for (const [token, entries] of this.postings) {
+                postings[token] = Object.fromEntries(entries);
+            }
+            const data = {
+                version: INDEX_VERSION,
+                docs: Object.fromEntries(this.docs),
+                postings,
+            };
+            writeFileAtomicSync(this.indexPath, JSON.stringify(data));
+        } catch (error) {
+            console.error('Failed to save forum search index:', error);
+        }
+    }
+}
@@ -1,10 +1,13 @@
 import storage from 'node-persist';
 import crypto from 'node:crypto';
 import { getConfigValue } from './util.js';
+import { KEY_PREFIX, toKey } from './users.js';
 
 const INVITATION_PREFIX = 'invitation:';
 const PURCHASE_LINK_KEY = 'invitation:purchaseLink';
 const ENABLE_INVITATION_CODES = getConfigValue('enableInvitationCodes', false, 'boolean');
+// Redemptions this close to the account creation registered the account, later ones renewed it
+const REGISTRATION_REDEMPTION_WINDOW_MS = 10 * 60 * 1000;
 
 
 
@@ -33,7 +36,60 @@ function getDurationDays(durationType) {
 }
 
 
-export async function createInvitationCode(createdBy, durationType = 'permanent') {
+/**
+ * @typedef {Object} InvitationRedemption
+ * @property {string} handle - Handle of the user that redeemed the code
+ * @property {number} usedAt - Redemption timestamp
+ * @property {number | null} userExpiresAt - User expiration set by the redemption (null for permanent)
+ */
+
+/**
+ * @typedef {Object} InvitationOptions
+ * @property {number} [maxUses] - How many times the code can be redeemed (defaults to 1)
+ * @property {string} [grantRole] - Role assigned to users registering with the code
+ * @property {string} [grantQuotaTier] - Quota tier assigned to users registering with the code
+ * @property {string} [note] - Free-form note for admins
+ * @property {string} [campaign] - Campaign or cohort label used to group codes in the redemption report
+ */
+
+/**
+ * @typedef {Object} RegistrationInvitation
+ * @property {string} code - Invitation code the account was registered with
+ * @property {string} campaign - Campaign label of the code at registration time (empty if none)
+ */
+
+/**
+ * Gets the redemptions of a code, including the single redemption recorded by codes created before multi-use codes.
+ * @param {any} invitation Invitation code
+ * @returns {InvitationRedemption[]}
+ */
+function getRedemptions(invitation) {
+    if (Array.isArray(invitation.redemptions)) {
+        return invitation.redemptions;
+    }
+    if (invitation.used && invitation.usedBy) {
+        return [{ handle: invitation.usedBy, usedAt: invitation.usedAt, userExpiresAt: invitation.userExpiresAt ?? null }];
+    }
+    return [];
+}
+
+/**
+ * Normalizes the options of a new invitation code.
+ * @param {InvitationOptions} options Raw options
+ * @returns {Required<InvitationOptions>}
+ */
+function sanitizeInvitationOptions(options) {
+    const maxUses = Math.floor(Number(options?.maxUses));
+    return {
+        maxUses: Number.isFinite(maxUses) && maxUses > 0 ? Math.min(maxUses, 100000) : 1,
+        grantRole: String(options?.grantRole ?? '').trim(),
+        grantQuotaTier: String(options?.grantQuotaTier ?? '').trim(),
+        note: String(options?.note ?? '').trim().slice(0, 500),
+        campaign: String(options?.campaign ?? '').trim().slice(0, 100),
+    };
+}
+
+export async function createInvitationCode(createdBy, durationType = 'permanent', options = {}) {
     if (!ENABLE_INVITATION_CODES) {
         throw new Error('Invitation codes are not enabled');
     }
@@ -52,10 +108,13 @@ export async function createInvitationCode(createdBy, durationType = 'permanent'
         durationType: durationType || 'permanent',
         durationDays,
         userExpiresAt: null,
+        ...sanitizeInvitationOptions(options),
+        uses: 0,
+        redemptions: [],
     };
 
     await storage.setItem(toInvitationKey(code), invitation);
-    console.log(`Invitation code created: ${code} by ${createdBy}, duration: ${durationType}`);
+    console.log(`Invitation code created: ${code} by ${createdBy}, duration: ${durationType}, max uses: ${invitation.maxUses}`);
 
     return invitation;
 }
@@ -76,7 +135,7 @@ export async function validateInvitationCode(code) {
         return { valid: false, reason: 'Invitation code does not exist' };
     }
 
-    if (invitation.used) {
+    if (invitation.used || getRedemptions(invitation).length >= (invitation.maxUses || 1)) {
         return { valid: false, reason: 'Invitation code has already been used' };
     }
 
@@ -99,17 +158,96 @@ export async function useInvitationCode(code, usedBy, userExpiresAt = null) {
     if (!invitation) {
         return { success: false };
     }
-    invitation.used = true;
+
+    const usedAt = Date.now();
+    invitation.redemptions = [...getRedemptions(invitation), { handle: usedBy, usedAt, userExpiresAt }];
+    invitation.uses = invitation.redemptions.length;
+    invitation.used = invitation.uses >= (invitation.maxUses || 1);
     invitation.usedBy = usedBy;
-    invitation.usedAt = Date.now();
+    invitation.usedAt = usedAt;
     invitation.userExpiresAt = userExpiresAt;
 
     await storage.setItem(toInvitationKey(code.toUpperCase()), invitation);
-    console.log(`Invitation code used: ${code} by ${usedBy}, duration: ${invitation.durationType}, user expires: ${userExpiresAt ? new Date(userExpiresAt).toLocaleString() : 'permanent'}`);
+    console.log(`Invitation code used: ${code} by ${usedBy} (${invitation.uses}/${invitation.maxUses || 1}), duration: ${invitation.durationType}, user expires: ${userExpiresAt ? new Date(userExpiresAt).toLocaleString() : 'permanent'}`);
 
     return { success: true, invitation };
 }
 
+/**
+ * Applies the role and quota tier granted by an invitation code to a newly registered user and records the code
+ * on the account, so that it outlives the cleanup of used-up codes.
+ * @param {import('./users.js').User} user User being registered. Modified in place
+ * @param {any} [invitation] Validated invitation code
+ */
+export function applyInvitationGrants(user, invitation) {
+    if (!invitation) {
+        return;
+    }
+    user.invitation = { code: invitation.code, campaign: invitation.campaign || '' };
+    if (invitation.grantRole) {
+        user.role = invitation.grantRole;
+    }
+    if (invitation.grantQuotaTier) {
+        user.quotaTier = invitation.grantQuotaTier;
+    }
+}
+
+/**
+ * Updates the admin-facing labels and the usage limit of a code.
+ * @param {string} code Invitation code
+ * @param {{note?: string, campaign?: string, maxUses?: number}} changes Changes to apply
+ * @returns {Promise<any | null>} Updated code or null if not found
+ */
+export async function updateInvitationCode(code, changes) {
+    if (!ENABLE_INVITATION_CODES) {
+        return null;
+    }
+
+    const key = toInvitationKey(String(code).toUpperCase());
+    const invitation = await storage.getItem(key);
+    if (!invitation) {
+        return null;
+    }
+
+    const options = sanitizeInvitationOptions({ ...invitation, ...changes });
+    const uses = getRedemptions(invitation).length;
+    invitation.note = options.note;
+    invitation.campaign = options.campaign;
+    invitation.maxUses = Math.max(options.maxUses, uses, 1);
+    invitation.used = uses >= invitation.maxUses;
+
+    await storage.setItem(key, invitation);
+    return invitation;
+}
+
+/**
+ * Builds the redemption report: which users registered or renewed with which campaign's codes.
+ * @param {string} [campaign] Only include this campaign
+ * @returns {Promise<{campaign: string, codes: number, capacity: number, redemptions: (InvitationRedemption & {code: string})[]}[]>}
+ */
+export async function getInvitationRedemptionReport(campaign) {
+    const invitations = await getAllInvitationCodes();
+    /** @type {Map<string, {campaign: string, codes: number, capacity: number, redemptions: (InvitationRedemption & {code: string})[]}>} */
+    const groups = new Map();
+
+    for (const invitation of invitations) {
+        const label = invitation.campaign || '';
+        if (campaign !== undefined && label !== campaign) {
+            continue;
+        }
+
+        const group = groups.get(label) ?? { campaign: label, codes: 0, capacity: 0, redemptions: [] };
+        group.codes++;
+        group.capacity += invitation.maxUses || 1;
+        group.redemptions.push(...getRedemptions(invitation).map(x => ({ ...x, code: invitation.code })));
+        groups.set(label, group);
+    }
+
+    const report = [...groups.values()];
+    report.forEach(x => x.redemptions.sort((a, b) => b.usedAt - a.usedAt));
+    return report.sort((a, b) => a.campaign.localeCompare(b.campaign));
+}
+
 
 export async function getAllInvitationCodes() {
     if (!ENABLE_INVITATION_CODES) {
@@ -157,22 +295,30 @@ export function isInvitationCodesEnabled() {
 }
 
 
-export async function cleanupExpiredInvitationCodes() {
+/**
+ * Deletes invitation codes that have been fully redeemed. Codes stay in the redemption report for a while after
+ * their last redemption before they are removed.
+ * @param {number} [retentionDays] Days to keep a used-up code after its last redemption
+ * @returns {Promise<number>} Number of deleted codes
+ */
+export async function cleanupExpiredInvitationCodes(retentionDays = 30) {
     if (!ENABLE_INVITATION_CODES) {
         return 0;
     }
 
     let cleanedCount = 0;
+    const cutoff = Date.now() - Math.max(0, retentionDays) * 24 * 60 * 60 * 1000;
 
-    /*
     const invitations = await getAllInvitationCodes();
     for (const invitation of invitations) {
-        if (invitation.used) {
+        const redemptions = getRedemptions(invitation);
+        const exhausted = redemptions.length >= (invitation.maxUses || 1);
+        const lastUsedAt = Math.max(0, ...redemptions.map(x => x.usedAt || 0));
+        if (exhausted && lastUsedAt <= cutoff) {
             await deleteInvitationCode(invitation.code);
             cleanedCount++;
         }
     }
-    */
 
     if (cleanedCount > 0) {
         console.log(`Cleaned up ${cleanedCount} used invitation codes`);
@@ -181,6 +327,41 @@ export async function cleanupExpiredInvitationCodes() {
     return cleanedCount;
 }
 
+/**
+ * Records the registration invitation on accounts created before it was stored on the user record.
+ * Only codes that haven't been cleaned up yet can be matched to their users.
+ * @returns {Promise<void>}
+ */
+export async function migrateRegistrationInvitations() {
+    if (!ENABLE_INVITATION_CODES) {
+        return;
+    }
+
+    /** @type {import('./users.js').User[]} */
+    const users = await storage.values(x => x.key.startsWith(KEY_PREFIX));
+    const pendingUsers = new Map(users.filter(x => !x.invitation).map(x => [x.handle, x]));
+    if (pendingUsers.size === 0) {
+        return;
+    }
+
+    let migratedCount = 0;
+    for (const invitation of await getAllInvitationCodes()) {
+        for (const redemption of getRedemptions(invitation)) {
+            const user = pendingUsers.get(redemption.handle);
+            if (!user || redemption.usedAt - (user.created || 0) > REGISTRATION_REDEMPTION_WINDOW_MS) {
+                continue;
+            }
+            user.invitation = { code: invitation.code, campaign: invitation.campaign || '' };
+            await storage.setItem(toKey(user.handle), user);
+            pendingUsers.delete(user.handle);
+            migratedCount++;
+        }
+    }
+
+    if (migratedCount > 0) {
+        console.log(`Recorded the registration invitation code of ${migratedCount} users`);
+    }
+}
 
 export async function setPurchaseLink(purchaseLink) {
     await storage.setItem(PURCHASE_LINK_KEY, purchaseLink || '');
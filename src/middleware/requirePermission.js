@@ -0,0 +1,26 @@
+import { hasPermission } from '../roles.js';
+
+/**
+ * Verifies that the current user holds the permission, either through their role or by being an admin.
+ * @param {string} permission Required permission
+ * @returns {import('express').RequestHandler}
+ */
+export default function requirePermission(permission) {
+    return async (request, response, next) => {
+        if (!request.user) {
+            return response.sendStatus(403);
+        }
+
+        try {
+            if (await hasPermission(request.user.profile, permission)) {
+                return next();
+            }
+        } catch (error) {
+            console.error('Permission check failed:', error);
+            return response.sendStatus(500);
+        }
+
+        console.warn(`Unauthorized access to ${permission} endpoint:`, request.originalUrl);
+        return response.sendStatus(403);
+    };
+}
@@ -0,0 +1,60 @@
+import fs from 'node:fs';
+import { addPendingStorageUsage, getStorageQuotaStatus } from '../storage-quotas.js';
+
+/**
+ * Deletes the file that the upload middleware has already stored in the uploads folder.
+ * @param {import('express').Request} request Request
+ */
+function removeUploadedFile(request) {
+    if (request.file?.path) {
+        fs.rmSync(request.file.path, { force: true });
+    }
+}
+
+/**
+ * Rejects writes of users who are out of storage space. Admins are exempt.
+ * Writes are also rejected when the usage can't be measured, so that a failing check doesn't lift the quota.
+ * @param {object} [options] Options
+ * @param {boolean} [options.replacesExisting=false] The request overwrites existing data (e.g. a chat save),
+ * so its size is not added to the usage and it is only rejected once the quota is already full
+ * @returns {import('express').RequestHandler}
+ */
+export default function storageQuotaMiddleware({ replacesExisting = false } = {}) {
+    return async (request, response, next) => {
+        const user = request.user?.profile;
+
+        if (!user || user.admin) {
+            return next();
+        }
+
+        try {
+            const incoming = replacesExisting ? 0 : (request.file?.size ?? (Number(request.get('content-length')) || 0));
+            const status = await getStorageQuotaStatus(user);
+
+            if (status.limit !== null && (status.used + incoming > status.limit || status.used >= status.limit)) {
+                removeUploadedFile(request);
+
+                console.warn(`Storage quota exceeded for ${user.handle}: ${status.used} + ${incoming} of ${status.limit} bytes`);
+                return response.status(413).json({
+                    error: 'Storage quota exceeded. Delete some chats or files, or contact the administrator.',
+                    type: 'storage_quota_exceeded',
+                    quota: {
+                        used: status.used,
+                        limit: status.limit,
+                    },
+                });
+            }
+
+            addPendingStorageUsage(user.handle, incoming);
+        } catch (error) {
+            console.error('Storage quota check failed:', error);
+            removeUploadedFile(request);
+            return response.status(503).json({
+                error: 'Could not check the storage quota. Try again later.',
+                type: 'storage_quota_unavailable',
+            });
+        }
+
+        next();
+    };
+}
@@ -0,0 +1,84 @@
+import { Buffer } from 'node:buffer';
+import { checkQuota, extractTokenUsage, recordQuotaUsage, MAX_CAPTURED_RESPONSE_LENGTH } from '../usage-quotas.js';
+
+/**
+ * Enforces per-user generation quotas and records the consumed tokens once the generation finishes.
+ * Admins are exempt from the limits, but their usage is still recorded.
+ * @returns {import('express').RequestHandler}
+ */
+export default function usageQuotaMiddleware() {
+    return async (request, response, next) => {
+        const user = request.user?.profile;
+
+        if (!user || request.method !== 'POST') {
+            return next();
+        }
+
+        try {
+            if (!user.admin) {
+                const status = await checkQuota(user);
+
+                if (!status.allowed) {
+                    const nextReset = Math.min(...status.exceeded.map(x => status.resetAt[x.period]));
+                    const retryAfter = Math.max(1, Math.ceil((nextReset - Date.now()) / 1000));
+                    console.warn(`Usage quota exceeded for ${user.handle}:`, status.exceeded.map(x => `${x.period}.${x.metric}`).join(', '));
+                    response.setHeader('Retry-After', String(retryAfter));
+                    return response.status(429).json({
+                        error: {
+                            message: 'Usage quota exceeded. Please try again after the quota resets or contact the administrator.',
+                            type: 'usage_quota_exceeded',
+                        },
+                        quota: {
+                            tier: status.tier,
+                            exceeded: status.exceeded,
+                            remaining: status.remaining,
+                            resetAt: status.resetAt,
+                        },
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Usage quota check failed:', error);
+        }
+
+        const chunks = [];
+        let capturedLength = 0;
+        const capture = (chunk, encoding) => {
+            if (!chunk || capturedLength >= MAX_CAPTURED_RESPONSE_LENGTH || typeof chunk === 'function') {
+                return;
+            }
+            const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), typeof encoding === 'string' ? /** @type {BufferEncoding} */ (encoding) : 'utf8');
+            chunks.push(buffer);
+            capturedLength += buffer.length;
+        };
+
+        const originalWrite = response.write;
+        const originalEnd = response.end;
+
+        // @ts-ignore
+        response.write = function (chunk, encoding, callback) {
+            capture(chunk, encoding);
+            return originalWrite.call(this, chunk, encoding, callback);
+        };
+
+        // @ts-ignore
+        response.end = function (chunk, encoding, callback) {
+            capture(chunk, encoding);
+            return originalEnd.call(this, chunk, encoding, callback);
+        };
+
+        response.once('finish', () => {
+            if (response.statusCode >= 400) {
+                return;
+            }
+
+            const responseText = Buffer.concat(chunks).toString('utf8');
+            const tokens = extractTokenUsage(request.body, responseText);
+            recordQuotaUsage(user.handle, tokens).catch(error => {
+                console.error('Failed to record usage quota:', error);
+            });
+        });
+
+        return next();
+    };
+}
@@ -0,0 +1,391 @@
+import lodash from 'lodash';
+import { getConfigValue } from './util.js';
+
+/**
+ * Providers configured through their own section in `oauth` (e.g. `oauth.github`).
+ * Any other provider is listed in `oauth.providers`.
+ */
+export const BUILT_IN_PROVIDERS = ['github', 'discord', 'linuxdo'];
+
+// Path segments under /api/oauth that can't be used as provider IDs
+const RESERVED_PROVIDER_IDS = ['config', 'verify-invitation', 'link', 'links', 'unlink'];
+const CLAIM_FIELDS = ['id', 'handle', 'name', 'email', 'avatar', 'groups'];
+
+/**
+ * @typedef {Object} OAuthClaimMapping
+ * Each field lists claim paths (dot-separated for nested claims) tried in order until one has a value.
+ * @property {string[]} id - Stable user ID at the provider
+ * @property {string[]} handle - Preferred handle of new accounts
+ * @property {string[]} name - Display name
+ * @property {string[]} email - Email address
+ * @property {string[]} avatar - Avatar URL
+ * @property {string[]} groups - Groups or roles of the user at the provider
+ */
+
+/**
+ * @typedef {Object} OAuthProvisioningRules
+ * @property {boolean} autoCreate - Create accounts for unknown identities on their first login
+ * @property {boolean} skipInvitation - Create accounts without an invitation code even when codes are required
+ * @property {string[]} allowedEmailDomains - Only create accounts for emails in these domains
+ * @property {string[]} requiredGroups - Only create accounts for identities in one of these groups
+ */
+
+/**
+ * @typedef {Object} OAuthProvider
+ * @property {string} id - Identifier used in the login and callback routes
+ * @property {string} preset - Built-in provider supplying the defaults, or 'custom'
+ * @property {string} name - Name shown on the login button
+ * @property {string} icon - Font Awesome classes of the login button icon
+ * @property {boolean} enabled - Whether the provider can be used to log in
+ * @property {string} clientId - OAuth client ID
+ * @property {string} clientSecret - OAuth client secret
+ * @property {string} callbackUrl - Fixed callback URL. Built from the request host when empty
+ * @property {string} wellKnownEndpoint - OIDC discovery document. Overrides the endpoints below when reachable
+ * @property {string} authUrl - Authorization endpoint
+ * @property {string} tokenUrl - Token endpoint
+ * @property {string} userInfoUrl - User info endpoint. Optional for OIDC providers returning an ID token
+ * @property {string} scope - Requested scopes
+ * @property {OAuthClaimMapping} claims - Claims mapped to the account fields
+ * @property {Record<string, string>} roleMapping - Provider groups mapped to role names. The first matching group wins
+ * @property {OAuthProvisioningRules} provisioning - Rules for creating accounts on first login
+ */
+
+/**
+ * @typedef {Object} OAuthIdentity
+ * @property {string} id - User ID at the provider
+ * @property {string} handle - Preferred handle
+ * @property {string} name - Display name
+ * @property {string} email - Email address
+ * @property {string} avatar - Avatar URL
+ * @property {string[]} groups - Groups at the provider
+ */
+
+/**
+ * @typedef {Object} OAuthLink
+ * @property {string} provider - Provider ID
+ * @property {string} userId - Namespaced user ID at the provider
+ * @property {string} [name] - Name of the identity at the provider, shown in the profile
+ * @property {number} linkedAt - Timestamp of linking
+ */
+
+const OIDC_CLAIMS = {
+    id: ['sub'],
+    handle: ['preferred_username', 'nickname', 'email'],
+    name: ['name', 'preferred_username'],
+    email: ['email'],
+    avatar: ['picture'],
+    groups: ['groups'],
+};
+
+/**
+ * Defaults of the built-in providers and of custom OIDC/OAuth2 providers.
+ */
+const PROVIDER_PRESETS = {
+    github: {
+        name: 'GitHub',
+        icon: 'fa-brands fa-github',
+        authUrl: 'https://github.com/login/oauth/authorize',
+        tokenUrl: 'https://github.com/login/oauth/access_token',
+        userInfoUrl: 'https://api.github.com/user',
+        scope: 'read:user user:email',
+        claims: { id: ['id'], handle: ['login'], name: ['login'], email: ['email'], avatar: ['avatar_url'], groups: [] },
+    },
+    discord: {
+        name: 'Discord',
+        icon: 'fa-brands fa-discord',
+        authUrl: 'https://discord.com/api/oauth2/authorize',
+        tokenUrl: 'https://discord.com/api/oauth2/token',
+        userInfoUrl: 'https://discord.com/api/users/@me',
+        scope: 'identify email',
+        claims: { id: ['id'], handle: ['username'], name: ['username'], email: ['email'], avatar: ['avatar_url'], groups: [] },
+    },
+    linuxdo: {
+        name: 'Linux.do',
+        icon: 'fa-brands fa-linux',
+        authUrl: 'https://connect.linux.do/oauth2/authorize',
+        tokenUrl: 'https://connect.linux.do/oauth2/token',
+        userInfoUrl: 'https://connect.linux.do/api/user',
+        scope: '',
+        claims: {
+            id: ['id', 'sub'],
+            handle: ['username', 'preferred_username', 'name'],
+            name: ['username', 'preferred_username', 'name'],
+            email: ['email'],
+            avatar: ['avatar_url', 'picture', 'avatar_template'],
+            groups: [],
+        },
+    },
+    custom: {
+        name: '',
+        icon: 'fa-solid fa-right-to-bracket',
+        authUrl: '',
+        tokenUrl: '',
+        userInfoUrl: '',
+        scope: 'openid profile email',
+        claims: OIDC_CLAIMS,
+    },
+};
+
+/**
+ * Fills in the fields built-in providers don't return in a form the claim mapping can read.
+ * @type {Record<string, (profile: any) => any>}
+ */
+const PROFILE_TRANSFORMS = {
+    discord: (profile) => ({
+        ...profile,
+        avatar_url: profile.avatar ? `https://cdn.discordapp.com/avatars/${profile.id}/${profile.avatar}.png` : null,
+    }),
+    linuxdo: (profile) => {
+        // The Discourse user API nests the user, the OIDC endpoints don't
+        const user = { ...profile, ...(profile.user || profile.current_user || {}) };
+        const template = user.avatar_url || user.picture || user.avatar_template;
+        if (typeof template === 'string' && template.includes('{size}')) {
+            const avatar = template.replace('{size}', '96');
+            user.avatar_url = /^https?:\/\//.test(avatar) ? avatar : `https://connect.linux.do${avatar}`;
+        }
+        return user;
+    },
+};
+
+/**
+ * Converts a list given as an array or a comma-separated string to an array of trimmed strings.
+ * @param {any} value List value
+ * @returns {string[]}
+ */
+function toStringList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return items.map(x => String(x ?? '').trim()).filter(x => x);
+}
+
+/**
+ * Normalizes a provider configuration, filling in the defaults of its preset.
+ * @param {any} config Provider configuration
+ * @returns {OAuthProvider}
+ */
+export function sanitizeOAuthProvider(config) {
+    const id = String(config?.id ?? '').trim().toLowerCase();
+    const preset = BUILT_IN_PROVIDERS.includes(id) ? id : 'custom';
+    const defaults = PROVIDER_PRESETS[preset];
+    const text = (value, fallback = '') => String(value ?? '').trim() || fallback;
+
+    const claims = /** @type {OAuthClaimMapping} */ ({});
+    for (const field of CLAIM_FIELDS) {
+        const mapped = toStringList(config?.claims?.[field]);
+        claims[field] = mapped.length ? mapped : [...defaults.claims[field]];
+    }
+
+    const roleMapping = {};
+    if (config?.roleMapping && typeof config.roleMapping === 'object') {
+        for (const [group, role] of Object.entries(config.roleMapping)) {
+            if (group.trim() && String(role ?? '').trim()) {
+                roleMapping[group.trim()] = String(role).trim();
+            }
+        }
+    }
+
+    return {
+        id,
+        preset,
+        name: text(config?.name, defaults.name || id),
+        icon: text(config?.icon, defaults.icon),
+        enabled: config?.enabled === true || config?.enabled === 'true',
+        clientId: text(config?.clientId),
+        clientSecret: text(config?.clientSecret),
+        callbackUrl: text(config?.callbackUrl),
+        wellKnownEndpoint: text(config?.wellKnownEndpoint),
+        authUrl: text(config?.authUrl, defaults.authUrl),
+        tokenUrl: text(config?.tokenUrl, defaults.tokenUrl),
+        userInfoUrl: text(config?.userInfoUrl, defaults.userInfoUrl),
+        scope: config?.scope === undefined ? defaults.scope : text(config.scope),
+        claims,
+        roleMapping,
+        provisioning: {
+            autoCreate: config?.provisioning?.autoCreate !== false,
+            skipInvitation: config?.provisioning?.skipInvitation === true,
+            allowedEmailDomains: toStringList(config?.provisioning?.allowedEmailDomains).map(x => x.toLowerCase().replace(/^@/, '')),
+            requiredGroups: toStringList(config?.provisioning?.requiredGroups),
+        },
+    };
+}
+
+/**
+ * Checks whether a provider configuration can be saved.
+ * @param {OAuthProvider} provider Sanitized provider
+ * @returns {string | null} Error message or null if the provider is valid
+ */
+export function getOAuthProviderError(provider) {
+    if (!/^[a-z0-9][a-z0-9-]{0,39}$/.test(provider.id)) {
+        return 'Provider IDs must be 1-40 lowercase letters, numbers or hyphens';
+    }
+    if (RESERVED_PROVIDER_IDS.includes(provider.id)) {
+        return `"${provider.id}" can't be used as a provider ID`;
+    }
+    if (provider.enabled && (!provider.clientId || !provider.clientSecret)) {
+        return `${provider.name} is enabled, but Client ID or Client Secret is missing`;
+    }
+    if (provider.enabled && !provider.wellKnownEndpoint && (!provider.authUrl || !provider.tokenUrl)) {
+        return `${provider.name} needs a discovery endpoint or both the authorization and token URLs`;
+    }
+    return null;
+}
+
+/**
+ * Configuration errors already logged, so they're reported once instead of on every login.
+ * @type {Set<string>}
+ */
+const reportedConfigErrors = new Set();
+
+/**
+ * Gets all configured providers: the built-in ones from their own config sections and the custom ones from `oauth.providers`.
+ * @returns {OAuthProvider[]}
+ */
+export function getOAuthProviders() {
+    /** @type {OAuthProvider[]} */
+    const providers = [];
+
+    for (const id of BUILT_IN_PROVIDERS) {
+        const config = getConfigValue(`oauth.${id}`, null, null);
+        if (config && typeof config === 'object') {
+            providers.push(sanitizeOAuthProvider({ ...config, id }));
+        }
+    }
+
+    const customProviders = getConfigValue('oauth.providers', [], null);
+    for (const config of Array.isArray(customProviders) ? customProviders : []) {
+        const provider = sanitizeOAuthProvider(config);
+        const error = getOAuthProviderError(provider) ?? (providers.some(x => x.id === provider.id) ? 'Duplicate provider ID' : null);
+        if (error) {
+            const warning = `Skipping OAuth provider "${provider.id}": ${error}`;
+            if (!reportedConfigErrors.has(warning)) {
+                reportedConfigErrors.add(warning);
+                console.warn(warning);
+            }
+            continue;
+        }
+        providers.push(provider);
+    }
+
+    return providers;
+}
+
+/**
+ * Gets an enabled provider by its ID.
+ * @param {string} id Provider ID
+ * @returns {OAuthProvider | null}
+ */
+export function getEnabledOAuthProvider(id) {
+    return getOAuthProviders().find(x => x.id === id && x.enabled && x.clientId) ?? null;
+}
+
+/**
+ * Maps the claims returned by a provider to the account fields.
+ * @param {OAuthProvider} provider Provider
+ * @param {any} profile Claims from the ID token and the user info endpoint
+ * @returns {OAuthIdentity}
+ */
+export function mapOAuthIdentity(provider, profile) {
+    const transform = PROFILE_TRANSFORMS[provider.preset];
+    const claims = transform ? transform(profile) : profile;
+    const pick = (paths) => paths.map(path => lodash.get(claims, path)).find(value => value !== undefined && value !== null && value !== '');
+    const toText = (value) => value === undefined || typeof value === 'object' ? '' : String(value);
+
+    const groups = pick(provider.claims.groups);
+    const id = toText(pick(provider.claims.id));
+
+    return {
+        id,
+        handle: toText(pick(provider.claims.handle)) || (id ? `${provider.id}_user_${id}` : ''),
+        name: toText(pick(provider.claims.name)),
+        email: toText(pick(provider.claims.email)),
+        avatar: toText(pick(provider.claims.avatar)),
+        // Keycloak reports group paths with a leading slash
+        groups: toStringList(Array.isArray(groups) ? groups : groups ? [groups] : []).map(x => x.replace(/^\//, '')),
+    };
+}
+
+/**
+ * Gets the role granted by the provider groups of an identity.
+ * @param {OAuthProvider} provider Provider
+ * @param {OAuthIdentity} identity Identity
+ * @returns {string | null} Role name or null if no group is mapped
+ */
+export function getMappedRole(provider, identity) {
+    const group = Object.keys(provider.roleMapping).find(x => identity.groups.includes(x));
+    return group ? provider.roleMapping[group] : null;
+}
+
+/**
+ * Checks whether the provisioning rules allow creating an account for an identity.
+ * @param {OAuthProvider} provider Provider
+ * @param {OAuthIdentity} identity Identity
+ * @returns {string | null} Reason the account can't be created, or null if allowed
+ */
+export function getProvisioningError(provider, identity) {
+    const rules = provider.provisioning;
+    if (!rules.autoCreate) {
+        return `Sign-up with ${provider.name} is disabled. Ask an administrator to create your account.`;
+    }
+    if (rules.allowedEmailDomains.length > 0) {
+        const domain = identity.email.split('@')[1]?.toLowerCase();
+        if (!domain || !rules.allowedEmailDomains.includes(domain)) {
+            return `Sign-up with ${provider.name} is limited to email addresses of approved domains`;
+        }
+    }
+    if (rules.requiredGroups.length > 0 && !rules.requiredGroups.some(x => identity.groups.includes(x))) {
+        return `Your ${provider.name} account is not in a group allowed to sign up`;
+    }
+    return null;
+}
+
+/**
+ * Updates the role of a user from the provider groups. A role previously granted by the mapping is removed
+ * once no mapped group matches, roles assigned by admins are kept.
+ * @param {import('./users.js').User} user User. Modified in place
+ * @param {string | null} role Mapped role
+ */
+export function applyMappedRole(user, role) {
+    if (role) {
+        user.role = role;
+        user.oauthRole = role;
+    } else if (user.oauthRole) {
+        if (user.role === user.oauthRole) {
+            delete user.role;
+        }
+        delete user.oauthRole;
+    }
+}
+
+/**
+ * Gets the provider identities linked to an account, including the one it was created with.
+ * @param {import('./users.js').User} user User
+ * @returns {OAuthLink[]}
+ */
+export function getOAuthLinks(user) {
+    const links = Array.isArray(user.oauthLinks) ? [...user.oauthLinks] : [];
+    if (user.oauthProvider && user.oauthUserId && !links.some(x => x.provider === user.oauthProvider)) {
+        links.unshift({ provider: user.oauthProvider, userId: user.oauthUserId, linkedAt: user.created });
+    }
+    return links;
+}
+
+/**
+ * Links a provider identity to an account. An account has at most one identity per provider.
+ * @param {import('./users.js').User} user User
+ * @param {OAuthLink} link Identity to link
+ */
+export function addOAuthLink(user, link) {
+    user.oauthLinks = [...(user.oauthLinks || []).filter(x => x.provider !== link.provider), link];
+}
+
+/**
+ * Unlinks the identity of a provider from an account.
+ * @param {import('./users.js').User} user User
+ * @param {string} providerId Provider ID
+ */
+export function removeOAuthLink(user, providerId) {
+    // The provider the account was created with stays recorded for the admin directory
+    if (user.oauthProvider === providerId) {
+        delete user.oauthUserId;
+    }
+    user.oauthLinks = (user.oauthLinks || []).filter(x => x.provider !== providerId);
+}
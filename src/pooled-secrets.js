@@ -0,0 +1,304 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+import { readSecretsFile, writeSecretsFile } from './secrets-encryption.js';
+import { normalizeHandle } from './users.js';
+
+const POOLED_SECRETS_FILE = 'pooled-secrets.json';
+const POOLED_SECRETS_USAGE_FILE = 'pooled-secrets-usage.json';
+const USAGE_FLUSH_DELAY = 5000;
+
+/**
+ * @typedef {Object} PooledSecretGrants
+ * @property {boolean} everyone - Whether every user may use the key
+ * @property {string[]} users - Handles of the users allowed to use the key
+ * @property {string[]} groups - Names of the user groups allowed to use the key
+ */
+
+/**
+ * @typedef {Object} PooledSecret
+ * @property {string} id - Unique identifier of the pooled key
+ * @property {string} key - Secret key the value stands in for (e.g. api_key_openai)
+ * @property {string} value - The secret value. Never sent to clients
+ * @property {string} label - Human-readable label
+ * @property {boolean} enabled - Whether the key is in use
+ * @property {PooledSecretGrants} grants - Who may use the key
+ * @property {string} createdBy - Handle of the admin that registered the key
+ * @property {number} createdAt - Creation timestamp
+ */
+
+/**
+ * Groups of recently seen users, used to resolve group grants in synchronous secret lookups.
+ * @type {Map<string, string[]>}
+ */
+const USER_GROUPS_CACHE = new Map();
+
+/** @type {Record<string, Record<string, {requests: number, lastUsedAt: number}>> | null} */
+let usageCache = null;
+let usageFlushTimeout = null;
+
+/**
+ * Gets the path of the pooled secrets file.
+ * @returns {string}
+ */
+export function getPooledSecretsPath() {
+    return path.join(globalThis.DATA_ROOT, POOLED_SECRETS_FILE);
+}
+
+function getUsagePath() {
+    return path.join(globalThis.DATA_ROOT, POOLED_SECRETS_USAGE_FILE);
+}
+
+/**
+ * Reads all pooled secrets from disk.
+ * @returns {PooledSecret[]}
+ */
+function readPooledSecrets() {
+    const filePath = getPooledSecretsPath();
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    try {
+        const data = readSecretsFile(filePath);
+        return Array.isArray(data?.keys) ? data.keys : [];
+    } catch (error) {
+        console.error('Failed to read pooled secrets:', error);
+        return [];
+    }
+}
+
+/**
+ * Writes all pooled secrets to disk.
+ * @param {PooledSecret[]} keys Pooled secrets
+ */
+function writePooledSecrets(keys) {
+    writeSecretsFile(getPooledSecretsPath(), { keys });
+}
+
+function readUsage() {
+    if (usageCache) {
+        return usageCache;
+    }
+
+    try {
+        const filePath = getUsagePath();
+        usageCache = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : {};
+    } catch (error) {
+        console.error('Failed to read pooled secrets usage:', error);
+        usageCache = {};
+    }
+
+    return usageCache;
+}
+
+function scheduleUsageFlush() {
+    if (usageFlushTimeout) {
+        return;
+    }
+
+    usageFlushTimeout = setTimeout(() => {
+        usageFlushTimeout = null;
+        try {
+            writeFileAtomicSync(getUsagePath(), JSON.stringify(usageCache ?? {}, null, 4), 'utf-8');
+        } catch (error) {
+            console.error('Failed to save pooled secrets usage:', error);
+        }
+    }, USAGE_FLUSH_DELAY);
+}
+
+/**
+ * Normalizes grants received from a client. User handles and group names are normalized the same way as
+ * the user accounts store them, so grants match regardless of how they were typed.
+ * @param {any} grants Raw grants
+ * @returns {PooledSecretGrants}
+ */
+export function sanitizeGrants(grants) {
+    const toList = (value) => Array.isArray(value)
+        ? [...new Set(value.map(x => normalizeHandle(String(x))).filter(x => x))]
+        : [];
+
+    return {
+        everyone: !!grants?.everyone,
+        users: toList(grants?.users),
+        groups: toList(grants?.groups),
+    };
+}
+
+/**
+ * Masks a pooled secret for clients. The value is never included.
+ * @param {PooledSecret} secret Pooled secret
+ * @returns {Omit<PooledSecret, 'value'> & {preview: string}}
+ */
+function toViewModel(secret) {
+    const { value, ...rest } = secret;
+    return {
+        ...rest,
+        preview: value.length > 10 ? `*******${value.slice(-3)}` : '**********',
+    };
+}
+
+/**
+ * Remembers the groups of a user so that group grants can be checked synchronously.
+ * @param {string} handle User handle
+ * @param {string[]} [groups] User groups
+ */
+export function rememberUserGroups(handle, groups) {
+    USER_GROUPS_CACHE.set(handle, Array.isArray(groups) ? groups : []);
+}
+
+/**
+ * Checks whether the pooled secret is granted to the user.
+ * @param {PooledSecret} secret Pooled secret
+ * @param {string} handle User handle
+ * @returns {boolean}
+ */
+function isGrantedTo(secret, handle) {
+    const grants = sanitizeGrants(secret.grants);
+    if (grants.everyone || grants.users.includes(handle)) {
+        return true;
+    }
+    const groups = USER_GROUPS_CACHE.get(handle) || [];
+    return grants.groups.some(group => groups.includes(group));
+}
+
+/**
+ * Gets the list of pooled secrets without their values.
+ * @returns {ReturnType<typeof toViewModel>[]}
+ */
+export function getPooledSecrets() {
+    return readPooledSecrets().map(toViewModel);
+}
+
+/**
+ * Registers a new pooled secret.
+ * @param {{key: string, value: string, label?: string, grants?: any}} data Secret data
+ * @param {string} createdBy Handle of the admin
+ * @returns {ReturnType<typeof toViewModel>}
+ */
+export function createPooledSecret({ key, value, label, grants }, createdBy) {
+    const keys = readPooledSecrets();
+    /** @type {PooledSecret} */
+    const secret = {
+        id: crypto.randomUUID(),
+        key,
+        value,
+        label: label || key,
+        enabled: true,
+        grants: sanitizeGrants(grants),
+        createdBy,
+        createdAt: Date.now(),
+    };
+    keys.push(secret);
+    writePooledSecrets(keys);
+    console.info(`Pooled secret registered: ${secret.label} (${key}) by ${createdBy}`);
+    return toViewModel(secret);
+}
+
+/**
+ * Updates a pooled secret.
+ * @param {string} id Pooled secret ID
+ * @param {{value?: string, label?: string, enabled?: boolean, grants?: any}} changes Changes to apply
+ * @returns {ReturnType<typeof toViewModel> | null} Updated secret or null if not found
+ */
+export function updatePooledSecret(id, changes) {
+    const keys = readPooledSecrets();
+    const secret = keys.find(x => x.id === id);
+    if (!secret) {
+        return null;
+    }
+
+    if (typeof changes.value === 'string' && changes.value) {
+        secret.value = changes.value;
+    }
+    if (typeof changes.label === 'string' && changes.label.trim()) {
+        secret.label = changes.label.trim();
+    }
+    if (typeof changes.enabled === 'boolean') {
+        secret.enabled = changes.enabled;
+    }
+    if (changes.grants !== undefined) {
+        secret.grants = sanitizeGrants(changes.grants);
+    }
+
+    writePooledSecrets(keys);
+    return toViewModel(secret);
+}
+
+/**
+ * Deletes a pooled secret.
+ * @param {string} id Pooled secret ID
+ * @returns {boolean} Whether the secret was deleted
+ */
+export function deletePooledSecret(id) {
+    const keys = readPooledSecrets();
+    const index = keys.findIndex(x => x.id === id);
+    if (index === -1) {
+        return false;
+    }
+
+    keys.splice(index, 1);
+    writePooledSecrets(keys);
+    console.info(`Pooled secret deleted: ${id}`);
+    return true;
+}
+
+/**
+ * Finds the pooled secret the user may use for the given key.
+ * @param {string} handle User handle
+ * @param {string} key Secret key
+ * @returns {PooledSecret | null}
+ */
+function findGrantedSecret(handle, key) {
+    return readPooledSecrets().find(x => x.enabled && x.key === key && isGrantedTo(x, handle)) || null;
+}
+
+/**
+ * Gets the pooled secrets available to the user, without their values.
+ * @param {string} handle User handle
+ * @returns {{id: string, key: string, label: string}[]}
+ */
+export function getGrantedPooledSecrets(handle) {
+    return readPooledSecrets()
+        .filter(x => x.enabled && isGrantedTo(x, handle))
+        .map(x => ({ id: x.id, key: x.key, label: x.label }));
+}
+
+/**
+ * Resolves a pooled secret value for the user.
+ * @param {string} handle User handle
+ * @param {string} key Secret key
+ * @returns {string} Secret value or empty string if none is granted
+ */
+export function resolvePooledSecret(handle, key) {
+    return findGrantedSecret(handle, key)?.value ?? '';
+}
+
+/**
+ * Attributes a request sent to the provider with a pooled secret to the user.
+ * @param {string} handle User handle
+ * @param {string} key Secret key
+ */
+export function recordPooledSecretUsage(handle, key) {
+    const secret = findGrantedSecret(handle, key);
+    if (!secret) {
+        return;
+    }
+
+    const usage = readUsage();
+    usage[secret.id] ??= {};
+    const entry = usage[secret.id][handle] ??= { requests: 0, lastUsedAt: 0 };
+    entry.requests++;
+    entry.lastUsedAt = Date.now();
+    scheduleUsageFlush();
+}
+
+/**
+ * Gets the usage of the pooled secrets attributed per user.
+ * @returns {Record<string, Record<string, {requests: number, lastUsedAt: number}>>}
+ */
+export function getPooledSecretsUsage() {
+    return structuredClone(readUsage());
+}
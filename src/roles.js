@@ -0,0 +1,131 @@
+import storage from 'node-persist';
+
+const ROLES_KEY = 'roles:definitions';
+
+/**
+ * Fine-grained permissions that can be granted to non-admin users through a role.
+ * Admins implicitly hold every permission.
+ */
+export const PERMISSIONS = Object.freeze({
+    FORUM_MODERATE: 'forum.moderate',
+    CHARACTERS_MANAGE: 'characters.manage',
+    INVITATIONS_MANAGE: 'invitations.manage',
+    ANNOUNCEMENTS_MANAGE: 'announcements.manage',
+    SYSTEM_LOAD_VIEW: 'systemLoad.view',
+});
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * @typedef {Object} RoleDefinition
+ * @property {string} description - Human-readable description of the role
+ * @property {string[]} permissions - Permissions granted by the role
+ */
+
+/**
+ * Roles offered out of the box. Admins can edit or delete them like any other role.
+ * @type {Record<string, RoleDefinition>}
+ */
+const DEFAULT_ROLES = {
+    moderator: {
+        description: 'Moderates forum posts and comments',
+        permissions: [PERMISSIONS.FORUM_MODERATE],
+    },
+    curator: {
+        description: 'Manages public characters and their comments',
+        permissions: [PERMISSIONS.CHARACTERS_MANAGE],
+    },
+    support: {
+        description: 'Issues invitation codes and watches the system load',
+        permissions: [PERMISSIONS.INVITATIONS_MANAGE, PERMISSIONS.SYSTEM_LOAD_VIEW],
+    },
+};
+
+/**
+ * Drops unknown permissions and duplicates.
+ * @param {any} permissions Raw permissions list
+ * @returns {string[]} Sanitized permissions
+ */
+export function sanitizePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+        return [];
+    }
+    return [...new Set(permissions.map(String))].filter(x => ALL_PERMISSIONS.includes(x));
+}
+
+/**
+ * Gets all role definitions.
+ * @returns {Promise<Record<string, RoleDefinition>>} Map of role name to definition
+ */
+export async function getRoles() {
+    const roles = await storage.getItem(ROLES_KEY);
+    if (!roles || typeof roles !== 'object') {
+        return structuredClone(DEFAULT_ROLES);
+    }
+    return roles;
+}
+
+/**
+ * Creates or updates a role.
+ * @param {string} name Role name
+ * @param {{description?: string, permissions?: any}} definition Role definition
+ * @returns {Promise<RoleDefinition>} Saved definition
+ */
+export async function saveRole(name, { description, permissions }) {
+    const roles = await getRoles();
+    /** @type {RoleDefinition} */
+    const role = {
+        description: String(description ?? roles[name]?.description ?? '').trim(),
+        permissions: sanitizePermissions(permissions),
+    };
+    roles[name] = role;
+    await storage.setItem(ROLES_KEY, roles);
+    console.info(`Role saved: ${name} (${role.permissions.join(', ') || 'no permissions'})`);
+    return role;
+}
+
+/**
+ * Deletes a role. Users that still have it lose its permissions.
+ * @param {string} name Role name
+ * @returns {Promise<boolean>} Whether the role was deleted
+ */
+export async function deleteRole(name) {
+    const roles = await getRoles();
+    if (!roles[name]) {
+        return false;
+    }
+    delete roles[name];
+    await storage.setItem(ROLES_KEY, roles);
+    console.info(`Role deleted: ${name}`);
+    return true;
+}
+
+/**
+ * Resolves the permissions held by the user.
+ * @param {import('./users.js').User} user User
+ * @returns {Promise<string[]>} Permissions
+ */
+export async function getUserPermissions(user) {
+    if (!user) {
+        return [];
+    }
+    if (user.admin) {
+        return [...ALL_PERMISSIONS];
+    }
+    if (!user.role) {
+        return [];
+    }
+    const roles = await getRoles();
+    return sanitizePermissions(roles[user.role]?.permissions);
+}
+
+/**
+ * Checks whether the user holds the permission.
+ * @param {import('./users.js').User} user User
+ * @param {string} permission Permission to check
+ * @returns {Promise<boolean>}
+ */
+export async function hasPermission(user, permission) {
+    const permissions = await getUserPermissions(user);
+    return permissions.includes(permission);
+}
@@ -0,0 +1,107 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'yaml';
+import {
+    PREVIOUS_KEY_SUFFIX,
+    generateMasterKey,
+    getMasterKeyLocationError,
+    getMasterKeyPath,
+    getConfigMasterKey,
+    isSecretsEncryptionEnabled,
+    migrateSecretsFiles,
+    parseMasterKey,
+    setMasterKeys,
+    writeMasterKeyFile,
+} from './secrets-encryption.js';
+
+const SECRETS_FILE = 'secrets.json';
+const POOLED_SECRETS_FILE = 'pooled-secrets.json';
+
+/**
+ * Lists the secrets files of all user directories and the pooled secrets file under the data root.
+ * @param {string} dataRoot Data root directory
+ * @returns {string[]} File paths
+ */
+function getSecretsFilePaths(dataRoot) {
+    const filePaths = [path.join(dataRoot, POOLED_SECRETS_FILE)];
+
+    for (const entry of fs.readdirSync(dataRoot, { withFileTypes: true })) {
+        if (entry.isDirectory() && !entry.name.startsWith('_')) {
+            filePaths.push(path.join(dataRoot, entry.name, SECRETS_FILE));
+        }
+    }
+
+    return filePaths.filter(x => fs.existsSync(x));
+}
+
+/**
+ * Rotates the secrets master key and re-encrypts all secrets files with the new key.
+ * The old key is kept next to the new one until the rotation is confirmed, so an interrupted run can be repeated safely.
+ * @param {string} configPath - The path to the config file.
+ * @param {string} [newKeyText] - The new key (base64 or hex). A random key is generated if not provided.
+ */
+export async function rotateSecretsKey(configPath, newKeyText) {
+    const config = yaml.parse(fs.readFileSync(configPath, 'utf8'));
+    const dataRoot = config.dataRoot;
+
+    if (!dataRoot) {
+        console.error('No "dataRoot" setting found in config.yaml file.');
+        process.exit(1);
+    }
+
+    if (!isSecretsEncryptionEnabled()) {
+        console.error('Secrets encryption is disabled. Set "secretsEncryption.enabled" to true in config.yaml first.');
+        process.exit(1);
+    }
+
+    if (getConfigMasterKey()) {
+        console.error('The master key is set in config.yaml or an environment variable. Replace it there and restart the server to rotate it.');
+        process.exit(1);
+    }
+
+    const locationError = getMasterKeyLocationError(dataRoot);
+    if (locationError) {
+        console.error(locationError);
+        process.exit(1);
+    }
+
+    const keyPath = getMasterKeyPath();
+    const previousKeyPath = `${keyPath}${PREVIOUS_KEY_SUFFIX}`;
+
+    if (!fs.existsSync(keyPath)) {
+        console.error(`Master key file not found: ${keyPath}`);
+        process.exit(1);
+    }
+
+    if (fs.existsSync(previousKeyPath)) {
+        console.error(`A previous key file already exists: ${previousKeyPath}`);
+        console.error('Finish the previous rotation by starting the server once and deleting that file, then try again.');
+        process.exit(1);
+    }
+
+    const oldKeyText = fs.readFileSync(keyPath, 'utf8').trim();
+    const oldKey = parseMasterKey(oldKeyText);
+    if (!oldKey) {
+        console.error(`Master key file is invalid: ${keyPath}`);
+        process.exit(1);
+    }
+
+    const keyText = newKeyText || generateMasterKey();
+    const newKey = parseMasterKey(keyText);
+    if (!newKey) {
+        console.error('The new key must be 32 bytes encoded as base64 or hex.');
+        process.exit(1);
+    }
+
+    console.log('Saving the old key to', previousKeyPath);
+    writeMasterKeyFile(previousKeyPath, oldKeyText);
+    console.log('Writing the new key to', keyPath);
+    writeMasterKeyFile(keyPath, keyText);
+
+    setMasterKeys([newKey, oldKey]);
+    const filePaths = getSecretsFilePaths(path.resolve(dataRoot));
+    const migrated = migrateSecretsFiles(filePaths);
+
+    console.log(`Re-encrypted ${migrated} of ${filePaths.length} secrets file(s).`);
+    console.log(`Once the server starts and the API keys work, delete the old key: ${previousKeyPath}`);
+}
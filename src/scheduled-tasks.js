@@ -2,17 +2,180 @@ import cron from 'node-cron';
 import fs from 'node:fs';
 import path from 'node:path';
 import yaml from 'yaml';
-import { getAllUserHandles, getUserDirectories } from './users.js';
-
+import storage from 'node-persist';
+import { getAllUserHandles, getUserDirectories, toKey } from './users.js';
+import { recordAuditEvent } from './audit-log.js';
+import { getDueExpiryReminder, getGracePeriodMs, markExpiryReminderSent } from './account-expiry.js';
+import { isEmailServiceAvailable, sendExpiryReminder } from './email-service.js';
+import { cleanupExpiredInvitationCodes, getPurchaseLink } from './invitation-codes.js';
+import { isPathUnderParent } from './util.js';
+import { deleteInactiveUsers } from './endpoints/users-admin.js';
+import { recreateStats } from './endpoints/stats.js';
+import { DataMaidService } from './endpoints/data-maid.js';
+import { sendNotificationDigests } from './forum-notifications.js';
+import { createAccountSnapshot, isAccountSnapshotBusy, pruneAccountSnapshots } from './account-snapshots.js';
+
+const HISTORY_PREFIX = 'scheduled-tasks:history:';
+const MAX_HISTORY_ENTRIES = 50;
+const DEFAULT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+// The backup cleanup task always ran in this timezone before it could be configured
+const LEGACY_TIMEZONE = 'Asia/Shanghai';
+
+/**
+ * @typedef {Object} ScheduledTaskOption
+ * @property {string} name - Key in the task options
+ * @property {string} label - Label shown in the admin panel
+ * @property {'number' | 'boolean' | 'text'} type - Value type
+ * @property {number | boolean | string} default - Default value
+ * @property {number} [min] - Minimum value of number options
+ */
+
+/**
+ * @typedef {Object} ScheduledTaskType
+ * @property {string} label - Name shown in the admin panel
+ * @property {string} description - What the task does
+ * @property {string} defaultCron - Cron expression suggested when the task is first enabled
+ * @property {ScheduledTaskOption[]} options - Task-specific settings
+ * @property {(options: Record<string, any>) => Promise<Record<string, any>>} run - Runs the task and returns a summary of the result
+ */
+
+/**
+ * @typedef {Object} ScheduledTaskConfig
+ * @property {boolean} enabled - Whether the task runs on its schedule
+ * @property {string} cronExpression - Cron expression of the schedule
+ * @property {string} timezone - IANA timezone the cron expression is evaluated in
+ * @property {Record<string, any>} options - Task-specific settings
+ */
+
+/**
+ * @typedef {Object} ScheduledTaskRun
+ * @property {number} startedAt - Timestamp of the start
+ * @property {number | null} finishedAt - Timestamp of the end
+ * @property {'schedule' | 'manual'} trigger - What started the run
+ * @property {string} triggeredBy - Handle of the admin who started a manual run
+ * @property {boolean} success - Whether the run completed without errors
+ * @property {Record<string, any> | null} result - Summary returned by the task
+ * @property {string | null} error - Error message of a failed run
+ */
+
+/**
+ * Checks if a timezone name is known to the runtime.
+ * @param {string} timezone IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
 
 class ScheduledTasksManager {
     constructor() {
+        /** @type {Map<string, {task: import('node-cron').ScheduledTask, cronExpression: string, timezone: string, type: string, enabled: boolean}>} */
         this.tasks = new Map();
+        /** @type {Map<string, ScheduledTaskType>} */
+        this.taskTypes = new Map();
+        /** @type {Set<string>} */
+        this.running = new Set();
+        /** @type {Map<string, ScheduledTaskRun[]>} */
+        this.history = new Map();
         this.configPath = path.join(process.cwd(), 'config.yaml');
+        this.registerBuiltInTaskTypes();
         this.loadTasks();
     }
 
-    
+    /**
+     * Adds a task type to the registry, so it can be configured and scheduled.
+     * @param {string} name Task name, used as the key in config.yaml and the API
+     * @param {ScheduledTaskType} definition Task type
+     */
+    registerTaskType(name, definition) {
+        this.taskTypes.set(name, definition);
+    }
+
+    registerBuiltInTaskTypes() {
+        this.registerTaskType('clearAllBackups', {
+            label: 'Backup pruning',
+            description: 'Deletes the backups of all users to free storage. Set an age to only delete older backups.',
+            defaultCron: '0 3 * * *',
+            options: [
+                { name: 'olderThanDays', label: 'Only backups older than (days, 0 = all)', type: 'number', default: 0, min: 0 },
+            ],
+            run: options => this.executeClearAllBackups(options.olderThanDays),
+        });
+
+        this.registerTaskType('deleteInactiveUsers', {
+            label: 'Inactive user deletion',
+            description: 'Deletes users that have not been active for a while, and emails them if they have an address. Admins are never deleted.',
+            defaultCron: '0 4 * * 0',
+            options: [
+                { name: 'inactiveDays', label: 'Inactive for (days)', type: 'number', default: 60, min: 7 },
+                { name: 'maxStorageMiB', label: 'Only users using at most (MiB, 0 = any)', type: 'number', default: 0, min: 0 },
+                { name: 'siteUrl', label: 'Site address in the email', type: 'text', default: '' },
+            ],
+            run: options => this.executeDeleteInactiveUsers(options),
+        });
+
+        this.registerTaskType('expiryReminders', {
+            label: 'Expiry reminders',
+            description: 'Emails users whose subscription is about to expire, at the days set in accountExpiry.reminderDays.',
+            defaultCron: '0 9 * * *',
+            options: [],
+            run: () => this.executeExpiryReminders(),
+        });
+
+        this.registerTaskType('recomputeStats', {
+            label: 'Stats recompute',
+            description: 'Rebuilds the chat statistics of all users from their chat files.',
+            defaultCron: '0 5 * * 0',
+            options: [],
+            run: () => this.executeRecomputeStats(),
+        });
+
+        this.registerTaskType('cleanupInvitationCodes', {
+            label: 'Invitation cleanup',
+            description: 'Deletes invitation codes that have been fully redeemed.',
+            defaultCron: '30 3 * * *',
+            options: [
+                { name: 'retentionDays', label: 'Keep used codes for (days)', type: 'number', default: 30, min: 0 },
+            ],
+            run: async options => ({ deleted: await cleanupExpiredInvitationCodes(options.retentionDays) }),
+        });
+
+        this.registerTaskType('forumDigests', {
+            label: 'Forum email digests',
+            description: 'Emails unread forum notifications to users who enabled daily or weekly digests in their notification settings.',
+            defaultCron: '0 8 * * *',
+            options: [
+                { name: 'siteUrl', label: 'Site address in the email', type: 'text', default: '' },
+            ],
+            run: options => sendNotificationDigests(options.siteUrl),
+        });
+
+        this.registerTaskType('dataMaidSweep', {
+            label: 'Data maid sweep',
+            description: 'Deletes files of all users that Data Maid reports as unused. Loose chats are never deleted.',
+            defaultCron: '0 6 * * 0',
+            options: [
+                { name: 'thumbnails', label: 'Unused thumbnails', type: 'boolean', default: true },
+                { name: 'backups', label: 'Chat and settings backups', type: 'boolean', default: false },
+                { name: 'looseFiles', label: 'Unreferenced images and files', type: 'boolean', default: false },
+            ],
+            run: options => this.executeDataMaidSweep(options),
+        });
+
+        this.registerTaskType('accountSnapshots', {
+            label: 'Account snapshots',
+            description: 'Takes an incremental snapshot of the data of every enabled user and deletes old snapshots as set in backups.snapshots. Users can restore their data from these snapshots.',
+            defaultCron: '0 2 * * *',
+            options: [],
+            run: () => this.executeAccountSnapshots(),
+        });
+    }
+
     loadTasks() {
         try {
             if (!fs.existsSync(this.configPath)) {
@@ -20,14 +183,11 @@ class ScheduledTasksManager {
                 return;
             }
 
-            const configContent = fs.readFileSync(this.configPath, 'utf8');
-            const config = yaml.parse(configContent);
-
-            if (config.scheduledTasks && config.scheduledTasks.clearAllBackups) {
-                const taskConfig = config.scheduledTasks.clearAllBackups;
+            for (const taskName of this.taskTypes.keys()) {
+                const taskConfig = this.getTaskConfig(taskName);
                 if (taskConfig.enabled && taskConfig.cronExpression) {
-                    this.startClearAllBackupsTask(taskConfig.cronExpression);
-                    console.log(`Loaded scheduled backup cleanup task: ${taskConfig.cronExpression}`);
+                    this.startTask(taskName, taskConfig);
+                    console.log(`Loaded scheduled task ${taskName}: ${taskConfig.cronExpression} (${taskConfig.timezone})`);
                 }
             }
         } catch (error) {
@@ -35,78 +195,331 @@ class ScheduledTasksManager {
         }
     }
 
-    
-    startClearAllBackupsTask(cronExpression) {
+    /**
+     * Schedules a task, replacing its previous schedule.
+     * @param {string} taskName Task name
+     * @param {ScheduledTaskConfig} taskConfig Task configuration
+     * @returns {boolean} Whether the task was scheduled
+     */
+    startTask(taskName, taskConfig) {
         try {
-            if (!cron.validate(cronExpression)) {
-                console.error('Invalid cron expression:', cronExpression);
+            if (!this.taskTypes.has(taskName)) {
+                console.error('Unknown scheduled task:', taskName);
+                return false;
+            }
+
+            if (!cron.validate(taskConfig.cronExpression)) {
+                console.error('Invalid cron expression:', taskConfig.cronExpression);
                 return false;
             }
 
-            if (this.tasks.has('clearAllBackups')) {
-                this.stopTask('clearAllBackups');
+            if (!isValidTimezone(taskConfig.timezone)) {
+                console.error('Invalid timezone:', taskConfig.timezone);
+                return false;
             }
 
-            const task = cron.schedule(cronExpression, async () => {
-                console.log(`[Scheduled task] Starting cleanup of all user backups - ${new Date().toLocaleString()}`);
-                await this.executeClearAllBackups();
+            if (this.tasks.has(taskName)) {
+                this.stopTask(taskName);
+            }
+
+            const task = cron.schedule(taskConfig.cronExpression, async () => {
+                console.log(`[Scheduled task] Starting ${taskName} - ${new Date().toLocaleString()}`);
+                await this.runTask(taskName, 'schedule');
             }, {
-                timezone: 'Asia/Shanghai',
+                name: taskName,
+                timezone: taskConfig.timezone,
+                noOverlap: true,
             });
 
-            this.tasks.set('clearAllBackups', {
+            this.tasks.set(taskName, {
                 task: task,
-                cronExpression: cronExpression,
-                type: 'clearAllBackups',
+                cronExpression: taskConfig.cronExpression,
+                timezone: taskConfig.timezone,
+                type: taskName,
                 enabled: true,
             });
 
-            console.log(`Scheduled backup cleanup task started: ${cronExpression}`);
+            console.log(`Scheduled task ${taskName} started: ${taskConfig.cronExpression} (${taskConfig.timezone})`);
             return true;
         } catch (error) {
-            console.error('Failed to start scheduled backup cleanup task:', error);
+            console.error(`Failed to start scheduled task ${taskName}:`, error);
             return false;
         }
     }
 
-    
-    async executeClearAllBackups() {
+    /**
+     * Runs a task now and records the run in its history. A task that is already running is not started twice.
+     * @param {string} taskName Task name
+     * @param {'schedule' | 'manual'} trigger What started the run
+     * @param {string} [triggeredBy] Handle of the admin who started a manual run
+     * @returns {Promise<ScheduledTaskRun | null>} The finished run, or null if the task was already running
+     */
+    async runTask(taskName, trigger, triggeredBy = '') {
+        const taskType = this.taskTypes.get(taskName);
+        if (!taskType) {
+            throw new Error(`Unknown scheduled task: ${taskName}`);
+        }
+
+        if (this.running.has(taskName)) {
+            console.warn(`[Scheduled task] ${taskName} is already running, skipping`);
+            return null;
+        }
+
+        this.running.add(taskName);
+
+        /** @type {ScheduledTaskRun} */
+        const run = {
+            startedAt: Date.now(),
+            finishedAt: null,
+            trigger,
+            triggeredBy,
+            success: false,
+            result: null,
+            error: null,
+        };
+
+        try {
+            run.result = await taskType.run(this.getTaskConfig(taskName).options);
+            run.success = true;
+        } catch (error) {
+            console.error(`[Scheduled task] ${taskName} failed:`, error);
+            run.error = error instanceof Error ? error.message : String(error);
+        } finally {
+            run.finishedAt = Date.now();
+            this.running.delete(taskName);
+        }
+
         try {
-            const userHandles = await getAllUserHandles();
-            let totalDeletedSize = 0;
-            let totalDeletedFiles = 0;
-
-            for (const handle of userHandles) {
-                try {
-                    const directories = getUserDirectories(handle);
-                    let userDeletedSize = 0;
-                    let userDeletedFiles = 0;
-
-                    if (fs.existsSync(directories.backups)) {
-                        const backupsSize = await this.calculateDirectorySize(directories.backups);
-                        userDeletedSize += backupsSize;
-                        const files = await fs.promises.readdir(directories.backups);
-                        userDeletedFiles += files.length;
-                        await fs.promises.rm(directories.backups, { recursive: true, force: true });
-                        await fs.promises.mkdir(directories.backups, { recursive: true });
+            const history = await this.getTaskHistory(taskName);
+            const updated = [run, ...history].slice(0, MAX_HISTORY_ENTRIES);
+            this.history.set(taskName, updated);
+            await storage.setItem(`${HISTORY_PREFIX}${taskName}`, updated);
+        } catch (error) {
+            console.error(`[Scheduled task] Failed to save the history of ${taskName}:`, error);
+        }
+
+        return run;
+    }
+
+    /**
+     * Checks if a task is running right now.
+     * @param {string} taskName Task name
+     * @returns {boolean}
+     */
+    isTaskRunning(taskName) {
+        return this.running.has(taskName);
+    }
+
+    /**
+     * Gets the recent runs of a task, most recent first.
+     * @param {string} taskName Task name
+     * @returns {Promise<ScheduledTaskRun[]>}
+     */
+    async getTaskHistory(taskName) {
+        if (this.history.has(taskName)) {
+            return this.history.get(taskName);
+        }
+
+        const stored = await storage.getItem(`${HISTORY_PREFIX}${taskName}`);
+        const history = Array.isArray(stored) ? stored : [];
+        this.history.set(taskName, history);
+        return history;
+    }
+
+    async executeClearAllBackups(olderThanDays = 0) {
+        const userHandles = await getAllUserHandles();
+        const cutoff = olderThanDays > 0 ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+        let totalDeletedSize = 0;
+        let totalDeletedFiles = 0;
+
+        for (const handle of userHandles) {
+            try {
+                const directories = getUserDirectories(handle);
+                let userDeletedSize = 0;
+                let userDeletedFiles = 0;
+
+                if (fs.existsSync(directories.backups) && cutoff === null) {
+                    const backupsSize = await this.calculateDirectorySize(directories.backups);
+                    userDeletedSize += backupsSize;
+                    const files = await fs.promises.readdir(directories.backups);
+                    userDeletedFiles += files.length;
+                    await fs.promises.rm(directories.backups, { recursive: true, force: true });
+                    await fs.promises.mkdir(directories.backups, { recursive: true });
+                } else if (fs.existsSync(directories.backups)) {
+                    const entries = await fs.promises.readdir(directories.backups, { withFileTypes: true });
+                    for (const entry of entries) {
+                        const fullPath = path.join(directories.backups, entry.name);
+                        const stats = await fs.promises.stat(fullPath);
+                        if (stats.mtimeMs >= cutoff) {
+                            continue;
+                        }
+                        userDeletedSize += entry.isDirectory() ? await this.calculateDirectorySize(fullPath) : stats.size;
+                        userDeletedFiles++;
+                        await fs.promises.rm(fullPath, { recursive: true, force: true });
                     }
+                }
+
+                totalDeletedSize += userDeletedSize;
+                totalDeletedFiles += userDeletedFiles;
+
+                console.info(`[Scheduled task] Cleared backups for user ${handle}: ${userDeletedFiles} files, ${(userDeletedSize / 1024 / 1024).toFixed(2)} MB`);
+            } catch (error) {
+                console.error(`[Scheduled task] Failed to clear backups for user ${handle}:`, error);
+            }
+        }
+
+        console.log(`[Scheduled task] Cleanup complete: cleared backups for ${userHandles.length} users, ${totalDeletedFiles} files, freed ${(totalDeletedSize / 1024 / 1024).toFixed(2)} MB`);
+        recordAuditEvent(null, 'backups.clear-all', '', { users: userHandles.length, deletedFiles: totalDeletedFiles, deletedSize: totalDeletedSize, olderThanDays });
+        return { users: userHandles.length, deletedFiles: totalDeletedFiles, deletedSize: totalDeletedSize };
+    }
+
+    async executeDeleteInactiveUsers(options) {
+        const maxStorageMiB = options.maxStorageMiB > 0 ? options.maxStorageMiB : null;
+        const { results, totalDeletedSize } = await deleteInactiveUsers({
+            inactiveDays: options.inactiveDays,
+            maxStorageMiB,
+            siteUrl: options.siteUrl,
+        });
+
+        const deleted = results.filter(r => r.success).map(r => r.handle);
+        const failed = results.filter(r => !r.success).map(r => r.handle);
+        console.log(`[Scheduled task] Inactive user deletion complete: ${deleted.length} deleted, ${failed.length} failed`);
+        if (results.length > 0) {
+            recordAuditEvent(null, 'user.delete-inactive', '', { inactiveDays: options.inactiveDays, maxStorageMiB, deleted, failed, deletedSize: totalDeletedSize });
+        }
+        return { deleted: deleted.length, failed: failed.length, deletedSize: totalDeletedSize };
+    }
+
+    async executeExpiryReminders() {
+        if (!isEmailServiceAvailable()) {
+            throw new Error('Email service is not available');
+        }
+
+        const userHandles = await getAllUserHandles();
+        const renewLink = await getPurchaseLink();
+        const gracePeriodDays = Math.floor(getGracePeriodMs() / (24 * 60 * 60 * 1000));
+        let sentCount = 0;
+
+        for (const handle of userHandles) {
+            try {
+                /** @type {import('./users.js').User} */
+                const user = await storage.getItem(toKey(handle));
+                if (!user || !user.enabled) {
+                    continue;
+                }
 
-                    totalDeletedSize += userDeletedSize;
-                    totalDeletedFiles += userDeletedFiles;
+                const reminder = getDueExpiryReminder(user);
+                if (!reminder) {
+                    continue;
+                }
 
-                    console.info(`[Scheduled task] Cleared backups for user ${handle}: ${userDeletedFiles} files, ${(userDeletedSize / 1024 / 1024).toFixed(2)} MB`);
-                } catch (error) {
-                    console.error(`[Scheduled task] Failed to clear backups for user ${handle}:`, error);
+                const sent = await sendExpiryReminder(user.email, user.name || handle, user.expiresAt, reminder.daysLeft, renewLink, gracePeriodDays, user.locale);
+                if (sent) {
+                    markExpiryReminderSent(user, reminder.threshold);
+                    await storage.setItem(toKey(handle), user);
+                    sentCount++;
+                    console.info(`[Scheduled task] Sent expiry reminder to ${handle}: ${reminder.daysLeft} days left`);
                 }
+            } catch (error) {
+                console.error(`[Scheduled task] Failed to send expiry reminder to ${handle}:`, error);
             }
+        }
 
-            console.log(`[Scheduled task] Cleanup complete: cleared backups for ${userHandles.length} users, ${totalDeletedFiles} files, freed ${(totalDeletedSize / 1024 / 1024).toFixed(2)} MB`);
-        } catch (error) {
-            console.error('[Scheduled task] Failed to clean all backup files:', error);
+        console.log(`[Scheduled task] Expiry reminders complete: ${sentCount} emails sent`);
+        if (sentCount > 0) {
+            recordAuditEvent(null, 'users.expiry-reminders', '', { sent: sentCount });
+        }
+        return { sent: sentCount };
+    }
+
+    async executeRecomputeStats() {
+        const userHandles = await getAllUserHandles();
+        let failed = 0;
+
+        for (const handle of userHandles) {
+            try {
+                const directories = getUserDirectories(handle);
+                await recreateStats(handle, directories.chats, directories.characters);
+            } catch (error) {
+                failed++;
+                console.error(`[Scheduled task] Failed to recompute stats for user ${handle}:`, error);
+            }
+        }
+
+        console.log(`[Scheduled task] Stats recompute complete: ${userHandles.length - failed} users`);
+        return { users: userHandles.length - failed, failed };
+    }
+
+    async executeDataMaidSweep(options) {
+        /** @type {(keyof import('./endpoints/data-maid.js').DataMaidRawReport)[]} */
+        const categories = [];
+        if (options.thumbnails) {
+            categories.push('avatarThumbnails', 'backgroundThumbnails', 'personaThumbnails');
+        }
+        if (options.backups) {
+            categories.push('chatBackups', 'settingsBackups');
+        }
+        if (options.looseFiles) {
+            categories.push('images', 'files');
+        }
+
+        const userHandles = await getAllUserHandles();
+        let totalDeletedSize = 0;
+        let totalDeletedFiles = 0;
+
+        for (const handle of userHandles) {
+            try {
+                const directories = getUserDirectories(handle);
+                const report = await new DataMaidService(handle, directories).generateReport();
+
+                for (const filePath of categories.flatMap(category => report[category])) {
+                    if (!isPathUnderParent(directories.root, filePath) || !fs.existsSync(filePath)) {
+                        continue;
+                    }
+                    const stats = await fs.promises.stat(filePath);
+                    await fs.promises.rm(filePath, { force: true });
+                    totalDeletedSize += stats.size;
+                    totalDeletedFiles++;
+                }
+            } catch (error) {
+                console.error(`[Scheduled task] Data maid sweep failed for user ${handle}:`, error);
+            }
+        }
+
+        console.log(`[Scheduled task] Data maid sweep complete: ${totalDeletedFiles} files, freed ${(totalDeletedSize / 1024 / 1024).toFixed(2)} MB`);
+        return { users: userHandles.length, deletedFiles: totalDeletedFiles, deletedSize: totalDeletedSize };
+    }
+
+    async executeAccountSnapshots() {
+        const userHandles = await getAllUserHandles();
+        let created = 0;
+        let deleted = 0;
+        let freedSize = 0;
+        let failed = 0;
+
+        for (const handle of userHandles) {
+            try {
+                /** @type {import('./users.js').User} */
+                const user = await storage.getItem(toKey(handle));
+                if (!user || !user.enabled || isAccountSnapshotBusy(handle)) {
+                    continue;
+                }
+
+                const result = await createAccountSnapshot(handle, 'schedule');
+                const pruned = await pruneAccountSnapshots(handle);
+                created += result.created ? 1 : 0;
+                deleted += pruned.deleted;
+                freedSize += pruned.freed;
+            } catch (error) {
+                failed++;
+                console.error(`[Scheduled task] Failed to take an account snapshot of ${handle}:`, error);
+            }
         }
+
+        console.log(`[Scheduled task] Account snapshots complete: ${created} created, ${deleted} pruned, freed ${(freedSize / 1024 / 1024).toFixed(2)} MB`);
+        return { created, deleted, freedSize, failed };
     }
 
-    
     async calculateDirectorySize(dirPath) {
         let totalSize = 0;
 
@@ -134,39 +547,37 @@ class ScheduledTasksManager {
         return totalSize;
     }
 
-    
     stopTask(taskName) {
         const taskInfo = this.tasks.get(taskName);
         if (taskInfo && taskInfo.task) {
-            taskInfo.task.stop();
+            taskInfo.task.destroy();
             this.tasks.delete(taskName);
             console.log(`Scheduled task stopped: ${taskName}`);
         }
     }
 
-    
     stopAllTasks() {
         for (const [taskName] of this.tasks) {
             this.stopTask(taskName);
         }
     }
 
-    
     getTaskStatus(taskName) {
         const taskInfo = this.tasks.get(taskName);
         if (!taskInfo) {
             return null;
         }
 
+        const nextRun = taskInfo.task.getNextRun();
         return {
             enabled: taskInfo.enabled,
             cronExpression: taskInfo.cronExpression,
+            timezone: taskInfo.timezone,
             type: taskInfo.type,
-            running: taskInfo.task && taskInfo.task.running !== undefined ? taskInfo.task.running : true,
+            nextRun: nextRun ? nextRun.getTime() : null,
         };
     }
 
-    
     getAllTasksStatus() {
         const status = {};
         for (const [taskName] of this.tasks) {
@@ -175,8 +586,74 @@ class ScheduledTasksManager {
         return status;
     }
 
-    
-    saveTaskConfig(taskConfig) {
+    /**
+     * Lists all registered tasks with their configuration, schedule and last run.
+     * @returns {Promise<object[]>}
+     */
+    async getTaskList() {
+        const list = [];
+        for (const [name, taskType] of this.taskTypes) {
+            const history = await this.getTaskHistory(name);
+            list.push({
+                name,
+                label: taskType.label,
+                description: taskType.description,
+                defaultCron: taskType.defaultCron,
+                optionFields: taskType.options,
+                config: this.getTaskConfig(name),
+                status: this.getTaskStatus(name),
+                running: this.isTaskRunning(name),
+                lastRun: history[0] || null,
+            });
+        }
+        return list;
+    }
+
+    /**
+     * Fills in missing values of a task configuration and coerces the options to their declared types.
+     * @param {string} taskName Task name
+     * @param {Partial<ScheduledTaskConfig>} [taskConfig] Stored or submitted configuration
+     * @returns {ScheduledTaskConfig}
+     */
+    normalizeTaskConfig(taskName, taskConfig = {}) {
+        const taskType = this.taskTypes.get(taskName);
+        const legacyTimezone = taskName === 'clearAllBackups' && taskConfig.cronExpression ? LEGACY_TIMEZONE : DEFAULT_TIMEZONE;
+        const rawOptions = taskConfig.options && typeof taskConfig.options === 'object' ? taskConfig.options : {};
+        const options = {};
+
+        for (const option of taskType?.options ?? []) {
+            const value = rawOptions[option.name];
+            switch (option.type) {
+                case 'number': {
+                    const number = Number(value);
+                    options[option.name] = value === undefined || value === '' || !Number.isFinite(number)
+                        ? option.default
+                        : Math.max(option.min ?? -Infinity, number);
+                    break;
+                }
+                case 'boolean':
+                    options[option.name] = value === undefined ? option.default : value === true || value === 'true';
+                    break;
+                default:
+                    options[option.name] = value === undefined ? option.default : String(value).trim().slice(0, 500);
+            }
+        }
+
+        return {
+            enabled: !!taskConfig.enabled,
+            cronExpression: String(taskConfig.cronExpression || '').trim(),
+            timezone: String(taskConfig.timezone || '').trim() || legacyTimezone,
+            options,
+        };
+    }
+
+    /**
+     * Saves the configuration of a task to config.yaml.
+     * @param {ScheduledTaskConfig} taskConfig Normalized task configuration
+     * @param {string} taskName Task name
+     * @returns {boolean} Whether the configuration was saved
+     */
+    saveTaskConfig(taskConfig, taskName) {
         try {
             let config = {};
 
@@ -189,9 +666,11 @@ class ScheduledTasksManager {
                 config.scheduledTasks = {};
             }
 
-            config.scheduledTasks.clearAllBackups = {
-                enabled: taskConfig.enabled || false,
-                cronExpression: taskConfig.cronExpression || '',
+            config.scheduledTasks[taskName] = {
+                enabled: taskConfig.enabled,
+                cronExpression: taskConfig.cronExpression,
+                timezone: taskConfig.timezone,
+                options: taskConfig.options,
             };
 
             const newConfigContent = yaml.stringify(config);
@@ -205,25 +684,26 @@ class ScheduledTasksManager {
         }
     }
 
-    
-    getTaskConfig() {
+    /**
+     * Reads the configuration of a task from config.yaml.
+     * @param {string} taskName Task name
+     * @returns {ScheduledTaskConfig}
+     */
+    getTaskConfig(taskName) {
         try {
-            if (!fs.existsSync(this.configPath)) {
-                return null;
-            }
-
-            const configContent = fs.readFileSync(this.configPath, 'utf8');
-            const config = yaml.parse(configContent);
+            if (fs.existsSync(this.configPath)) {
+                const configContent = fs.readFileSync(this.configPath, 'utf8');
+                const config = yaml.parse(configContent);
 
-            if (config.scheduledTasks && config.scheduledTasks.clearAllBackups) {
-                return config.scheduledTasks.clearAllBackups;
+                if (config.scheduledTasks && config.scheduledTasks[taskName]) {
+                    return this.normalizeTaskConfig(taskName, config.scheduledTasks[taskName]);
+                }
             }
-
-            return null;
         } catch (error) {
             console.error('Failed to read scheduled task configuration:', error);
-            return null;
         }
+
+        return this.normalizeTaskConfig(taskName);
     }
 }
 
@@ -242,4 +722,4 @@ process.on('SIGTERM', () => {
 });
 
 export default scheduledTasksManager;
-export { ScheduledTasksManager };
+export { ScheduledTasksManager, isValidTimezone };
@@ -0,0 +1,343 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+import { color, getConfigValue, isPathUnderParent } from './util.js';
+
+const ENCRYPTION_FORMAT = 'st-aes-256-gcm-v1';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+export const PREVIOUS_KEY_SUFFIX = '.previous';
+const DEFAULT_MASTER_KEY_PATH = './secrets-master.key';
+
+/**
+ * @typedef {Object} EncryptedPayload
+ * @property {string} format - Encryption format marker
+ * @property {string} kid - Identifier of the master key used for encryption
+ * @property {string} iv - Base64-encoded initialization vector
+ * @property {string} tag - Base64-encoded authentication tag
+ * @property {string} data - Base64-encoded ciphertext
+ */
+
+/**
+ * Loaded master keys, the first one is used for encryption.
+ * @type {{kid: string, key: Buffer}[] | null}
+ */
+let masterKeys = null;
+
+/**
+ * Checks if secrets should be encrypted when written.
+ * @returns {boolean}
+ */
+export function isSecretsEncryptionEnabled() {
+    return !!getConfigValue('secretsEncryption.enabled', false, 'boolean');
+}
+
+/**
+ * Gets the path of the master key file. Relative paths are resolved from the working directory.
+ * @returns {string}
+ */
+export function getMasterKeyPath() {
+    const configuredPath = String(getConfigValue('secretsEncryption.masterKeyPath', '') || '').trim();
+    return path.resolve(configuredPath || DEFAULT_MASTER_KEY_PATH);
+}
+
+/**
+ * Checks that the master key file is kept apart from the secrets it protects. A key inside the data root would be
+ * copied along with the encrypted files by anyone who gets hold of the data directory or its backups.
+ * @param {string} [dataRoot] Data root directory
+ * @returns {string | null} Error message or null if the key location is safe
+ */
+export function getMasterKeyLocationError(dataRoot = globalThis.DATA_ROOT) {
+    if (getConfigMasterKey()) {
+        return null;
+    }
+
+    const keyPath = getMasterKeyPath();
+    if (isPathUnderParent(path.resolve(dataRoot), keyPath)) {
+        return `Secrets master key must not be stored in the data root: ${keyPath}. Move it elsewhere and point "secretsEncryption.masterKeyPath" to it.`;
+    }
+
+    return null;
+}
+
+/**
+ * Gets the master key set directly in the config, if any.
+ * @returns {string}
+ */
+export function getConfigMasterKey() {
+    return String(getConfigValue('secretsEncryption.masterKey', '') || '');
+}
+
+/**
+ * Computes the identifier of a master key.
+ * @param {Buffer} key Master key
+ * @returns {string}
+ */
+function getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Parses a master key from its text representation (base64 or hex of 32 bytes).
+ * @param {string} text Key text
+ * @returns {Buffer | null}
+ */
+export function parseMasterKey(text) {
+    const value = String(text || '').trim();
+    if (!value) {
+        return null;
+    }
+
+    const hex = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : null;
+    const key = hex ?? Buffer.from(value, 'base64');
+    return key.length === KEY_LENGTH ? key : null;
+}
+
+/**
+ * Generates a new random master key.
+ * @returns {string} Base64-encoded key
+ */
+export function generateMasterKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+/**
+ * Writes a master key file readable only by the owner.
+ * @param {string} filePath Key file path
+ * @param {string} keyText Base64-encoded key
+ */
+export function writeMasterKeyFile(filePath, keyText) {
+    writeFileAtomicSync(filePath, keyText, { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Reads the current master key from the config or key file.
+ * @returns {Buffer | null} The key, or null if none is set
+ */
+function readCurrentMasterKey() {
+    const inlineKey = parseMasterKey(getConfigMasterKey());
+    if (inlineKey) {
+        return inlineKey;
+    }
+
+    const keyPath = getMasterKeyPath();
+    if (!fs.existsSync(keyPath)) {
+        return null;
+    }
+
+    const fileKey = parseMasterKey(fs.readFileSync(keyPath, 'utf8'));
+    if (!fileKey) {
+        throw new Error(`Secrets master key file is invalid: ${keyPath}`);
+    }
+    return fileKey;
+}
+
+/**
+ * Loads the master keys: the current key from the config or key file, and the previous key left by a rotation.
+ * @returns {{kid: string, key: Buffer}[]}
+ */
+function loadMasterKeys() {
+    if (masterKeys) {
+        return masterKeys;
+    }
+
+    const keys = [];
+    const currentKey = readCurrentMasterKey();
+    if (currentKey) {
+        keys.push(currentKey);
+    }
+
+    const previousKeyPath = `${getMasterKeyPath()}${PREVIOUS_KEY_SUFFIX}`;
+    if (fs.existsSync(previousKeyPath)) {
+        const previousKey = parseMasterKey(fs.readFileSync(previousKeyPath, 'utf8'));
+        if (previousKey) {
+            keys.push(previousKey);
+        }
+    }
+
+    masterKeys = keys.map(key => ({ kid: getKeyId(key), key }));
+    return masterKeys;
+}
+
+/**
+ * Makes sure that a master key exists before the secrets files are migrated. A new key file is generated if encryption
+ * is enabled and no key exists yet, but only while no secrets file is encrypted: a missing key then means that the key
+ * file was lost or moved, and a new key would leave these files unreadable.
+ * @param {string[]} filePaths Paths of the secrets files
+ * @throws {Error} If the key file is in the data root, or encrypted secrets files exist and the master key is missing
+ */
+export function ensureMasterKey(filePaths) {
+    const locationError = getMasterKeyLocationError();
+    if (locationError) {
+        throw new Error(locationError);
+    }
+
+    if (readCurrentMasterKey()) {
+        return;
+    }
+
+    const keyPath = getMasterKeyPath();
+    const encryptedFiles = filePaths.filter(isEncryptedSecretsFile);
+    if (encryptedFiles.length > 0) {
+        throw new Error(`Secrets master key is missing: ${keyPath}. ${encryptedFiles.length} secrets file(s) are encrypted with it. Restore the key file or point "secretsEncryption.masterKeyPath" to it.`);
+    }
+
+    if (!isSecretsEncryptionEnabled()) {
+        return;
+    }
+
+    console.warn(color.yellow('Secrets master key is missing. Generating a new one at:'), keyPath);
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    writeMasterKeyFile(keyPath, generateMasterKey());
+    masterKeys = null;
+}
+
+/**
+ * Overrides the loaded master keys. Used by the key rotation tool.
+ * @param {Buffer[]} keys Master keys, the first one is used for encryption
+ */
+export function setMasterKeys(keys) {
+    masterKeys = keys.map(key => ({ kid: getKeyId(key), key }));
+}
+
+/**
+ * Checks if the parsed file contents are an encrypted payload.
+ * @param {any} value Parsed JSON value
+ * @returns {value is EncryptedPayload}
+ */
+export function isEncryptedPayload(value) {
+    return !!value && typeof value === 'object' && value.format === ENCRYPTION_FORMAT && typeof value.data === 'string';
+}
+
+/**
+ * Checks if a secrets file is encrypted.
+ * @param {string} filePath File path
+ * @returns {boolean}
+ */
+function isEncryptedSecretsFile(filePath) {
+    try {
+        return fs.existsSync(filePath) && isEncryptedPayload(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Encrypts a string with the current master key.
+ * @param {string} plaintext Text to encrypt
+ * @returns {EncryptedPayload}
+ */
+export function encryptText(plaintext) {
+    const [current] = loadMasterKeys();
+    if (!current) {
+        throw new Error('Secrets master key is not available');
+    }
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+        format: ENCRYPTION_FORMAT,
+        kid: current.kid,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+/**
+ * Decrypts a payload with the matching master key.
+ * @param {EncryptedPayload} payload Encrypted payload
+ * @returns {string} Decrypted text
+ */
+export function decryptText(payload) {
+    const entry = loadMasterKeys().find(x => x.kid === payload.kid);
+    if (!entry) {
+        throw new Error(`Secrets master key ${payload.kid} is not available`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Parses the contents of a secrets file, decrypting it if needed.
+ * @param {string} contents File contents
+ * @returns {any} Parsed secrets
+ */
+export function decodeSecretsFile(contents) {
+    const parsed = JSON.parse(contents);
+    return isEncryptedPayload(parsed) ? JSON.parse(decryptText(parsed)) : parsed;
+}
+
+/**
+ * Serializes secrets for writing, encrypting them if encryption is enabled.
+ * @param {any} secrets Secrets object
+ * @returns {string} File contents
+ */
+export function encodeSecretsFile(secrets) {
+    const json = JSON.stringify(secrets, null, 4);
+    return isSecretsEncryptionEnabled() ? JSON.stringify(encryptText(json), null, 4) : json;
+}
+
+/**
+ * Reads and decodes a secrets file.
+ * @param {string} filePath File path
+ * @returns {any} Parsed secrets
+ */
+export function readSecretsFile(filePath) {
+    return decodeSecretsFile(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Encodes and writes a secrets file atomically.
+ * @param {string} filePath File path
+ * @param {any} secrets Secrets object
+ */
+export function writeSecretsFile(filePath, secrets) {
+    writeFileAtomicSync(filePath, encodeSecretsFile(secrets), 'utf-8');
+}
+
+/**
+ * Re-writes secrets files so that they match the encryption setting: plaintext files are encrypted
+ * (or encrypted files decrypted, if encryption was turned off), and files encrypted with a previous key are re-encrypted.
+ * @param {string[]} filePaths Paths of the secrets files
+ * @returns {number} Number of migrated files
+ */
+export function migrateSecretsFiles(filePaths) {
+    const encrypt = isSecretsEncryptionEnabled();
+    let migrated = 0;
+
+    for (const filePath of filePaths) {
+        try {
+            if (!fs.existsSync(filePath)) {
+                continue;
+            }
+
+            const contents = fs.readFileSync(filePath, 'utf-8');
+            const parsed = JSON.parse(contents);
+            const isEncrypted = isEncryptedPayload(parsed);
+            const isCurrent = isEncrypted && parsed.kid === loadMasterKeys()[0]?.kid;
+
+            if ((encrypt && isCurrent) || (!encrypt && !isEncrypted)) {
+                continue;
+            }
+
+            writeSecretsFile(filePath, decodeSecretsFile(contents));
+            migrated++;
+        } catch (error) {
+            console.warn(color.red(`Failed to migrate secrets file ${filePath}:`), error.message);
+        }
+    }
+
+    if (migrated > 0) {
+        console.info(color.green(`${encrypt ? 'Encrypted' : 'Decrypted'} ${migrated} secrets file(s).`));
+    }
+
+    return migrated;
+}
@@ -68,8 +68,9 @@ import { checkForNewContent } from './endpoints/content-manager.js';
 import { init as settingsInit } from './endpoints/settings.js';
 import { redirectDeprecatedEndpoints, ServerStartup, setupPrivateEndpoints } from './server-startup.js';
 import { diskCache } from './endpoints/characters.js';
-import { migrateFlatSecrets } from './endpoints/secrets.js';
+import { migrateFlatSecrets, migrateSecretsEncryption } from './endpoints/secrets.js';
 import { migrateGroupChatsMetadataFormat } from './endpoints/groups.js';
+import { migrateRegistrationInvitations } from './invitation-codes.js';
 
 // Work around a node v20.0.0, v20.1.0, and v20.2.0 bug. The issue was fixed in v20.3.0.
 // https://github.com/nodejs/node/issues/47822#issuecomment-1564708870
@@ -295,23 +296,10 @@ const emailStatusModule = await import('./endpoints/email-status.js');
 app.use('/api/email', emailStatusModule.router);
 
 // Public login page announcements (no auth)
-app.get('/api/announcements/login/current', async (req, res) => {
+const { getCurrentLoginAnnouncements } = await import('./endpoints/announcements.js');
+app.get('/api/announcements/login/current', (req, res) => {
     try {
-        const fs = await import('node:fs');
-        const announcementsFilePath = path.join(process.cwd(), 'data', 'announcements', 'login_announcements.json');
-
-        if (!fs.default.existsSync(announcementsFilePath)) {
-            return res.json([]);
-        }
-
-        const data = fs.default.readFileSync(announcementsFilePath, 'utf8');
-        const announcements = JSON.parse(data);
-
-        const validAnnouncements = announcements.filter(announcement => {
-            return announcement.enabled;
-        });
-
-        res.json(validAnnouncements);
+        res.json(getCurrentLoginAnnouncements());
     } catch (error) {
         console.error('Error getting current login announcements:', error);
         res.status(500).json({ error: 'Failed to get current login announcements' });
@@ -368,8 +356,10 @@ async function preSetupTasks() {
     await ensureThumbnailCache(directories);
     await diskCache.verify(directories);
     migrateFlatSecrets(directories);
+    migrateSecretsEncryption(directories);
     cleanUploads();
     migrateAccessLog();
+    await migrateRegistrationInvitations();
 
     await settingsInit();
     await statsInit();
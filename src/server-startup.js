@@ -18,12 +18,14 @@ import { router as anthropicRouter } from './endpoints/anthropic.js';
 import { router as tokenizersRouter } from './endpoints/tokenizers.js';
 import { router as presetsRouter } from './endpoints/presets.js';
 import { router as secretsRouter } from './endpoints/secrets.js';
+import { router as pooledSecretsRouter } from './endpoints/pooled-secrets.js';
 import { router as thumbnailRouter } from './endpoints/thumbnails.js';
 import { router as novelAiRouter } from './endpoints/novelai.js';
 import { router as extensionsRouter } from './endpoints/extensions.js';
 import { router as assetsRouter } from './endpoints/assets.js';
 import { router as filesRouter } from './endpoints/files.js';
 import { router as charactersRouter } from './endpoints/characters.js';
+import { router as sharedCharactersRouter } from './endpoints/shared-characters.js';
 import { router as chatsRouter } from './endpoints/chats.js';
 import { router as groupsRouter } from './endpoints/groups.js';
 import { router as worldInfoRouter } from './endpoints/worldinfo.js';
@@ -53,6 +55,7 @@ import { router as invitationCodesRouter } from './endpoints/invitation-codes.js
 import { router as systemLoadRouter } from './endpoints/system-load.js';
 import { router as publicCharactersRouter } from './endpoints/public-characters.js';
 import { router as announcementsRouter } from './endpoints/announcements.js';
+import { router as auditLogRouter } from './endpoints/audit-log.js';
 import { router as publicConfigRouter } from './endpoints/public-config.js';
 import { router as emailConfigRouter } from './endpoints/email-config.js';
 import { router as oauthRouter } from './endpoints/oauth.js';
@@ -60,6 +63,8 @@ import { router as oauthConfigRouter } from './endpoints/oauth-config.js';
 import { router as defaultConfigRouter } from './endpoints/default-config.js';
 import { router as scheduledTasksRouter } from './endpoints/scheduled-tasks.js';
 import { getConfigValue } from './util.js';
+import usageQuotaMiddleware from './middleware/usageQuota.js';
+import storageQuotaMiddleware from './middleware/storageQuota.js';
 
 /**
  * @typedef {object} ServerStartupResult
@@ -148,6 +153,23 @@ export function setupPrivateEndpoints(app) {
     app.use('/', userDataRouter);
     app.use('/api/users', usersPrivateRouter);
     app.use('/api/users', usersAdminRouter);
+    app.post([
+        '/api/files/upload',
+        '/api/images/upload',
+        '/api/backgrounds/upload',
+        '/api/avatars/upload',
+        '/api/sprites/upload',
+        '/api/sprites/upload-zip',
+        '/api/characters/create',
+        '/api/characters/import',
+        '/api/characters/duplicate',
+        '/api/chats/import',
+        '/api/chats/group/import',
+        '/api/chats/save-tail',
+        '/api/chats/group/save-tail',
+        '/api/vector/insert',
+    ], storageQuotaMiddleware());
+    app.post(['/api/chats/save', '/api/chats/group/save'], storageQuotaMiddleware({ replacesExisting: true }));
     app.use('/api/moving-ui', movingUIRouter);
     app.use('/api/images', imagesRouter);
     app.use('/api/quick-replies', quickRepliesRouter);
@@ -159,12 +181,14 @@ export function setupPrivateEndpoints(app) {
     app.use('/api/tokenizers', tokenizersRouter);
     app.use('/api/presets', presetsRouter);
     app.use('/api/secrets', secretsRouter);
+    app.use('/api/pooled-secrets', pooledSecretsRouter);
     app.use('/thumbnail', thumbnailRouter);
     app.use('/api/novelai', novelAiRouter);
     app.use('/api/extensions', extensionsRouter);
     app.use('/api/assets', assetsRouter);
     app.use('/api/files', filesRouter);
     app.use('/api/characters', charactersRouter);
+    app.use('/api/shared-characters', sharedCharactersRouter);
     app.use('/api/chats', chatsRouter);
     app.use('/api/groups', groupsRouter);
     app.use('/api/worldinfo', worldInfoRouter);
@@ -180,6 +204,7 @@ export function setupPrivateEndpoints(app) {
     app.use('/api/extra/classify', classifyRouter);
     app.use('/api/extra/caption', captionRouter);
     app.use('/api/search', searchRouter);
+    app.post(['/api/backends/chat-completions/generate', '/api/backends/text-completions/generate'], usageQuotaMiddleware());
     app.use('/api/backends/text-completions', textCompletionsRouter);
     app.use('/api/openrouter', openRouterRouter);
     app.use('/api/backends/kobold', koboldRouter);
@@ -208,6 +233,7 @@ export function setupPrivateEndpoints(app) {
     app.use('/api/announcements', announcementsRouter);
     app.use('/api/public-config', publicConfigRouter);
     app.use('/api/scheduled-tasks', scheduledTasksRouter);
+    app.use('/api/audit-log', auditLogRouter);
 }
 
 /**
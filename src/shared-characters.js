@@ -0,0 +1,455 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+import sanitize from 'sanitize-filename';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+import { PERMISSIONS, hasPermission } from './roles.js';
+import { normalizeHandle } from './users.js';
+
+const SHARED_CHARACTERS_DIR = 'shared_characters';
+const COLLECTIONS_FILE = 'collections.json';
+const USER_STATE_FILE = 'shared-characters.json';
+
+/**
+ * Prefix of the avatar names of shared characters: `shared@<collection id>@<file name>`.
+ * Personal character files never start with it, so the names can't collide.
+ */
+const SHARED_AVATAR_PREFIX = 'shared@';
+const SHARED_AVATAR_PATTERN = /^shared@([0-9a-f-]{36})@(.+\.png)$/;
+
+/**
+ * Access levels from least to most privileged.
+ */
+export const ACCESS_LEVELS = Object.freeze(['read', 'edit', 'owner']);
+
+/**
+ * @typedef {Object} CollectionGrant
+ * @property {'user'|'group'} type - Whether the grant is for a single user or a user group
+ * @property {string} name - User handle or group name
+ * @property {'read'|'edit'} access - Granted access level
+ */
+
+/**
+ * @typedef {Object} SharedCharacterEntry
+ * @property {number} revision - Incremented on every save, used to detect conflicting saves
+ * @property {string} added_by - Handle of the user who added the character
+ * @property {number} added_at - When the character was added
+ * @property {string} updated_by - Handle of the user who saved the character last
+ * @property {number} updated_at - When the character was saved last
+ */
+
+/**
+ * @typedef {Object} SharedCollection
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} description - Description
+ * @property {string} owner - Handle of the user who created the collection
+ * @property {CollectionGrant[]} grants - Users and groups the collection is shared with
+ * @property {Record<string, SharedCharacterEntry>} characters - Character files in the collection
+ * @property {number} created_at - Creation timestamp
+ * @property {number} updated_at - Last change of the collection settings
+ */
+
+/**
+ * Pending saves per shared character, so concurrent saves run one after another.
+ * @type {Map<string, Promise<any>>}
+ */
+const CHARACTER_LOCKS = new Map();
+
+function getSharedCharactersDirectory() {
+    return path.join(globalThis.DATA_ROOT, SHARED_CHARACTERS_DIR);
+}
+
+function getCollectionsPath() {
+    return path.join(getSharedCharactersDirectory(), COLLECTIONS_FILE);
+}
+
+/**
+ * Gets the directory holding the character files of a collection.
+ * @param {string} collectionId Collection ID
+ * @returns {string}
+ */
+export function getCollectionDirectory(collectionId) {
+    return path.join(getSharedCharactersDirectory(), collectionId);
+}
+
+/**
+ * Reads all collections from disk.
+ * @returns {SharedCollection[]}
+ */
+function readCollections() {
+    const filePath = getCollectionsPath();
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(data) ? data : [];
+    } catch (error) {
+        console.error('Failed to read shared character collections:', error);
+        return [];
+    }
+}
+
+/**
+ * Writes all collections to disk.
+ * @param {SharedCollection[]} collections Collections
+ */
+function writeCollections(collections) {
+    fs.mkdirSync(getSharedCharactersDirectory(), { recursive: true });
+    writeFileAtomicSync(getCollectionsPath(), JSON.stringify(collections, null, 4), 'utf8');
+}
+
+/**
+ * Reads, modifies and saves a collection.
+ * @template T
+ * @param {string} collectionId Collection ID
+ * @param {(collection: SharedCollection) => T} update Function that modifies the collection in place
+ * @returns {T | undefined} Result of the update function, undefined if the collection doesn't exist
+ */
+function updateCollection(collectionId, update) {
+    const collections = readCollections();
+    const collection = collections.find(x => x.id === collectionId);
+    if (!collection) {
+        return undefined;
+    }
+
+    const result = update(collection);
+    writeCollections(collections);
+    return result;
+}
+
+/**
+ * Normalizes grants received from a client. Names are normalized like user handles and group names,
+ * so they match however they were typed. The owner can't be granted a lower level.
+ * @param {any} grants Raw grants
+ * @param {string} owner Handle of the collection owner
+ * @returns {CollectionGrant[]}
+ */
+export function sanitizeCollectionGrants(grants, owner) {
+    if (!Array.isArray(grants)) {
+        return [];
+    }
+
+    /** @type {Map<string, CollectionGrant>} */
+    const result = new Map();
+    for (const grant of grants) {
+        const type = grant?.type === 'group' ? 'group' : 'user';
+        const name = normalizeHandle(String(grant?.name ?? ''));
+        if (!name || (type === 'user' && name === owner)) {
+            continue;
+        }
+        result.set(`${type}:${name}`, { type, name, access: grant?.access === 'edit' ? 'edit' : 'read' });
+    }
+    return [...result.values()];
+}
+
+/**
+ * Gets the access level of a user to a collection. Users who can manage characters have owner access to every collection.
+ * @param {SharedCollection} collection Collection
+ * @param {import('./users.js').User} user User
+ * @returns {Promise<'read'|'edit'|'owner'|null>}
+ */
+export async function getCollectionAccess(collection, user) {
+    if (collection.owner === user.handle || await hasPermission(user, PERMISSIONS.CHARACTERS_MANAGE)) {
+        return 'owner';
+    }
+
+    const groups = Array.isArray(user.groups) ? user.groups : [];
+    let access = null;
+    for (const grant of collection.grants || []) {
+        // Grants saved before names were normalized may still differ in case
+        const name = normalizeHandle(grant.name);
+        const matches = grant.type === 'group' ? groups.includes(name) : name === user.handle;
+        if (matches && (!access || grant.access === 'edit')) {
+            access = grant.access;
+        }
+    }
+    return access;
+}
+
+/**
+ * Checks whether an access level includes the required one.
+ * @param {string|null} access Access level of the user
+ * @param {'read'|'edit'|'owner'} required Required access level
+ * @returns {boolean}
+ */
+export function hasCollectionAccess(access, required) {
+    return ACCESS_LEVELS.indexOf(access) >= ACCESS_LEVELS.indexOf(required);
+}
+
+/**
+ * Gets a collection by ID.
+ * @param {string} collectionId Collection ID
+ * @returns {SharedCollection | undefined}
+ */
+export function getCollection(collectionId) {
+    return readCollections().find(x => x.id === collectionId);
+}
+
+/**
+ * Gets the collections a user can access.
+ * @param {import('./users.js').User} user User
+ * @returns {Promise<{collection: SharedCollection, access: 'read'|'edit'|'owner'}[]>}
+ */
+export async function getAccessibleCollections(user) {
+    const result = [];
+    for (const collection of readCollections()) {
+        const access = await getCollectionAccess(collection, user);
+        if (access) {
+            result.push({ collection, access });
+        }
+    }
+    return result;
+}
+
+/**
+ * Creates a collection.
+ * @param {string} owner Handle of the owner
+ * @param {{name: string, description?: string, grants?: any}} data Collection settings
+ * @returns {SharedCollection}
+ */
+export function createCollection(owner, { name, description, grants }) {
+    const now = Date.now();
+    /** @type {SharedCollection} */
+    const collection = {
+        id: crypto.randomUUID(),
+        name: String(name).trim(),
+        description: String(description ?? '').trim(),
+        owner,
+        grants: sanitizeCollectionGrants(grants, owner),
+        characters: {},
+        created_at: now,
+        updated_at: now,
+    };
+
+    const collections = readCollections();
+    collections.push(collection);
+    writeCollections(collections);
+    fs.mkdirSync(getCollectionDirectory(collection.id), { recursive: true });
+    return collection;
+}
+
+/**
+ * Changes the name, description or grants of a collection.
+ * @param {string} collectionId Collection ID
+ * @param {{name?: string, description?: string, grants?: any}} changes Changed settings
+ * @returns {SharedCollection | undefined} Updated collection
+ */
+export function updateCollectionSettings(collectionId, changes) {
+    return updateCollection(collectionId, collection => {
+        if (typeof changes.name === 'string' && changes.name.trim()) {
+            collection.name = changes.name.trim();
+        }
+        if (typeof changes.description === 'string') {
+            collection.description = changes.description.trim();
+        }
+        if (changes.grants !== undefined) {
+            collection.grants = sanitizeCollectionGrants(changes.grants, collection.owner);
+        }
+        collection.updated_at = Date.now();
+        return collection;
+    });
+}
+
+/**
+ * Deletes a collection and its character files.
+ * @param {string} collectionId Collection ID
+ * @returns {boolean} Whether the collection existed
+ */
+export function deleteCollection(collectionId) {
+    const collections = readCollections();
+    const index = collections.findIndex(x => x.id === collectionId);
+    if (index === -1) {
+        return false;
+    }
+
+    collections.splice(index, 1);
+    writeCollections(collections);
+    fs.rmSync(getCollectionDirectory(collectionId), { recursive: true, force: true });
+    return true;
+}
+
+/**
+ * Gets the avatar name the client uses for a shared character.
+ * @param {string} collectionId Collection ID
+ * @param {string} fileName Character file name in the collection
+ * @returns {string}
+ */
+export function toSharedAvatar(collectionId, fileName) {
+    return `${SHARED_AVATAR_PREFIX}${collectionId}@${fileName}`;
+}
+
+/**
+ * Parses the avatar name of a shared character.
+ * @param {unknown} avatar Avatar name
+ * @returns {{collectionId: string, fileName: string} | null} Null if it's not a shared character
+ */
+export function parseSharedAvatar(avatar) {
+    if (typeof avatar !== 'string' || !avatar.startsWith(SHARED_AVATAR_PREFIX)) {
+        return null;
+    }
+
+    const match = SHARED_AVATAR_PATTERN.exec(avatar);
+    if (!match || sanitize(match[2]) !== match[2]) {
+        return null;
+    }
+    return { collectionId: match[1], fileName: match[2] };
+}
+
+/**
+ * Checks whether a name starts with the prefix reserved for shared characters.
+ * Personal characters must not be saved under such names, or they would be mistaken for shared ones.
+ * @param {unknown} name Character or file name
+ * @returns {boolean}
+ */
+export function hasSharedAvatarPrefix(name) {
+    return String(name ?? '').startsWith(SHARED_AVATAR_PREFIX);
+}
+
+/**
+ * Gets the path of a shared character file.
+ * @param {string} collectionId Collection ID
+ * @param {string} fileName Character file name in the collection
+ * @returns {string}
+ */
+export function getSharedCharacterPath(collectionId, fileName) {
+    return path.join(getCollectionDirectory(collectionId), fileName);
+}
+
+/**
+ * Copies a character file into a collection.
+ * @param {string} collectionId Collection ID
+ * @param {string} sourcePath Path of the character PNG file
+ * @param {string} handle Handle of the user adding the character
+ * @returns {string | undefined} File name in the collection, undefined if the collection doesn't exist
+ */
+export function addCharacterToCollection(collectionId, sourcePath, handle) {
+    return updateCollection(collectionId, collection => {
+        const directory = getCollectionDirectory(collectionId);
+        fs.mkdirSync(directory, { recursive: true });
+
+        const baseName = path.parse(sourcePath).name;
+        let fileName = `${baseName}.png`;
+        for (let i = 1; Object.hasOwn(collection.characters, fileName) || fs.existsSync(path.join(directory, fileName)); i++) {
+            fileName = `${baseName}${i}.png`;
+        }
+
+        fs.copyFileSync(sourcePath, path.join(directory, fileName));
+        const now = Date.now();
+        collection.characters[fileName] = {
+            revision: 1,
+            added_by: handle,
+            added_at: now,
+            updated_by: handle,
+            updated_at: now,
+        };
+        return fileName;
+    });
+}
+
+/**
+ * Removes a character from a collection.
+ * @param {string} collectionId Collection ID
+ * @param {string} fileName Character file name in the collection
+ * @returns {boolean} Whether the character was in the collection
+ */
+export function removeCharacterFromCollection(collectionId, fileName) {
+    return !!updateCollection(collectionId, collection => {
+        if (!Object.hasOwn(collection.characters, fileName)) {
+            return false;
+        }
+
+        delete collection.characters[fileName];
+        fs.rmSync(getSharedCharacterPath(collectionId, fileName), { force: true });
+        return true;
+    });
+}
+
+/**
+ * Gets the collection entry of a shared character.
+ * @param {string} collectionId Collection ID
+ * @param {string} fileName Character file name in the collection
+ * @returns {SharedCharacterEntry | undefined}
+ */
+export function getSharedCharacterEntry(collectionId, fileName) {
+    const collection = getCollection(collectionId);
+    return collection && Object.hasOwn(collection.characters, fileName) ? collection.characters[fileName] : undefined;
+}
+
+/**
+ * Saves a shared character. Saves of the same character run one after another, and a save based on
+ * an older revision than the current one is rejected instead of overwriting the newer changes.
+ * @param {string} collectionId Collection ID
+ * @param {string} fileName Character file name in the collection
+ * @param {string} handle Handle of the user saving the character
+ * @param {number | null} expectedRevision Revision the changes are based on, or null to merge without checking
+ * @param {() => Promise<boolean>} save Function that writes the character file
+ * @returns {Promise<{saved: boolean, conflict: boolean, revision: number}>}
+ */
+export function saveSharedCharacter(collectionId, fileName, handle, expectedRevision, save) {
+    const key = `${collectionId}/${fileName}`;
+    const previous = CHARACTER_LOCKS.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const entry = getSharedCharacterEntry(collectionId, fileName);
+        if (!entry) {
+            throw new Error('Shared character not found');
+        }
+        if (expectedRevision !== null && expectedRevision !== entry.revision) {
+            return { saved: false, conflict: true, revision: entry.revision };
+        }
+        if (!await save()) {
+            return { saved: false, conflict: false, revision: entry.revision };
+        }
+
+        const revision = updateCollection(collectionId, collection => {
+            const current = collection.characters[fileName];
+            current.revision++;
+            current.updated_by = handle;
+            current.updated_at = Date.now();
+            return current.revision;
+        });
+        return { saved: true, conflict: false, revision };
+    });
+
+    CHARACTER_LOCKS.set(key, next);
+    next.finally(() => {
+        if (CHARACTER_LOCKS.get(key) === next) {
+            CHARACTER_LOCKS.delete(key);
+        }
+    }).catch(() => {});
+    return next;
+}
+
+function getUserStatePath(directories) {
+    return path.join(directories.user, USER_STATE_FILE);
+}
+
+/**
+ * Gets the per-user state of shared characters, such as the chat the user last opened with each of them.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @returns {Record<string, {chat?: string}>} Avatar name -> state
+ */
+export function getSharedCharacterUserState(directories) {
+    try {
+        const filePath = getUserStatePath(directories);
+        return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) || {} : {};
+    } catch (error) {
+        console.error('Failed to read shared character state:', error);
+        return {};
+    }
+}
+
+/**
+ * Updates the per-user state of a shared character.
+ * @param {import('./users.js').UserDirectoryList} directories User directories
+ * @param {string} avatar Avatar name of the shared character
+ * @param {{chat?: string}} changes Changed state
+ */
+export function updateSharedCharacterUserState(directories, avatar, changes) {
+    const state = getSharedCharacterUserState(directories);
+    state[avatar] = { ...state[avatar], ...changes };
+    writeFileAtomicSync(getUserStatePath(directories), JSON.stringify(state, null, 4), 'utf8');
+}
@@ -0,0 +1,165 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { getUserDirectories } from './users.js';
+import { getSnapshotsDirectory } from './account-snapshots.js';
+import { getEffectiveQuotaLimits } from './usage-quotas.js';
+
+/** Share of the storage quota at which users are warned. */
+export const STORAGE_WARNING_RATIO = 0.8;
+const USAGE_CACHE_TTL = 60 * 1000;
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Categories of the usage breakdown and the user directories they cover.
+ * Files in no listed directory (settings, presets, themes, ...) count as "other".
+ * Restore points are stored outside of the user data directory and count as "snapshots".
+ * @type {Record<string, string[]>}
+ */
+const STORAGE_CATEGORIES = {
+    chats: ['chats', 'groupChats'],
+    characters: ['characters', 'groups'],
+    images: ['userImages', 'avatars'],
+    files: ['files'],
+    backgrounds: ['backgrounds'],
+    vectors: ['vectors'],
+    backups: ['backups'],
+    thumbnails: ['thumbnails'],
+};
+
+/**
+ * @typedef {Object} StorageUsage
+ * @property {number} total - Size of all user data in bytes
+ * @property {Record<string, number>} categories - Size per category in bytes
+ */
+
+/**
+ * @typedef {Object} StorageQuotaStatus
+ * @property {number} used - Size of all user data in bytes
+ * @property {number | null} limit - Storage limit in bytes (null for unlimited)
+ * @property {number | null} ratio - Share of the limit in use (null for unlimited)
+ * @property {'ok' | 'warning' | 'full'} level - Whether the user is near or over the limit
+ * @property {Record<string, number>} categories - Size per category in bytes
+ */
+
+/**
+ * Usage measured recently per user, so that uploads don't walk the whole data directory each time.
+ * @type {Map<string, StorageUsage & {timestamp: number}>}
+ */
+const USAGE_CACHE = new Map();
+
+/**
+ * Calculates the total size of the files in a directory, including subdirectories.
+ * Files deleted while the directory is walked are skipped, any other error is thrown.
+ * @param {string} dirPath Directory path
+ * @returns {Promise<number>} Size in bytes
+ */
+async function measureDirectorySize(dirPath) {
+    if (!fs.existsSync(dirPath)) {
+        return 0;
+    }
+
+    let totalSize = 0;
+    for (const item of await fs.promises.readdir(dirPath)) {
+        const itemPath = path.join(dirPath, item);
+        const stats = await fs.promises.stat(itemPath).catch(error => {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        });
+
+        if (stats?.isDirectory()) {
+            totalSize += await measureDirectorySize(itemPath);
+        } else if (stats) {
+            totalSize += stats.size;
+        }
+    }
+
+    return totalSize;
+}
+
+/**
+ * Calculates the total size of the files in a directory, including subdirectories.
+ * Errors are logged and count as an empty directory, use it only for informational sizes.
+ * @param {string} dirPath Directory path
+ * @returns {Promise<number>} Size in bytes
+ */
+export async function calculateDirectorySize(dirPath) {
+    try {
+        return await measureDirectorySize(dirPath);
+    } catch (error) {
+        console.error('Error calculating directory size:', error);
+        return 0;
+    }
+}
+
+/**
+ * Measures the disk space used by the user, by category.
+ * @param {string} handle User handle
+ * @param {boolean} [fresh=false] Measure again even if a recent measurement exists
+ * @returns {Promise<StorageUsage>}
+ */
+export async function getStorageUsage(handle, fresh = false) {
+    const cached = USAGE_CACHE.get(handle);
+    if (cached && !fresh && Date.now() - cached.timestamp < USAGE_CACHE_TTL) {
+        return { total: cached.total, categories: { ...cached.categories } };
+    }
+
+    const directories = getUserDirectories(handle);
+    const dataSize = await measureDirectorySize(directories.root);
+    const categories = {};
+    for (const [category, keys] of Object.entries(STORAGE_CATEGORIES)) {
+        categories[category] = 0;
+        for (const key of keys) {
+            categories[category] += await measureDirectorySize(directories[key]);
+        }
+    }
+    categories.other = Math.max(0, dataSize - Object.values(categories).reduce((a, b) => a + b, 0));
+    categories.snapshots = await measureDirectorySize(getSnapshotsDirectory(handle));
+    const total = dataSize + categories.snapshots;
+
+    USAGE_CACHE.set(handle, { total, categories, timestamp: Date.now() });
+    return { total, categories: { ...categories } };
+}
+
+/**
+ * Counts an accepted write towards the cached usage until the next measurement.
+ * @param {string} handle User handle
+ * @param {number} bytes Size of the write in bytes
+ */
+export function addPendingStorageUsage(handle, bytes) {
+    const cached = USAGE_CACHE.get(handle);
+    if (cached && bytes > 0) {
+        cached.total += bytes;
+        cached.categories.other += bytes;
+    }
+}
+
+/**
+ * Gets the storage usage of the user compared to their storage limit.
+ * @param {import('./users.js').User} user User
+ * @param {boolean} [fresh=false] Measure the usage again even if a recent measurement exists
+ * @returns {Promise<StorageQuotaStatus>}
+ */
+export async function getStorageQuotaStatus(user, fresh = false) {
+    const limits = await getEffectiveQuotaLimits(user);
+    const usage = await getStorageUsage(user.handle, fresh);
+    const limit = typeof limits.storageMb === 'number' ? limits.storageMb * BYTES_PER_MB : null;
+    const ratio = limit === null ? null : (limit > 0 ? usage.total / limit : 1);
+
+    let level = 'ok';
+    if (ratio !== null && ratio >= 1) {
+        level = 'full';
+    } else if (ratio !== null && ratio >= STORAGE_WARNING_RATIO) {
+        level = 'warning';
+    }
+
+    return {
+        used: usage.total,
+        limit,
+        ratio,
+        level: /** @type {'ok' | 'warning' | 'full'} */ (level),
+        categories: usage.categories,
+    };
+}
@@ -0,0 +1,212 @@
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+import QRCode from 'qrcode';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_LENGTH = 20;
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = 'SillyTavern';
+
+/**
+ * @typedef {Object} TwoFactorSettings
+ * @property {boolean} enabled - Whether the second login step is required
+ * @property {string} [secret] - Base32-encoded TOTP secret of the confirmed enrollment
+ * @property {string} [pendingSecret] - Base32-encoded TOTP secret awaiting confirmation
+ * @property {string[]} [recoveryCodes] - SHA-256 hashes of the unused recovery codes
+ * @property {number} [lastUsedStep] - Time step of the last accepted code, to reject replays
+ * @property {number} [enabledAt] - Timestamp of the confirmation
+ */
+
+/**
+ * Encodes bytes as unpadded base32 (RFC 4648), the format authenticator apps expect.
+ * @param {Buffer} buffer Bytes to encode
+ * @returns {string}
+ */
+function toBase32(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decodes base32 text, ignoring spaces, padding and case.
+ * @param {string} text Base32 text
+ * @returns {Buffer}
+ */
+function fromBase32(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Computes the HOTP code for a counter (RFC 4226).
+ * @param {Buffer} key Secret key
+ * @param {number} counter Counter value
+ * @returns {string}
+ */
+function getHotp(key, counter) {
+    const message = Buffer.alloc(8);
+    message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+    message.writeUInt32BE(counter % 0x100000000, 4);
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generates a new random TOTP secret.
+ * @returns {string} Base32-encoded secret
+ */
+export function generateTotpSecret() {
+    return toBase32(crypto.randomBytes(SECRET_LENGTH));
+}
+
+/**
+ * Builds the otpauth:// URI understood by authenticator apps.
+ * @param {string} secret Base32-encoded secret
+ * @param {string} handle User handle used as the account label
+ * @returns {string}
+ */
+export function getTotpUri(secret, handle) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${handle}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD),
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Renders the enrollment URI as a QR code image.
+ * @param {string} uri otpauth:// URI
+ * @returns {Promise<string>} PNG data URL
+ */
+export function getTotpQrCode(uri) {
+    return QRCode.toDataURL(uri, { errorCorrectionLevel: 'M', margin: 2, width: 240 });
+}
+
+/**
+ * Verifies a TOTP code against the secret, allowing one step of clock drift.
+ * Only the local clock is used, so verification works without network access.
+ * @param {string} secret Base32-encoded secret
+ * @param {string} code Code entered by the user
+ * @param {number} [lastUsedStep] Step of the previously accepted code. Codes at or before it are rejected
+ * @returns {number | null} Matched time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, lastUsedStep = -1) {
+    const normalized = String(code ?? '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const key = fromBase32(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        if (step <= lastUsedStep) {
+            continue;
+        }
+        const expected = getHotp(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Generates a set of single-use recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} Plain codes to show once, and the hashes to store
+ */
+export function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = toBase32(crypto.randomBytes(5));
+        return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Checks a second-factor code for the user: a TOTP code or an unused recovery code.
+ * Updates the user's two-factor settings in place (replay protection, consumed recovery codes);
+ * the caller must persist the user afterwards.
+ * @param {import('./users.js').User} user User with two-factor enabled
+ * @param {string} code TOTP or recovery code
+ * @returns {'totp' | 'recovery' | null} How the code was accepted, or null if it was rejected
+ */
+export function verifySecondFactor(user, code) {
+    const settings = user.totp;
+    if (!settings?.enabled || !settings.secret) {
+        return null;
+    }
+
+    const step = verifyTotp(settings.secret, code, settings.lastUsedStep ?? -1);
+    if (step !== null) {
+        settings.lastUsedStep = step;
+        return 'totp';
+    }
+
+    const hash = hashRecoveryCode(code);
+    const index = (settings.recoveryCodes || []).indexOf(hash);
+    if (index !== -1) {
+        settings.recoveryCodes.splice(index, 1);
+        return 'recovery';
+    }
+
+    return null;
+}
+
+/**
+ * Checks if the user has to pass the second login step.
+ * @param {import('./users.js').User} user User
+ * @returns {boolean}
+ */
+export function isTwoFactorEnabled(user) {
+    return !!user?.totp?.enabled && !!user.totp.secret;
+}
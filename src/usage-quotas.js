@@ -0,0 +1,346 @@
+import storage from 'node-persist';
+
+const QUOTA_TIERS_KEY = 'quota:tiers';
+const USAGE_PREFIX = 'quota-usage:';
+export const MAX_CAPTURED_RESPONSE_LENGTH = 4 * 1024 * 1024;
+
+export const DEFAULT_QUOTA_TIER = 'default';
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+export const QUOTA_METRICS = ['generations', 'promptTokens', 'completionTokens'];
+
+/**
+ * @typedef {Object} QuotaPeriodLimits
+ * @property {number | null} [generations] - Maximum number of generation requests (null for unlimited)
+ * @property {number | null} [promptTokens] - Maximum number of prompt tokens (null for unlimited)
+ * @property {number | null} [completionTokens] - Maximum number of completion tokens (null for unlimited)
+ */
+
+/**
+ * @typedef {Object} QuotaLimits
+ * @property {QuotaPeriodLimits} [daily] - Limits that reset every day
+ * @property {QuotaPeriodLimits} [monthly] - Limits that reset every month
+ * @property {number | null} [storageMb] - Maximum disk space of the user data in megabytes (null for unlimited)
+ */
+
+/**
+ * @typedef {Object} QuotaPeriodUsage
+ * @property {string} period - Identifier of the period the counters belong to (e.g. 2024-01-31 or 2024-01)
+ * @property {number} generations - Number of generation requests
+ * @property {number} promptTokens - Number of prompt tokens consumed
+ * @property {number} completionTokens - Number of completion tokens consumed
+ */
+
+/**
+ * Per-user locks to serialize read-modify-write cycles of the usage counters.
+ * @type {Map<string, Promise<any>>}
+ */
+const USAGE_LOCKS = new Map();
+
+function toUsageKey(handle) {
+    return `${USAGE_PREFIX}${handle}`;
+}
+
+function getPeriodId(periodType, date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    if (periodType === 'monthly') {
+        return `${year}-${month}`;
+    }
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function getPeriodResetAt(periodType, date = new Date()) {
+    if (periodType === 'monthly') {
+        return new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime();
+    }
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+function createEmptyPeriodUsage(periodType) {
+    return {
+        period: getPeriodId(periodType),
+        generations: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+    };
+}
+
+/**
+ * Normalizes a limit value: positive or zero integers are kept, everything else means "unlimited".
+ * @param {any} value Raw value
+ * @returns {number | null} Normalized limit
+ */
+function normalizeLimitValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+        return null;
+    }
+    return Math.floor(parsed);
+}
+
+/**
+ * Sanitizes user-provided quota limits, dropping unknown periods and metrics.
+ * @param {any} limits Raw limits object
+ * @param {boolean} [keepUnset=false] Keep metrics that were not provided as undefined instead of null
+ * @returns {QuotaLimits} Sanitized limits
+ */
+export function sanitizeQuotaLimits(limits, keepUnset = false) {
+    /** @type {QuotaLimits} */
+    const result = {};
+    for (const periodType of QUOTA_PERIODS) {
+        const source = limits && typeof limits === 'object' ? limits[periodType] : null;
+        result[periodType] = {};
+        for (const metric of QUOTA_METRICS) {
+            const hasValue = source && typeof source === 'object' && source[metric] !== undefined && source[metric] !== '';
+            if (!hasValue && keepUnset) {
+                continue;
+            }
+            result[periodType][metric] = hasValue ? normalizeLimitValue(source[metric]) : null;
+        }
+    }
+
+    const storageMb = limits && typeof limits === 'object' ? limits.storageMb : undefined;
+    const hasStorageMb = storageMb !== undefined && storageMb !== '';
+    if (hasStorageMb || !keepUnset) {
+        result.storageMb = hasStorageMb ? normalizeLimitValue(storageMb) : null;
+    }
+    return result;
+}
+
+/**
+ * Gets all configured quota tiers.
+ * @returns {Promise<Record<string, QuotaLimits>>} Map of tier name to limits
+ */
+export async function getQuotaTiers() {
+    const tiers = await storage.getItem(QUOTA_TIERS_KEY);
+    if (!tiers || typeof tiers !== 'object') {
+        return { [DEFAULT_QUOTA_TIER]: sanitizeQuotaLimits({}) };
+    }
+    if (!tiers[DEFAULT_QUOTA_TIER]) {
+        tiers[DEFAULT_QUOTA_TIER] = sanitizeQuotaLimits({});
+    }
+    return tiers;
+}
+
+/**
+ * Creates or updates a quota tier.
+ * @param {string} name Tier name
+ * @param {any} limits Tier limits
+ * @returns {Promise<QuotaLimits>} Saved limits
+ */
+export async function saveQuotaTier(name, limits) {
+    const tiers = await getQuotaTiers();
+    const sanitized = sanitizeQuotaLimits(limits);
+    tiers[name] = sanitized;
+    await storage.setItem(QUOTA_TIERS_KEY, tiers);
+    console.info(`Quota tier saved: ${name}`);
+    return sanitized;
+}
+
+/**
+ * Deletes a quota tier. The default tier cannot be deleted.
+ * @param {string} name Tier name
+ * @returns {Promise<boolean>} Whether the tier was deleted
+ */
+export async function deleteQuotaTier(name) {
+    if (name === DEFAULT_QUOTA_TIER) {
+        return false;
+    }
+    const tiers = await getQuotaTiers();
+    if (!tiers[name]) {
+        return false;
+    }
+    delete tiers[name];
+    await storage.setItem(QUOTA_TIERS_KEY, tiers);
+    console.info(`Quota tier deleted: ${name}`);
+    return true;
+}
+
+/**
+ * Resolves the limits that apply to the user: the tier limits overridden by per-user limits.
+ * @param {import('./users.js').User} user User
+ * @returns {Promise<QuotaLimits>} Effective limits
+ */
+export async function getEffectiveQuotaLimits(user) {
+    const tiers = await getQuotaTiers();
+    const tierName = user?.quotaTier && tiers[user.quotaTier] ? user.quotaTier : DEFAULT_QUOTA_TIER;
+    const tierLimits = sanitizeQuotaLimits(tiers[tierName]);
+    const userLimits = sanitizeQuotaLimits(user?.quotaLimits, true);
+
+    /** @type {QuotaLimits} */
+    const result = {};
+    for (const periodType of QUOTA_PERIODS) {
+        result[periodType] = { ...tierLimits[periodType], ...userLimits[periodType] };
+    }
+    result.storageMb = userLimits.storageMb !== undefined ? userLimits.storageMb : tierLimits.storageMb;
+    return result;
+}
+
+/**
+ * Gets the usage counters of the user for the current periods.
+ * @param {string} handle User handle
+ * @returns {Promise<Record<string, QuotaPeriodUsage>>} Usage per period type
+ */
+export async function getQuotaUsage(handle) {
+    const stored = await storage.getItem(toUsageKey(handle));
+    const usage = {};
+    for (const periodType of QUOTA_PERIODS) {
+        const current = stored?.[periodType];
+        usage[periodType] = current && current.period === getPeriodId(periodType)
+            ? { ...createEmptyPeriodUsage(periodType), ...current }
+            : createEmptyPeriodUsage(periodType);
+    }
+    return usage;
+}
+
+/**
+ * Checks whether the user is allowed to start another generation.
+ * @param {import('./users.js').User} user User
+ * @returns {Promise<{allowed: boolean, exceeded: object[], limits: QuotaLimits, usage: Record<string, QuotaPeriodUsage>, remaining: object, resetAt: object, tier: string}>} Quota status
+ */
+export async function checkQuota(user) {
+    const limits = await getEffectiveQuotaLimits(user);
+    const usage = await getQuotaUsage(user.handle);
+    const exceeded = [];
+    const remaining = {};
+    const resetAt = {};
+
+    for (const periodType of QUOTA_PERIODS) {
+        remaining[periodType] = {};
+        resetAt[periodType] = getPeriodResetAt(periodType);
+        for (const metric of QUOTA_METRICS) {
+            const limit = limits[periodType][metric];
+            const used = usage[periodType][metric];
+            if (limit === null || limit === undefined) {
+                remaining[periodType][metric] = null;
+                continue;
+            }
+            remaining[periodType][metric] = Math.max(0, limit - used);
+            if (used >= limit) {
+                exceeded.push({ period: periodType, metric, limit, used });
+            }
+        }
+    }
+
+    return {
+        allowed: exceeded.length === 0,
+        exceeded,
+        limits,
+        usage,
+        remaining,
+        resetAt,
+        tier: user.quotaTier || DEFAULT_QUOTA_TIER,
+    };
+}
+
+/**
+ * Adds a generation to the usage counters of the user.
+ * @param {string} handle User handle
+ * @param {{promptTokens?: number, completionTokens?: number}} tokens Token usage of the generation
+ * @returns {Promise<Record<string, QuotaPeriodUsage>>} Updated usage
+ */
+export async function recordQuotaUsage(handle, { promptTokens = 0, completionTokens = 0 } = {}) {
+    const previous = USAGE_LOCKS.get(handle) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const usage = await getQuotaUsage(handle);
+        for (const periodType of QUOTA_PERIODS) {
+            usage[periodType].generations += 1;
+            usage[periodType].promptTokens += Math.max(0, Math.round(promptTokens) || 0);
+            usage[periodType].completionTokens += Math.max(0, Math.round(completionTokens) || 0);
+        }
+        await storage.setItem(toUsageKey(handle), usage);
+        return usage;
+    });
+    USAGE_LOCKS.set(handle, next);
+    try {
+        return await next;
+    } finally {
+        if (USAGE_LOCKS.get(handle) === next) {
+            USAGE_LOCKS.delete(handle);
+        }
+    }
+}
+
+/**
+ * Resets the usage counters of the user.
+ * @param {string} handle User handle
+ * @returns {Promise<void>}
+ */
+export async function resetQuotaUsage(handle) {
+    await storage.removeItem(toUsageKey(handle));
+}
+
+function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+    return Math.ceil(String(text).length / 4);
+}
+
+function getPromptText(body) {
+    if (!body) {
+        return '';
+    }
+    if (Array.isArray(body.messages)) {
+        return body.messages.map(message => {
+            if (typeof message?.content === 'string') {
+                return message.content;
+            }
+            if (Array.isArray(message?.content)) {
+                return message.content.map(part => part?.text || '').join('');
+            }
+            return '';
+        }).join('\n');
+    }
+    if (typeof body.messages === 'string') {
+        return body.messages;
+    }
+    return String(body.prompt || body.text || '');
+}
+
+function findLastNumber(text, names) {
+    let result = null;
+    for (const name of names) {
+        const regex = new RegExp(`"${name}"\\s*:\\s*(\\d+)`, 'g');
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            result = Number(match[1]);
+        }
+        if (result !== null) {
+            return result;
+        }
+    }
+    return null;
+}
+
+function extractCompletionText(text) {
+    const regex = /"(?:content|text)"\s*:\s*"((?:[^"\\]|\\.)*)"/g;
+    let length = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        length += match[1].length;
+    }
+    return length;
+}
+
+/**
+ * Determines the token usage of a generation, preferring the usage reported by the backend
+ * and falling back to a rough estimate based on character counts.
+ * @param {any} requestBody Generation request body
+ * @param {string} responseText Captured response body (JSON or event stream)
+ * @returns {{promptTokens: number, completionTokens: number}} Token usage
+ */
+export function extractTokenUsage(requestBody, responseText) {
+    const text = String(responseText || '');
+    const reportedPrompt = findLastNumber(text, ['prompt_tokens', 'input_tokens', 'promptTokenCount', 'prompt_eval_count']);
+    const reportedCompletion = findLastNumber(text, ['completion_tokens', 'output_tokens', 'candidatesTokenCount', 'eval_count']);
+
+    return {
+        promptTokens: reportedPrompt ?? estimateTokens(getPromptText(requestBody)),
+        completionTokens: reportedCompletion ?? Math.ceil(extractCompletionText(text) / 4),
+    };
+}
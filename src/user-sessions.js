@@ -0,0 +1,187 @@
+import crypto from 'node:crypto';
+
+import storage from 'node-persist';
+import { getIpFromRequest, getRealIpFromHeader } from './express-common.js';
+import { getConfigValue } from './util.js';
+
+const SESSIONS_PREFIX = 'sessions:';
+const MAX_SESSIONS_PER_USER = 50;
+const PREFER_REAL_IP_HEADER = getConfigValue('rateLimiting.preferRealIpHeader', false, 'boolean');
+
+/**
+ * @typedef {Object} UserSession
+ * @property {string} id - Random identifier stored in the session cookie
+ * @property {number} createdAt - Timestamp of the login
+ * @property {number} lastSeenAt - Timestamp of the last heartbeat or login
+ * @property {string} ip - IP address the session was last seen from
+ * @property {string} userAgent - User agent of the browser
+ */
+
+/**
+ * Session registries of recently seen users, so that authenticated requests don't hit the storage.
+ * @type {Map<string, UserSession[]>}
+ */
+const SESSIONS_CACHE = new Map();
+
+/**
+ * Gets how long an unused session is kept in the registry. Matches the session cookie age.
+ * @returns {number}
+ */
+function getSessionExpiry() {
+    const timeout = getConfigValue('sessionTimeout', -1, 'number');
+    return timeout > 0 ? timeout * 1000 : 400 * 24 * 60 * 60 * 1000;
+}
+
+function toSessionsKey(handle) {
+    return `${SESSIONS_PREFIX}${handle}`;
+}
+
+function getClientIp(request) {
+    return PREFER_REAL_IP_HEADER ? getRealIpFromHeader(request) : getIpFromRequest(request);
+}
+
+/**
+ * Gets the session registry of a user.
+ * @param {string} handle User handle
+ * @returns {Promise<UserSession[]>}
+ */
+async function readSessions(handle) {
+    if (SESSIONS_CACHE.has(handle)) {
+        return SESSIONS_CACHE.get(handle);
+    }
+
+    const stored = await storage.getItem(toSessionsKey(handle));
+    const sessions = Array.isArray(stored) ? stored : [];
+    SESSIONS_CACHE.set(handle, sessions);
+    return sessions;
+}
+
+/**
+ * Saves the session registry of a user, dropping expired and excess sessions.
+ * @param {string} handle User handle
+ * @param {UserSession[]} sessions Sessions
+ */
+async function writeSessions(handle, sessions) {
+    const cutoff = Date.now() - getSessionExpiry();
+    const kept = sessions
+        .filter(x => x.lastSeenAt >= cutoff)
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .slice(0, MAX_SESSIONS_PER_USER);
+
+    SESSIONS_CACHE.set(handle, kept);
+    await storage.setItem(toSessionsKey(handle), kept);
+}
+
+/**
+ * Registers a new session for the logged in user and binds it to the session cookie.
+ * @param {import('express').Request} request Request object with an authenticated session
+ * @param {string} handle User handle
+ * @returns {Promise<UserSession>}
+ */
+export async function createUserSession(request, handle) {
+    const now = Date.now();
+    /** @type {UserSession} */
+    const session = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        lastSeenAt: now,
+        ip: getClientIp(request),
+        userAgent: String(request.get('user-agent') || '').slice(0, 512),
+    };
+
+    const sessions = await readSessions(handle);
+    await writeSessions(handle, [...sessions, session]);
+    request.session.sessionId = session.id;
+    return session;
+}
+
+/**
+ * Checks that the cookie session has not been revoked. Sessions from before the registry existed, or created
+ * by auto-login methods, are registered on their first request.
+ * @param {import('express').Request} request Request object with an authenticated session
+ * @param {string} handle User handle
+ * @returns {Promise<boolean>} Whether the session is still valid
+ */
+export async function validateUserSession(request, handle) {
+    const sessionId = request.session.sessionId;
+    if (!sessionId) {
+        await createUserSession(request, handle);
+        return true;
+    }
+
+    const sessions = await readSessions(handle);
+    return sessions.some(x => x.id === sessionId);
+}
+
+/**
+ * Checks whether the current session was logged in recently, for actions that need a fresh login.
+ * @param {import('express').Request} request Request object with an authenticated session
+ * @param {string} handle User handle
+ * @param {number} maxAge Longest time since the login, in milliseconds
+ * @returns {Promise<boolean>}
+ */
+export async function isRecentLogin(request, handle, maxAge) {
+    const sessions = await readSessions(handle);
+    const session = sessions.find(x => x.id === request.session?.sessionId);
+    return !!session && Date.now() - session.createdAt <= maxAge;
+}
+
+/**
+ * Updates the last seen time, IP and user agent of the current session.
+ * @param {import('express').Request} request Request object with an authenticated session
+ * @param {string} handle User handle
+ */
+export async function touchUserSession(request, handle) {
+    const sessions = await readSessions(handle);
+    const session = sessions.find(x => x.id === request.session.sessionId);
+    if (!session) {
+        return;
+    }
+
+    session.lastSeenAt = Date.now();
+    session.ip = getClientIp(request);
+    session.userAgent = String(request.get('user-agent') || session.userAgent).slice(0, 512);
+    await writeSessions(handle, sessions);
+}
+
+/**
+ * Lists the active sessions of a user, most recently seen first.
+ * @param {string} handle User handle
+ * @param {string} [currentId] ID of the session making the request
+ * @returns {Promise<(UserSession & {current: boolean})[]>}
+ */
+export async function getUserSessions(handle, currentId) {
+    const sessions = await readSessions(handle);
+    return [...sessions]
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(x => ({ ...x, current: x.id === currentId }));
+}
+
+/**
+ * Revokes a single session of a user. The device is signed out on its next request.
+ * @param {string} handle User handle
+ * @param {string} id Session ID
+ * @returns {Promise<boolean>} Whether the session existed
+ */
+export async function revokeUserSession(handle, id) {
+    const sessions = await readSessions(handle);
+    const kept = sessions.filter(x => x.id !== id);
+    if (kept.length === sessions.length) {
+        return false;
+    }
+    await writeSessions(handle, kept);
+    return true;
+}
+
+/**
+ * Revokes all sessions of a user, optionally keeping one.
+ * @param {string} handle User handle
+ * @param {string} [exceptId] ID of the session to keep
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export async function revokeAllUserSessions(handle, exceptId) {
+    const sessions = await readSessions(handle);
+    const kept = sessions.filter(x => exceptId && x.id === exceptId);
+    await writeSessions(handle, kept);
+    return sessions.length - kept.length;
+}
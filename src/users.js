@@ -20,6 +20,10 @@ import { getConfigValue, color, delay, generateTimestamp, invalidateFirefoxCache
 import { readSecret, writeSecret } from './endpoints/secrets.js';
 import { getContentOfType } from './endpoints/content-manager.js';
 import systemMonitor from './system-monitor.js';
+import { rememberUserGroups } from './pooled-secrets.js';
+import { isTwoFactorEnabled } from './two-factor.js';
+import { validateUserSession } from './user-sessions.js';
+import { isInGracePeriod, isReadOnlyRequestAllowed } from './account-expiry.js';
 import { serverDirectory } from './server-directory.js';
 
 export const KEY_PREFIX = 'user:';
@@ -57,9 +61,19 @@ const STORAGE_KEYS = {
  * @property {boolean} admin - Whether the user is an admin (can manage other users)
  * @property {number | null} [expiresAt] - The timestamp when the user subscription expires (null for permanent users)
  * @property {string} [email] - The user's email address (optional)
- * @property {string} [oauthProvider] - OAuth provider (github/discord/linuxdo) for third-party login users
- * @property {string} [oauthUserId] - OAuth user ID from the provider
+ * @property {string} [locale] - UI locale of the user, used to pick the language of emails
+ * @property {string} [oauthProvider] - ID of the OAuth provider the account was created with
+ * @property {string} [oauthUserId] - OAuth user ID from the provider. Removed when the identity is unlinked
+ * @property {import('./oauth-providers.js').OAuthLink[]} [oauthLinks] - Provider identities linked after the account was created
+ * @property {string} [oauthRole] - Role last granted by the group mapping of the OAuth provider
  * @property {string} [avatar] - Avatar URL for the user
+ * @property {string} [role] - Name of the role granting the user extra permissions
+ * @property {string[]} [groups] - Names of the groups the user belongs to
+ * @property {string} [quotaTier] - Name of the usage quota tier applied to the user
+ * @property {import('./invitation-codes.js').RegistrationInvitation} [invitation] - Invitation code the account was registered with
+ * @property {import('./usage-quotas.js').QuotaLimits} [quotaLimits] - Per-user quota limits overriding the tier limits
+ * @property {import('./two-factor.js').TwoFactorSettings} [totp] - TOTP two-factor authentication settings
+ * @property {import('./account-expiry.js').ExpiryReminderState} [expiryReminders] - Expiry reminder emails already sent
  */
 
 /**
@@ -74,7 +88,12 @@ const STORAGE_KEYS = {
  * @property {number} [storageSize] - The total size of the user's data in bytes
  * @property {number | null} [expiresAt] - The timestamp when the user subscription expires (null for permanent users)
  * @property {string} [email] - The user's email address (optional)
- * @property {string} [oauthProvider] - The OAuth provider used for authentication (github, discord, linuxdo)
+ * @property {string} [oauthProvider] - ID of the OAuth provider used for authentication
+ * @property {string} [role] - Name of the role granting the user extra permissions
+ * @property {string[]} [permissions] - Permissions held by the user
+ * @property {boolean} [readOnly] - Whether the subscription has expired and the account is in its read-only grace period
+ * @property {number | null} [graceEndsAt] - The timestamp when the read-only grace period ends
+ * @property {number} [expiryWarningDays] - How many days before expiry the user is warned
  */
 
 /**
@@ -774,7 +793,7 @@ async function singleUserLogin(request) {
     const userHandles = await getAllUserHandles();
     if (userHandles.length === 1) {
         const user = await storage.getItem(toKey(userHandles[0]));
-        if (user && !user.password) {
+        if (user && !user.password && !isTwoFactorEnabled(user)) {
             request.session.handle = userHandles[0];
             return true;
         }
@@ -870,6 +889,12 @@ async function basicUserLogin(request) {
 
             const isDefaultUser = userHandle === 'default-user';
 
+            // Basic auth cannot carry a second factor
+            if (user && isTwoFactorEnabled(user)) {
+                console.warn('Basic Auth login skipped: User', userHandle, 'has two-factor authentication enabled');
+                return false;
+            }
+
             // Verify pass again here just to be sure
             if (user && user.enabled) {
                 if (isDefaultUser && (!user.password || !user.salt)) {
@@ -931,7 +956,9 @@ export async function setUserDataMiddleware(request, response, next) {
         return next();
     }
 
-    if (user.expiresAt && user.expiresAt < Date.now()) {
+    const readOnly = isInGracePeriod(user);
+
+    if (user.expiresAt && user.expiresAt < Date.now() && !readOnly) {
         console.log('User account expired:', handle);
 
         let purchaseLink = '';
@@ -944,6 +971,7 @@ export async function setUserDataMiddleware(request, response, next) {
 
         if (request.session && request.session.handle) {
             request.session.handle = null;
+            request.session.sessionId = null;
         }
 
         const errorResponse = {
@@ -959,11 +987,28 @@ export async function setUserDataMiddleware(request, response, next) {
         return response.status(401).json(errorResponse);
     }
 
+    if (!await validateUserSession(request, handle)) {
+        console.warn('Session was revoked:', handle);
+        request.session.handle = null;
+        request.session.sessionId = null;
+        return next();
+    }
+
+    // Expired users in the grace period can only read and export their data
+    if (readOnly && !isReadOnlyRequestAllowed(request)) {
+        return response.status(403).json({
+            error: 'Your account has expired and is read-only. Renew it to make changes.',
+            expired: true,
+            readOnly: true,
+        });
+    }
+
     const directories = getUserDirectories(handle);
     request.user = {
         profile: user,
         directories: directories,
     };
+    rememberUserGroups(handle, user.groups);
 
     // Touch the session if loading the home page
     if (request.method === 'GET' && request.path === '/') {
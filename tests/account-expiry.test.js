@@ -0,0 +1,43 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { setupServerEnvironment, teardownServerEnvironment } from './util/server-environment.js';
+
+/** @type {string} */
+let tempRoot;
+/** @type {import('../src/account-expiry.js')} */
+let accountExpiry;
+
+/**
+ * Creates a request as the user data middleware receives it.
+ * @param {string} method HTTP method
+ * @param {string} requestPath Full request path
+ * @returns {any}
+ */
+function createRequest(method, requestPath) {
+    return { method, path: requestPath };
+}
+
+describe('account expiry grace period', () => {
+    beforeAll(async () => {
+        tempRoot = setupServerEnvironment();
+        accountExpiry = await import('../src/account-expiry.js');
+    });
+
+    afterAll(async () => {
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should allow reading, exporting and leaving the account', () => {
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('GET', '/api/users/me'))).toBe(true);
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('POST', '/api/chats/export'))).toBe(true);
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('POST', '/api/users/backup'))).toBe(true);
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('POST', '/API/Users/Logout/'))).toBe(true);
+    });
+
+    test('should reject writes to routes ending in an allowed word', () => {
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('POST', '/api/assets/download'))).toBe(false);
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('POST', '/api/public-characters/abc/download'))).toBe(false);
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('POST', '/api/characters/edit/get'))).toBe(false);
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('PUT', '/api/chats/export'))).toBe(false);
+        expect(accountExpiry.isReadOnlyRequestAllowed(createRequest('POST', '/api/chats/save'))).toBe(false);
+    });
+});
@@ -0,0 +1,124 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import archiver from 'archiver';
+import { setupServerEnvironment, teardownServerEnvironment } from './util/server-environment.js';
+
+const HANDLE = 'snapshot-test';
+
+/** @type {string} */
+let tempRoot;
+/** @type {import('../src/account-snapshots.js')} */
+let snapshots;
+
+/**
+ * Writes a ZIP archive with the given files.
+ * @param {string} name Archive file name
+ * @param {Record<string, string>} files File contents by entry name
+ * @returns {Promise<string>} Path of the archive
+ */
+async function createArchive(name, files) {
+    const zipPath = path.join(tempRoot, name);
+    const archive = archiver('zip');
+    const output = fs.createWriteStream(zipPath);
+    const closed = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+    for (const [entryName, content] of Object.entries(files)) {
+        archive.append(content, { name: entryName });
+    }
+    await archive.finalize();
+    await closed;
+    return zipPath;
+}
+
+/**
+ * Lists the stored file contents of the test user.
+ * @returns {string[]} Content hashes
+ */
+function listObjects() {
+    const objectsDirectory = path.join(snapshots.getSnapshotsDirectory(HANDLE), 'objects');
+    if (!fs.existsSync(objectsDirectory)) {
+        return [];
+    }
+    return fs.readdirSync(objectsDirectory).flatMap(prefix => fs.readdirSync(path.join(objectsDirectory, prefix)));
+}
+
+describe('account snapshot import', () => {
+    beforeAll(async () => {
+        tempRoot = setupServerEnvironment({
+            backups: {
+                snapshots: {
+                    maxImportSizeMb: 1,
+                    maxImportFiles: 5,
+                    maxImportUncompressedMb: 1,
+                },
+            },
+        });
+        fs.mkdirSync(path.join(globalThis.DATA_ROOT, HANDLE), { recursive: true });
+
+        snapshots = await import('../src/account-snapshots.js');
+    });
+
+    afterAll(async () => {
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should strip the folder of re-zipped backups and skip excluded directories', async () => {
+        const zipPath = await createArchive('wrapped.zip', {
+            'backup/chats/Alice/first.jsonl': '{}',
+            'backup/characters/Alice.png': 'png',
+            'backup/thumbnails/avatar/Alice.png': 'thumbnail',
+        });
+
+        const summary = await snapshots.importAccountSnapshot(HANDLE, zipPath, 'wrapped.zip');
+        const manifest = await snapshots.getAccountSnapshot(HANDLE, summary.id);
+
+        expect(Object.keys(manifest.files).sort()).toEqual(['characters/Alice.png', 'chats/Alice/first.jsonl']);
+        expect(snapshots.getRestorableItems(manifest).map(x => x.path)).toEqual(['characters/Alice.png', 'chats/Alice/first.jsonl']);
+    });
+
+    test('should reject archives with too many entries', async () => {
+        const files = Object.fromEntries(Array.from({ length: 6 }, (_, i) => [`chats/Alice/${i}.jsonl`, String(i)]));
+        const zipPath = await createArchive('many.zip', files);
+
+        await expect(snapshots.importAccountSnapshot(HANDLE, zipPath, 'many.zip')).rejects.toThrow(snapshots.SnapshotLimitError);
+    });
+
+    test('should reject archives that unpack past the limit and drop their stored content', async () => {
+        const objectsBefore = listObjects();
+        // Highly compressible, so the archive itself stays small
+        const zipPath = await createArchive('bomb.zip', {
+            'chats/Alice/small.jsonl': 'unique content of the rejected archive',
+            'chats/Alice/large.jsonl': 'a'.repeat(2 * 1024 * 1024),
+        });
+
+        expect(fs.statSync(zipPath).size).toBeLessThan(1024 * 1024);
+        await expect(snapshots.importAccountSnapshot(HANDLE, zipPath, 'bomb.zip')).rejects.toThrow('unpacks to more than');
+        expect(listObjects().sort()).toEqual(objectsBefore.sort());
+    });
+
+    test('should reject archives larger than the free storage space', async () => {
+        const countBefore = (await snapshots.listAccountSnapshots(HANDLE)).length;
+        const zipPath = await createArchive('quota.zip', { 'chats/Alice/quota.jsonl': 'x'.repeat(100) });
+
+        await expect(snapshots.importAccountSnapshot(HANDLE, zipPath, 'quota.zip', 50)).rejects.toThrow('Not enough storage space');
+        expect(await snapshots.listAccountSnapshots(HANDLE)).toHaveLength(countBefore);
+    });
+
+    test('should reject restores larger than the free storage space without changing the files', async () => {
+        const zipPath = await createArchive('restore.zip', { 'chats/Alice/restore.jsonl': 'y'.repeat(100) });
+        const summary = await snapshots.importAccountSnapshot(HANDLE, zipPath, 'restore.zip');
+        const chatPath = path.join(globalThis.DATA_ROOT, HANDLE, 'chats', 'Alice', 'restore.jsonl');
+
+        await expect(snapshots.restoreAccountSnapshot(HANDLE, summary.id, ['chats/Alice/restore.jsonl'], 50)).rejects.toThrow(snapshots.SnapshotLimitError);
+        expect(fs.existsSync(chatPath)).toBe(false);
+
+        const result = await snapshots.restoreAccountSnapshot(HANDLE, summary.id, ['chats/Alice/restore.jsonl'], 100);
+        expect(result.restored).toBe(1);
+        expect(fs.readFileSync(chatPath, 'utf8')).toBe('y'.repeat(100));
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { setupServerEnvironment, teardownServerEnvironment, startTestServer } from './util/server-environment.js';
+
+/** @type {string} */
+let tempRoot;
+/** @type {{url: string, close: () => Promise<void>}} */
+let server;
+
+/**
+ * Calls a forum endpoint as the given user.
+ * @param {string} handle User handle
+ * @param {string} method HTTP method
+ * @param {string} requestPath Path inside the forum router
+ * @param {object} [body] Request body
+ * @returns {Promise<Response>}
+ */
+function request(handle, method, requestPath, body) {
+    return fetch(`${server.url}${requestPath}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-Test-User': handle },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+}
+
+describe('forum moderation', () => {
+    beforeAll(async () => {
+        tempRoot = setupServerEnvironment();
+        const users = await import('../src/users.js');
+        await users.initUserStorage(globalThis.DATA_ROOT);
+
+        const { router } = await import('../src/endpoints/forum.js');
+        server = await startTestServer(router, { moderator: { admin: true } });
+    });
+
+    afterAll(async () => {
+        await server?.close();
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should not let authors edit articles hidden by a moderator', async () => {
+        const created = await request('author', 'POST', '/articles', { title: 'Original', content: 'Original content' });
+        const article = await created.json();
+
+        expect((await request('author', 'PUT', `/articles/${article.id}`, { content: 'First edit' })).status).toBe(200);
+        expect((await request('moderator', 'POST', `/articles/${article.id}/moderate`, { action: 'hide' })).status).toBe(200);
+
+        expect((await request('author', 'PUT', `/articles/${article.id}`, { content: 'Swapped content' })).status).toBe(404);
+        const moderatorView = await (await request('moderator', 'GET', `/articles/${article.id}`)).json();
+        expect(JSON.stringify(moderatorView)).toContain('First edit');
+        expect(JSON.stringify(moderatorView)).not.toContain('Swapped content');
+
+        // Moderators can still edit it
+        expect((await request('moderator', 'PUT', `/articles/${article.id}`, { content: 'Cleaned up' })).status).toBe(200);
+    });
+});
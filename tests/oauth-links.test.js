@@ -0,0 +1,101 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { setupServerEnvironment, teardownServerEnvironment, startTestServer } from './util/server-environment.js';
+
+/** @type {string} */
+let tempRoot;
+/** @type {import('../src/oauth-providers.js')} */
+let oauthProviders;
+/** @type {import('../src/users.js')} */
+let users;
+/** @type {import('node-persist')} */
+let storage;
+/** @type {{url: string, close: () => Promise<void>}} */
+let server;
+
+/**
+ * Saves an account to the user storage.
+ * @param {object} fields User fields
+ * @param {string} [password] Password of the account
+ */
+async function saveUser(fields, password) {
+    const user = { name: fields.handle, created: 1, admin: false, enabled: true, ...fields };
+    if (password) {
+        user.salt = users.getPasswordSalt();
+        user.password = users.getPasswordHash(password, user.salt);
+    }
+    await storage.setItem(users.toKey(user.handle), user);
+}
+
+/**
+ * Asks to unlink a login method as the given user.
+ * @param {string} handle User handle
+ * @param {object} body Request body
+ * @returns {Promise<Response>}
+ */
+function unlink(handle, body) {
+    return fetch(`${server.url}/oauth-links/unlink`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Test-User': handle },
+        body: JSON.stringify(body),
+    });
+}
+
+describe('OAuth account links', () => {
+    beforeAll(async () => {
+        tempRoot = setupServerEnvironment();
+        oauthProviders = await import('../src/oauth-providers.js');
+        users = await import('../src/users.js');
+        ({ default: storage } = await import('node-persist'));
+        await users.initUserStorage(globalThis.DATA_ROOT);
+
+        const { router } = await import('../src/endpoints/users-private.js');
+        server = await startTestServer(router);
+    });
+
+    afterAll(async () => {
+        await server?.close();
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should list the identity an account was created with', () => {
+        /** @type {any} */
+        const user = { handle: 'jane', created: 100, oauthProvider: 'github', oauthUserId: 'github:1' };
+        expect(oauthProviders.getOAuthLinks(user)).toEqual([{ provider: 'github', userId: 'github:1', linkedAt: 100 }]);
+
+        oauthProviders.addOAuthLink(user, { provider: 'discord', userId: 'discord:2', linkedAt: 200 });
+        oauthProviders.addOAuthLink(user, { provider: 'discord', userId: 'discord:3', linkedAt: 300 });
+        expect(oauthProviders.getOAuthLinks(user).map(x => x.userId)).toEqual(['github:1', 'discord:3']);
+    });
+
+    test('should keep the provider an account was created with when unlinking it', () => {
+        /** @type {any} */
+        const user = { handle: 'jane', created: 100, oauthProvider: 'github', oauthUserId: 'github:1', oauthLinks: [] };
+        oauthProviders.addOAuthLink(user, { provider: 'discord', userId: 'discord:2', linkedAt: 200 });
+
+        oauthProviders.removeOAuthLink(user, 'github');
+        expect(user.oauthProvider).toBe('github');
+        expect(oauthProviders.getOAuthLinks(user).map(x => x.provider)).toEqual(['discord']);
+
+        oauthProviders.removeOAuthLink(user, 'discord');
+        expect(oauthProviders.getOAuthLinks(user)).toEqual([]);
+    });
+
+    test('should not unlink the last login method of an account without a password', async () => {
+        await saveUser({ handle: 'oauth-only', oauthProvider: 'github', oauthUserId: 'github:10' });
+
+        const response = await unlink('oauth-only', { provider: 'github' });
+        expect(response.status).toBe(400);
+        expect((await storage.getItem(users.toKey('oauth-only'))).oauthUserId).toBe('github:10');
+    });
+
+    test('should ask for the current password before unlinking', async () => {
+        await saveUser({ handle: 'with-password', oauthLinks: [{ provider: 'github', userId: 'github:20', linkedAt: 1 }] }, 'secret');
+
+        expect((await unlink('with-password', { provider: 'discord', password: 'secret' })).status).toBe(404);
+        expect((await unlink('with-password', { provider: 'github', password: 'wrong' })).status).toBe(403);
+        expect((await unlink('with-password', { provider: 'github', password: 'secret' })).status).toBe(204);
+
+        const user = await storage.getItem(users.toKey('with-password'));
+        expect(oauthProviders.getOAuthLinks(user)).toEqual([]);
+    });
+});
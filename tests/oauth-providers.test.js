@@ -0,0 +1,131 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { setupServerEnvironment, teardownServerEnvironment } from './util/server-environment.js';
+
+/** @type {string} */
+let tempRoot;
+/** @type {import('../src/oauth-providers.js')} */
+let oauthProviders;
+
+describe('OAuth providers', () => {
+    beforeAll(async () => {
+        tempRoot = setupServerEnvironment({
+            oauth: {
+                github: { enabled: true, clientId: 'github-id', clientSecret: 'github-secret' },
+                providers: [
+                    {
+                        id: 'Keycloak',
+                        name: 'Company SSO',
+                        enabled: true,
+                        clientId: 'keycloak-id',
+                        clientSecret: 'keycloak-secret',
+                        wellKnownEndpoint: 'https://sso.example/realms/main/.well-known/openid-configuration',
+                        claims: { handle: 'preferred_username, email', groups: ['realm_access.roles'] },
+                        roleMapping: { ' admins ': 'admin', editors: ' editor ', empty: '' },
+                        provisioning: { allowedEmailDomains: '@Example.com', requiredGroups: ['staff'] },
+                    },
+                    { id: 'link', enabled: false },
+                    { id: 'github', enabled: false },
+                    { id: 'gitea', enabled: true, clientId: 'gitea-id', clientSecret: 'gitea-secret' },
+                ],
+            },
+        });
+        oauthProviders = await import('../src/oauth-providers.js');
+    });
+
+    afterAll(async () => {
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should fill in the defaults of built-in and custom providers', () => {
+        const github = oauthProviders.sanitizeOAuthProvider({ id: 'GitHub', enabled: 'true' });
+        expect(github).toMatchObject({ id: 'github', preset: 'github', name: 'GitHub', enabled: true, scope: 'read:user user:email' });
+        expect(github.claims.handle).toEqual(['login']);
+
+        const custom = oauthProviders.sanitizeOAuthProvider({ id: 'authentik', scope: '', provisioning: { autoCreate: false } });
+        expect(custom).toMatchObject({ preset: 'custom', name: 'authentik', enabled: false, scope: '', authUrl: '' });
+        expect(custom.claims.id).toEqual(['sub']);
+        expect(custom.provisioning).toEqual({ autoCreate: false, skipInvitation: false, allowedEmailDomains: [], requiredGroups: [] });
+    });
+
+    test('should report invalid provider configurations', () => {
+        const getError = (config) => oauthProviders.getOAuthProviderError(oauthProviders.sanitizeOAuthProvider(config));
+
+        expect(getError({ id: 'bad id' })).toMatch('lowercase letters');
+        expect(getError({ id: 'unlink' })).toMatch('can\'t be used');
+        expect(getError({ id: 'gitlab', enabled: true, clientId: 'id' })).toMatch('Client Secret is missing');
+        expect(getError({ id: 'gitlab', enabled: true, clientId: 'id', clientSecret: 'secret' })).toMatch('discovery endpoint');
+        expect(getError({ id: 'gitlab', enabled: false })).toBeNull();
+    });
+
+    test('should list the valid configured providers', () => {
+        const providers = oauthProviders.getOAuthProviders();
+        const keycloak = providers.find(x => x.id === 'keycloak');
+
+        // Reserved, duplicate and incomplete providers are skipped
+        expect(providers.map(x => x.id)).toEqual(['github', 'keycloak']);
+        expect(keycloak.claims.handle).toEqual(['preferred_username', 'email']);
+        expect(keycloak.roleMapping).toEqual({ admins: 'admin', editors: 'editor' });
+        expect(keycloak.provisioning.allowedEmailDomains).toEqual(['example.com']);
+
+        expect(oauthProviders.getEnabledOAuthProvider('keycloak')?.name).toBe('Company SSO');
+        expect(oauthProviders.getEnabledOAuthProvider('discord')).toBeNull();
+    });
+
+    test('should map provider claims to the account fields', () => {
+        const keycloak = oauthProviders.getEnabledOAuthProvider('keycloak');
+        const identity = oauthProviders.mapOAuthIdentity(keycloak, {
+            sub: 'f81d4fae',
+            email: 'jane@example.com',
+            name: 'Jane Doe',
+            realm_access: { roles: ['/staff', 'editors'] },
+        });
+        expect(identity).toEqual({
+            id: 'f81d4fae',
+            handle: 'jane@example.com',
+            name: 'Jane Doe',
+            email: 'jane@example.com',
+            avatar: '',
+            groups: ['staff', 'editors'],
+        });
+
+        const discord = oauthProviders.sanitizeOAuthProvider({ id: 'discord' });
+        expect(oauthProviders.mapOAuthIdentity(discord, { id: 42, avatar: 'hash' })).toMatchObject({
+            id: '42',
+            handle: 'discord_user_42',
+            avatar: 'https://cdn.discordapp.com/avatars/42/hash.png',
+        });
+    });
+
+    test('should map groups to roles and keep roles assigned by admins', () => {
+        const keycloak = oauthProviders.getEnabledOAuthProvider('keycloak');
+        const identity = (groups) => ({ id: '1', handle: 'jane', name: '', email: '', avatar: '', groups });
+
+        expect(oauthProviders.getMappedRole(keycloak, identity(['editors', 'admins']))).toBe('admin');
+        expect(oauthProviders.getMappedRole(keycloak, identity(['staff']))).toBeNull();
+
+        /** @type {any} */
+        const mapped = { handle: 'jane' };
+        oauthProviders.applyMappedRole(mapped, 'editor');
+        expect(mapped).toMatchObject({ role: 'editor', oauthRole: 'editor' });
+        oauthProviders.applyMappedRole(mapped, null);
+        expect(mapped).toEqual({ handle: 'jane' });
+
+        /** @type {any} */
+        const assigned = { handle: 'john', role: 'moderator', oauthRole: 'editor' };
+        oauthProviders.applyMappedRole(assigned, null);
+        expect(assigned).toEqual({ handle: 'john', role: 'moderator' });
+    });
+
+    test('should apply the provisioning rules to new accounts', () => {
+        const keycloak = oauthProviders.getEnabledOAuthProvider('keycloak');
+        const identity = (email, groups) => ({ id: '1', handle: 'jane', name: '', email, avatar: '', groups });
+
+        expect(oauthProviders.getProvisioningError(keycloak, identity('jane@EXAMPLE.com', ['staff']))).toBeNull();
+        expect(oauthProviders.getProvisioningError(keycloak, identity('jane@other.com', ['staff']))).toMatch('approved domains');
+        expect(oauthProviders.getProvisioningError(keycloak, identity('', ['staff']))).toMatch('approved domains');
+        expect(oauthProviders.getProvisioningError(keycloak, identity('jane@example.com', ['guests']))).toMatch('not in a group');
+
+        const closed = oauthProviders.sanitizeOAuthProvider({ id: 'gitea', provisioning: { autoCreate: false } });
+        expect(oauthProviders.getProvisioningError(closed, identity('jane@example.com', []))).toMatch('Sign-up with gitea is disabled');
+    });
+});
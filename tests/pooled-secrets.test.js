@@ -0,0 +1,97 @@
+import fs from 'node:fs';
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { setupServerEnvironment, teardownServerEnvironment } from './util/server-environment.js';
+
+/** @type {string} */
+let tempRoot;
+/** @type {import('../src/pooled-secrets.js')} */
+let pooledSecrets;
+/** @type {import('../src/endpoints/secrets.js')} */
+let secrets;
+/** @type {import('../src/users.js')} */
+let users;
+
+/**
+ * Creates a request of the given user, as the chat completion endpoints receive it.
+ * @param {string} handle User handle
+ * @param {object} [body] Request body
+ * @param {string} [requestPath] Path of the request inside the router
+ * @returns {any}
+ */
+function createRequest(handle, body = {}, requestPath = '/generate') {
+    const directories = users.getUserDirectories(handle);
+    fs.mkdirSync(directories.root, { recursive: true });
+    return { user: { directories, profile: { handle } }, body, path: requestPath };
+}
+
+describe('pooled secrets', () => {
+    beforeAll(async () => {
+        // Usage is saved with a delay
+        jest.useFakeTimers();
+        tempRoot = setupServerEnvironment();
+        users = await import('../src/users.js');
+        pooledSecrets = await import('../src/pooled-secrets.js');
+        secrets = await import('../src/endpoints/secrets.js');
+
+        pooledSecrets.createPooledSecret({
+            key: secrets.SECRET_KEYS.OPENAI,
+            value: 'sk-pooled-openai',
+            grants: { users: [' Alice '], groups: ['Beta Testers'] },
+        }, 'admin');
+        pooledSecrets.createPooledSecret({
+            key: secrets.SECRET_KEYS.CUSTOM,
+            value: 'sk-pooled-custom',
+            grants: { everyone: true },
+        }, 'admin');
+    });
+
+    afterAll(async () => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should normalize user and group grants like user handles', () => {
+        expect(pooledSecrets.sanitizeGrants({ users: ['Alice', ' alice ', ''], groups: ['Beta Testers'], everyone: 0 })).toEqual({
+            everyone: false,
+            users: ['alice'],
+            groups: ['beta-testers'],
+        });
+    });
+
+    test('should only resolve keys granted to the user or their groups', () => {
+        pooledSecrets.rememberUserGroups('carol', ['beta-testers']);
+
+        expect(pooledSecrets.resolvePooledSecret('alice', secrets.SECRET_KEYS.OPENAI)).toBe('sk-pooled-openai');
+        expect(pooledSecrets.resolvePooledSecret('carol', secrets.SECRET_KEYS.OPENAI)).toBe('sk-pooled-openai');
+        expect(pooledSecrets.resolvePooledSecret('bob', secrets.SECRET_KEYS.OPENAI)).toBe('');
+    });
+
+    test('should never send pooled keys to an endpoint chosen by the user', () => {
+        expect(secrets.readProviderSecret(createRequest('alice'), secrets.SECRET_KEYS.OPENAI)).toBe('sk-pooled-openai');
+        expect(secrets.readProviderSecret(createRequest('alice', { reverse_proxy: 'https://proxy.example' }), secrets.SECRET_KEYS.OPENAI)).toBe('');
+        expect(secrets.readProviderSecret(createRequest('alice', { custom_url: 'https://custom.example' }), secrets.SECRET_KEYS.OPENAI)).toBe('');
+        // Custom endpoints are always chosen by the user, even when granted to everyone
+        expect(secrets.readProviderSecret(createRequest('alice'), secrets.SECRET_KEYS.CUSTOM)).toBe('');
+        // Other features only read the key of the user
+        expect(secrets.readSecret(createRequest('alice').user.directories, secrets.SECRET_KEYS.OPENAI)).toBe('');
+    });
+
+    test('should prefer the key of the user over the pooled one', () => {
+        const request = createRequest('dave');
+        pooledSecrets.rememberUserGroups('dave', ['beta-testers']);
+        secrets.writeSecret(request.user.directories, secrets.SECRET_KEYS.OPENAI, 'sk-own-key');
+
+        expect(secrets.readProviderSecret(request, secrets.SECRET_KEYS.OPENAI)).toBe('sk-own-key');
+    });
+
+    test('should count usage only for generations', () => {
+        const [openai] = pooledSecrets.getPooledSecrets();
+        const before = pooledSecrets.getPooledSecretsUsage()[openai.id]?.carol?.requests ?? 0;
+
+        secrets.readProviderSecret(createRequest('carol', {}, '/status'), secrets.SECRET_KEYS.OPENAI);
+        secrets.readProviderSecret(createRequest('carol', {}, '/generate'), secrets.SECRET_KEYS.OPENAI);
+
+        expect(pooledSecrets.getPooledSecretsUsage()[openai.id].carol.requests).toBe(before + 1);
+    });
+});
@@ -0,0 +1,109 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { setupServerEnvironment, startTestServer, teardownServerEnvironment } from './util/server-environment.js';
+
+/** @type {string} */
+let tempRoot;
+/** @type {{url: string, close: () => Promise<void>}} */
+let server;
+
+const CHARACTERS = [
+    { id: 'general', content_rating: 'general' },
+    { id: 'mature', content_rating: 'mature' },
+    { id: 'unrated' },
+];
+
+/**
+ * Lists a public character on disk, as the upload endpoint stores it.
+ * @param {{id: string, content_rating?: string}} character Character fields
+ */
+function addCharacter({ id, content_rating }) {
+    const directory = path.join(globalThis.DATA_ROOT, 'public_characters');
+    const avatar = `${id}.png`;
+    fs.mkdirSync(path.join(directory, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(directory, 'files', avatar), 'png');
+    fs.writeFileSync(path.join(directory, `${id}.json`), JSON.stringify({
+        id,
+        name: id,
+        avatar,
+        content_rating,
+        uploader: { handle: 'uploader', name: 'Uploader' },
+        uploaded_at: new Date().toISOString(),
+    }));
+}
+
+/**
+ * Sends a GET request to the public characters router.
+ * @param {string} handle User handle
+ * @param {string} urlPath Path inside the router
+ * @returns {Promise<Response>}
+ */
+function get(handle, urlPath) {
+    return fetch(`${server.url}${urlPath}`, { headers: { 'X-Test-User': handle } });
+}
+
+describe('public character content gate', () => {
+    beforeAll(async () => {
+        tempRoot = setupServerEnvironment();
+        CHARACTERS.forEach(addCharacter);
+
+        const preferencesDirectory = path.join(globalThis.DATA_ROOT, 'public_characters', 'preferences');
+        fs.mkdirSync(preferencesDirectory, { recursive: true });
+        fs.writeFileSync(path.join(preferencesDirectory, 'adult.json'), JSON.stringify({ max_content_rating: 'explicit', age_confirmed_at: Date.now() }));
+        fs.writeFileSync(path.join(preferencesDirectory, 'mature.json'), JSON.stringify({ max_content_rating: 'mature', age_confirmed_at: Date.now() }));
+
+        const { router } = await import('../src/endpoints/public-characters.js');
+        server = await startTestServer(router);
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should list only the ratings the user opted into, treating unrated cards as the most restricted', async () => {
+        const list = async (handle) => (await (await get(handle, '/')).json()).map(x => x.id).sort();
+
+        expect(await list('reader')).toEqual(['general']);
+        expect(await list('mature')).toEqual(['general', 'mature']);
+        expect(await list('adult')).toEqual(['general', 'mature', 'unrated']);
+        expect(await list('uploader')).toEqual(['general', 'mature', 'unrated']);
+    });
+
+    test('should label cards without a rating as unrated', async () => {
+        const character = await (await get('adult', '/unrated')).json();
+        expect(character.content_rating).toBe('unrated');
+    });
+
+    test.each([
+        ['/unrated'],
+        ['/mature'],
+        ['/avatar/mature.png'],
+        ['/avatar/unrated.png'],
+        ['/mature/comments'],
+        ['/unrated/update-diff?file_name=unrated.png'],
+    ])('should hide %s from users who did not opt in', async (urlPath) => {
+        expect((await get('reader', urlPath)).status).toBe(403);
+    });
+
+    test('should refuse to update imported copies of cards hidden from the user', async () => {
+        const response = await fetch(`${server.url}/unrated/update`, {
+            method: 'POST',
+            headers: { 'X-Test-User': 'reader', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ file_name: 'unrated.png' }),
+        });
+        expect(response.status).toBe(403);
+    });
+
+    test('should serve gated avatars to users who opted in and to the uploader', async () => {
+        expect((await get('adult', '/avatar/unrated.png')).status).toBe(200);
+        expect((await get('uploader', '/avatar/unrated.png')).status).toBe(200);
+        expect((await get('reader', '/avatar/general.png')).status).toBe(200);
+    });
+
+    test('should not serve files that belong to no listed card', async () => {
+        fs.writeFileSync(path.join(globalThis.DATA_ROOT, 'public_characters', 'files', 'stray.png'), 'png');
+        expect((await get('adult', '/avatar/stray.png')).status).toBe(404);
+    });
+});
@@ -0,0 +1,110 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { setupServerEnvironment, startTestServer, teardownServerEnvironment } from './util/server-environment.js';
+
+const DEFAULT_AVATAR_PATH = fileURLToPath(new URL('../public/img/ai4.png', import.meta.url));
+
+/** @type {string} */
+let tempRoot;
+/** @type {{url: string, close: () => Promise<void>}} */
+let server;
+/** @type {import('../src/shared-characters.js')} */
+let sharedCharacters;
+/** @type {string} */
+let avatar;
+
+/**
+ * Sends a POST request to the characters router.
+ * @param {string} handle User handle
+ * @param {string} urlPath Path inside the router
+ * @param {object} body Request body
+ * @returns {Promise<Response>}
+ */
+function post(handle, urlPath, body) {
+    return fetch(`${server.url}${urlPath}`, {
+        method: 'POST',
+        headers: { 'X-Test-User': handle, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+describe('shared character access', () => {
+    beforeAll(async () => {
+        tempRoot = setupServerEnvironment({ performance: { useDiskCache: false } });
+        sharedCharacters = await import('../src/shared-characters.js');
+        const { write } = await import('../src/character-card-parser.js');
+
+        const card = { name: 'Shared', description: '', spec: 'chara_card_v2', spec_version: '2.0', data: { name: 'Shared', description: '' } };
+        const cardPath = path.join(tempRoot, 'Shared.png');
+        fs.writeFileSync(cardPath, write(fs.readFileSync(DEFAULT_AVATAR_PATH), JSON.stringify(card)));
+
+        const collection = sharedCharacters.createCollection('owner', {
+            name: 'Team',
+            grants: [
+                { type: 'user', name: ' Reader ', access: 'read' },
+                { type: 'group', name: 'Story Editors', access: 'edit' },
+            ],
+        });
+        const fileName = sharedCharacters.addCharacterToCollection(collection.id, cardPath, 'owner');
+        avatar = sharedCharacters.toSharedAvatar(collection.id, fileName);
+
+        const { router } = await import('../src/endpoints/characters.js');
+        server = await startTestServer(router, { editor: { groups: ['story-editors'] } });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should normalize grant names like user handles and group names', () => {
+        const grants = sharedCharacters.sanitizeCollectionGrants([
+            { type: 'user', name: 'Alice Smith' },
+            { type: 'user', name: 'alice-smith', access: 'edit' },
+            { type: 'group', name: 'Team A', access: 'edit' },
+            { type: 'user', name: 'Owner' },
+        ], 'owner');
+
+        expect(grants).toEqual([
+            { type: 'user', name: 'alice-smith', access: 'edit' },
+            { type: 'group', name: 'team-a', access: 'edit' },
+        ]);
+    });
+
+    test('should hide shared characters from users without a grant', async () => {
+        expect((await post('stranger', '/get', { avatar_url: avatar })).status).toBe(404);
+        expect((await post('stranger', '/edit-attribute', { avatar_url: avatar, ch_name: 'Shared', field: 'description', value: 'x' })).status).toBe(404);
+    });
+
+    test('should let readers read but not edit', async () => {
+        const response = await post('reader', '/get', { avatar_url: avatar });
+        expect(response.status).toBe(200);
+        expect((await response.json()).shared.access).toBe('read');
+
+        expect((await post('reader', '/edit-attribute', { avatar_url: avatar, ch_name: 'Shared', field: 'description', value: 'x' })).status).toBe(403);
+    });
+
+    test('should let group editors edit', async () => {
+        const response = await post('editor', '/edit-attribute', { avatar_url: avatar, ch_name: 'Shared', field: 'description', value: 'Edited' });
+        expect(response.status).toBe(200);
+
+        const character = await (await post('reader', '/get', { avatar_url: avatar })).json();
+        expect(character.description).toBe('Edited');
+        expect(character.shared.updated_by).toBe('editor');
+    });
+
+    test.each([
+        ['/rename', () => ({ avatar_url: avatar, new_name: 'Copy' })],
+        ['/duplicate', () => ({ avatar_url: avatar })],
+        ['/delete', () => ({ avatar_url: avatar })],
+    ])('should not %s shared characters outside of their collection', async (urlPath, getBody) => {
+        expect((await post('owner', urlPath, getBody())).status).toBe(400);
+    });
+
+    test('should reserve the shared character prefix for names of personal characters', async () => {
+        expect((await post('stranger', '/create', { ch_name: avatar.replace('.png', '') })).status).toBe(400);
+        expect((await post('stranger', '/create', { ch_name: 'Mine', file_name: 'shared@mine' })).status).toBe(400);
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { setupServerEnvironment, teardownServerEnvironment, startTestServer } from './util/server-environment.js';
+
+const HANDLE = 'two-factor-test';
+const PASSWORD = 'secret';
+
+/** @type {string} */
+let tempRoot;
+/** @type {import('../src/users.js')} */
+let users;
+/** @type {import('node-persist')} */
+let storage;
+/** @type {{url: string, close: () => Promise<void>}} */
+let server;
+
+/**
+ * Calls a two-factor endpoint as the test user.
+ * @param {string} action Endpoint name
+ * @param {object} body Request body
+ * @returns {Promise<Response>}
+ */
+function post(action, body) {
+    return fetch(`${server.url}/2fa/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Test-User': HANDLE },
+        body: JSON.stringify(body),
+    });
+}
+
+describe('two-factor enrollment', () => {
+    beforeAll(async () => {
+        tempRoot = setupServerEnvironment();
+        users = await import('../src/users.js');
+        ({ default: storage } = await import('node-persist'));
+        await users.initUserStorage(globalThis.DATA_ROOT);
+
+        const salt = users.getPasswordSalt();
+        await storage.setItem(users.toKey(HANDLE), {
+            handle: HANDLE,
+            name: HANDLE,
+            created: 1,
+            admin: false,
+            enabled: true,
+            salt,
+            password: users.getPasswordHash(PASSWORD, salt),
+        });
+
+        const { router } = await import('../src/endpoints/users-private.js');
+        server = await startTestServer(router);
+    });
+
+    afterAll(async () => {
+        await server?.close();
+        await teardownServerEnvironment(tempRoot);
+    });
+
+    test('should ask for the current password before starting the setup', async () => {
+        expect((await post('setup', {})).status).toBe(403);
+        expect((await post('setup', { password: 'wrong' })).status).toBe(403);
+        expect((await storage.getItem(users.toKey(HANDLE))).totp).toBeUndefined();
+
+        const response = await post('setup', { password: PASSWORD });
+        expect(response.status).toBe(200);
+        expect((await storage.getItem(users.toKey(HANDLE))).totp.pendingSecret).toBe((await response.json()).secret);
+    });
+
+    test('should ask for the current password before enabling', async () => {
+        expect((await post('enable', { code: '000000', password: 'wrong' })).status).toBe(403);
+        // Past the password check, the code of the authenticator is verified
+        expect((await post('enable', { code: 'invalid', password: PASSWORD })).status).toBe(400);
+        expect((await storage.getItem(users.toKey(HANDLE))).totp.enabled).toBe(false);
+    });
+});
@@ -0,0 +1,81 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { setConfigFilePath } from '../../src/util.js';
+
+/**
+ * Working directories to return to, by temporary directory.
+ * @type {Map<string, string>}
+ */
+const tempDirectories = new Map();
+
+/**
+ * Prepares a temporary data root and config file, so that server modules can be imported by tests.
+ * Server modules read the config when they are loaded: import them dynamically after calling this.
+ * @param {object} [config] Config values, written as the config.yaml of the test
+ * @returns {string} Path of the temporary directory, which is also the working directory until the teardown
+ */
+export function setupServerEnvironment(config = {}) {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'st-tests-'));
+    const configPath = path.join(tempRoot, 'config.yaml');
+    // YAML is a superset of JSON
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    setConfigFilePath(configPath);
+
+    globalThis.DATA_ROOT = path.join(tempRoot, 'data');
+    fs.mkdirSync(globalThis.DATA_ROOT, { recursive: true });
+
+    // Some modules keep their state in the working directory
+    const originalCwd = process.cwd();
+    process.chdir(tempRoot);
+    tempDirectories.set(tempRoot, originalCwd);
+    return tempRoot;
+}
+
+/**
+ * Stops the timers started by the server modules and deletes the temporary directory.
+ * @param {string} tempRoot Path returned by setupServerEnvironment
+ */
+export async function teardownServerEnvironment(tempRoot) {
+    const { default: systemMonitor } = await import('../../src/system-monitor.js');
+    systemMonitor.destroy();
+
+    process.chdir(tempDirectories.get(tempRoot) ?? os.tmpdir());
+    tempDirectories.delete(tempRoot);
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+/**
+ * Serves a router on a random local port. Requests are made as the user named by the X-Test-User header.
+ * Import it after setupServerEnvironment, like the router itself.
+ * @param {import('express').Router} router Router to serve
+ * @param {Record<string, object>} [profiles] Extra user fields (e.g. groups) by handle
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+export async function startTestServer(router, profiles = {}) {
+    const { default: express } = await import('express');
+    const { getUserDirectories } = await import('../../src/users.js');
+
+    const app = express();
+    app.use(express.json());
+    app.use((request, response, next) => {
+        const handle = request.get('X-Test-User');
+        if (handle) {
+            const directories = getUserDirectories(handle);
+            fs.mkdirSync(directories.root, { recursive: true });
+            request.user = { profile: { handle, name: handle, admin: false, enabled: true, ...profiles[handle] }, directories };
+        }
+        next();
+    });
+    app.use('/', router);
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(() => resolve())),
+    };
+}